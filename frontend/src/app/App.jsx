@@ -4,7 +4,13 @@ import { ThemeProvider } from '@mui/material/styles';
 import { Navigate, Outlet, Route, Routes } from 'react-router-dom';
 
 import { ProcessorScreen } from '../components/Processor/index.js';
-import { SettingsScreen, BrokerFeesScreen } from '../components/Processor/Settings/index.js';
+import { CaucionCalculatorScreen } from '../components/CaucionCalculator/index.js';
+import {
+  SettingsScreen,
+  BrokerFeesScreen,
+  HolidaysScreen,
+  InstrumentCatalogScreen,
+} from '../components/Processor/Settings/index.js';
 import Sidebar from '../components/Sidebar.jsx';
 import { useStrings } from '../strings/index.js';
 import { useConfig } from '../state/index.js';
@@ -48,9 +54,12 @@ const App = () => {
         >
           <Routes>
             <Route path={ROUTES.processor} element={<ProcessorScreen />} />
+            <Route path={ROUTES.caucionCalculator} element={<CaucionCalculatorScreen />} />
             <Route path={ROUTES.settings} element={<Outlet />}>
               <Route index element={<SettingsScreen />} />
               <Route path="comisiones" element={<BrokerFeesScreen />} />
+              <Route path="feriados" element={<HolidaysScreen />} />
+              <Route path="catalogo" element={<InstrumentCatalogScreen />} />
               <Route path="prefijos" element={<Navigate to={ROUTES.settings} replace />} />
               <Route path="vencimientos" element={<Navigate to={ROUTES.settings} replace />} />
               <Route path="broker" element={<Navigate to={ROUTES.settings} replace />} />
@@ -1,7 +1,10 @@
 export const ROUTES = {
   processor: '/procesador',
+  caucionCalculator: '/calculadora-caucion',
   settings: '/configuracion',
   settingsFees: '/configuracion/comisiones',
+  settingsHolidays: '/configuracion/feriados',
+  settingsInstrumentCatalog: '/configuracion/catalogo',
   settingsPrefixes: '/configuracion/prefijos',
   settingsExpirations: '/configuracion/vencimientos',
   settingsBroker: '/configuracion/broker',
@@ -9,8 +12,11 @@ export const ROUTES = {
 
 export const APP_ROUTE_SEGMENTS = [
   { key: 'processor', path: ROUTES.processor },
+  { key: 'caucionCalculator', path: ROUTES.caucionCalculator },
   { key: 'settings', path: ROUTES.settings },
   { key: 'settingsFees', path: ROUTES.settingsFees },
+  { key: 'settingsHolidays', path: ROUTES.settingsHolidays },
+  { key: 'settingsInstrumentCatalog', path: ROUTES.settingsInstrumentCatalog },
 ];
 
 export const getDefaultRoute = () => ROUTES.processor;
@@ -0,0 +1,478 @@
+/**
+ * CaucionCalculatorScreen - Standalone caución calculator
+ * Prices a caución with the active repo fee config before it is placed and compares
+ * the same amount across several tenors.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import Container from '@mui/material/Container';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import CircularProgress from '@mui/material/CircularProgress';
+
+import strings from '../../strings/es-AR.js';
+import { ROUTES } from '../../app/routes.jsx';
+import { CAUCION_TIPOS } from '../../services/arbitrage-types.js';
+import {
+  DEFAULT_COMPARISON_TENORS,
+  calculateCaucion,
+  compareTenors,
+  parseTenorList,
+  resolveCaucionTenor,
+  validateCalculatorInput,
+} from '../../services/cauciones/caucion-calculator.js';
+import { toDateKey } from '../../services/cauciones/caucion-book.js';
+import { getRepoFeeConfig } from '../../services/fees/broker-fees-storage.js';
+import { formatCurrency } from '../../services/pnl-calculations.js';
+
+const calculatorStrings = strings.caucionCalculator;
+const repoStrings = strings.repo;
+
+const TENOR_MODES = {
+  DAYS: 'days',
+  DATE: 'date',
+};
+
+const rateFormatter = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+const formatRate = (value) => (Number.isFinite(value) ? `${rateFormatter.format(value)}%` : '—');
+
+const formatAmount = (value, currency) => (Number.isFinite(value) ? formatCurrency(value, currency) : '—');
+
+const formatDisplayDate = (key) => {
+  if (!key) {
+    return '';
+  }
+  const [year, month, day] = key.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+const parseNumber = (value) => (value === '' ? Number.NaN : Number.parseFloat(value));
+
+const pnlSx = (value) => ({
+  color: value < 0 ? 'error.main' : value > 0 ? 'success.main' : undefined,
+  fontWeight: 600,
+});
+
+const RatesTable = ({ rates }) => (
+  <Table size="small" data-testid="caucion-calculator-rates">
+    <TableHead>
+      <TableRow>
+        <TableCell>{calculatorStrings.ratesTitle}</TableCell>
+        <TableCell align="right">TNA</TableCell>
+        <TableCell align="right">TEA</TableCell>
+        <TableCell align="right">TEM</TableCell>
+        <TableCell align="right">TED</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {[
+        { key: 'gross', label: calculatorStrings.gross, values: rates.gross },
+        { key: 'net', label: calculatorStrings.net, values: rates.net },
+      ].map(({ key, label, values }) => (
+        <TableRow key={key}>
+          <TableCell>{label}</TableCell>
+          <TableCell align="right">{formatRate(values?.tna)}</TableCell>
+          <TableCell align="right">{formatRate(values?.tea)}</TableCell>
+          <TableCell align="right">{formatRate(values?.tem)}</TableCell>
+          <TableCell align="right">{formatRate(values?.ted)}</TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+const ResultPanel = ({ result, currency, tenorDays, endDate }) => {
+  const { breakdown } = result;
+  const lines = [
+    { key: 'interest', label: calculatorStrings.grossInterest, value: result.interest },
+    { key: 'arancel', label: repoStrings.tooltip.arancel, value: breakdown.arancelAmount },
+    { key: 'derechos', label: repoStrings.tooltip.derechos, value: breakdown.derechosMercadoAmount },
+    { key: 'garantia', label: repoStrings.tooltip.gastosGarantia, value: breakdown.gastosGarantiaAmount },
+    { key: 'iva', label: repoStrings.tooltip.iva, value: breakdown.ivaAmount },
+    { key: 'total', label: repoStrings.tooltip.totalExpenses, value: breakdown.totalExpenses, strong: true },
+    { key: 'settlement', label: repoStrings.tooltip.netSettlement, value: result.netSettlement, strong: true },
+  ];
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Stack direction="row" spacing={1} alignItems="baseline" sx={{ mb: 1 }}>
+        <Typography variant="h6">
+          {calculatorStrings.resultTitle.replace('{days}', tenorDays)}
+        </Typography>
+        {endDate && (
+          <Typography variant="body2" color="text.secondary">
+            {calculatorStrings.maturityLabel.replace('{date}', formatDisplayDate(endDate))}
+          </Typography>
+        )}
+      </Stack>
+      <Stack direction={{ xs: 'column', md: 'row' }} spacing={3}>
+        <Table size="small" data-testid="caucion-calculator-breakdown" sx={{ flex: 1 }}>
+          <TableBody>
+            {lines.map((line) => (
+              <TableRow key={line.key}>
+                <TableCell sx={line.strong ? { fontWeight: 600 } : undefined}>{line.label}</TableCell>
+                <TableCell align="right" sx={line.strong ? { fontWeight: 600 } : undefined}>
+                  {formatAmount(line.value, currency)}
+                </TableCell>
+              </TableRow>
+            ))}
+            <TableRow>
+              <TableCell sx={{ fontWeight: 600 }} title={calculatorStrings.netResultHint}>
+                {calculatorStrings.netResult}
+              </TableCell>
+              <TableCell align="right" sx={pnlSx(result.netResult)}>
+                {formatAmount(result.netResult, currency)}
+              </TableCell>
+            </TableRow>
+          </TableBody>
+        </Table>
+        <Box sx={{ flex: 1 }}>
+          <RatesTable rates={result.rates} />
+        </Box>
+      </Stack>
+    </Paper>
+  );
+};
+
+const ComparisonTable = ({ rows, currency, tnaOverrides, onTnaChange }) => {
+  const columns = calculatorStrings.columns;
+  return (
+    <TableContainer>
+      <Table size="small" data-testid="caucion-calculator-comparison">
+        <TableHead>
+          <TableRow>
+            <TableCell>{columns.tenor}</TableCell>
+            <TableCell>{columns.maturity}</TableCell>
+            <TableCell align="right">{columns.tna}</TableCell>
+            <TableCell align="right">{columns.interest}</TableCell>
+            <TableCell align="right">{columns.expenses}</TableCell>
+            <TableCell align="right">{columns.netSettlement}</TableCell>
+            <TableCell align="right">{columns.netResult}</TableCell>
+            <TableCell align="right">{columns.netTna}</TableCell>
+            <TableCell align="right">{columns.netTea}</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row) => (
+            <TableRow key={row.tenorDays}>
+              <TableCell>{`${row.tenorDays}D`}</TableCell>
+              <TableCell>
+                <Stack direction="row" spacing={1} alignItems="center">
+                  <span>{formatDisplayDate(row.endDate)}</span>
+                  {row.nextBusinessDay && (
+                    <Chip size="small" color="warning" variant="outlined" label={calculatorStrings.nonBusinessDay} title={row.error} />
+                  )}
+                </Stack>
+              </TableCell>
+              <TableCell align="right">
+                <TextField
+                  size="small"
+                  type="number"
+                  variant="standard"
+                  value={tnaOverrides[row.tenorDays] ?? ''}
+                  placeholder={rateFormatter.format(row.tna)}
+                  onChange={(event) => onTnaChange(row.tenorDays, event.target.value)}
+                  slotProps={{ htmlInput: { step: '0.01', min: 0, 'aria-label': `${columns.tna} ${row.tenorDays}D` } }}
+                  sx={{ width: 90 }}
+                />
+              </TableCell>
+              <TableCell align="right">{formatAmount(row.interest, currency)}</TableCell>
+              <TableCell align="right">{formatAmount(row.breakdown?.status === 'ok' ? row.breakdown.totalExpenses : null, currency)}</TableCell>
+              <TableCell align="right">{formatAmount(row.netSettlement, currency)}</TableCell>
+              <TableCell align="right" sx={pnlSx(row.netResult)}>{formatAmount(row.netResult, currency)}</TableCell>
+              <TableCell align="right">{formatRate(row.rates.net?.tna)}</TableCell>
+              <TableCell align="right">{formatRate(row.rates.net?.tea)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default function CaucionCalculatorScreen() {
+  const [repoFeeConfig, setRepoFeeConfig] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(() => ({
+    amount: '1000000',
+    currency: 'ARS',
+    role: CAUCION_TIPOS.COLOCADORA,
+    tna: '',
+    startDate: toDateKey(new Date()),
+    tenorMode: TENOR_MODES.DAYS,
+    tenorDays: '1',
+    endDate: '',
+  }));
+  const [tenorsText, setTenorsText] = useState(DEFAULT_COMPARISON_TENORS.join(', '));
+  const [tnaOverrides, setTnaOverrides] = useState({});
+
+  useEffect(() => {
+    let mounted = true;
+    getRepoFeeConfig()
+      .catch((error) => {
+        console.warn('PO: caucion-calculator - No se pudo cargar la configuración de cauciones', error);
+        return null;
+      })
+      .then((config) => {
+        if (mounted) {
+          setRepoFeeConfig(config);
+          setLoading(false);
+        }
+      });
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const handleFieldChange = (field) => (event) => {
+    const { value } = event.target;
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleTenorModeChange = (_event, tenorMode) => {
+    if (tenorMode) {
+      setForm((prev) => ({ ...prev, tenorMode }));
+    }
+  };
+
+  const handleTnaOverrideChange = (tenorDays, value) => {
+    setTnaOverrides((prev) => ({ ...prev, [tenorDays]: value }));
+  };
+
+  const resolved = useMemo(() => resolveCaucionTenor(
+    form.tenorMode === TENOR_MODES.DATE
+      ? { startDate: form.startDate, endDate: form.endDate }
+      : { startDate: form.startDate, tenorDays: Number.parseInt(form.tenorDays, 10) },
+  ), [form.startDate, form.endDate, form.tenorDays, form.tenorMode]);
+
+  const baseInput = useMemo(() => ({
+    amount: parseNumber(form.amount),
+    currency: form.currency,
+    role: form.role,
+    tna: parseNumber(form.tna),
+  }), [form.amount, form.currency, form.role, form.tna]);
+
+  const errors = useMemo(
+    () => validateCalculatorInput({ ...baseInput, tenorDays: resolved.tenorDays }),
+    [baseInput, resolved.tenorDays],
+  );
+
+  const result = useMemo(() => {
+    if (loading || Object.keys(errors).length > 0) {
+      return null;
+    }
+    return calculateCaucion({ ...baseInput, tenorDays: resolved.tenorDays }, repoFeeConfig);
+  }, [loading, errors, baseInput, resolved.tenorDays, repoFeeConfig]);
+
+  const comparison = useMemo(() => {
+    if (loading || errors.amount || errors.tna) {
+      return [];
+    }
+    const scenarios = parseTenorList(tenorsText).map((tenorDays) => ({
+      tenorDays,
+      tna: parseNumber(tnaOverrides[tenorDays] ?? ''),
+    }));
+    return compareTenors(baseInput, scenarios, repoFeeConfig, { startDate: form.startDate });
+  }, [loading, errors, tenorsText, tnaOverrides, baseInput, repoFeeConfig, form.startDate]);
+
+  const hasInput = form.amount !== '' && form.tna !== '';
+  const configError = result?.breakdown?.status === 'error' ? result.breakdown.errorMessage : null;
+  const tenorFieldError = resolved.nextBusinessDay ? null : resolved.error;
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Stack spacing={3}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>
+            {calculatorStrings.title}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {calculatorStrings.description}
+          </Typography>
+        </Box>
+
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} useFlexGap flexWrap="wrap" alignItems="flex-start">
+            <TextField
+              label={calculatorStrings.amount}
+              type="number"
+              size="small"
+              value={form.amount}
+              onChange={handleFieldChange('amount')}
+              error={hasInput && Boolean(errors.amount)}
+              helperText={hasInput ? errors.amount : undefined}
+              slotProps={{ htmlInput: { min: 0, step: '0.01' } }}
+            />
+            <TextField
+              select
+              label={calculatorStrings.currency}
+              size="small"
+              value={form.currency}
+              onChange={handleFieldChange('currency')}
+              sx={{ minWidth: 100 }}
+            >
+              {Object.entries(repoStrings.currencies).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              label={calculatorStrings.role}
+              size="small"
+              value={form.role}
+              onChange={handleFieldChange('role')}
+              sx={{ minWidth: 140 }}
+            >
+              {Object.values(CAUCION_TIPOS).map((value) => (
+                <MenuItem key={value} value={value}>{repoStrings.roles[value]}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label={calculatorStrings.tna}
+              type="number"
+              size="small"
+              value={form.tna}
+              onChange={handleFieldChange('tna')}
+              error={hasInput && Boolean(errors.tna)}
+              helperText={hasInput ? errors.tna : undefined}
+              slotProps={{ htmlInput: { min: 0, step: '0.01' } }}
+            />
+            <TextField
+              label={calculatorStrings.startDate}
+              type="date"
+              size="small"
+              value={form.startDate}
+              onChange={handleFieldChange('startDate')}
+              slotProps={{ inputLabel: { shrink: true } }}
+            />
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={form.tenorMode}
+              onChange={handleTenorModeChange}
+              aria-label={calculatorStrings.tenorMode}
+            >
+              <ToggleButton value={TENOR_MODES.DAYS}>{calculatorStrings.tenorModes.days}</ToggleButton>
+              <ToggleButton value={TENOR_MODES.DATE}>{calculatorStrings.tenorModes.date}</ToggleButton>
+            </ToggleButtonGroup>
+            {form.tenorMode === TENOR_MODES.DAYS ? (
+              <TextField
+                label={calculatorStrings.tenorDays}
+                type="number"
+                size="small"
+                value={form.tenorDays}
+                onChange={handleFieldChange('tenorDays')}
+                error={Boolean(tenorFieldError || errors.tenorDays)}
+                helperText={tenorFieldError || errors.tenorDays}
+                slotProps={{ htmlInput: { min: 1, step: 1 } }}
+                sx={{ width: 130 }}
+              />
+            ) : (
+              <TextField
+                label={calculatorStrings.endDate}
+                type="date"
+                size="small"
+                value={form.endDate}
+                onChange={handleFieldChange('endDate')}
+                error={Boolean(form.endDate && (tenorFieldError || errors.tenorDays))}
+                helperText={form.endDate ? tenorFieldError || errors.tenorDays : undefined}
+                slotProps={{ inputLabel: { shrink: true } }}
+              />
+            )}
+          </Stack>
+        </Paper>
+
+        {resolved.nextBusinessDay && (
+          <Alert
+            severity="warning"
+            action={(
+              <Button
+                color="inherit"
+                size="small"
+                onClick={() => setForm((prev) => ({
+                  ...prev,
+                  tenorMode: TENOR_MODES.DATE,
+                  endDate: resolved.nextBusinessDay,
+                }))}
+              >
+                {calculatorStrings.useNextBusinessDay.replace('{date}', formatDisplayDate(resolved.nextBusinessDay))}
+              </Button>
+            )}
+          >
+            {resolved.error}
+          </Alert>
+        )}
+
+        {configError && (
+          <Alert
+            severity="info"
+            action={(
+              <Button color="inherit" size="small" component={RouterLink} to={ROUTES.settingsFees}>
+                {calculatorStrings.openSettings}
+              </Button>
+            )}
+          >
+            {configError}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Stack direction="row" spacing={1} alignItems="center">
+            <CircularProgress size={20} />
+            <Typography variant="body2" color="text.secondary">{calculatorStrings.loading}</Typography>
+          </Stack>
+        ) : result && (
+          <ResultPanel
+            result={result}
+            currency={form.currency}
+            tenorDays={resolved.tenorDays}
+            endDate={resolved.endDate}
+          />
+        )}
+
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Typography variant="h6" gutterBottom>
+            {calculatorStrings.comparisonTitle}
+          </Typography>
+          <TextField
+            label={calculatorStrings.comparisonTenors}
+            size="small"
+            value={tenorsText}
+            onChange={(event) => setTenorsText(event.target.value)}
+            helperText={calculatorStrings.comparisonTenorsHelper}
+            sx={{ mb: 2, minWidth: 280 }}
+          />
+          {comparison.length > 0 ? (
+            <ComparisonTable
+              rows={comparison}
+              currency={form.currency}
+              tnaOverrides={tnaOverrides}
+              onTnaChange={handleTnaOverrideChange}
+            />
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              {calculatorStrings.comparisonEmpty}
+            </Typography>
+          )}
+        </Paper>
+      </Stack>
+    </Container>
+  );
+}
@@ -0,0 +1,2 @@
+// Caución calculator feature entry point
+export { default as CaucionCalculatorScreen } from './CaucionCalculatorScreen.jsx';
@@ -0,0 +1,133 @@
+/**
+ * ArbitrageScannerTable - CI/24hs opportunities priced from the loaded quotes
+ * Ranked by spread over the caución TNA, before anything is traded.
+ */
+
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+
+import { formatCurrency } from '../../services/pnl-calculations.js';
+import { CURVE_SOURCES } from '../../services/arbitrage-scanner.js';
+import { PATTERNS } from '../../services/arbitrage-types.js';
+
+const rateFormatter = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const priceFormatter = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+const formatRate = (value) => (Number.isFinite(value) ? `${rateFormatter.format(value)}%` : '—');
+const formatPrice = (value) => (Number.isFinite(value) ? priceFormatter.format(value) : '—');
+
+const getSpreadColor = (value) => {
+  if (value > 0) return 'success.main';
+  if (value < 0) return 'error.main';
+  return 'text.secondary';
+};
+
+const ArbitrageScannerTable = ({ rows = [], notionalInput = '', onNotionalChange, strings = {} }) => {
+  const arbitrageStrings = strings?.arbitrage ?? {};
+  const scannerStrings = arbitrageStrings.scanner ?? {};
+  const columnLabels = scannerStrings.columns ?? {};
+  const sourceLabels = scannerStrings.curveSources ?? {};
+  const opportunities = rows.filter((row) => row.spread > 0).length;
+
+  return (
+    <Paper variant="outlined" data-testid="arbitrage-scanner-table">
+      <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap" useFlexGap sx={{ px: 2, py: 1 }}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+          {scannerStrings.title ?? 'Oportunidades CI / 24hs'}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {(scannerStrings.summary ?? '{count} con spread positivo').replace('{count}', String(opportunities))}
+        </Typography>
+        <Box sx={{ flex: 1 }} />
+        <TextField
+          size="small"
+          type="number"
+          label={scannerStrings.notionalLabel ?? 'Monto por operación'}
+          value={notionalInput}
+          onChange={(event) => onNotionalChange?.(event.target.value)}
+          inputProps={{ min: 0, step: '100000' }}
+          sx={{ width: 190 }}
+        />
+      </Stack>
+
+      {rows.length === 0 ? (
+        <Box sx={{ p: 3, textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            {scannerStrings.empty ?? 'Las cotizaciones cargadas no tienen instrumentos con CI y 24hs.'}
+          </Typography>
+        </Box>
+      ) : (
+        <TableContainer>
+          <Table size="small" aria-label="oportunidades de arbitraje de plazos">
+            <TableHead>
+              <TableRow>
+                <TableCell>{columnLabels.instrumento ?? 'Instrumento'}</TableCell>
+                <TableCell>{columnLabels.patron ?? 'Operación'}</TableCell>
+                <TableCell align="right">{columnLabels.plazo ?? 'Plazo'}</TableCell>
+                <TableCell align="right">{columnLabels.cantidad ?? 'Nominales'}</TableCell>
+                <TableCell align="right">{columnLabels.precioCI ?? 'Precio CI'}</TableCell>
+                <TableCell align="right">{columnLabels.precio24h ?? 'Precio 24hs'}</TableCell>
+                <TableCell align="right">{columnLabels.impliedTNA ?? 'TNA implícita'}</TableCell>
+                <TableCell align="right">{columnLabels.caucionTNA ?? 'TNA caución'}</TableCell>
+                <TableCell align="right">{columnLabels.spread ?? 'Spread'}</TableCell>
+                <TableCell align="right">{columnLabels.pnl ?? 'P&L estimado'}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={row.id} hover>
+                  <TableCell>{row.instrumento}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={arbitrageStrings.patterns?.[row.patron] ?? row.patron}
+                      color={row.patron === PATTERNS.VENTA_CI_COMPRA_24H ? 'error' : 'success'}
+                      sx={{ fontSize: '0.75rem' }}
+                    />
+                  </TableCell>
+                  <TableCell align="right">{`${row.plazo}D`}</TableCell>
+                  <TableCell align="right">{row.cantidad.toLocaleString('es-AR')}</TableCell>
+                  <TableCell align="right">{formatPrice(row.precioCI)}</TableCell>
+                  <TableCell align="right">{formatPrice(row.precio24h)}</TableCell>
+                  <TableCell align="right">{formatRate(row.impliedTNA)}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip
+                      title={(scannerStrings.netCaucion ?? 'Neta de gastos: {rate}').replace('{rate}', formatRate(row.netCaucionTNA))}
+                      disableInteractive
+                    >
+                      <span>{formatRate(row.caucionTNA)}</span>
+                    </Tooltip>
+                    {row.caucionTNASource !== CURVE_SOURCES.CURVA && (
+                      <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 0.5 }}>
+                        {sourceLabels[row.caucionTNASource] ?? `(${row.caucionTNASource})`}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right" sx={{ color: getSpreadColor(row.spread), fontWeight: 600 }}>
+                    {formatRate(row.spread)}
+                  </TableCell>
+                  <TableCell align="right" sx={{ color: getSpreadColor(row.pnlEstimado) }}>
+                    {formatCurrency(row.pnlEstimado, row.currency)}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Paper>
+  );
+};
+
+export default ArbitrageScannerTable;
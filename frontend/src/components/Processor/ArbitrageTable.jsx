@@ -25,6 +25,8 @@ import CircularProgress from '@mui/material/CircularProgress';
 
 import { formatCurrency } from '../../services/pnl-calculations.js';
 import { PATTERNS, ESTADOS, LADOS } from '../../services/arbitrage-types.js';
+import { CAUCION_LINK_MODES } from '../../services/caucion-matching.js';
+import { calculateNetCaucionRates } from '../../services/rates.js';
 
 // Lazy load the operations detail component
 const ArbitrageOperationsDetail = lazy(() => import('./ArbitrageOperationsDetail.jsx'));
@@ -158,13 +160,59 @@ function getPnLTradeBreakdown(row) {
   );
 }
 
+const formatRate = (value) => (Number.isFinite(value) ? `${value.toFixed(2)}%` : '—');
+
+/**
+ * Gross and net-of-fees rates of a linked caución
+ * @param {Object} cau - enriched caución
+ * @returns {{gross: Object, net: Object}|null}
+ */
+function getCaucionRates(cau) {
+  return calculateNetCaucionRates({
+    principal: cau.principalPortion ?? cau.capital ?? cau.monto,
+    interest: cau.interes,
+    expenses: cau.feeAmount,
+    tenorDays: cau.tenorDias,
+    role: cau.tipo,
+  });
+}
+
+/**
+ * TNA line for the caución tooltip: linked cauciones' rate, or the currency average
+ * @param {Object} row
+ * @param {number} [fallbackTNA]
+ * @returns {JSX.Element|null}
+ */
+function renderCaucionTNA(row, fallbackTNA) {
+  if (Number.isFinite(row.caucionTNA) && row.caucionLinkMode === CAUCION_LINK_MODES.VINCULADA) {
+    return (
+      <Typography variant="body2" sx={{ display: 'block', mt: 0.5, color: 'primary.light', fontWeight: 500 }}>
+        TNA cauciones vinculadas: {Number(row.caucionTNA).toFixed(2)}%
+      </Typography>
+    );
+  }
+  if (Number.isFinite(row.caucionTNA) && row.caucionLinkMode === CAUCION_LINK_MODES.PARCIAL) {
+    return (
+      <Typography variant="body2" sx={{ display: 'block', mt: 0.5, color: 'primary.light', fontWeight: 500 }}>
+        TNA aplicada: {Number(row.caucionTNA).toFixed(2)}% (resto a TNA Promedio {Number(row.avgTNA || 0).toFixed(2)}%)
+      </Typography>
+    );
+  }
+  if (!Number.isFinite(fallbackTNA)) return null;
+  return (
+    <Typography variant="body2" sx={{ display: 'block', mt: 0.5, color: 'primary.light', fontWeight: 500 }}>
+      TNA Promedio: {Number(fallbackTNA).toFixed(2)}%
+    </Typography>
+  );
+}
+
 /**
  * Generate P&L Caucion breakdown tooltip
  * @param {Object} row - Row data with cauciones
  * @returns {JSX.Element}
  */
 function getPnLCaucionBreakdown(row) {
-  if (!row.cauciones || row.cauciones.length === 0) {
+  if (!row.cauciones || row.cauciones.length === 0 || row.caucionFeesBreakdown) {
     // If the service provided a normalized caucion fees breakdown for the row,
     // prefer rendering that instead of re-estimating amounts in the UI.
     const breakdown = row.caucionFeesBreakdown || row.feeBreakdown || null;
@@ -196,11 +244,12 @@ function getPnLCaucionBreakdown(row) {
           <Typography variant="body2" sx={{ display: 'block', mt: 1, color: 'grey.100' }}>
             Plazo: {row.plazo ?? row.tenorDias ?? breakdown.tenorDays ?? '—'} días
           </Typography>
-          {(Number.isFinite(breakdown.avgTNA) || Number.isFinite(row.avgTNA)) && (
-            <Typography variant="body2" sx={{ display: 'block', mt: 0.5, color: 'primary.light', fontWeight: 500 }}>
-              TNA Promedio: {Number(breakdown.avgTNA ?? row.avgTNA).toFixed(2)}%
+          {renderCaucionTNA(row, breakdown.avgTNA ?? row.avgTNA)}
+          {(row.cauciones || []).map((c, idx) => (
+            <Typography key={`${c.id}-${idx}`} variant="body2" sx={{ display: 'block', color: 'grey.400', ml: 1 }}>
+              {c.id}: {fmt(c.principalPortion ?? c.montoAsignado)} al {Number(c.tasa).toFixed(2)}%
             </Typography>
-          )}
+          ))}
           <Typography variant="body2" sx={{ display: 'block', mt: 1, color: 'grey.100' }}>
             Importe Bruto: {principal !== null ? fmt(principal) : '—'}
           </Typography>
@@ -289,11 +338,7 @@ function getPnLCaucionBreakdown(row) {
       <Typography variant="body2" sx={{ display: 'block', mb: 1, color: 'grey.100' }}>
         Plazo: {row.plazo} días
       </Typography>
-      {(row.avgTNA > 0 || Number.isFinite(row.avgTNA)) && (
-        <Typography variant="body2" sx={{ display: 'block', mb: 1, color: 'primary.light', fontWeight: 500 }}>
-          TNA Promedio: {Number(row.avgTNA).toFixed(2)}%
-        </Typography>
-      )}
+      {renderCaucionTNA(row, row.avgTNA)}
 
       {row.cauciones.map((c, idx) => {
         // Prefer service-provided principalPortion (portion of operation principal
@@ -328,7 +373,7 @@ function getPnLCaucionBreakdown(row) {
             </Typography>
             {tasa !== null && (
               <Typography variant="body2" sx={{ display: 'block', color: 'grey.400', ml: 1 }}>
-                TNA Promedio: {Number(tasa).toFixed(2)}%
+                TNA: {Number(tasa).toFixed(2)}%
               </Typography>
             )}
             {tenor !== null && (
@@ -567,27 +612,54 @@ const ArbitrageRow = memo(function ArbitrageRow({ row, strings, expandedRows, on
                             <TableCell>{detailsStrings.operationId || 'ID'}</TableCell>
                             <TableCell>{detailsStrings.caucionTipo || 'Tipo'}</TableCell>
                             <TableCell align="right">{detailsStrings.caucionMonto || 'Monto'}</TableCell>
+                            <TableCell align="right">{detailsStrings.caucionAsignado || 'Asignado'}</TableCell>
                             <TableCell align="right">{detailsStrings.caucionTasa || 'Tasa'}</TableCell>
                             <TableCell align="right">{detailsStrings.caucionTenor || 'Tenor (días)'}</TableCell>
                             <TableCell align="right">{detailsStrings.caucionInteres || 'Interés'}</TableCell>
+                            <TableCell align="right">{detailsStrings.caucionTea || 'TEA'}</TableCell>
+                            <TableCell align="right">{detailsStrings.caucionTnaNeta || 'TNA neta'}</TableCell>
                           </TableRow>
                         </TableHead>
                         <TableBody>
-                          {row.cauciones.map((cau, index) => (
-                            <TableRow key={`${cau.id}-${index}`}>
-                              <TableCell>{cau.id}</TableCell>
-                              <TableCell>{cau.tipo}</TableCell>
-                              <TableCell align="right">{formatCurrency(cau.monto)}</TableCell>
-                              <TableCell align="right">{cau.tasa}%</TableCell>
-                              <TableCell align="right">{cau.tenorDias}</TableCell>
-                              <TableCell align="right">{formatCurrency(cau.interes)}</TableCell>
-                            </TableRow>
-                          ))}
+                          {row.cauciones.map((cau, index) => {
+                            const rates = getCaucionRates(cau);
+                            return (
+                              <TableRow key={`${cau.id}-${index}`}>
+                                <TableCell>{cau.id}</TableCell>
+                                <TableCell>{cau.tipo}</TableCell>
+                                <TableCell align="right">{formatCurrency(cau.capital ?? cau.monto)}</TableCell>
+                                <TableCell align="right">{formatCurrency(cau.principalPortion ?? cau.montoAsignado ?? cau.capital ?? cau.monto)}</TableCell>
+                                <TableCell align="right">{cau.tasa}%</TableCell>
+                                <TableCell align="right">{cau.tenorDias}</TableCell>
+                                <TableCell align="right">{formatCurrency(cau.interes)}</TableCell>
+                                <TableCell align="right">{formatRate(rates?.gross.tea)}</TableCell>
+                                <TableCell align="right">
+                                  <Tooltip
+                                    title={(detailsStrings.caucionNetRates || 'Neta de gastos: {rates}')
+                                      .replace('{rates}', `TEA ${formatRate(rates?.net.tea)} · TEM ${formatRate(rates?.net.tem)}`)}
+                                  >
+                                    <span>{formatRate(rates?.net.tna)}</span>
+                                  </Tooltip>
+                                </TableCell>
+                              </TableRow>
+                            );
+                          })}
                         </TableBody>
                       </Table>
+                      {row.caucionLinkMode === CAUCION_LINK_MODES.PARCIAL && (
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                          {detailsStrings.caucionesParcial || 'Las cauciones vinculadas no cubren todo el monto; el resto se calcula con la TNA promedio.'}
+                        </Typography>
+                      )}
                     </Box>
                   )}
 
+                  {row.caucionLinkMode === CAUCION_LINK_MODES.PROMEDIO && (
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                      {detailsStrings.caucionesPromedio || 'Sin cauciones vinculadas: el P&L de caución usa la TNA promedio de la moneda.'}
+                    </Typography>
+                  )}
+
                   {(!row.operations || row.operations.length === 0) &&
                     (!row.cauciones || row.cauciones.length === 0) && (
                       <Typography variant="body2" color="text.secondary">
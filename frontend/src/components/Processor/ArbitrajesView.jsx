@@ -12,11 +12,17 @@ import Typography from '@mui/material/Typography';
 
 import GroupFilter from './GroupFilter.jsx';
 import ArbitrageTable from './ArbitrageTable.jsx';
+import DollarArbitrageTable from './DollarArbitrageTable.jsx';
+import ArbitrageScannerTable from './ArbitrageScannerTable.jsx';
+import QuotesToolbar from './QuotesToolbar.jsx';
 
-import { parseOperations, parseCauciones, aggregateByInstrumentoPlazo, calculateAvgTNAByCurrency } from '../../services/data-aggregation.js';
-import { calculatePnL } from '../../services/pnl-calculations.js';
+import { parseOperations, parseCauciones, aggregateByInstrumentoPlazo, aggregateDollarLegs, calculateAvgTNAByCurrency } from '../../services/data-aggregation.js';
+import { calculatePnL, calculateDollarArbitrages } from '../../services/pnl-calculations.js';
 import { enrichArbitrageOperations, enrichCauciones } from '../../services/arbitrage-fee-enrichment.js';
 import { LADOS } from '../../services/arbitrage-types.js';
+import { DEFAULT_SCAN_NOTIONAL, scanArbitrageOpportunities } from '../../services/arbitrage-scanner.js';
+import { getEffectiveRates } from '../../services/bootstrap-defaults.js';
+import { getRepoFeeConfig } from '../../services/fees/broker-fees-storage.js';
 
 /**
  * Transform ResultadoPatron to table row format
@@ -37,6 +43,8 @@ function transformToTableRow(grupo, resultado) {
     operations: resultado.operations,
     cauciones: resultado.cauciones,
     avgTNA: resultado.avgTNA, // Weighted average TNA from all cauciones
+    caucionTNA: resultado.caucionTNA,
+    caucionLinkMode: resultado.caucionLinkMode,
     // Precomputed caucion fields so UI doesn't need to recalc
     principal: resultado.principal,
     baseAmount: resultado.baseAmount,
@@ -96,6 +104,12 @@ const ArbitrajesView = ({
   strings,
   onGroupChange,
   avgTNAByCurrency: avgTNAProp = null,
+  quoteSnapshot = null,
+  quotesLoading,
+  canFetchQuotes,
+  onImportQuotes,
+  onFetchQuotes,
+  onClearQuotes,
 }) => {
   // Show the spinner immediately if the parent passed operations already
   // (prevents a flash of "no data" before parsing starts).
@@ -304,9 +318,70 @@ const ArbitrajesView = ({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [parsedOperationsState, enrichedCaucionesState, avgTNAByCurrencyMemo, avgTNAProp, selectedGroupId, groupOptions]);
 
+  // MEP/CCL trades: peso and dollar legs of the same bond, valued at the typed
+  // reference rate or, when empty, the day's average implied rate
+  const [referenceInputs, setReferenceInputs] = useState({});
+  const allDollarRows = useMemo(() => {
+    const referenceRates = {};
+    Object.entries(referenceInputs).forEach(([tipoCambio, value]) => {
+      referenceRates[tipoCambio] = Number(String(value).replace(',', '.'));
+    });
+    return calculateDollarArbitrages(aggregateDollarLegs(parsedOperationsState).values(), referenceRates)
+      .map((resultado) => ({
+        ...resultado,
+        id: `${resultado.bono}-${resultado.venue}-${resultado.patron}`,
+        instrumento: resultado.bono,
+      }));
+  }, [parsedOperationsState, referenceInputs]);
+
+  const dollarRows = useMemo(
+    () => filterRowsBySelection(allDollarRows, selectedGroupId, groupOptions),
+    [allDollarRows, selectedGroupId, groupOptions],
+  );
+
+  const handleReferenceChange = (tipoCambio, value) => {
+    setReferenceInputs((prev) => ({ ...prev, [tipoCambio]: value }));
+  };
+
+  // Opportunity scanner over the loaded quotes
+  const [repoFeeConfig, setRepoFeeConfig] = useState(null);
+  const [notionalInput, setNotionalInput] = useState(String(DEFAULT_SCAN_NOTIONAL));
+
+  useEffect(() => {
+    let mounted = true;
+    getRepoFeeConfig()
+      .then((config) => {
+        if (mounted) setRepoFeeConfig(config);
+      })
+      .catch((error) => {
+        console.warn('PO: repo fee config for arbitrage scanner failed', error);
+      });
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const scannerRows = useMemo(() => {
+    if (!quoteSnapshot) return [];
+    const notional = Number(String(notionalInput).replace(',', '.'));
+    try {
+      const rows = scanArbitrageOpportunities(quoteSnapshot, {
+        effectiveRates: getEffectiveRates(),
+        repoFeeConfig,
+        avgTNAByCurrency: effectiveAvgTNAByCurrency,
+        notional: Number.isFinite(notional) && notional > 0 ? notional : DEFAULT_SCAN_NOTIONAL,
+      });
+      return filterRowsBySelection(rows, selectedGroupId, groupOptions);
+    } catch (error) {
+      console.warn('PO: arbitrage scan failed', error);
+      return [];
+    }
+  }, [quoteSnapshot, notionalInput, repoFeeConfig, effectiveAvgTNAByCurrency, selectedGroupId, groupOptions]);
+
   // Filter groupOptions to only show instruments that have arbitrage data
   const filteredGroupOptions = useMemo(() => {
-    if (!groupOptions?.length || availableInstruments.size === 0) {
+    const instruments = new Set([...availableInstruments, ...allDollarRows.map((row) => row.instrumento)]);
+    if (!groupOptions?.length || instruments.size === 0) {
       return [];
     }
 
@@ -315,9 +390,9 @@ const ArbitrajesView = ({
     return groupOptions.filter((opt) => {
       return opt.id === '__ALL__' || 
              opt.label === (filterStrings.all || 'All') ||
-             availableInstruments.has(opt.label);
+             instruments.has(opt.label);
     });
-  }, [groupOptions, availableInstruments, filterStrings.all]);
+  }, [groupOptions, availableInstruments, allDollarRows, filterStrings.all]);
 
   return (
     <Stack spacing={2} sx={{ flex: 1, minHeight: 0, p: 2 }}>
@@ -333,10 +408,20 @@ const ArbitrajesView = ({
         )}
       </Stack>
 
+      <QuotesToolbar
+        snapshot={quoteSnapshot}
+        loading={quotesLoading}
+        canFetchBroker={canFetchQuotes}
+        onImport={onImportQuotes}
+        onFetchBroker={onFetchQuotes}
+        onClear={onClearQuotes}
+        strings={strings}
+      />
+
       {/* Main content area */}
       <Box sx={{ flex: 1, minHeight: 0, display: 'flex' }}>
-        {/* Table */}
-        <Box sx={{ flex: 1, minHeight: 0 }}>
+        {/* Tables: plazo patterns, then MEP/CCL */}
+        <Stack spacing={2} sx={{ flex: 1, minHeight: 0 }}>
           {isCalculating ? (
             <Box
               sx={{
@@ -352,9 +437,29 @@ const ArbitrajesView = ({
               </Typography>
             </Box>
           ) : (
-            <ArbitrageTable data={tableData} strings={strings} />
+            <>
+              {quoteSnapshot && (
+                <ArbitrageScannerTable
+                  rows={scannerRows}
+                  notionalInput={notionalInput}
+                  onNotionalChange={setNotionalInput}
+                  strings={strings}
+                />
+              )}
+              {(tableData.length > 0 || dollarRows.length === 0) && (
+                <ArbitrageTable data={tableData} strings={strings} />
+              )}
+              {dollarRows.length > 0 && (
+                <DollarArbitrageTable
+                  rows={dollarRows}
+                  referenceInputs={referenceInputs}
+                  onReferenceChange={handleReferenceChange}
+                  strings={strings}
+                />
+              )}
+            </>
           )}
-        </Box>
+        </Stack>
       </Box>
     </Stack>
   );
@@ -0,0 +1,345 @@
+/**
+ * CaucionesView - Persistent caución book
+ * Posts the file's cauciones, shows what matures on the next business days and the
+ * interest accrued to date net of repo expenses, with renewals linked together.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Paper from '@mui/material/Paper';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import CircularProgress from '@mui/material/CircularProgress';
+import LinkOffIcon from '@mui/icons-material/LinkOff';
+
+import {
+  computeCaucionBookState,
+  createEmptyCaucionBook,
+  createPositionsFromOperations,
+  isCaucionOperation,
+  postPositions,
+  unlinkRollover,
+} from '../../services/cauciones/caucion-book.js';
+import { clearCaucionBook, loadCaucionBook, saveCaucionBook } from '../../services/cauciones/caucion-book-storage.js';
+import { getRepoFeeConfig } from '../../services/fees/broker-fees-storage.js';
+import { formatCurrency } from '../../services/pnl-calculations.js';
+import { showToast } from '../../services/toastService.js';
+
+const rateFormatter = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatRate = (value) => (Number.isFinite(value) ? `${rateFormatter.format(value)}%` : '');
+
+const formatDateKey = (key, options) => {
+  if (!key) {
+    return '';
+  }
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('es-AR', options);
+};
+
+const pnlSx = (value) => ({
+  color: value < 0 ? 'error.main' : value > 0 ? 'success.main' : undefined,
+  fontWeight: 600,
+});
+
+const BookTable = ({ title, columns, rows, emptyLabel, testId }) => (
+  <Paper elevation={0} sx={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column', borderRadius: 0 }}>
+    <Typography variant="subtitle2" color="text.secondary" sx={{ px: 2, pt: 1 }}>
+      {title}
+    </Typography>
+    <TableContainer sx={{ flex: 1, overflow: 'auto' }}>
+      <Table size="small" stickyHeader data-testid={testId}>
+        <TableHead>
+          <TableRow>
+            {columns.map((column) => (
+              <TableCell key={column.key} align={column.align}>{column.label}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={columns.length} align="center">
+                <Typography variant="body2" color="text.secondary">{emptyLabel}</Typography>
+              </TableCell>
+            </TableRow>
+          ) : rows.map((row, index) => (
+            <TableRow key={row.id} sx={index % 2 === 1 ? { backgroundColor: 'action.hover' } : undefined}>
+              {columns.map((column) => (
+                <TableCell key={column.key} align={column.align} sx={column.sx?.(row)}>
+                  {column.render(row)}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Paper>
+);
+
+const CaucionesView = ({ operations = [], fileName, strings }) => {
+  const bookStrings = strings?.caucionBook ?? {};
+  const [book, setBook] = useState(() => createEmptyCaucionBook());
+  const [repoFeeConfig, setRepoFeeConfig] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+
+    Promise.all([loadCaucionBook(), getRepoFeeConfig().catch(() => null)])
+      .then(([stored, config]) => {
+        if (mounted) {
+          setBook(stored);
+          setRepoFeeConfig(config);
+        }
+      })
+      .catch((error) => {
+        console.warn('PO: loadCaucionBook failed', error);
+      })
+      .finally(() => {
+        if (mounted) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const state = useMemo(() => computeCaucionBookState(book, { repoFeeConfig }), [book, repoFeeConfig]);
+  const hasFileCauciones = operations.some(isCaucionOperation);
+
+  const persist = async (nextBook) => {
+    setBook(nextBook);
+    await saveCaucionBook(nextBook);
+  };
+
+  const handlePost = async () => {
+    const positions = createPositionsFromOperations(operations, { source: fileName ?? '' });
+    const { book: nextBook, added, skipped } = postPositions(book, positions);
+    await persist(nextBook);
+    const template = bookStrings.postResult ?? 'Se registraron {added} cauciones ({skipped} ya estaban registradas).';
+    showToast({
+      message: template.replace('{added}', String(added)).replace('{skipped}', String(skipped)),
+      severity: added > 0 ? 'success' : 'info',
+    });
+  };
+
+  const handleUnlink = async (positionId) => {
+    await persist(unlinkRollover(book, positionId));
+  };
+
+  const handleClear = async () => {
+    setBook(await clearCaucionBook());
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  const tipoLabels = bookStrings.tipos ?? {};
+
+  const baseColumns = [
+    { key: 'tipo', label: bookStrings.tipo ?? 'Tipo', render: (row) => tipoLabels[row.tipo] ?? row.tipo },
+    { key: 'instrumento', label: bookStrings.instrumento ?? 'Instrumento', render: (row) => `${row.instrumento} ${row.tenorDias}D` },
+    { key: 'monto', label: bookStrings.monto ?? 'Monto', align: 'right', render: (row) => formatCurrency(row.monto, row.currency) },
+    { key: 'tasa', label: bookStrings.tasa ?? 'TNA', align: 'right', render: (row) => formatRate(row.tasa) },
+    { key: 'inicio', label: bookStrings.inicio ?? 'Inicio', render: (row) => formatDateKey(row.inicio) },
+    { key: 'vencimiento', label: bookStrings.vencimiento ?? 'Vencimiento', render: (row) => formatDateKey(row.vencimiento) },
+  ];
+
+  const rolloverColumn = {
+    key: 'renovacion',
+    label: bookStrings.renovacion ?? 'Renovación',
+    render: (row) => (row.rolledFrom ? (
+      <Stack direction="row" spacing={0.5} alignItems="center">
+        <Typography variant="body2">
+          {(bookStrings.rolloverLabel ?? '{count}ª desde {date}')
+            .replace('{count}', String(row.renovaciones))
+            .replace('{date}', formatDateKey(row.chainStart))}
+        </Typography>
+        <Tooltip title={bookStrings.unlink ?? 'Desvincular renovación'}>
+          <IconButton size="small" onClick={() => handleUnlink(row.id)} aria-label={bookStrings.unlink ?? 'Desvincular renovación'}>
+            <LinkOffIcon fontSize="inherit" />
+          </IconButton>
+        </Tooltip>
+      </Stack>
+    ) : ''),
+  };
+
+  const openColumns = [
+    ...baseColumns,
+    {
+      key: 'dias',
+      label: bookStrings.dias ?? 'Días',
+      align: 'right',
+      render: (row) => `${row.diasTranscurridos}/${row.tenorDias}`,
+    },
+    {
+      key: 'interesDevengado',
+      label: bookStrings.interesDevengado ?? 'Interés devengado',
+      align: 'right',
+      render: (row) => formatCurrency(row.interesDevengado, row.currency),
+    },
+    {
+      key: 'gastosDevengados',
+      label: bookStrings.gastos ?? 'Gastos',
+      align: 'right',
+      render: (row) => formatCurrency(row.gastosDevengados, row.currency),
+    },
+    {
+      key: 'netoDevengado',
+      label: bookStrings.netoDevengado ?? 'Neto devengado',
+      align: 'right',
+      render: (row) => formatCurrency(row.netoDevengado, row.currency),
+      sx: (row) => pnlSx(row.netoDevengado),
+    },
+    rolloverColumn,
+  ];
+
+  const maturedColumns = [
+    ...baseColumns,
+    {
+      key: 'interesTotal',
+      label: bookStrings.interes ?? 'Interés',
+      align: 'right',
+      render: (row) => formatCurrency(row.interesTotal, row.currency),
+    },
+    {
+      key: 'gastosTotal',
+      label: bookStrings.gastos ?? 'Gastos',
+      align: 'right',
+      render: (row) => formatCurrency(row.gastosTotal, row.currency),
+    },
+    {
+      key: 'netoDevengado',
+      label: bookStrings.neto ?? 'Neto',
+      align: 'right',
+      render: (row) => formatCurrency(row.netoDevengado, row.currency),
+      sx: (row) => pnlSx(row.netoDevengado),
+    },
+    rolloverColumn,
+  ];
+
+  const totalsLabel = Object.entries(state.totals)
+    .map(([currency, totals]) => (bookStrings.totalsTemplate ?? '{currency}: colocado {colocado} · tomado {tomado} · devengado {neto}')
+      .replace('{currency}', currency)
+      .replace('{colocado}', formatCurrency(totals.colocado, currency))
+      .replace('{tomado}', formatCurrency(totals.tomado, currency))
+      .replace('{neto}', formatCurrency(totals.netoDevengado, currency)))
+    .join('  |  ');
+
+  return (
+    <Stack spacing={0} sx={{ flex: 1, minHeight: 0 }} data-testid="cauciones-view">
+      <Stack
+        direction="row"
+        spacing={2}
+        alignItems="center"
+        flexWrap="wrap"
+        sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}
+      >
+        <Button
+          variant="contained"
+          size="small"
+          onClick={handlePost}
+          disabled={!hasFileCauciones}
+          data-testid="caucion-book-post-button"
+        >
+          {bookStrings.post ?? 'Registrar cauciones del archivo'}
+        </Button>
+        <Button size="small" color="error" onClick={handleClear} disabled={book.positions.length === 0}>
+          {bookStrings.clear ?? 'Vaciar cauciones'}
+        </Button>
+        <Box sx={{ flex: 1 }} />
+        <Typography variant="body2" data-testid="caucion-book-totals">
+          {totalsLabel}
+        </Typography>
+      </Stack>
+
+      <Box sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}>
+        <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 1 }}>
+          {bookStrings.calendarTitle ?? 'Vencimientos próximos'}
+        </Typography>
+        <Stack direction="row" spacing={1} sx={{ overflowX: 'auto', pb: 0.5 }} data-testid="caucion-maturity-calendar">
+          {state.calendar.map((day) => (
+            <Paper
+              key={day.fecha}
+              variant="outlined"
+              sx={{
+                minWidth: 120,
+                px: 1,
+                py: 0.5,
+                borderColor: day.vencimientos.length > 0 ? 'primary.main' : 'divider',
+              }}
+            >
+              <Typography variant="caption" color="text.secondary" sx={{ textTransform: 'capitalize' }}>
+                {formatDateKey(day.fecha, { weekday: 'short', day: '2-digit', month: '2-digit' })}
+              </Typography>
+              {day.vencimientos.length === 0 ? (
+                <Typography variant="body2" color="text.disabled">—</Typography>
+              ) : (
+                <Tooltip title={day.vencimientos.map((row) => `${tipoLabels[row.tipo] ?? row.tipo} ${formatCurrency(row.monto, row.currency)}`).join(' · ')}>
+                  <Box>
+                    <Typography variant="body2">
+                      {(bookStrings.calendarCount ?? '{count} vencimientos').replace('{count}', String(day.vencimientos.length))}
+                    </Typography>
+                    {Object.entries(day.porMoneda).map(([currency, amount]) => (
+                      <Typography key={currency} variant="body2" sx={pnlSx(amount)}>
+                        {formatCurrency(amount, currency)}
+                      </Typography>
+                    ))}
+                  </Box>
+                </Tooltip>
+              )}
+            </Paper>
+          ))}
+        </Stack>
+      </Box>
+
+      <Box
+        sx={{
+          flex: 1,
+          minHeight: 0,
+          display: 'flex',
+          flexDirection: 'column',
+          '& > :first-of-type': {
+            borderBottom: 1,
+            borderColor: 'divider',
+          },
+        }}
+      >
+        <BookTable
+          title={bookStrings.openTitle ?? 'Cauciones vigentes'}
+          columns={openColumns}
+          rows={state.open}
+          emptyLabel={bookStrings.emptyOpen ?? 'No hay cauciones vigentes.'}
+          testId="caucion-book-open-table"
+        />
+        <BookTable
+          title={bookStrings.maturedTitle ?? 'Cauciones vencidas'}
+          columns={maturedColumns}
+          rows={state.matured}
+          emptyLabel={bookStrings.emptyMatured ?? 'No hay cauciones vencidas.'}
+          testId="caucion-book-matured-table"
+        />
+      </Box>
+    </Stack>
+  );
+};
+
+export default CaucionesView;
@@ -0,0 +1,283 @@
+import { useEffect, useMemo, useState } from 'react';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import Step from '@mui/material/Step';
+import StepLabel from '@mui/material/StepLabel';
+import Stepper from '@mui/material/Stepper';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import {
+  MAPPABLE_FIELDS,
+  REQUIRED_FIELDS,
+  TRANSLATABLE_FIELDS,
+  createImportProfile,
+  findMissingRequiredColumns,
+  normalizeValueKey,
+  suggestColumnMapping,
+  suggestValueMap,
+} from '../../services/csv/import-profiles.js';
+
+const STEPS = ['columns', 'values', 'save'];
+
+const buildInitialValueMaps = (mapping, distinctValues = {}) => (
+  Object.fromEntries(Object.keys(TRANSLATABLE_FIELDS).map((field) => [
+    field,
+    mapping[field] ? suggestValueMap(field, distinctValues[mapping[field]] ?? []) : {},
+  ]))
+);
+
+/**
+ * Dialog shown when a file lacks required columns. Lets the user map source columns to the
+ * pipeline fields, translate side/status values and save the result as an import profile.
+ */
+const ColumnMappingWizard = ({ open, details, fileName, strings, onCancel, onSave }) => {
+  const headers = useMemo(() => details?.headers ?? [], [details]);
+  const preview = details?.preview ?? [];
+  const distinctValues = useMemo(() => details?.distinctValues ?? {}, [details]);
+
+  const [activeStep, setActiveStep] = useState(0);
+  const [mapping, setMapping] = useState({});
+  const [valueMaps, setValueMaps] = useState({});
+  const [decimalSeparator, setDecimalSeparator] = useState('.');
+  const [profileName, setProfileName] = useState('');
+
+  useEffect(() => {
+    if (!open) {
+      return;
+    }
+    const suggested = suggestColumnMapping(headers);
+    setActiveStep(0);
+    setMapping(suggested);
+    setValueMaps(buildInitialValueMaps(suggested, distinctValues));
+    setDecimalSeparator('.');
+    setProfileName(fileName ? fileName.replace(/\.[^.]+$/, '') : '');
+  }, [open, headers, distinctValues, fileName]);
+
+  const unresolved = useMemo(
+    () => findMissingRequiredColumns(headers, { columns: mapping }),
+    [headers, mapping],
+  );
+
+  const fieldLabel = (field) => strings?.fields?.[field] ?? field;
+
+  const handleMappingChange = (field) => (event) => {
+    const header = event.target.value;
+    setMapping((current) => ({ ...current, [field]: header }));
+    if (TRANSLATABLE_FIELDS[field]) {
+      setValueMaps((current) => ({
+        ...current,
+        [field]: header ? suggestValueMap(field, distinctValues[header] ?? []) : {},
+      }));
+    }
+  };
+
+  const handleValueChange = (field, key) => (event) => {
+    const target = event.target.value;
+    setValueMaps((current) => {
+      const next = { ...(current[field] ?? {}) };
+      if (target) {
+        next[key] = target;
+      } else {
+        delete next[key];
+      }
+      return { ...current, [field]: next };
+    });
+  };
+
+  const handleSave = () => {
+    onSave?.(createImportProfile({
+      name: profileName,
+      headers,
+      columns: mapping,
+      valueMaps,
+      decimalSeparator,
+    }));
+  };
+
+  const translatableFields = Object.keys(TRANSLATABLE_FIELDS).filter((field) => mapping[field]);
+
+  const renderColumnsStep = () => (
+    <Stack spacing={2}>
+      <Typography variant="body2" color="text.secondary">
+        {strings?.columnsDescription}
+      </Typography>
+      {unresolved.length > 0 && (
+        <Alert severity="warning">
+          {(strings?.missingRequired ?? '{fields}').replace('{fields}', unresolved.map(fieldLabel).join(', '))}
+        </Alert>
+      )}
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: 2 }}>
+        {MAPPABLE_FIELDS.map((field) => (
+          <TextField
+            key={field}
+            select
+            size="small"
+            label={`${fieldLabel(field)}${REQUIRED_FIELDS.includes(field) ? ' *' : ''}`}
+            value={mapping[field] ?? ''}
+            onChange={handleMappingChange(field)}
+          >
+            <MenuItem value="">
+              <em>{strings?.unmapped ?? '—'}</em>
+            </MenuItem>
+            {headers.map((header) => (
+              <MenuItem key={header} value={header}>{header}</MenuItem>
+            ))}
+          </TextField>
+        ))}
+      </Box>
+      <Typography variant="subtitle2">{strings?.previewTitle}</Typography>
+      <TableContainer sx={{ maxHeight: 240 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              {headers.map((header) => (
+                <TableCell key={header} sx={{ whiteSpace: 'nowrap' }}>{header}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {preview.map((row, index) => (
+              <TableRow key={index}>
+                {headers.map((header) => (
+                  <TableCell key={header} sx={{ whiteSpace: 'nowrap' }}>{String(row?.[header] ?? '')}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Stack>
+  );
+
+  const renderValuesStep = () => (
+    <Stack spacing={3}>
+      <Typography variant="body2" color="text.secondary">
+        {strings?.valuesDescription}
+      </Typography>
+      {translatableFields.length === 0 && (
+        <Typography variant="body2">{strings?.noValuesToTranslate}</Typography>
+      )}
+      {translatableFields.map((field) => (
+        <Box key={field}>
+          <Typography variant="subtitle2" gutterBottom>
+            {`${fieldLabel(field)} (${mapping[field]})`}
+          </Typography>
+          <Stack spacing={1}>
+            {(distinctValues[mapping[field]] ?? []).map((value) => {
+              const key = normalizeValueKey(value);
+              return (
+                <Stack key={key} direction="row" spacing={2} alignItems="center">
+                  <Typography variant="body2" sx={{ minWidth: 200 }}>{value}</Typography>
+                  <TextField
+                    select
+                    size="small"
+                    value={valueMaps[field]?.[key] ?? ''}
+                    onChange={handleValueChange(field, key)}
+                    sx={{ minWidth: 220 }}
+                  >
+                    <MenuItem value="">
+                      <em>{strings?.keepValue ?? '—'}</em>
+                    </MenuItem>
+                    {TRANSLATABLE_FIELDS[field].map((target) => (
+                      <MenuItem key={target} value={target}>{strings?.values?.[target] ?? target}</MenuItem>
+                    ))}
+                  </TextField>
+                </Stack>
+              );
+            })}
+          </Stack>
+        </Box>
+      ))}
+      <TextField
+        select
+        size="small"
+        label={strings?.decimalSeparator}
+        value={decimalSeparator}
+        onChange={(event) => setDecimalSeparator(event.target.value)}
+        sx={{ maxWidth: 260 }}
+      >
+        <MenuItem value=".">{strings?.decimalDot ?? '.'}</MenuItem>
+        <MenuItem value=",">{strings?.decimalComma ?? ','}</MenuItem>
+      </TextField>
+    </Stack>
+  );
+
+  const renderSaveStep = () => (
+    <Stack spacing={2}>
+      <Typography variant="body2" color="text.secondary">
+        {strings?.saveDescription}
+      </Typography>
+      <TextField
+        size="small"
+        label={strings?.profileName}
+        value={profileName}
+        onChange={(event) => setProfileName(event.target.value)}
+        sx={{ maxWidth: 360 }}
+        autoFocus
+      />
+      <Box component="ul" sx={{ m: 0, pl: 3 }}>
+        {MAPPABLE_FIELDS.filter((field) => mapping[field]).map((field) => (
+          <Typography component="li" variant="body2" key={field}>
+            {`${fieldLabel(field)} ← ${mapping[field]}`}
+          </Typography>
+        ))}
+      </Box>
+    </Stack>
+  );
+
+  const isLastStep = activeStep === STEPS.length - 1;
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="md" fullWidth>
+      <DialogTitle>{strings?.title}</DialogTitle>
+      <DialogContent dividers>
+        <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+          {STEPS.map((step) => (
+            <Step key={step}>
+              <StepLabel>{strings?.steps?.[step] ?? step}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+        {activeStep === 0 && renderColumnsStep()}
+        {activeStep === 1 && renderValuesStep()}
+        {activeStep === 2 && renderSaveStep()}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>{strings?.cancel ?? 'Cancelar'}</Button>
+        <Box sx={{ flex: 1 }} />
+        <Button disabled={activeStep === 0} onClick={() => setActiveStep((step) => step - 1)}>
+          {strings?.back ?? 'Atrás'}
+        </Button>
+        {isLastStep ? (
+          <Button variant="contained" onClick={handleSave} disabled={!profileName.trim()}>
+            {strings?.saveAndProcess ?? 'Guardar'}
+          </Button>
+        ) : (
+          <Button
+            variant="contained"
+            onClick={() => setActiveStep((step) => step + 1)}
+            disabled={unresolved.length > 0}
+          >
+            {strings?.next ?? 'Siguiente'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ColumnMappingWizard;
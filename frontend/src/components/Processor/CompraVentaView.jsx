@@ -17,10 +17,16 @@ import TrendingUpIcon from '@mui/icons-material/TrendingUp';
 import TrendingDownIcon from '@mui/icons-material/TrendingDown';
 
 import GroupFilter from './GroupFilter.jsx';
+import QuotesToolbar from './QuotesToolbar.jsx';
 import { getBuySellOperations } from '../../services/csv/buy-sell-matcher.js';
 import { resolveExpirationLabel } from '../../services/csv/expiration-labels.js';
 import FeeTooltip from './FeeTooltip.jsx';
 import TooltipRepoFees from './TooltipRepoFees.jsx';
+import ProvenanceCell from './ProvenanceCell.jsx';
+import { roundMoney, sumMoney } from '../../services/money.js';
+import { parseTenorDays, reconcileBaseAmount } from '../../services/fees/repo-fees.js';
+import { calculateBreakdownRates, describeTNA } from '../../services/rates.js';
+import { markRowsToMarket, mergeMarkSummaries } from '../../services/quotes/market-quotes.js';
 
 const quantityFormatter = typeof Intl !== 'undefined'
   ? new Intl.NumberFormat('es-AR', {
@@ -69,6 +75,53 @@ const formatFee = (value) => {
   }).format(value);
 };
 
+const formatRate = (value) => (Number.isFinite(value) ? `${formatFee(value)}%` : '—');
+
+const formatRateLine = (rates) => `TNA ${formatRate(rates?.tna)} · TEA ${formatRate(rates?.tea)} · TEM ${formatRate(rates?.tem)} · TED ${formatRate(rates?.ted)}`;
+
+/**
+ * TNA of a caución row with its TEA/TEM/TED and the rates net of repo expenses
+ */
+const CaucionRateCell = ({ row, strings }) => {
+  const rateStrings = strings?.caucionRates ?? {};
+  const repoBreakdown = row.feeBreakdown?.source?.startsWith('repo') ? row.feeBreakdown : null;
+  const tenorDays = repoBreakdown?.tenorDays || parseTenorDays(row.symbol);
+  const gross = describeTNA(row.price, tenorDays);
+  const net = calculateBreakdownRates(repoBreakdown)?.net ?? null;
+
+  if (!gross) {
+    return formatDecimal(row.price);
+  }
+
+  return (
+    <Tooltip
+      title={(
+        <Box sx={{ p: 0.5 }}>
+          <Typography variant="caption" sx={{ display: 'block' }}>
+            {`${rateStrings.gross ?? 'Tasas'}: ${formatRateLine(gross)}`}
+          </Typography>
+          {net && (
+            <Typography variant="caption" sx={{ display: 'block', fontWeight: 600 }}>
+              {`${rateStrings.net ?? 'Netas de gastos'}: ${formatRateLine(net)}`}
+            </Typography>
+          )}
+        </Box>
+      )}
+      arrow
+      placement="top"
+    >
+      <Box component="span" sx={{ display: 'inline-flex', flexDirection: 'column', alignItems: 'flex-end', cursor: 'help' }}>
+        <span>{formatDecimal(row.price)}</span>
+        {net && (
+          <Typography variant="caption" color="text.secondary">
+            {(rateStrings.netShort ?? 'neta {rate}').replace('{rate}', formatRate(net.tna))}
+          </Typography>
+        )}
+      </Box>
+    </Tooltip>
+  );
+};
+
 /**
  * Format net total with sign prefix based on operation side.
  * BUY operations: show as negative (money out)
@@ -87,14 +140,29 @@ const formatNetTotal = (value, side) => {
   return `+${formattedValue}`;
 };
 
-const roundAmount = (value, digits = 2) => {
+const formatPnL = (value, currency = 'ARS') => {
   if (!Number.isFinite(value)) {
-    return value;
+    return '—';
   }
-  const factor = 10 ** digits;
-  return Math.round((value + Number.EPSILON) * factor) / factor;
+  return `${currency} ${formatFee(value)}`;
+};
+
+const getPnLColor = (value) => {
+  if (value > 0) return 'success.main';
+  if (value < 0) return 'error.main';
+  return 'text.secondary';
 };
 
+const MARK_ACCESSORS = {
+  getSymbol: (row) => row.symbol,
+  getQuantity: (row) => row.quantity,
+  getPrice: (row) => row.price,
+  getSettlement: (row) => row.settlement,
+  getGroup: (row) => row.symbol,
+};
+
+const roundAmount = (value, currency) => (Number.isFinite(value) ? roundMoney(value, currency) : value);
+
 const cloneRepoWarning = (warning) => {
   if (!warning || typeof warning !== 'object') {
     return warning;
@@ -145,8 +213,6 @@ const REPO_AGGREGATE_NUMERIC_KEYS = [
   'ivaAmount',
 ];
 
-const REPO_AGGREGATION_TOLERANCE = 0.01;
-
 const _createRepoAggregate = (breakdown = {}) => ({
   principalAmount: 0,
   baseAmount: 0,
@@ -253,31 +319,29 @@ const _finalizeRepoAggregate = (aggregate, explicitNet = null) => {
     instrument: instrument ? { ...instrument } : null,
   };
 
+  const { currency } = totals;
   REPO_AGGREGATE_NUMERIC_KEYS.forEach((key) => {
     if (Number.isFinite(totals[key])) {
-      totals[key] = roundAmount(totals[key]);
+      totals[key] = roundAmount(totals[key], currency);
     }
   });
 
   const aggregatedNet = Number.isFinite(explicitNet) ? explicitNet : totals.netSettlement;
-  totals.netSettlement = Number.isFinite(aggregatedNet) ? roundAmount(aggregatedNet) : null;
-
-  totals.totalExpenses = (totals.arancelAmount ?? 0)
-    + (totals.derechosMercadoAmount ?? 0)
-    + (totals.gastosGarantiaAmount ?? 0)
-    + (totals.ivaAmount ?? 0);
-  totals.totalExpenses = roundAmount(totals.totalExpenses);
-
-  const expected = (totals.principalAmount ?? 0) + (totals.accruedInterest ?? 0);
-  const actual = totals.baseAmount ?? 0;
-  const diff = actual - expected;
-  totals.reconciliation = {
-    reconciles: Math.abs(diff) <= REPO_AGGREGATION_TOLERANCE,
-    diff,
-    expected,
-    actual,
-    tolerance: REPO_AGGREGATION_TOLERANCE,
-  };
+  totals.netSettlement = Number.isFinite(aggregatedNet) ? roundAmount(aggregatedNet, currency) : null;
+
+  totals.totalExpenses = sumMoney([
+    totals.arancelAmount ?? 0,
+    totals.derechosMercadoAmount ?? 0,
+    totals.gastosGarantiaAmount ?? 0,
+    totals.ivaAmount ?? 0,
+  ], currency);
+
+  totals.reconciliation = reconcileBaseAmount(
+    totals.principalAmount ?? 0,
+    totals.accruedInterest ?? 0,
+    totals.baseAmount ?? 0,
+    currency,
+  );
 
   const hasError = Boolean(_meta?.hasError);
   const hasPending = Boolean(_meta?.hasPending) && !hasError;
@@ -291,12 +355,12 @@ const _finalizeRepoAggregate = (aggregate, explicitNet = null) => {
   }
 
   if (Number.isFinite(totals.baseAmount) && Number.isFinite(totals.totalExpenses)) {
-    const computedNet = totals.role === 'tomadora'
-      ? totals.baseAmount + totals.totalExpenses
-      : totals.baseAmount - totals.totalExpenses;
-    totals.netSettlement = roundAmount(computedNet);
+    totals.netSettlement = sumMoney([
+      totals.baseAmount,
+      totals.role === 'tomadora' ? totals.totalExpenses : -totals.totalExpenses,
+    ], currency);
   } else if (Number.isFinite(totals.netSettlement)) {
-    totals.netSettlement = roundAmount(totals.netSettlement);
+    totals.netSettlement = roundAmount(totals.netSettlement, currency);
   }
 
   delete totals._meta;
@@ -436,8 +500,10 @@ const aggregateRows = (rows) => {
         feeAmount: 0,
         grossNotional: 0,
         feeBreakdown: initialFeeBreakdown,
+        rowBreakdowns: [],
         category: row.category,
         side: row.side, // Preserve side from first row in group
+        provenance: [],
         // For repo rows we don't fabricate an initial net (avoid local repo estimation). Use provided netSettlement when present.
         netSettlement: Number.isFinite(row.netSettlement)
           ? row.netSettlement
@@ -446,9 +512,11 @@ const aggregateRows = (rows) => {
     }
 
     const entry = groups.get(key);
+    entry.provenance.push(...(row.provenance ?? []));
     entry.quantity += row.quantity;
-    entry.feeAmount += (row.feeAmount || 0);
+    entry.feeAmount = sumMoney([entry.feeAmount, row.feeAmount || 0], row.feeBreakdown?.currency);
     entry.grossNotional += (row.grossNotional || 0);
+    entry.rowBreakdowns.push(row.feeBreakdown);
 
     // If the row has an explicit netSettlement (service-provided), accumulate it for the group
     const netCandidate = Number.isFinite(row?.netSettlement)
@@ -477,18 +545,21 @@ const aggregateRows = (rows) => {
         // we summed them into entry.netSettlement above; reflect that in the breakdown.
         feeBreakdown = cloneFeeBreakdown(entry.feeBreakdown);
         if (Number.isFinite(entry.netSettlement)) {
-          feeBreakdown.netSettlement = roundAmount(entry.netSettlement);
-          entry.netSettlement = roundAmount(entry.netSettlement);
+          feeBreakdown.netSettlement = roundAmount(entry.netSettlement, feeBreakdown.currency);
+          entry.netSettlement = roundAmount(entry.netSettlement, feeBreakdown.currency);
         } else if (Number.isFinite(feeBreakdown.netSettlement)) {
-          entry.netSettlement = roundAmount(feeBreakdown.netSettlement);
+          entry.netSettlement = roundAmount(feeBreakdown.netSettlement, feeBreakdown.currency);
         }
         entry.feeAmount = Number.isFinite(feeBreakdown.totalExpenses) ? feeBreakdown.totalExpenses : entry.feeAmount;
       } else if (entry.feeBreakdown && entry.grossNotional > 0) {
+        // Sum of each row's rounded components, so they add up to feeAmount
+        const { currency } = entry.feeBreakdown;
+        const sumComponent = (key) => sumMoney(entry.rowBreakdowns.map((breakdown) => breakdown?.[key] ?? 0), currency);
         feeBreakdown = {
           ...cloneFeeBreakdown(entry.feeBreakdown),
-          commissionAmount: entry.grossNotional * entry.feeBreakdown.commissionPct,
-          rightsAmount: entry.grossNotional * entry.feeBreakdown.rightsPct,
-          vatAmount: entry.grossNotional * (entry.feeBreakdown.commissionPct + entry.feeBreakdown.rightsPct) * entry.feeBreakdown.vatPct,
+          commissionAmount: sumComponent('commissionAmount'),
+          rightsAmount: sumComponent('rightsAmount'),
+          vatAmount: sumComponent('vatAmount'),
         };
       }
 
@@ -503,6 +574,7 @@ const aggregateRows = (rows) => {
         feeBreakdown,
         category: entry.category,
         side: entry.side, // Preserve side in aggregated output
+        provenance: entry.provenance,
         netSettlement: Number.isFinite(entry.netSettlement) ? entry.netSettlement : undefined,
       };
     })
@@ -560,6 +632,7 @@ const buildRows = (operations = [], side = 'BUY', { expirationLabels } = {}) =>
       feeBreakdown: cloneFeeBreakdown(operation.feeBreakdown),
       category: operation.category || 'bonds',
       side, // Add side to the row
+      provenance: operation.provenance ? [operation.provenance] : [],
     };
   });
 
@@ -595,8 +668,13 @@ const BuySellTable = ({
   averagingEnabled,
   onToggleAveraging,
   showAveragingControl,
+  showMarks = false,
+  markTotals = {},
 }) => {
   const hasData = operations.length > 0;
+  const showProvenance = operations.some((row) => row.provenance?.length > 0);
+  const columnCount = 5 + (showMarks ? 2 : 0) + (showProvenance ? 1 : 0);
+  const quoteStrings = strings?.quotes ?? {};
   const averagingLabel = strings?.tables?.averageByInstrument ?? 'Promediar';
   const averagingTooltip = strings?.tables?.averageTooltip ?? 'Promediar por instrumento y plazo';
   
@@ -631,7 +709,7 @@ const BuySellTable = ({
           <TableHead>
             <TableRow>
               <TableCell
-                colSpan={5}
+                colSpan={columnCount}
                 sx={{
                   position: 'sticky',
                   top: 0,
@@ -681,12 +759,31 @@ const BuySellTable = ({
               <TableCell align="right">{strings?.tables?.quantity ?? 'Cantidad'}</TableCell>
               <TableCell align="right">{strings?.tables?.price ?? 'Precio'}</TableCell>
               <TableCell align="right">{strings?.tables?.netTotal ?? 'Neto'}</TableCell>
+              {showMarks && (
+                <>
+                  <TableCell align="right">{quoteStrings.markColumn ?? 'Mercado'}</TableCell>
+                  <TableCell align="right">
+                    {quoteStrings.pnlColumn ?? 'P&L no real.'}
+                    {Object.entries(markTotals).map(([currency, amount]) => (
+                      <Typography
+                        key={currency}
+                        variant="caption"
+                        display="block"
+                        sx={{ color: getPnLColor(amount), fontSize: '0.7rem', mt: 0.25 }}
+                      >
+                        {formatPnL(amount, currency)}
+                      </Typography>
+                    ))}
+                  </TableCell>
+                </>
+              )}
+              {showProvenance && <TableCell>{strings?.tables?.provenance?.column ?? 'Origen'}</TableCell>}
             </TableRow>
           </TableHead>
           <TableBody>
             {!hasData && (
               <TableRow>
-                <TableCell colSpan={5} align="center">
+                <TableCell colSpan={columnCount} align="center">
                   <Typography variant="body2" color="text.secondary">
                     {strings?.tables?.empty ?? 'Sin datos para mostrar.'}
                   </Typography>
@@ -739,7 +836,11 @@ const BuySellTable = ({
                   >
                     {formatQuantity(row.quantity)}
                   </TableCell>
-                  <TableCell align="right">{formatDecimal(row.price)}</TableCell>
+                  <TableCell align="right">
+                    {row.category === 'caucion'
+                      ? <CaucionRateCell row={row} strings={strings} />
+                      : formatDecimal(row.price)}
+                  </TableCell>
                   <TableCell 
                     align="right"
                     sx={{
@@ -767,6 +868,25 @@ const BuySellTable = ({
                       </FeeTooltip>
                     )}
                   </TableCell>
+                  {showMarks && (
+                    <>
+                      <TableCell align="right">
+                        {row.mark ? (
+                          <Tooltip title={quoteStrings.markSources?.[row.mark.source] ?? row.mark.source} disableInteractive>
+                            <span>{formatDecimal(row.mark.price)}</span>
+                          </Tooltip>
+                        ) : '—'}
+                      </TableCell>
+                      <TableCell
+                        align="right"
+                        sx={{ color: getPnLColor(row.mark?.unrealizedPnl), fontWeight: 600 }}
+                        data-testid={`${testId}-unrealized-pnl`}
+                      >
+                        {formatPnL(row.mark?.unrealizedPnl, row.mark?.currency)}
+                      </TableCell>
+                    </>
+                  )}
+                  {showProvenance && <ProvenanceCell provenance={row.provenance} strings={strings} />}
                 </TableRow>
               );
             })}
@@ -784,6 +904,12 @@ const CompraVentaView = ({
   strings,
   expirationLabels,
   onGroupChange,
+  quoteSnapshot,
+  quotesLoading,
+  canFetchQuotes,
+  onImportQuotes,
+  onFetchQuotes,
+  onClearQuotes,
 }) => {
   const filterStrings = strings?.filters ?? {};
 
@@ -812,6 +938,17 @@ const CompraVentaView = ({
     [averagingEnabled, sellRows],
   );
 
+  const buyMarks = useMemo(
+    () => markRowsToMarket(processedBuys, quoteSnapshot, MARK_ACCESSORS),
+    [processedBuys, quoteSnapshot],
+  );
+  const sellMarks = useMemo(
+    () => markRowsToMarket(processedSells, quoteSnapshot, MARK_ACCESSORS),
+    [processedSells, quoteSnapshot],
+  );
+  const markSummary = useMemo(() => mergeMarkSummaries(buyMarks, sellMarks), [buyMarks, sellMarks]);
+  const showMarks = Boolean(quoteSnapshot);
+
   const handleToggleAveraging = (value) => {
     setAveragingEnabled(value);
   };
@@ -827,6 +964,17 @@ const CompraVentaView = ({
         />
       )}
 
+      <QuotesToolbar
+        snapshot={quoteSnapshot}
+        summary={markSummary}
+        loading={quotesLoading}
+        canFetchBroker={canFetchQuotes}
+        onImport={onImportQuotes}
+        onFetchBroker={onFetchQuotes}
+        onClear={onClearQuotes}
+        strings={strings}
+      />
+
       <Box
         sx={{
           flex: 1,
@@ -843,23 +991,27 @@ const CompraVentaView = ({
         {/* BUY operations table */}
         <BuySellTable
           title={strings?.tables?.buyTitle ?? 'Operaciones de Compra'}
-          operations={processedBuys}
+          operations={buyMarks.rows}
           strings={strings}
           testId="processor-buy-table"
           averagingEnabled={averagingEnabled}
           onToggleAveraging={handleToggleAveraging}
           showAveragingControl
+          showMarks={showMarks}
+          markTotals={buyMarks.totals}
         />
 
         {/* SELL operations table */}
         <BuySellTable
           title={strings?.tables?.sellTitle ?? 'Operaciones de Venta'}
-          operations={processedSells}
+          operations={sellMarks.rows}
           strings={strings}
           testId="processor-sell-table"
           averagingEnabled={averagingEnabled}
           onToggleAveraging={handleToggleAveraging}
           showAveragingControl
+          showMarks={showMarks}
+          markTotals={sellMarks.totals}
         />
       </Box>
     </Stack>
@@ -33,9 +33,9 @@ const DataSourceSelector = ({
   csvError = null,
 }) => {
   const handleFileSelection = (event) => {
-    const file = event.target.files?.[0];
-    if (file) {
-      onSelectFile(file);
+    const files = Array.from(event.target.files ?? []);
+    if (files.length > 0) {
+      onSelectFile(files);
     }
   };
 
@@ -102,10 +102,10 @@ const DataSourceSelector = ({
                     }}
                   />
                   <Typography variant="h5" component="h2" sx={{ fontWeight: 600, mb: 1 }}>
-                    {uploadStrings.csvOption || 'Subir archivo CSV'}
+                    {uploadStrings.csvOption || 'Subir archivo CSV o planilla'}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
-                    {uploadStrings.description || 'Seleccioná un archivo CSV con tus operaciones'}
+                    {uploadStrings.description || 'Seleccioná uno o más archivos (CSV, .xlsx, .ods o JSON del broker) con tus operaciones'}
                   </Typography>
                 </Box>
 
@@ -126,7 +126,8 @@ const DataSourceSelector = ({
                   <input
                     type="file"
                     hidden
-                    accept=".csv,text/csv"
+                    accept=".csv,text/csv,.xlsx,.ods,.json,application/json"
+                    multiple
                     onChange={handleFileSelection}
                   />
                 </Button>
@@ -0,0 +1,138 @@
+/**
+ * DollarArbitrageTable - MEP/CCL trades (peso vs. dollar legs of the same bond)
+ * Shows the implied rate of each trade and its P&L against a reference rate.
+ */
+
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import { formatCurrency } from '../../services/pnl-calculations.js';
+import { ESTADOS, TIPOS_CAMBIO } from '../../services/arbitrage-types.js';
+
+const rateFormatter = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const priceFormatter = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 4 });
+
+const formatRate = (value) => (Number.isFinite(value) ? rateFormatter.format(value) : '—');
+const formatPrice = (value) => (Number.isFinite(value) ? priceFormatter.format(value) : '—');
+
+const getPnLColor = (value) => {
+  if (value > 0) return 'success.main';
+  if (value < 0) return 'error.main';
+  return 'text.secondary';
+};
+
+const DollarArbitrageTable = ({ rows = [], referenceInputs = {}, onReferenceChange, strings = {} }) => {
+  const arbitrageStrings = strings?.arbitrage ?? {};
+  const dollarStrings = arbitrageStrings.dollar ?? {};
+  const columnLabels = dollarStrings.columns ?? {};
+  const patternLabels = dollarStrings.patterns ?? {};
+
+  const averages = {};
+  rows.forEach((row) => {
+    if (row.referenciaOrigen === 'promedio') {
+      averages[row.tipoCambio] = row.tipoCambioReferencia;
+    }
+  });
+
+  const total = rows.reduce((sum, row) => sum + (row.pnl || 0), 0);
+
+  return (
+    <Paper variant="outlined" data-testid="dollar-arbitrage-table">
+      <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap" useFlexGap sx={{ px: 2, py: 1 }}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+          {dollarStrings.title ?? 'Arbitrajes MEP / CCL'}
+        </Typography>
+        <Box sx={{ flex: 1 }} />
+        {Object.values(TIPOS_CAMBIO).map((tipoCambio) => (
+          <TextField
+            key={tipoCambio}
+            size="small"
+            type="number"
+            label={(dollarStrings.referenceLabel ?? 'TC {tipo} de referencia').replace('{tipo}', tipoCambio)}
+            value={referenceInputs[tipoCambio] ?? ''}
+            placeholder={Number.isFinite(averages[tipoCambio]) ? formatRate(averages[tipoCambio]) : ''}
+            helperText={Number.isFinite(averages[tipoCambio]) ? (dollarStrings.averageReference ?? 'Vacío: promedio del día') : ' '}
+            onChange={(event) => onReferenceChange?.(tipoCambio, event.target.value)}
+            inputProps={{ min: 0, step: '0.5' }}
+            sx={{ width: 190 }}
+          />
+        ))}
+      </Stack>
+
+      <TableContainer>
+        <Table size="small" aria-label="tabla de arbitrajes MEP y CCL">
+          <TableHead>
+            <TableRow>
+              <TableCell>{columnLabels.bono ?? 'Bono'}</TableCell>
+              <TableCell>{columnLabels.patron ?? 'Operación'}</TableCell>
+              <TableCell>{columnLabels.venue ?? 'Plazo'}</TableCell>
+              <TableCell align="right">{columnLabels.cantidad ?? 'Nominales'}</TableCell>
+              <TableCell align="right">{columnLabels.precioPesos ?? 'Precio $'}</TableCell>
+              <TableCell align="right">{columnLabels.precioDolar ?? 'Precio US$'}</TableCell>
+              <TableCell align="right">{columnLabels.implicito ?? 'TC implícito'}</TableCell>
+              <TableCell align="right">{columnLabels.referencia ?? 'TC referencia'}</TableCell>
+              <TableCell align="right">
+                {columnLabels.pnl ?? 'P&L'}
+                <Typography variant="caption" display="block" sx={{ color: getPnLColor(total), fontSize: '0.7rem', mt: 0.25 }}>
+                  {formatCurrency(total)}
+                </Typography>
+              </TableCell>
+              <TableCell>{arbitrageStrings.columns?.estado ?? 'Estado'}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row.id} hover>
+                <TableCell>{`${row.bono} / ${row.instrumentoDolar}`}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={patternLabels[row.patron] ?? row.patron}
+                    color={row.isCompra ? 'success' : 'error'}
+                    sx={{ fontSize: '0.75rem' }}
+                  />
+                </TableCell>
+                <TableCell>{row.venue}</TableCell>
+                <TableCell align="right">{row.matchedQty.toLocaleString('es-AR')}</TableCell>
+                <TableCell align="right">{formatPrice(row.precioPesos)}</TableCell>
+                <TableCell align="right">{formatPrice(row.precioDolar)}</TableCell>
+                <TableCell align="right">{formatRate(row.tipoCambioImplicito)}</TableCell>
+                <TableCell align="right">
+                  {formatRate(row.tipoCambioReferencia)}
+                  {row.referenciaOrigen === 'promedio' && (
+                    <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 0.5 }}>
+                      {dollarStrings.averageShort ?? '(prom.)'}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell align="right" sx={{ color: getPnLColor(row.pnl) }}>
+                  {formatCurrency(row.pnl)}
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={arbitrageStrings.estados?.[row.estado] ?? row.estado}
+                    color={row.estado === ESTADOS.COMPLETO ? 'success' : 'warning'}
+                    sx={{ fontSize: '0.75rem' }}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default DollarArbitrageTable;
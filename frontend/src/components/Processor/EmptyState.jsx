@@ -9,9 +9,9 @@ import InboxOutlinedIcon from '@mui/icons-material/InboxOutlined';
 
 const EmptyState = ({ strings, onSelectFile }) => {
   const handleFileSelection = (event) => {
-    const file = event.target.files?.[0];
-    if (file) {
-      onSelectFile(file);
+    const files = Array.from(event.target.files ?? []);
+    if (files.length > 0) {
+      onSelectFile(files);
     }
   };
 
@@ -69,7 +69,7 @@ const EmptyState = ({ strings, onSelectFile }) => {
           </Typography>
           
           <Typography variant="body1" color="text.secondary" sx={{ maxWidth: 480 }}>
-            {strings?.upload?.description ?? 'Seleccioná un archivo CSV con tus operaciones para generar el informe.'}
+            {strings?.upload?.description ?? 'Seleccioná uno o más archivos (CSV, .xlsx, .ods o JSON del broker) con tus operaciones para generar el informe.'}
           </Typography>
 
           <Stack spacing={2} sx={{ width: '100%', maxWidth: 400 }}>
@@ -92,7 +92,8 @@ const EmptyState = ({ strings, onSelectFile }) => {
               <input
                 type="file"
                 hidden
-                accept=".csv,text/csv"
+                accept=".csv,text/csv,.xlsx,.ods,.json,application/json"
+                multiple
                 onChange={handleFileSelection}
               />
             </Button>
@@ -0,0 +1,124 @@
+/**
+ * ExclusionsView - Rows dropped by validation or consolidation
+ * Lists every excluded row with its reason and source location, and exports them to CSV.
+ */
+
+import { useMemo } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import DownloadIcon from '@mui/icons-material/Download';
+
+const pickRawValue = (raw, keys) => {
+  const key = keys.find((candidate) => raw?.[candidate] !== undefined && raw?.[candidate] !== null && raw?.[candidate] !== '');
+  return key ? String(raw[key]) : '';
+};
+
+const RAW_COLUMNS = [
+  { key: 'order', keys: ['order_id', 'orderId'] },
+  { key: 'symbol', keys: ['symbol', 'instrument'] },
+  { key: 'side', keys: ['side'] },
+  { key: 'quantity', keys: ['quantity', 'last_qty', 'lastQty'], align: 'right' },
+  { key: 'price', keys: ['price', 'last_price', 'lastPx'], align: 'right' },
+  { key: 'status', keys: ['status', 'ord_status', 'exec_status'] },
+];
+
+const ExclusionsView = ({ rows = [], strings, onDownload }) => {
+  const exclusionStrings = strings?.exclusions ?? {};
+  const reasonLabels = exclusionStrings.reasons ?? {};
+  const columnLabels = exclusionStrings.columns ?? {};
+
+  const reasonCounts = useMemo(() => {
+    const counts = new Map();
+    rows.forEach((row) => counts.set(row.reason, (counts.get(row.reason) ?? 0) + 1));
+    return Array.from(counts);
+  }, [rows]);
+
+  const columnCount = 3 + RAW_COLUMNS.length;
+
+  return (
+    <Stack spacing={0} sx={{ flex: 1, minHeight: 0 }} data-testid="exclusions-view">
+      <Stack
+        direction="row"
+        spacing={1}
+        alignItems="center"
+        flexWrap="wrap"
+        useFlexGap
+        sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}
+      >
+        <Typography variant="body2" color="text.secondary">
+          {(exclusionStrings.total ?? '{count} filas excluidas').replace('{count}', String(rows.length))}
+        </Typography>
+        {reasonCounts.map(([reason, count]) => (
+          <Chip key={reason} size="small" label={`${reasonLabels[reason] ?? reason}: ${count}`} />
+        ))}
+        <Box sx={{ flex: 1 }} />
+        <Button
+          size="small"
+          startIcon={<DownloadIcon />}
+          onClick={onDownload}
+          disabled={rows.length === 0}
+          data-testid="exclusions-download-button"
+        >
+          {exclusionStrings.download ?? 'Descargar CSV'}
+        </Button>
+      </Stack>
+
+      <Paper elevation={0} sx={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column', borderRadius: 0 }}>
+        <TableContainer sx={{ flex: 1, overflow: 'auto' }}>
+          <Table size="small" stickyHeader data-testid="exclusions-table">
+            <TableHead>
+              <TableRow>
+                <TableCell>{columnLabels.reason ?? 'Motivo'}</TableCell>
+                <TableCell>{columnLabels.file ?? 'Archivo'}</TableCell>
+                <TableCell align="right">{columnLabels.row ?? 'Fila'}</TableCell>
+                {RAW_COLUMNS.map((column) => (
+                  <TableCell key={column.key} align={column.align}>{columnLabels[column.key] ?? column.key}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={columnCount} align="center">
+                    <Typography variant="body2" color="text.secondary">
+                      {exclusionStrings.empty ?? 'No se excluyó ninguna fila.'}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : rows.map((row, index) => (
+                <TableRow
+                  key={`${row.fileName}-${row.rowNumber}-${row.reason}`}
+                  sx={index % 2 === 1 ? { backgroundColor: 'action.hover' } : undefined}
+                >
+                  <TableCell>
+                    <Tooltip title={row.reason} disableInteractive>
+                      <span>{reasonLabels[row.reason] ?? row.reason}</span>
+                    </Tooltip>
+                  </TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{row.fileName}</TableCell>
+                  <TableCell align="right">{row.rowNumber}</TableCell>
+                  {RAW_COLUMNS.map((column) => (
+                    <TableCell key={column.key} align={column.align}>{pickRawValue(row.raw, column.keys)}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </Stack>
+  );
+};
+
+export default ExclusionsView;
@@ -0,0 +1,266 @@
+/**
+ * FeeReconciliationView - Estimated fees vs. what the broker charged, per order
+ * Charges come from an imported boleto CSV and from fee fields in broker JSON.
+ */
+
+import { useMemo, useRef, useState } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import CloseIcon from '@mui/icons-material/Close';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+
+import {
+  DEFAULT_RECONCILIATION_TOLERANCE,
+  FEE_COMPONENTS,
+  RECONCILIATION_STATUS,
+  combineChargeSources,
+  extractBrokerCharges,
+  reconcileFees,
+} from '../../services/fees/fee-reconciliation.js';
+
+const amountFormatter = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatAmount = (value) => (Number.isFinite(value) ? amountFormatter.format(value) : '—');
+
+const STATUS_COLORS = {
+  [RECONCILIATION_STATUS.MATCHED]: 'success',
+  [RECONCILIATION_STATUS.OVERCHARGED]: 'error',
+  [RECONCILIATION_STATUS.UNDERCHARGED]: 'warning',
+  [RECONCILIATION_STATUS.MISSING_CHARGE]: 'default',
+  [RECONCILIATION_STATUS.UNMATCHED_CHARGE]: 'default',
+};
+
+const FeeReconciliationView = ({
+  operations = [],
+  importedCharges = null,
+  onImportCharges,
+  onClearCharges,
+  strings,
+}) => {
+  const reconciliationStrings = strings?.feeReconciliation ?? {};
+  const columnLabels = reconciliationStrings.columns ?? {};
+  const statusLabels = reconciliationStrings.statuses ?? {};
+  const categoryLabels = reconciliationStrings.categories ?? {};
+  const fileInputRef = useRef(null);
+  const [toleranceInput, setToleranceInput] = useState(String(DEFAULT_RECONCILIATION_TOLERANCE));
+
+  const tolerance = useMemo(() => {
+    const parsed = Number(toleranceInput.replace(',', '.'));
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_RECONCILIATION_TOLERANCE;
+  }, [toleranceInput]);
+
+  const brokerCharges = useMemo(() => extractBrokerCharges(operations), [operations]);
+  const reconciliation = useMemo(() => reconcileFees(
+    operations,
+    combineChargeSources(importedCharges?.charges, brokerCharges),
+    { tolerance },
+  ), [brokerCharges, importedCharges, operations, tolerance]);
+
+  const hasCharges = Boolean(importedCharges?.charges?.length) || brokerCharges.length > 0;
+  const { totals } = reconciliation;
+  const categoryEntries = Object.entries(reconciliation.totalsByCategory);
+  const componentLabel = (component) => columnLabels[component] ?? component;
+
+  const handleFileChange = (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = '';
+    if (file && onImportCharges) {
+      onImportCharges(file);
+    }
+  };
+
+  return (
+    <Stack spacing={0} sx={{ flex: 1, minHeight: 0 }} data-testid="fee-reconciliation-view">
+      <Stack
+        direction="row"
+        spacing={1.5}
+        alignItems="center"
+        flexWrap="wrap"
+        useFlexGap
+        sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}
+      >
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<UploadFileIcon />}
+          onClick={() => fileInputRef.current?.click()}
+          data-testid="fee-reconciliation-import-button"
+        >
+          {reconciliationStrings.importButton ?? 'Importar boleto CSV'}
+        </Button>
+        <input ref={fileInputRef} type="file" accept=".csv,text/csv" hidden onChange={handleFileChange} />
+        {importedCharges && (
+          <Chip
+            size="small"
+            label={importedCharges.fileName}
+            onDelete={onClearCharges}
+            deleteIcon={<CloseIcon aria-label={reconciliationStrings.clearImport ?? 'Quitar archivo'} />}
+          />
+        )}
+        {brokerCharges.length > 0 && (
+          <Typography variant="body2" color="text.secondary">
+            {(reconciliationStrings.brokerCharges ?? '{count} órdenes con gastos informados por el broker')
+              .replace('{count}', String(brokerCharges.length))}
+          </Typography>
+        )}
+        <Box sx={{ flex: 1 }} />
+        <TextField
+          size="small"
+          type="number"
+          label={reconciliationStrings.toleranceLabel ?? 'Tolerancia por orden'}
+          value={toleranceInput}
+          onChange={(event) => setToleranceInput(event.target.value)}
+          inputProps={{ min: 0, step: '0.5' }}
+          sx={{ width: 170 }}
+        />
+      </Stack>
+
+      {!hasCharges ? (
+        <Box sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            {reconciliationStrings.empty ?? 'Importá el boleto del broker para comparar los gastos cobrados.'}
+          </Typography>
+        </Box>
+      ) : (
+        <Paper elevation={0} sx={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column', borderRadius: 0 }}>
+          <Stack direction="row" spacing={1} sx={{ px: 2, py: 1 }} flexWrap="wrap" useFlexGap>
+            <Chip
+              size="small"
+              color={totals.flagged > 0 ? 'error' : 'success'}
+              label={(reconciliationStrings.flagged ?? '{count} órdenes fuera de tolerancia')
+                .replace('{count}', String(totals.flagged))}
+            />
+            <Chip
+              size="small"
+              variant="outlined"
+              label={`${reconciliationStrings.totalDifference ?? 'Diferencia total'}: ${formatAmount(totals.difference)}`}
+            />
+          </Stack>
+
+          <TableContainer sx={{ px: 2 }}>
+            <Table size="small" data-testid="fee-reconciliation-totals">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{columnLabels.category ?? 'Categoría'}</TableCell>
+                  <TableCell align="right">{columnLabels.orders ?? 'Órdenes'}</TableCell>
+                  <TableCell align="right">{columnLabels.expected ?? 'Esperado'}</TableCell>
+                  <TableCell align="right">{columnLabels.charged ?? 'Cobrado'}</TableCell>
+                  <TableCell align="right">{columnLabels.difference ?? 'Diferencia'}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {categoryEntries.map(([category, categoryTotals]) => (
+                  <TableRow key={category}>
+                    <TableCell>{categoryLabels[category] ?? category}</TableCell>
+                    <TableCell align="right">{categoryTotals.orders}</TableCell>
+                    <TableCell align="right">{formatAmount(categoryTotals.expected)}</TableCell>
+                    <TableCell align="right">{formatAmount(categoryTotals.charged)}</TableCell>
+                    <TableCell align="right">{formatAmount(categoryTotals.difference)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <TableContainer sx={{ px: 2, mt: 2 }}>
+            <Table size="small" data-testid="fee-reconciliation-components">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{columnLabels.component ?? 'Componente'}</TableCell>
+                  <TableCell align="right">{columnLabels.orders ?? 'Órdenes'}</TableCell>
+                  <TableCell align="right">{columnLabels.expected ?? 'Esperado'}</TableCell>
+                  <TableCell align="right">{columnLabels.charged ?? 'Cobrado'}</TableCell>
+                  <TableCell align="right">{columnLabels.difference ?? 'Diferencia'}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {FEE_COMPONENTS.map((component) => {
+                  const componentTotals = totals.components[component];
+                  return (
+                    <TableRow key={component}>
+                      <TableCell>{componentLabel(component)}</TableCell>
+                      <TableCell align="right">{componentTotals.orders}</TableCell>
+                      <TableCell align="right">{formatAmount(componentTotals.expected)}</TableCell>
+                      <TableCell align="right">{formatAmount(componentTotals.charged)}</TableCell>
+                      <TableCell align="right">{formatAmount(componentTotals.difference)}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <TableContainer sx={{ flex: 1, overflow: 'auto', mt: 2 }}>
+            <Table size="small" stickyHeader data-testid="fee-reconciliation-table">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{columnLabels.order ?? 'Orden'}</TableCell>
+                  <TableCell>{columnLabels.symbol ?? 'Instrumento'}</TableCell>
+                  <TableCell>{columnLabels.category ?? 'Categoría'}</TableCell>
+                  <TableCell align="right">{columnLabels.expected ?? 'Esperado'}</TableCell>
+                  <TableCell align="right">{columnLabels.charged ?? 'Cobrado'}</TableCell>
+                  <TableCell align="right">{columnLabels.difference ?? 'Diferencia'}</TableCell>
+                  <TableCell>{columnLabels.status ?? 'Estado'}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {reconciliation.rows.map((row) => (
+                  <TableRow key={row.orderId}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{row.orderId}</TableCell>
+                    <TableCell>{row.symbol}</TableCell>
+                    <TableCell>{row.category ? (categoryLabels[row.category] ?? row.category) : '—'}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip
+                        disableInteractive
+                        title={row.expected ? [
+                          ...FEE_COMPONENTS.map((component) => (
+                            `${componentLabel(component)}: ${formatAmount(row.expected[component])}`
+                          )),
+                          ...(row.comparedComponents ? [
+                            (reconciliationStrings.partialCharge ?? 'Comparado sólo con: {components}')
+                              .replace('{components}', row.comparedComponents.map(componentLabel).join(', ')),
+                          ] : []),
+                        ].join(' · ') : ''}
+                      >
+                        <span>{formatAmount(row.comparedExpected)}</span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell align="right">{formatAmount(row.charged?.total)}</TableCell>
+                    <TableCell align="right">
+                      <Tooltip
+                        disableInteractive
+                        title={FEE_COMPONENTS
+                          .filter((component) => row.componentDifferences[component] !== null)
+                          .map((component) => `${componentLabel(component)}: ${formatAmount(row.componentDifferences[component])}`)
+                          .join(' · ')}
+                      >
+                        <span>{formatAmount(row.difference)}</span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>
+                      <Chip size="small" color={STATUS_COLORS[row.status]} label={statusLabels[row.status] ?? row.status} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+    </Stack>
+  );
+};
+
+export default FeeReconciliationView;
@@ -24,9 +24,9 @@ const FileMenu = ({
   };
 
   const handleSelectFile = async (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      onSelectFile(file);
+    const files = Array.from(e.target.files ?? []);
+    if (files.length > 0) {
+      onSelectFile(files);
     }
     // Reset input to allow selecting the same file again
     e.target.value = '';
@@ -41,7 +41,8 @@ const FileMenu = ({
       <input
         ref={fileInputRef}
         type="file"
-        accept=".csv"
+        accept=".csv,text/csv,.xlsx,.ods,.json,application/json"
+        multiple
         hidden
         onChange={handleSelectFile}
         data-testid="file-menu-input"
@@ -21,11 +21,11 @@ const FilePicker = ({
   const inputRef = useRef(null);
 
   const handleFileChange = (event) => {
-    const file = event.target.files?.[0] ?? null;
+    const files = Array.from(event.target.files ?? []);
     if (inputRef.current) {
       inputRef.current.value = '';
     }
-    onFileSelected(file);
+    onFileSelected(files);
   };
 
   return (
@@ -46,7 +46,8 @@ const FilePicker = ({
             <input
               ref={inputRef}
               hidden
-              accept=".csv"
+              accept=".csv,text/csv,.xlsx,.ods,.json,application/json"
+              multiple
               type="file"
               onChange={handleFileChange}
               data-testid="processor-file-input"
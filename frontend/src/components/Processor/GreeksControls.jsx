@@ -0,0 +1,58 @@
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import InputAdornment from '@mui/material/InputAdornment';
+
+// One price input per underlying in view: `underlyings` is `[{ symbol, value }]`
+const GreeksControls = ({
+  underlyings = [],
+  ratePercent,
+  onUnderlyingPriceChange,
+  onRatePercentChange,
+  strings,
+}) => {
+  const greeksStrings = strings?.greeks ?? {};
+
+  return (
+    <Stack
+      direction="row"
+      spacing={2}
+      useFlexGap
+      flexWrap="wrap"
+      alignItems="center"
+      data-testid="greeks-controls"
+      sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}
+    >
+      <Typography variant="subtitle2" color="text.secondary">
+        {greeksStrings.title ?? 'Griegas (Black-Scholes)'}
+      </Typography>
+      {underlyings.map(({ symbol, value }) => (
+        <TextField
+          key={symbol}
+          size="small"
+          type="number"
+          label={`${greeksStrings.underlyingPrice ?? 'Precio subyacente'} ${symbol}`}
+          value={value}
+          onChange={(event) => onUnderlyingPriceChange?.(symbol, event.target.value)}
+          inputProps={{ min: 0, step: 'any', 'data-testid': `greeks-underlying-input-${symbol}` }}
+          sx={{ width: 170 }}
+        />
+      ))}
+      <TextField
+        size="small"
+        type="number"
+        label={greeksStrings.rate ?? 'Tasa (TNA)'}
+        value={ratePercent}
+        onChange={(event) => onRatePercentChange?.(event.target.value)}
+        inputProps={{ step: 'any', 'data-testid': 'greeks-rate-input' }}
+        InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+        sx={{ width: 140 }}
+      />
+      <Typography variant="caption" color="text.secondary">
+        {greeksStrings.hint ?? 'Ingresá el precio de cada subyacente para calcular VI y griegas.'}
+      </Typography>
+    </Stack>
+  );
+};
+
+export default GreeksControls;
@@ -1,10 +1,51 @@
+import { useEffect, useMemo, useState } from 'react';
 import Box from '@mui/material/Box';
 import Stack from '@mui/material/Stack';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
 
 import GroupFilter from './GroupFilter.jsx';
 import TableWithActions from './TableWithActions.jsx';
+import GreeksControls from './GreeksControls.jsx';
+import PayoffChart from './PayoffChart.jsx';
+import StrategiesPanel from './StrategiesPanel.jsx';
+import OptionChainGrid from './OptionChainGrid.jsx';
+import QuotesToolbar from './QuotesToolbar.jsx';
 import { CLIPBOARD_SCOPES } from '../../services/csv/clipboard-service.js';
 import { EXPORT_SCOPES } from '../../services/csv/export-service.js';
+import { enrichRowsWithGreeks, resolveRowUnderlying } from '../../services/options/black-scholes.js';
+import { detectStrategies } from '../../services/options/strategy-detector.js';
+import { attachExpiryToRows } from '../../services/options/expiration-calendar.js';
+import { loadSymbolConfig } from '../../services/storage-settings.js';
+import {
+  markRowsToMarket,
+  mergeMarkSummaries,
+  resolveUnderlyingPrices,
+} from '../../services/quotes/market-quotes.js';
+
+const VIEW_MODES = {
+  TABLES: 'tables',
+  CHAIN: 'chain',
+};
+
+const collectUnderlyings = (rows) => Array.from(new Set(
+  rows.map(resolveRowUnderlying).filter(Boolean),
+)).sort();
+
+const OPTION_MARK_ACCESSORS = {
+  getSymbol: (row) => row.originalSymbol,
+  getQuantity: (row) => row.totalQuantity,
+  getPrice: (row) => row.averagePrice,
+  getGroup: (row) => row.matchedSymbol ?? '',
+};
+
+const parseInputNumber = (value) => {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const parsed = Number(String(value).replace(',', '.'));
+  return Number.isFinite(parsed) ? parsed : null;
+};
 
 const OpcionesView = ({
   callsOperations,
@@ -17,8 +58,117 @@ const OpcionesView = ({
   onDownload,
   averagingEnabled,
   onToggleAveraging,
+  stockOperationsByUnderlying,
+  quoteSnapshot,
+  quotesLoading,
+  canFetchQuotes,
+  onImportQuotes,
+  onFetchQuotes,
+  onClearQuotes,
 }) => {
   const filterStrings = strings?.filters ?? {};
+  // Price inputs by underlying symbol; untouched underlyings take the quote snapshot's price
+  const [underlyingPriceInputs, setUnderlyingPriceInputs] = useState({});
+  const [ratePercentInput, setRatePercentInput] = useState('');
+  const [includeStockInPayoff, setIncludeStockInPayoff] = useState(false);
+  const [viewMode, setViewMode] = useState(VIEW_MODES.TABLES);
+  const chainStrings = strings?.optionChain ?? {};
+  const [symbolConfigs, setSymbolConfigs] = useState({});
+  const hasGroupSelection = Array.isArray(selectedGroupId)
+    ? selectedGroupId.length > 0
+    : Boolean(selectedGroupId);
+
+  const underlyingKey = useMemo(
+    () => collectUnderlyings([...(callsOperations ?? []), ...(putsOperations ?? [])]).join(','),
+    [callsOperations, putsOperations],
+  );
+
+  useEffect(() => {
+    let mounted = true;
+    const symbols = underlyingKey ? underlyingKey.split(',') : [];
+
+    Promise.all(symbols.map(async (symbol) => [symbol, await loadSymbolConfig(symbol)]))
+      .then((entries) => {
+        if (mounted) {
+          setSymbolConfigs(Object.fromEntries(entries.filter(([, config]) => Boolean(config))));
+        }
+      })
+      .catch((error) => {
+        console.warn('PO: loadSymbolConfig for option expirations failed', error);
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, [underlyingKey]);
+
+  const callsWithExpiry = useMemo(
+    () => attachExpiryToRows(callsOperations, { symbolConfigs }),
+    [callsOperations, symbolConfigs],
+  );
+  const putsWithExpiry = useMemo(
+    () => attachExpiryToRows(putsOperations, { symbolConfigs }),
+    [putsOperations, symbolConfigs],
+  );
+
+  const underlyings = useMemo(() => (underlyingKey ? underlyingKey.split(',') : []), [underlyingKey]);
+  const quotedUnderlyingPrices = useMemo(
+    () => resolveUnderlyingPrices(quoteSnapshot, underlyings),
+    [quoteSnapshot, underlyings],
+  );
+  const underlyingInputValues = useMemo(
+    () => Object.fromEntries(underlyings.map((symbol) => [
+      symbol,
+      underlyingPriceInputs[symbol] ?? (quotedUnderlyingPrices[symbol] !== undefined ? String(quotedUnderlyingPrices[symbol]) : ''),
+    ])),
+    [underlyings, underlyingPriceInputs, quotedUnderlyingPrices],
+  );
+  const underlyingPrices = useMemo(
+    () => Object.fromEntries(
+      Object.entries(underlyingInputValues)
+        .map(([symbol, value]) => [symbol, parseInputNumber(value)])
+        .filter(([, price]) => Number.isFinite(price) && price > 0),
+    ),
+    [underlyingInputValues],
+  );
+  const ratePercent = parseInputNumber(ratePercentInput) ?? 0;
+  const showGreeks = Object.keys(underlyingPrices).length > 0;
+
+  const stockOperations = useMemo(
+    () => (stockOperationsByUnderlying instanceof Map
+      ? Array.from(stockOperationsByUnderlying.values()).flat()
+      : []),
+    [stockOperationsByUnderlying],
+  );
+
+  const { strategies } = useMemo(
+    () => detectStrategies({
+      calls: callsOperations,
+      puts: putsOperations,
+      stockOperationsByUnderlying,
+    }),
+    [callsOperations, putsOperations, stockOperationsByUnderlying],
+  );
+
+  const callsRows = useMemo(
+    () => (showGreeks ? enrichRowsWithGreeks(callsWithExpiry, { underlyingPrices, ratePercent }) : callsWithExpiry),
+    [showGreeks, callsWithExpiry, underlyingPrices, ratePercent],
+  );
+  const putsRows = useMemo(
+    () => (showGreeks ? enrichRowsWithGreeks(putsWithExpiry, { underlyingPrices, ratePercent }) : putsWithExpiry),
+    [showGreeks, putsWithExpiry, underlyingPrices, ratePercent],
+  );
+
+  const callsMarks = useMemo(
+    () => markRowsToMarket(callsRows, quoteSnapshot, OPTION_MARK_ACCESSORS),
+    [callsRows, quoteSnapshot],
+  );
+  const putsMarks = useMemo(
+    () => markRowsToMarket(putsRows, quoteSnapshot, OPTION_MARK_ACCESSORS),
+    [putsRows, quoteSnapshot],
+  );
+  const markSummary = useMemo(() => mergeMarkSummaries(callsMarks, putsMarks), [callsMarks, putsMarks]);
+  const showMarks = Boolean(quoteSnapshot);
 
   return (
     <Stack spacing={0} sx={{ flex: 1, minHeight: 0 }}>
@@ -31,43 +181,113 @@ const OpcionesView = ({
         />
       )}
 
-      <Box
-        sx={{
-          flex: 1,
-          minHeight: 0,
-          display: 'flex',
-          flexDirection: { xs: 'column', lg: 'row' },
-          gap: 0,
-          '& > :first-of-type': {
-            borderRight: { lg: 1, xs: 0 },
-            borderColor: 'divider',
-          },
-        }}
-      >
-        {/* CALLS table */}
-        <TableWithActions
-          title={strings?.tables?.callsTitle ?? 'Operaciones CALLS'}
-          operations={callsOperations}
+      <GreeksControls
+        underlyings={underlyings.map((symbol) => ({ symbol, value: underlyingInputValues[symbol] }))}
+        ratePercent={ratePercentInput}
+        onUnderlyingPriceChange={(symbol, value) => setUnderlyingPriceInputs(
+          (current) => ({ ...current, [symbol]: value }),
+        )}
+        onRatePercentChange={setRatePercentInput}
+        strings={strings}
+      />
+
+      {hasGroupSelection && (
+        <PayoffChart
+          calls={callsOperations}
+          puts={putsOperations}
+          stockOperations={stockOperations}
+          includeStock={includeStockInPayoff}
+          onToggleIncludeStock={setIncludeStockInPayoff}
           strings={strings}
-          testId="processor-calls-table"
-          onCopy={() => onCopy(CLIPBOARD_SCOPES.CALLS)}
-          onDownload={() => onDownload(EXPORT_SCOPES.CALLS)}
-          averagingEnabled={averagingEnabled}
-          onToggleAveraging={onToggleAveraging}
         />
+      )}
+
+      <StrategiesPanel strategies={strategies} strings={strings} />
 
-        {/* PUTS table */}
-        <TableWithActions
-          title={strings?.tables?.putsTitle ?? 'Operaciones PUTS'}
-          operations={putsOperations}
+      <QuotesToolbar
+        snapshot={quoteSnapshot}
+        summary={markSummary}
+        loading={quotesLoading}
+        canFetchBroker={canFetchQuotes}
+        onImport={onImportQuotes}
+        onFetchBroker={onFetchQuotes}
+        onClear={onClearQuotes}
+        strings={strings}
+      />
+
+      <Stack direction="row" sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={viewMode}
+          onChange={(event, mode) => {
+            if (mode) {
+              setViewMode(mode);
+            }
+          }}
+          aria-label={chainStrings.viewLabel ?? 'Vista de opciones'}
+        >
+          <ToggleButton value={VIEW_MODES.TABLES} data-testid="options-view-tables">
+            {chainStrings.tablesView ?? 'Tablas'}
+          </ToggleButton>
+          <ToggleButton value={VIEW_MODES.CHAIN} data-testid="options-view-chain">
+            {chainStrings.chainView ?? 'Cadena'}
+          </ToggleButton>
+        </ToggleButtonGroup>
+      </Stack>
+
+      {viewMode === VIEW_MODES.CHAIN ? (
+        <OptionChainGrid
+          callsOperations={callsOperations}
+          putsOperations={putsOperations}
+          symbolConfigs={symbolConfigs}
           strings={strings}
-          testId="processor-puts-table"
-          onCopy={() => onCopy(CLIPBOARD_SCOPES.PUTS)}
-          onDownload={() => onDownload(EXPORT_SCOPES.PUTS)}
-          averagingEnabled={averagingEnabled}
-          onToggleAveraging={onToggleAveraging}
         />
-      </Box>
+      ) : (
+        <Box
+          sx={{
+            flex: 1,
+            minHeight: 0,
+            display: 'flex',
+            flexDirection: { xs: 'column', lg: 'row' },
+            gap: 0,
+            '& > :first-of-type': {
+              borderRight: { lg: 1, xs: 0 },
+              borderColor: 'divider',
+            },
+          }}
+        >
+          {/* CALLS table */}
+          <TableWithActions
+            title={strings?.tables?.callsTitle ?? 'Operaciones CALLS'}
+            operations={callsMarks.rows}
+            strings={strings}
+            testId="processor-calls-table"
+            onCopy={() => onCopy(CLIPBOARD_SCOPES.CALLS)}
+            onDownload={() => onDownload(EXPORT_SCOPES.CALLS)}
+            averagingEnabled={averagingEnabled}
+            onToggleAveraging={onToggleAveraging}
+            showGreeks={showGreeks}
+            showMarks={showMarks}
+            markTotals={callsMarks.totals}
+          />
+
+          {/* PUTS table */}
+          <TableWithActions
+            title={strings?.tables?.putsTitle ?? 'Operaciones PUTS'}
+            operations={putsMarks.rows}
+            strings={strings}
+            testId="processor-puts-table"
+            onCopy={() => onCopy(CLIPBOARD_SCOPES.PUTS)}
+            onDownload={() => onDownload(EXPORT_SCOPES.PUTS)}
+            averagingEnabled={averagingEnabled}
+            onToggleAveraging={onToggleAveraging}
+            showGreeks={showGreeks}
+            showMarks={showMarks}
+            markTotals={putsMarks.totals}
+          />
+        </Box>
+      )}
     </Stack>
   );
 };
@@ -8,12 +8,17 @@ import InsertDriveFileIcon from '@mui/icons-material/InsertDriveFile';
 import ShowChartIcon from '@mui/icons-material/ShowChart';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
 import TimelineIcon from '@mui/icons-material/Timeline';
+import AccountBalanceWalletIcon from '@mui/icons-material/AccountBalanceWallet';
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
+import SavingsIcon from '@mui/icons-material/Savings';
 import { OPERATION_TYPES } from './operation-types.js';
 
 const OperationTypeTabs = ({ 
   strings, 
   activeTab, 
   onTabChange, 
+  excludedCount = 0,
   onClose, 
   fileName, 
   dataSourcesPanel,
@@ -22,6 +27,10 @@ const OperationTypeTabs = ({
   const opcionesLabel = strings?.operationTypeTabs?.opciones ?? 'Opciones';
   const compraVentaLabel = strings?.operationTypeTabs?.compraVenta ?? 'Compra y Venta';
   const arbitrajesLabel = strings?.operationTypeTabs?.arbitrajes ?? 'Arbitrajes de Plazo';
+  const posicionesLabel = strings?.operationTypeTabs?.posiciones ?? 'Cartera';
+  const caucionesLabel = strings?.operationTypeTabs?.cauciones ?? 'Cauciones';
+  const excluidasLabel = `${strings?.operationTypeTabs?.excluidas ?? 'Excluidas'} (${excludedCount})`;
+  const conciliacionLabel = strings?.operationTypeTabs?.conciliacion ?? 'Gastos';
   const ariaLabel = strings?.operationTypeTabs?.ariaLabel ?? 'Seleccionar tipo de operación';
 
   const handleChange = (event, newValue) => {
@@ -69,6 +78,34 @@ const OperationTypeTabs = ({
           iconPosition="start"
           data-testid="tab-arbitrajes"
         />
+        <Tab 
+          label={posicionesLabel} 
+          value={OPERATION_TYPES.POSICIONES}
+          icon={<AccountBalanceWalletIcon />}
+          iconPosition="start"
+          data-testid="tab-posiciones"
+        />
+        <Tab 
+          label={caucionesLabel} 
+          value={OPERATION_TYPES.CAUCIONES}
+          icon={<SavingsIcon />}
+          iconPosition="start"
+          data-testid="tab-cauciones"
+        />
+        <Tab 
+          label={excluidasLabel} 
+          value={OPERATION_TYPES.EXCLUIDAS}
+          icon={<RemoveCircleOutlineIcon />}
+          iconPosition="start"
+          data-testid="tab-excluidas"
+        />
+        <Tab 
+          label={conciliacionLabel} 
+          value={OPERATION_TYPES.CONCILIACION}
+          icon={<ReceiptLongIcon />}
+          iconPosition="start"
+          data-testid="tab-conciliacion"
+        />
       </Tabs>
       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, ml: 2 }}>
         {dataSourcesPanel || (fileName && (
@@ -22,6 +22,9 @@ import ArrowCircleDownIcon from '@mui/icons-material/ArrowCircleDown';
 
 import FeeTooltip from './FeeTooltip.jsx';
 import AddStrikeExceptionButton from './AddStrikeExceptionButton.jsx';
+import ProvenanceCell from './ProvenanceCell.jsx';
+import { parseExpirationDate } from '../../services/options/expiration-calendar.js';
+import { collectProvenance } from '../../services/data-sources/index.js';
 
 const quantityFormatter = typeof Intl !== 'undefined'
   ? new Intl.NumberFormat('es-AR', {
@@ -75,6 +78,64 @@ const formatFee = (value) => {
   return value.toFixed(2);
 };
 
+const greekFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 4,
+    })
+  : null;
+
+const formatGreek = (value) => {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+  if (greekFormatter) {
+    return greekFormatter.format(value);
+  }
+  return value.toFixed(4);
+};
+
+const formatVolatility = (value) => {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+  return `${formatFee(value * 100)}%`;
+};
+
+const GREEK_COLUMNS = [
+  { key: 'impliedVolatility', label: 'VI', format: formatVolatility },
+  { key: 'delta', label: 'Δ', format: formatGreek },
+  { key: 'gamma', label: 'Γ', format: formatGreek },
+  { key: 'theta', label: 'Θ', format: formatGreek },
+  { key: 'vega', label: 'Vega', format: formatGreek },
+];
+
+const formatPnL = (value, currency = 'ARS') => {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+  return `${currency} ${formatFee(value)}`;
+};
+
+const getPnLColor = (value) => {
+  if (value > 0) return 'success.main';
+  if (value < 0) return 'error.main';
+  return 'text.secondary';
+};
+
+const formatExpiryDate = (value) => {
+  const date = parseExpirationDate(value);
+  return date ? date.toLocaleDateString('es-AR') : '';
+};
+
+const stickyHeaderCellSx = {
+  position: 'sticky',
+  top: 48,
+  backgroundColor: '#fafafa',
+  zIndex: 1,
+  pt: 2,
+};
+
 /**
  * Format net total with sign prefix based on operation type.
  * BUY operations (positive quantity): show as negative (money out)
@@ -120,8 +181,21 @@ const OperationsTable = ({
   onDownload,
   averagingEnabled,
   onToggleAveraging,
+  showGreeks = false,
+  showMarks = false,
+  markTotals = {},
 }) => {
   const hasData = operations.length > 0;
+  const showExpiry = operations.some((operation) => Number.isFinite(operation?.daysToExpiry));
+  const showProvenance = operations.some((operation) => collectProvenance(operation).length > 0);
+  const columnCount = 4
+    + (showExpiry ? 1 : 0)
+    + (showGreeks ? GREEK_COLUMNS.length : 0)
+    + (showMarks ? 2 : 0)
+    + (showProvenance ? 1 : 0);
+  const greekLabels = strings?.greeks?.columns ?? {};
+  const quoteStrings = strings?.quotes ?? {};
+  const expiryStrings = strings?.expiry ?? {};
   const theme = useTheme();
   
   // Determine if this is CALLS or PUTS based on title
@@ -157,7 +231,7 @@ const OperationsTable = ({
           <TableHead>
             <TableRow>
               <TableCell
-                colSpan={4}
+                colSpan={columnCount}
                 sx={{
                   position: 'sticky',
                   top: 0,
@@ -294,12 +368,47 @@ const OperationsTable = ({
             >
               {strings.tables.netTotal || 'Neto'}
             </TableCell>
+            {showExpiry && (
+              <TableCell align="right" sx={stickyHeaderCellSx}>
+                {expiryStrings.column ?? 'Días al vto.'}
+              </TableCell>
+            )}
+            {showGreeks && GREEK_COLUMNS.map((column) => (
+              <TableCell key={column.key} align="right" sx={stickyHeaderCellSx}>
+                {greekLabels[column.key] ?? column.label}
+              </TableCell>
+            ))}
+            {showMarks && (
+              <>
+                <TableCell align="right" sx={stickyHeaderCellSx}>
+                  {quoteStrings.markColumn ?? 'Mercado'}
+                </TableCell>
+                <TableCell align="right" sx={stickyHeaderCellSx}>
+                  {quoteStrings.pnlColumn ?? 'P&L no real.'}
+                  {Object.entries(markTotals).map(([currency, amount]) => (
+                    <Typography
+                      key={currency}
+                      variant="caption"
+                      display="block"
+                      sx={{ color: getPnLColor(amount), fontSize: '0.7rem', mt: 0.25 }}
+                    >
+                      {formatPnL(amount, currency)}
+                    </Typography>
+                  ))}
+                </TableCell>
+              </>
+            )}
+            {showProvenance && (
+              <TableCell sx={stickyHeaderCellSx}>
+                {strings.tables.provenance?.column ?? 'Origen'}
+              </TableCell>
+            )}
           </TableRow>
         </TableHead>
         <TableBody>
           {operations.length === 0 ? (
             <TableRow>
-              <TableCell colSpan={4} align="center">
+              <TableCell colSpan={columnCount} align="center">
                 {strings.tables.empty}
               </TableCell>
             </TableRow>
@@ -354,6 +463,44 @@ const OperationsTable = ({
                       </Typography>
                     </FeeTooltip>
                   </TableCell>
+                  {showExpiry && (
+                    <TableCell align="right" data-testid={`${testId}-days-to-expiry`}>
+                      {Number.isFinite(operation.daysToExpiry) ? (
+                        <Tooltip
+                          title={`${formatExpiryDate(operation.expirationDate)}${operation.expirationOverridden ? ` (${expiryStrings.manual ?? 'manual'})` : ''}`}
+                          disableInteractive
+                        >
+                          <span>{operation.daysToExpiry}</span>
+                        </Tooltip>
+                      ) : '—'}
+                    </TableCell>
+                  )}
+                  {showGreeks && GREEK_COLUMNS.map((column) => (
+                    <TableCell key={column.key} align="right" data-testid={`${testId}-greek-${column.key}`}>
+                      {column.format(operation.greeks?.[column.key])}
+                    </TableCell>
+                  ))}
+                  {showMarks && (
+                    <>
+                      <TableCell align="right" data-testid={`${testId}-mark-price`}>
+                        {operation.mark ? (
+                          <Tooltip title={quoteStrings.markSources?.[operation.mark.source] ?? operation.mark.source} disableInteractive>
+                            <span>{formatDecimal(operation.mark.price)}</span>
+                          </Tooltip>
+                        ) : '—'}
+                      </TableCell>
+                      <TableCell
+                        align="right"
+                        sx={{ color: getPnLColor(operation.mark?.unrealizedPnl), fontWeight: 600 }}
+                        data-testid={`${testId}-unrealized-pnl`}
+                      >
+                        {formatPnL(operation.mark?.unrealizedPnl, operation.mark?.currency)}
+                      </TableCell>
+                    </>
+                  )}
+                  {showProvenance && (
+                    <ProvenanceCell provenance={collectProvenance(operation)} strings={strings} />
+                  )}
                 </TableRow>
               );
             })
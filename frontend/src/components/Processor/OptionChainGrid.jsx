@@ -0,0 +1,141 @@
+import { useMemo } from 'react';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Typography from '@mui/material/Typography';
+import { useTheme } from '@mui/material/styles';
+
+import { buildOptionChains } from '../../services/options/option-chain.js';
+
+const quantityFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      useGrouping: true,
+      maximumFractionDigits: 0,
+    })
+  : null;
+
+const decimalFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      useGrouping: true,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 4,
+    })
+  : null;
+
+const formatWith = (formatter) => (value) => {
+  if (!Number.isFinite(value)) {
+    return '';
+  }
+  const safeValue = Object.is(value, -0) ? 0 : value;
+  return formatter ? formatter.format(safeValue) : String(safeValue);
+};
+
+const formatQuantity = formatWith(quantityFormatter);
+const formatDecimal = formatWith(decimalFormatter);
+
+const ChainCell = ({ cell }) => {
+  if (!cell) {
+    return <TableCell align="center" sx={{ color: 'text.disabled' }}>·</TableCell>;
+  }
+  return (
+    <TableCell align="center">
+      <Typography
+        variant="body2"
+        component="div"
+        sx={{ fontWeight: 600, color: cell.quantity < 0 ? 'error.main' : undefined }}
+      >
+        {formatQuantity(cell.quantity)}
+      </Typography>
+      <Typography variant="caption" component="div" color="text.secondary">
+        {formatDecimal(cell.averagePrice)}
+      </Typography>
+    </TableCell>
+  );
+};
+
+const OptionChainGrid = ({ callsOperations = [], putsOperations = [], symbolConfigs, strings }) => {
+  const theme = useTheme();
+  const chainStrings = strings?.optionChain ?? {};
+
+  const chains = useMemo(
+    () => buildOptionChains({ calls: callsOperations, puts: putsOperations, symbolConfigs }),
+    [callsOperations, putsOperations, symbolConfigs],
+  );
+
+  if (chains.length === 0) {
+    return (
+      <Box sx={{ p: 3, textAlign: 'center' }}>
+        <Typography variant="body2" color="text.secondary">
+          {strings?.tables?.empty ?? 'Sin datos para mostrar.'}
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ flex: 1, minHeight: 0, overflow: 'auto' }} data-testid="option-chain-grid">
+      {chains.map((chain) => (
+        <Paper key={chain.underlying} elevation={0} sx={{ borderRadius: 0, borderBottom: 1, borderColor: 'divider' }}>
+          <Typography variant="subtitle2" sx={{ px: 2, pt: 1 }}>
+            {chain.underlying}
+          </Typography>
+          <TableContainer>
+            <Table size="small" data-testid={`option-chain-${chain.underlying}`}>
+              <TableHead>
+                <TableRow>
+                  <TableCell
+                    align="center"
+                    colSpan={chain.expirations.length}
+                    sx={{ color: theme.palette.calls?.main, fontWeight: 600 }}
+                  >
+                    {chainStrings.calls ?? 'CALLS'}
+                  </TableCell>
+                  <TableCell align="center" rowSpan={2} sx={{ fontWeight: 600, backgroundColor: 'action.hover' }}>
+                    {chainStrings.strike ?? 'Strike'}
+                  </TableCell>
+                  <TableCell
+                    align="center"
+                    colSpan={chain.expirations.length}
+                    sx={{ color: theme.palette.puts?.main, fontWeight: 600 }}
+                  >
+                    {chainStrings.puts ?? 'PUTS'}
+                  </TableCell>
+                </TableRow>
+                <TableRow>
+                  {chain.expirations.map((code) => (
+                    <TableCell key={`call-${code}`} align="center">{code}</TableCell>
+                  ))}
+                  {chain.expirations.map((code) => (
+                    <TableCell key={`put-${code}`} align="center">{code}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {chain.strikes.map((entry) => (
+                  <TableRow key={entry.strike}>
+                    {chain.expirations.map((code) => (
+                      <ChainCell key={`call-${code}`} cell={entry.calls[code]} />
+                    ))}
+                    <TableCell align="center" sx={{ fontWeight: 600, backgroundColor: 'action.hover' }}>
+                      {formatDecimal(entry.strike)}
+                    </TableCell>
+                    {chain.expirations.map((code) => (
+                      <ChainCell key={`put-${code}`} cell={entry.puts[code]} />
+                    ))}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      ))}
+    </Box>
+  );
+};
+
+export default OptionChainGrid;
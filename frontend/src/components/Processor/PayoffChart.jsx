@@ -0,0 +1,196 @@
+import { useMemo } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import Switch from '@mui/material/Switch';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import { useTheme } from '@mui/material/styles';
+
+import {
+  analyzePayoff,
+  buildPayoffCurve,
+  buildPayoffLegs,
+} from '../../services/options/payoff.js';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 72 };
+
+const amountFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })
+  : null;
+
+const priceFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      useGrouping: true,
+      maximumFractionDigits: 2,
+    })
+  : null;
+
+const formatAmount = (value) => {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+  return amountFormatter ? amountFormatter.format(value) : value.toFixed(2);
+};
+
+const formatPrice = (value) => {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+  return priceFormatter ? priceFormatter.format(value) : String(value);
+};
+
+const buildScales = (curve) => {
+  const prices = curve.map((point) => point.price);
+  const pnls = curve.map((point) => point.pnl);
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+  const minPnl = Math.min(0, ...pnls);
+  const maxPnl = Math.max(0, ...pnls);
+  const pnlSpan = maxPnl - minPnl || 1;
+  const innerWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+
+  return {
+    x: (price) => PADDING.left + ((price - minPrice) / (maxPrice - minPrice || 1)) * innerWidth,
+    y: (pnl) => PADDING.top + ((maxPnl - pnl) / pnlSpan) * innerHeight,
+    minPrice,
+    maxPrice,
+    minPnl,
+    maxPnl,
+  };
+};
+
+const PayoffChart = ({
+  calls,
+  puts,
+  stockOperations = [],
+  includeStock,
+  onToggleIncludeStock,
+  strings,
+}) => {
+  const theme = useTheme();
+  const payoffStrings = strings?.payoff ?? {};
+  const hasStock = stockOperations.length > 0;
+
+  const legs = useMemo(
+    () => buildPayoffLegs({ calls, puts, stockOperations: includeStock ? stockOperations : [] }),
+    [calls, puts, stockOperations, includeStock],
+  );
+  const curve = useMemo(() => buildPayoffCurve(legs), [legs]);
+  const analysis = useMemo(() => analyzePayoff(legs), [legs]);
+
+  if (curve.length === 0) {
+    return null;
+  }
+
+  const scales = buildScales(curve);
+  const path = curve
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${scales.x(point.price).toFixed(1)},${scales.y(point.pnl).toFixed(1)}`)
+    .join(' ');
+  const zeroY = scales.y(0);
+  const visibleBreakevens = analysis.breakevens.filter(
+    (price) => price >= scales.minPrice && price <= scales.maxPrice,
+  );
+
+  const maxProfitLabel = analysis.unboundedProfit
+    ? (payoffStrings.unbounded ?? 'Ilimitada')
+    : formatAmount(analysis.maxProfit);
+  const maxLossLabel = analysis.unboundedLoss
+    ? (payoffStrings.unbounded ?? 'Ilimitada')
+    : formatAmount(analysis.maxLoss);
+
+  return (
+    <Paper elevation={0} data-testid="payoff-chart" sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider', borderRadius: 0 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" flexWrap="wrap" gap={1}>
+        <Typography variant="subtitle2" color="text.secondary">
+          {payoffStrings.title ?? 'Resultado al vencimiento'}
+        </Typography>
+        <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap">
+          <Typography variant="caption" data-testid="payoff-max-profit">
+            {`${payoffStrings.maxProfit ?? 'Ganancia máx.'}: ${maxProfitLabel}`}
+          </Typography>
+          <Typography variant="caption" data-testid="payoff-max-loss">
+            {`${payoffStrings.maxLoss ?? 'Pérdida máx.'}: ${maxLossLabel}`}
+          </Typography>
+          <Typography variant="caption" data-testid="payoff-breakevens">
+            {`${payoffStrings.breakevens ?? 'Breakeven'}: ${analysis.breakevens.length > 0
+              ? analysis.breakevens.map(formatPrice).join(' / ')
+              : '—'}`}
+          </Typography>
+          {hasStock && (
+            <FormControlLabel
+              sx={{ ml: 0, '& .MuiFormControlLabel-label': { fontSize: '0.75rem' } }}
+              control={(
+                <Switch
+                  size="small"
+                  checked={Boolean(includeStock)}
+                  onChange={(event) => onToggleIncludeStock?.(event.target.checked)}
+                  inputProps={{ 'aria-label': payoffStrings.includeStock ?? 'Incluir acciones' }}
+                />
+              )}
+              label={payoffStrings.includeStock ?? 'Incluir acciones'}
+            />
+          )}
+        </Stack>
+      </Stack>
+      <Box sx={{ width: '100%', maxWidth: CHART_WIDTH }}>
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          width="100%"
+          role="img"
+          aria-label={payoffStrings.title ?? 'Resultado al vencimiento'}
+        >
+          <line
+            x1={PADDING.left}
+            x2={CHART_WIDTH - PADDING.right}
+            y1={zeroY}
+            y2={zeroY}
+            stroke={theme.palette.divider}
+          />
+          <text x={PADDING.left - 6} y={scales.y(scales.maxPnl) + 4} textAnchor="end" fontSize="10" fill={theme.palette.text.secondary}>
+            {formatAmount(scales.maxPnl)}
+          </text>
+          <text x={PADDING.left - 6} y={scales.y(scales.minPnl) + 4} textAnchor="end" fontSize="10" fill={theme.palette.text.secondary}>
+            {formatAmount(scales.minPnl)}
+          </text>
+          <text x={PADDING.left} y={CHART_HEIGHT - 8} fontSize="10" fill={theme.palette.text.secondary}>
+            {formatPrice(scales.minPrice)}
+          </text>
+          <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 8} textAnchor="end" fontSize="10" fill={theme.palette.text.secondary}>
+            {formatPrice(scales.maxPrice)}
+          </text>
+          {visibleBreakevens.map((price) => (
+            <g key={`breakeven-${price}`}>
+              <line
+                x1={scales.x(price)}
+                x2={scales.x(price)}
+                y1={PADDING.top}
+                y2={CHART_HEIGHT - PADDING.bottom}
+                stroke={theme.palette.warning.main}
+                strokeDasharray="4 3"
+              />
+              <text x={scales.x(price)} y={CHART_HEIGHT - 8} textAnchor="middle" fontSize="10" fill={theme.palette.warning.dark}>
+                {formatPrice(price)}
+              </text>
+            </g>
+          ))}
+          <path d={path} fill="none" stroke={theme.palette.primary.main} strokeWidth="2" />
+          {Number.isFinite(analysis.maxProfitPrice) && analysis.maxProfitPrice >= scales.minPrice && (
+            <circle cx={scales.x(analysis.maxProfitPrice)} cy={scales.y(analysis.maxProfit)} r="4" fill={theme.palette.success.main} />
+          )}
+          {Number.isFinite(analysis.maxLossPrice) && analysis.maxLossPrice >= scales.minPrice && (
+            <circle cx={scales.x(analysis.maxLossPrice)} cy={scales.y(analysis.maxLoss)} r="4" fill={theme.palette.error.main} />
+          )}
+        </svg>
+      </Box>
+    </Paper>
+  );
+};
+
+export default PayoffChart;
@@ -0,0 +1,291 @@
+/**
+ * PosicionesView - Multi-day position ledger
+ * Posts the current file's fills to the persistent ledger and shows open lots and realized P&L.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import Box from '@mui/material/Box';
+import Stack from '@mui/material/Stack';
+import Paper from '@mui/material/Paper';
+import Button from '@mui/material/Button';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Typography from '@mui/material/Typography';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import CircularProgress from '@mui/material/CircularProgress';
+
+import {
+  COST_METHODS,
+  computeLedgerState,
+  createEmptyLedger,
+  createFillsFromOperations,
+  postFills,
+  setLedgerMethod,
+} from '../../services/ledger/position-ledger.js';
+import { clearLedger, loadLedger, saveLedger } from '../../services/ledger/ledger-storage.js';
+import { showToast } from '../../services/toastService.js';
+
+const quantityFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      useGrouping: true,
+      maximumFractionDigits: 0,
+    })
+  : null;
+
+const decimalFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      useGrouping: true,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 4,
+    })
+  : null;
+
+const amountFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })
+  : null;
+
+const formatWith = (formatter) => (value) => {
+  if (!Number.isFinite(value)) {
+    return '';
+  }
+  const safeValue = Object.is(value, -0) ? 0 : value;
+  return formatter ? formatter.format(safeValue) : String(safeValue);
+};
+
+const formatQuantity = formatWith(quantityFormatter);
+const formatDecimal = formatWith(decimalFormatter);
+const formatAmount = formatWith(amountFormatter);
+
+const formatDate = (value) => {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString('es-AR');
+};
+
+const LedgerTable = ({ title, columns, rows, emptyLabel, testId }) => (
+  <Paper elevation={0} sx={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column', borderRadius: 0 }}>
+    <Typography variant="subtitle2" color="text.secondary" sx={{ px: 2, pt: 1 }}>
+      {title}
+    </Typography>
+    <TableContainer sx={{ flex: 1, overflow: 'auto' }}>
+      <Table size="small" stickyHeader data-testid={testId}>
+        <TableHead>
+          <TableRow>
+            {columns.map((column) => (
+              <TableCell key={column.key} align={column.align}>{column.label}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={columns.length} align="center">
+                <Typography variant="body2" color="text.secondary">{emptyLabel}</Typography>
+              </TableCell>
+            </TableRow>
+          ) : rows.map((row, index) => (
+            <TableRow key={row.key} sx={index % 2 === 1 ? { backgroundColor: 'action.hover' } : undefined}>
+              {columns.map((column) => (
+                <TableCell key={column.key} align={column.align} sx={column.sx?.(row)}>
+                  {column.render(row)}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Paper>
+);
+
+const pnlSx = (value) => ({
+  color: value < 0 ? 'error.main' : value > 0 ? 'success.main' : undefined,
+  fontWeight: 600,
+});
+
+const PosicionesView = ({ operations = [], fileName, strings }) => {
+  const ledgerStrings = strings?.ledger ?? {};
+  const [ledger, setLedger] = useState(() => createEmptyLedger());
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+
+    loadLedger()
+      .then((stored) => {
+        if (mounted) {
+          setLedger(stored);
+        }
+      })
+      .catch((error) => {
+        console.warn('PO: loadLedger failed', error);
+      })
+      .finally(() => {
+        if (mounted) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const state = useMemo(() => computeLedgerState(ledger), [ledger]);
+
+  const persist = async (nextLedger) => {
+    setLedger(nextLedger);
+    await saveLedger(nextLedger);
+  };
+
+  const handlePost = async () => {
+    const fills = createFillsFromOperations(operations, { source: fileName ?? '' });
+    const { ledger: nextLedger, added, skipped } = postFills(ledger, fills);
+    await persist(nextLedger);
+    const template = ledgerStrings.postResult ?? 'Se registraron {added} operaciones ({skipped} ya estaban registradas).';
+    showToast({
+      message: template.replace('{added}', String(added)).replace('{skipped}', String(skipped)),
+      severity: added > 0 ? 'success' : 'info',
+    });
+  };
+
+  const handleMethodChange = async (event, method) => {
+    if (!method) {
+      return;
+    }
+    await persist(setLedgerMethod(ledger, method));
+  };
+
+  const handleClear = async () => {
+    const cleared = await clearLedger({ method: ledger.method });
+    setLedger(cleared);
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  const openRows = state.positions.flatMap((position) => position.lots.map((lot) => ({
+    key: lot.id,
+    symbol: position.symbol,
+    openedAt: lot.openedAt,
+    quantity: lot.quantity,
+    price: lot.price,
+  })));
+
+  const closedRows = state.closedLots.map((lot, index) => ({ ...lot, key: `${lot.instrumentKey}-${index}` }));
+
+  const openColumns = [
+    { key: 'symbol', label: ledgerStrings.instrument ?? 'Instrumento', render: (row) => row.symbol },
+    { key: 'openedAt', label: ledgerStrings.openedAt ?? 'Apertura', render: (row) => formatDate(row.openedAt) },
+    {
+      key: 'quantity',
+      label: ledgerStrings.openQuantity ?? 'Cantidad abierta',
+      align: 'right',
+      render: (row) => formatQuantity(row.quantity),
+      sx: (row) => (row.quantity < 0 ? { color: 'error.main' } : undefined),
+    },
+    { key: 'price', label: ledgerStrings.costPrice ?? 'Precio costo', align: 'right', render: (row) => formatDecimal(row.price) },
+  ];
+
+  const closedColumns = [
+    { key: 'symbol', label: ledgerStrings.instrument ?? 'Instrumento', render: (row) => row.symbol },
+    { key: 'openedAt', label: ledgerStrings.openedAt ?? 'Apertura', render: (row) => formatDate(row.openedAt) },
+    { key: 'closedAt', label: ledgerStrings.closedAt ?? 'Cierre', render: (row) => formatDate(row.closedAt) },
+    { key: 'quantity', label: ledgerStrings.quantity ?? 'Cantidad', align: 'right', render: (row) => formatQuantity(row.quantity) },
+    { key: 'openPrice', label: ledgerStrings.openPrice ?? 'Precio apertura', align: 'right', render: (row) => formatDecimal(row.openPrice) },
+    { key: 'closePrice', label: ledgerStrings.closePrice ?? 'Precio cierre', align: 'right', render: (row) => formatDecimal(row.closePrice) },
+    { key: 'fees', label: ledgerStrings.fees ?? 'Gastos', align: 'right', render: (row) => formatAmount(row.fees) },
+    {
+      key: 'netPnl',
+      label: ledgerStrings.realizedPnl ?? 'Resultado',
+      align: 'right',
+      render: (row) => formatAmount(row.netPnl),
+      sx: (row) => pnlSx(row.netPnl),
+    },
+  ];
+
+  return (
+    <Stack spacing={0} sx={{ flex: 1, minHeight: 0 }} data-testid="posiciones-view">
+      <Stack
+        direction="row"
+        spacing={2}
+        alignItems="center"
+        flexWrap="wrap"
+        sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}
+      >
+        <Button
+          variant="contained"
+          size="small"
+          onClick={handlePost}
+          disabled={!operations.length}
+          data-testid="ledger-post-button"
+        >
+          {ledgerStrings.post ?? 'Registrar operaciones del archivo'}
+        </Button>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={state.method}
+          onChange={handleMethodChange}
+          aria-label={ledgerStrings.methodLabel ?? 'Método de costo'}
+        >
+          <ToggleButton value={COST_METHODS.FIFO}>{ledgerStrings.fifo ?? 'FIFO'}</ToggleButton>
+          <ToggleButton value={COST_METHODS.AVERAGE}>{ledgerStrings.average ?? 'Costo promedio'}</ToggleButton>
+        </ToggleButtonGroup>
+        <Button size="small" color="error" onClick={handleClear} disabled={ledger.fills.length === 0}>
+          {ledgerStrings.clear ?? 'Vaciar cartera'}
+        </Button>
+        <Box sx={{ flex: 1 }} />
+        <Typography variant="body2" data-testid="ledger-realized-total">
+          {`${ledgerStrings.realizedTotal ?? 'Resultado realizado'}: `}
+          <Box component="span" sx={pnlSx(state.totals.netPnl)}>{formatAmount(state.totals.netPnl)}</Box>
+        </Typography>
+      </Stack>
+
+      <Box
+        sx={{
+          flex: 1,
+          minHeight: 0,
+          display: 'flex',
+          flexDirection: { xs: 'column', lg: 'row' },
+          '& > :first-of-type': {
+            borderRight: { lg: 1, xs: 0 },
+            borderColor: 'divider',
+          },
+        }}
+      >
+        <LedgerTable
+          title={ledgerStrings.openTitle ?? 'Posiciones abiertas'}
+          columns={openColumns}
+          rows={openRows}
+          emptyLabel={ledgerStrings.emptyOpen ?? 'No hay posiciones abiertas.'}
+          testId="ledger-open-table"
+        />
+        <LedgerTable
+          title={ledgerStrings.closedTitle ?? 'Lotes cerrados'}
+          columns={closedColumns}
+          rows={closedRows}
+          emptyLabel={ledgerStrings.emptyClosed ?? 'No hay lotes cerrados.'}
+          testId="ledger-closed-table"
+        />
+      </Box>
+    </Stack>
+  );
+};
+
+export default PosicionesView;
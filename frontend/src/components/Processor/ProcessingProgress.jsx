@@ -0,0 +1,40 @@
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import LinearProgress from '@mui/material/LinearProgress';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+
+const numberFormatter = new Intl.NumberFormat('es-AR');
+
+/**
+ * Progress bar for the processing pipeline: stage label, row count and a cancel action.
+ * Falls back to an indeterminate bar until the first progress event arrives.
+ */
+const ProcessingProgress = ({ progress, strings, onCancel }) => {
+  const percent = Number.isFinite(progress?.percent) ? progress.percent : null;
+  const stageLabel = progress?.stage ? strings?.stages?.[progress.stage] ?? progress.stage : null;
+  const rowsLabel = progress?.processed
+    ? (strings?.rows ?? '{count}').replace('{count}', numberFormatter.format(progress.processed))
+    : null;
+
+  return (
+    <Box>
+      <LinearProgress
+        variant={percent === null ? 'indeterminate' : 'determinate'}
+        value={percent ?? 0}
+      />
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ px: 3, py: 0.5 }}>
+        <Typography variant="caption" color="text.secondary" sx={{ flex: 1 }}>
+          {[stageLabel, rowsLabel, percent !== null ? `${percent}%` : null].filter(Boolean).join(' · ')}
+        </Typography>
+        {onCancel && (
+          <Button size="small" onClick={onCancel}>
+            {strings?.cancel ?? 'Cancelar'}
+          </Button>
+        )}
+      </Stack>
+    </Box>
+  );
+};
+
+export default ProcessingProgress;
@@ -3,13 +3,15 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import Alert from '@mui/material/Alert';
 import Box from '@mui/material/Box';
 import Button from '@mui/material/Button';
-import LinearProgress from '@mui/material/LinearProgress';
 import Stack from '@mui/material/Stack';
 import Typography from '@mui/material/Typography';
 
-import { processOperations } from '../../services/csv/process-operations.js';
+import {
+  runProcessingJob,
+  isProcessingAbortError,
+  SOURCE_TYPES,
+} from '../../services/csv/process-operations-client.js';
 import { buildConsolidatedViews } from '../../services/csv/consolidator.js';
-import { CsvDataSource, JsonDataSource } from '../../services/data-sources/index.js';
 import { login as brokerLogin, setBaseUrl } from '../../services/broker/jsrofex-client.js';
 import { startDailySync, refreshNewOperations } from '../../services/broker/sync-service.js';
 import { dedupeOperations, mergeBrokerBatch } from '../../services/broker/dedupe-utils.js';
@@ -17,7 +19,11 @@ import {
   CLIPBOARD_SCOPES,
   copyReportToClipboard,
 } from '../../services/csv/clipboard-service.js';
-import { exportReportToCsv, EXPORT_SCOPES } from '../../services/csv/export-service.js';
+import { exportExcludedRowsToCsv, exportReportToCsv, EXPORT_SCOPES } from '../../services/csv/export-service.js';
+import { refreshInstrumentCatalogIfStale } from '../../services/fees/instrument-catalog.js';
+import { parseBrokerChargesCsv } from '../../services/fees/fee-reconciliation.js';
+import { fetchBrokerQuotes, readQuotesFile } from '../../services/quotes/market-quotes.js';
+import { getScannerSymbols } from '../../services/arbitrage-scanner.js';
 import { useConfig } from '../../state/index.js';
 import { showToast, dismissAllToasts } from '../../services/toastService.js';
 import { useStrings } from '../../strings/index.js';
@@ -40,8 +46,22 @@ import { OPERATION_TYPES } from './operation-types.js';
 import OpcionesView from './OpcionesView.jsx';
 import CompraVentaView from './CompraVentaView.jsx';
 import ArbitrajesView from './ArbitrajesView.jsx';
+import PosicionesView from './PosicionesView.jsx';
+import CaucionesView from './CaucionesView.jsx';
+import ExclusionsView from './ExclusionsView.jsx';
+import FeeReconciliationView from './FeeReconciliationView.jsx';
 import { parseCauciones, calculateAvgTNAByCurrency } from '../../services/data-aggregation.js';
 import EmptyState from './EmptyState.jsx';
+import ProcessingProgress from './ProcessingProgress.jsx';
+import ColumnMappingWizard from './ColumnMappingWizard.jsx';
+import SheetPickerDialog from './SheetPickerDialog.jsx';
+import { MISSING_COLUMNS_ERROR } from '../../services/csv/import-profiles.js';
+import { saveImportProfile } from '../../services/csv/import-profiles-storage.js';
+import {
+  isSpreadsheetFile,
+  listSpreadsheetSheets,
+  resolveFileSourceType,
+} from '../../services/data-sources/index.js';
 import BrokerLogin from './BrokerLogin.jsx';
 import DataSourceSelector from './DataSourceSelector.jsx';
 import DataSourcesPanel from './DataSourcesPanel.jsx';
@@ -59,6 +79,10 @@ const createInitialGroupSelections = () => ({
 const OPTION_INSTRUMENT_KEY_PREFIX = 'optionInstrument::';
 const OPTION_TOKEN_PREFIX_REGEX = /^([A-Z0-9]+?)[CV]\d+/i;
 
+// Uploaded files (CSV, spreadsheet or a merged set) as opposed to broker-synced operations
+const FILE_DATA_SOURCE_TYPES = new Set(['csv', 'xlsx', 'files']);
+const isFileDataSource = (source) => FILE_DATA_SOURCE_TYPES.has(source?.type);
+
 const sanitizeForTestId = (value = '') => value.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase();
 
 const buildGroupKey = (symbol = '', expiration = DEFAULT_EXPIRATION_TOKEN) => `${symbol}::${expiration}`;
@@ -445,7 +469,7 @@ const computeScopedData = ({
         stats: originalView?.puts?.stats ?? {},
       },
       summary,
-      exclusions: originalView?.exclusions ?? { combined: {}, validation: {}, consolidation: {} },
+      exclusions: originalView?.exclusions ?? { combined: {}, validation: {}, consolidation: {}, rows: [] },
     };
   };
 
@@ -505,13 +529,21 @@ const ProcessorScreen = () => {
   } = useConfig();
 
   const [selectedFile, setSelectedFile] = useState(null);
-  const [selectedDataSource, setSelectedDataSource] = useState(null); // { type: 'csv' | 'broker', file?, name }
+  const [selectedDataSource, setSelectedDataSource] = useState(null); // { type: 'csv' | 'xlsx' | 'broker', file?, sheet?, name }
   const [report, setReport] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingError, setProcessingError] = useState(null);
+  const [processingProgress, setProcessingProgress] = useState(null);
+  const processingControllerRef = useRef(null);
+  // { source, details } when a CSV lacks required columns and needs a mapping profile
+  const [mappingRequest, setMappingRequest] = useState(null);
+  const [sheetRequest, setSheetRequest] = useState(null);
   const [warningCodes, setWarningCodes] = useState([]);
   const [activePreview, setActivePreview] = useState(CLIPBOARD_SCOPES.CALLS);
   const [activeOperationType, setActiveOperationType] = useState(OPERATION_TYPES.OPCIONES);
+  const [importedCharges, setImportedCharges] = useState(null); // { fileName, charges, skipped }
+  const [quoteSnapshot, setQuoteSnapshot] = useState(null);
+  const [quotesLoading, setQuotesLoading] = useState(false);
   const [selectedGroupIds, setSelectedGroupIds] = useState(() => createInitialGroupSelections());
   const selectedGroupId = useMemo(() => selectedGroupIds[activeOperationType] ?? [], [selectedGroupIds, activeOperationType]);
   const scopedDataCacheRef = useRef(new Map());
@@ -520,6 +552,7 @@ const ProcessorScreen = () => {
   const [isBrokerLoginLoading, setIsBrokerLoginLoading] = useState(false);
   const syncCancellationRef = useRef(null);
   const autoSyncTokenRef = useRef(null);
+  const catalogRefreshTokenRef = useRef(null);
 
   const isAuthenticated = Boolean(brokerAuth?.token);
   // Ensure syncState has stable identity to avoid changing deps in hooks
@@ -639,8 +672,13 @@ const ProcessorScreen = () => {
         return;
       }
 
+      processingControllerRef.current?.abort();
+      const controller = new AbortController();
+      processingControllerRef.current = controller;
+
       setIsProcessing(true);
       setProcessingError(null);
+      setProcessingProgress(null);
       // Don't clear actionFeedback during auto-reprocessing - preserve broker sync notifications
       // setActionFeedback(null);
 
@@ -648,14 +686,15 @@ const ProcessorScreen = () => {
         const configurationPayload = buildConfiguration(overrides);
         
         // Determine data source type
-        let dataSource;
+        let sourceType;
         let file;
         let fileName;
+        let parserConfig;
         
         if (fileOrDataSource.type === 'broker') {
           // Broker data source: use JsonDataSource with synced operations
           // Always use the latest syncedOperations to ensure fresh data after refresh
-          dataSource = new JsonDataSource();
+          sourceType = SOURCE_TYPES.JSON;
           const brokerOnlyOperations = syncedOperations.filter(op => op?.source === 'broker');
           console.log('[ProcessorScreen] Processing broker data:', {
             totalSyncedOps: syncedOperations.length,
@@ -666,29 +705,55 @@ const ProcessorScreen = () => {
           fileName = fileOrDataSource.name || `Broker-${brokerAuth?.accountId || 'Unknown'}.json`;
         } else if (fileOrDataSource.type === 'csv') {
           // CSV data source: use CsvDataSource with file
-          dataSource = new CsvDataSource();
+          sourceType = SOURCE_TYPES.CSV;
           file = fileOrDataSource.file;
           fileName = fileOrDataSource.file?.name || 'operations.csv';
+        } else if (fileOrDataSource.type === 'xlsx') {
+          // Spreadsheet data source: XlsxDataSource reads the chosen sheet
+          sourceType = SOURCE_TYPES.XLSX;
+          file = fileOrDataSource.file;
+          fileName = fileOrDataSource.file?.name || 'operations.xlsx';
+          parserConfig = { sheet: fileOrDataSource.sheet };
+        } else if (fileOrDataSource.type === 'files') {
+          // Merged files: MultiFileDataSource parses each one and drops cross-file duplicates
+          sourceType = SOURCE_TYPES.FILES;
+          file = fileOrDataSource.files;
+          fileName = fileOrDataSource.name;
         } else {
           // Legacy: direct file object (for backward compatibility)
-          dataSource = new CsvDataSource();
+          sourceType = SOURCE_TYPES.CSV;
           file = fileOrDataSource;
           fileName = fileOrDataSource.name || 'operations.csv';
         }
         
-        const result = await processOperations({
-          dataSource,
-          file,
+        // Runs in a Web Worker so large files don't block the UI
+        const result = await runProcessingJob({
+          sourceType,
+          input: file,
           fileName,
           configuration: configurationPayload,
+          parserConfig,
+          onProgress: setProcessingProgress,
+          signal: controller.signal,
         });
 
         setReport(result);
         setWarningCodes(result.summary.warnings ?? []);
+
+        const mergedFiles = result.meta?.parse?.files;
+        if (Array.isArray(mergedFiles) && mergedFiles.length > 1) {
+          showToast({
+            message: processorStrings.merge.summary
+              .replace('{files}', mergedFiles.length)
+              .replace('{rows}', result.meta.parse.rowCount)
+              .replace('{duplicates}', result.meta.parse.duplicatesRemoved ?? 0),
+            severity: 'info',
+          });
+        }
         
-        // Handle CSV operations: remove previous CSV ops, keep broker ops, add new CSV ops
+        // Handle file operations: remove previous CSV ops, keep broker ops, add new CSV ops
         if (
-          fileOrDataSource.type === 'csv' &&
+          isFileDataSource(fileOrDataSource) &&
           typeof setOperations === 'function' &&
           Array.isArray(result.normalizedOperations) &&
           result.normalizedOperations.length > 0
@@ -721,27 +786,83 @@ const ProcessorScreen = () => {
           setActivePreview(CLIPBOARD_SCOPES.CALLS);
         }
       } catch (err) {
-        setReport(null);
-        setWarningCodes([]);
-        removeItem(storageKeys.lastReport);
-        setProcessingError(err?.message ?? processorStrings.errors.processingFailed);
+        if (isProcessingAbortError(err)) {
+          // Superseded by a newer run: leave its state alone
+          if (processingControllerRef.current !== controller) {
+            return;
+          }
+          showToast({ message: processorStrings.progress.canceled, severity: 'info' });
+        } else if (
+          err?.code === MISSING_COLUMNS_ERROR
+          && fileOrDataSource.type !== 'broker'
+          && fileOrDataSource.type !== 'files'
+        ) {
+          setReport(null);
+          setMappingRequest({
+            source: isFileDataSource(fileOrDataSource) ? fileOrDataSource.file : fileOrDataSource,
+            sheet: fileOrDataSource.sheet,
+            details: err.details,
+            message: err.message,
+          });
+        } else {
+          setReport(null);
+          setWarningCodes([]);
+          removeItem(storageKeys.lastReport);
+          setProcessingError(err?.message ?? processorStrings.errors.processingFailed);
+        }
         // Clear the data source to prevent infinite loop when auto-processing fails
         setSelectedDataSource(null);
         setSelectedFile(null);
       } finally {
-        setIsProcessing(false);
+        if (processingControllerRef.current === controller) {
+          processingControllerRef.current = null;
+          setIsProcessing(false);
+          setProcessingProgress(null);
+        }
       }
     },
     [
       buildConfiguration, 
       existingOperations, 
       processorStrings.errors.processingFailed, 
+      processorStrings.progress.canceled, 
+      processorStrings.merge.summary,
       setOperations,
       syncedOperations,
       brokerAuth,
     ],
   );
 
+  const handleMappingCancel = () => {
+    setProcessingError(mappingRequest?.message ?? null);
+    setMappingRequest(null);
+  };
+
+  const handleMappingSave = async (profile) => {
+    const { source, sheet } = mappingRequest ?? {};
+    setMappingRequest(null);
+    try {
+      await saveImportProfile(profile);
+      showToast({
+        message: processorStrings.columnMapping.saved.replace('{name}', profile.name),
+        severity: 'success',
+      });
+    } catch (error) {
+      console.error('PO: saveImportProfile failed', error);
+    }
+    if (source) {
+      selectFileSource(source, sheet);
+    }
+  };
+
+  const handleCancelProcessing = useCallback(() => {
+    processingControllerRef.current?.abort();
+  }, []);
+
+  useEffect(() => () => {
+    processingControllerRef.current?.abort();
+  }, []);
+
   const triggerSync = useCallback(
     async ({ authOverride = null, mode = 'daily', brokerApiUrl: apiUrlOverride = null } = {}) => {
       const auth = authOverride ?? brokerAuth;
@@ -929,22 +1050,41 @@ const ProcessorScreen = () => {
   triggerSync({ authOverride: brokerAuth, mode: 'daily', brokerApiUrl });
   }, [brokerAuth, brokerApiUrl, isAuthenticated, syncInProgress, triggerSync]);
 
+  // Daily instrument catalog refresh, once per broker session
+  useEffect(() => {
+    if (!isAuthenticated || catalogRefreshTokenRef.current === brokerAuth.token) {
+      return;
+    }
+    catalogRefreshTokenRef.current = brokerAuth.token;
+    if (brokerApiUrl) {
+      setBaseUrl(brokerApiUrl);
+    }
+
+    refreshInstrumentCatalogIfStale({ token: brokerAuth.token })
+      .then((result) => {
+        if (result && (result.diff.added.length > 0 || result.diff.removed.length > 0)) {
+          showToast({
+            message: brokerStrings.catalogRefreshed
+              .replace('{added}', String(result.diff.added.length))
+              .replace('{removed}', String(result.diff.removed.length)),
+            severity: 'info',
+          });
+        }
+      })
+      .catch((error) => {
+        console.warn('PO: Instrument catalog refresh failed', error?.message || error);
+      });
+  }, [brokerAuth, brokerApiUrl, brokerStrings.catalogRefreshed, isAuthenticated]);
+
   useEffect(() => () => {
     if (syncCancellationRef.current) {
       syncCancellationRef.current.isCanceled = true;
     }
   }, []);
 
-  const handleFileSelected = (file) => {
+  const applyFileSelection = (file, dataSource) => {
     setSelectedFile(file);
-    // Add timestamp to ensure each file selection creates a unique data source object
-    // This guarantees the auto-process effect will detect the change
-    setSelectedDataSource(file ? { 
-      type: 'csv', 
-      file, 
-      name: file.name,
-      timestamp: Date.now() // Ensure unique object reference
-    } : null);
+    setSelectedDataSource(dataSource);
   setProcessingError(null);
   // Clear any visible toasts when selecting a new file
   dismissAllToasts();
@@ -959,6 +1099,63 @@ const ProcessorScreen = () => {
     }
   };
 
+  const selectFileSource = (file, sheet) => {
+    // Add timestamp to ensure each file selection creates a unique data source object
+    // This guarantees the auto-process effect will detect the change
+    applyFileSelection(file, file ? { 
+      type: isSpreadsheetFile(file) ? 'xlsx' : 'csv', 
+      file, 
+      sheet,
+      name: file.name,
+      timestamp: Date.now() // Ensure unique object reference
+    } : null);
+  };
+
+  // Several files (or a broker JSON dump) are merged into one session with cross-file dedupe
+  const selectMergedFiles = (files) => {
+    applyFileSelection(files[0], {
+      type: 'files',
+      files,
+      name: files.map((file) => file.name).join(' + '),
+      timestamp: Date.now(),
+    });
+  };
+
+  const handleFileSelected = async (selection) => {
+    const files = (Array.isArray(selection) ? selection : [selection]).filter(Boolean);
+    if (files.length > 1 || (files.length === 1 && resolveFileSourceType(files[0]) === 'json')) {
+      selectMergedFiles(files);
+      return;
+    }
+
+    const [file = null] = files;
+    if (!file || !isSpreadsheetFile(file)) {
+      selectFileSource(file);
+      return;
+    }
+
+    // Workbooks with several sheets ask which one holds the operations
+    try {
+      const sheetNames = await listSpreadsheetSheets(file);
+      if (sheetNames.length > 1) {
+        setSheetRequest({ file, sheetNames });
+        return;
+      }
+      selectFileSource(file, sheetNames[0]);
+    } catch (error) {
+      console.error('PO: listSpreadsheetSheets failed', error);
+      setProcessingError(processorStrings.sheetPicker.readFailed.replace('{message}', error?.message ?? ''));
+    }
+  };
+
+  const handleSheetSelected = (sheet) => {
+    const file = sheetRequest?.file;
+    setSheetRequest(null);
+    if (file) {
+      selectFileSource(file, sheet);
+    }
+  };
+
   const handleBrokerDataSelected = useCallback(() => {
     if (!isAuthenticated || !syncedOperations || syncedOperations.length === 0) {
       return;
@@ -1100,6 +1297,89 @@ const ProcessorScreen = () => {
     }
   };
 
+  const handleDownloadExclusions = async () => {
+    try {
+      await exportExcludedRowsToCsv({
+        report,
+        view: currentViewKey,
+        reasonLabels: processorStrings.exclusions?.reasons,
+      });
+    } catch {
+      showToast({ message: processorStrings.exclusions?.downloadError, severity: 'error' });
+    }
+  };
+
+  const handleImportCharges = async (file) => {
+    const reconciliationStrings = processorStrings.feeReconciliation ?? {};
+    try {
+      const { charges, skipped } = parseBrokerChargesCsv(await file.text());
+      setImportedCharges({ fileName: file.name, charges, skipped });
+      showToast({
+        message: reconciliationStrings.imported
+          .replace('{count}', String(charges.length))
+          .replace('{skipped}', String(skipped)),
+        severity: 'success',
+      });
+    } catch (error) {
+      console.warn('PO: fee charges import failed', error);
+      showToast({ message: error?.message || reconciliationStrings.importError, severity: 'error' });
+    }
+  };
+
+  const handleImportQuotes = async (file) => {
+    const quoteStrings = processorStrings.quotes ?? {};
+    try {
+      const snapshot = await readQuotesFile(file);
+      setQuoteSnapshot(snapshot);
+      showToast({
+        message: quoteStrings.imported
+          .replace('{count}', String(snapshot.quotes.length))
+          .replace('{skipped}', String(snapshot.skipped)),
+        severity: 'success',
+      });
+    } catch (error) {
+      console.warn('PO: quotes import failed', error);
+      showToast({ message: error?.message || quoteStrings.importError, severity: 'error' });
+    }
+  };
+
+  const handleFetchBrokerQuotes = async () => {
+    const quoteStrings = processorStrings.quotes ?? {};
+    let symbols;
+    if (activeOperationType === OPERATION_TYPES.ARBITRAJES) {
+      // The scanner needs both settlements of each instrument and the caución curve
+      symbols = getScannerSymbols(report?.operations ?? []);
+    } else {
+      const sourceOperations = activeOperationType === OPERATION_TYPES.OPCIONES
+        ? [...callsOperations, ...putsOperations].flatMap((row) => row.legs ?? [])
+        : scopedData.filteredOperations ?? [];
+      symbols = sourceOperations
+        .filter((operation) => operation?.category !== 'caucion')
+        .map((operation) => operation?.originalSymbol ?? operation?.symbol)
+        .filter((symbol) => typeof symbol === 'string' && symbol.trim());
+    }
+
+    if (brokerApiUrl) {
+      setBaseUrl(brokerApiUrl);
+    }
+    setQuotesLoading(true);
+    try {
+      const snapshot = await fetchBrokerQuotes(symbols, { token: brokerAuth?.token });
+      setQuoteSnapshot(snapshot);
+      showToast({
+        message: quoteStrings.fetched
+          .replace('{count}', String(snapshot.quotes.length))
+          .replace('{failed}', String(snapshot.failed.length)),
+        severity: snapshot.failed.length > 0 ? 'warning' : 'success',
+      });
+    } catch (error) {
+      console.warn('PO: broker quotes request failed', error);
+      showToast({ message: error?.message || quoteStrings.fetchError, severity: 'error' });
+    } finally {
+      setQuotesLoading(false);
+    }
+  };
+
   useEffect(() => {
     const reportGroups = Array.isArray(report?.groups) ? report.groups : [];
     if (reportGroups.length === 0) {
@@ -1121,6 +1401,8 @@ const ProcessorScreen = () => {
             return processorStrings.warnings.parseErrors;
           case 'maxRowsExceeded':
             return processorStrings.warnings.maxRowsExceeded;
+          case 'strikeCatalogMismatch':
+            return processorStrings.warnings.strikeCatalogMismatch;
           default:
             return null;
         }
@@ -1399,6 +1681,8 @@ const ProcessorScreen = () => {
   );
 
   const currentViewKey = useAveraging ? 'averaged' : 'raw';
+  // Exclusions cover the whole file, so they are read from the unscoped report
+  const excludedRows = report?.views?.[currentViewKey]?.exclusions?.rows ?? report?.exclusions?.rows ?? [];
   const scopedReport = scopedData.scopedReport ?? report;
   const currentView =
     scopedData.activeView
@@ -1410,6 +1694,30 @@ const ProcessorScreen = () => {
   const putsOperations = currentView?.puts?.operations ?? [];
   const opcionesSelectedGroupId = useMemo(() => selectedGroupIds[OPERATION_TYPES.OPCIONES] ?? [], [selectedGroupIds]);
 
+  // Underlying stock operations keyed by symbol for the option groups in scope
+  // (payoff chart and covered-call detection). No selection means every option group.
+  const stockOperationsByUnderlying = useMemo(() => {
+    const selectedIds = Array.isArray(opcionesSelectedGroupId)
+      ? opcionesSelectedGroupId.filter((id) => id && id !== ALL_GROUP_ID)
+      : [];
+    const scopeIds = selectedIds.length > 0
+      ? selectedIds
+      : groups.filter(isOptionGroup).map((group) => group.id);
+    const map = new Map();
+    scopeIds.forEach((id) => {
+      const underlying = id.split('::')[0];
+      if (!underlying || map.has(underlying)) {
+        return;
+      }
+      const stockOperations = (groupedOperations.get(buildGroupKey(underlying, DEFAULT_EXPIRATION_TOKEN)) ?? [])
+        .filter((operation) => !OPTION_OPERATION_TYPES.has(operation?.optionType));
+      if (stockOperations.length > 0) {
+        map.set(underlying, stockOperations);
+      }
+    });
+    return map;
+  }, [opcionesSelectedGroupId, groups, groupedOperations]);
+
   const handleGroupChange = useCallback((nextValue) => {
     // nextValue should be an array of selected IDs
     setSelectedGroupIdForType(activeOperationType, nextValue);
@@ -1613,12 +1921,21 @@ const ProcessorScreen = () => {
       strings: processorStrings,
       onGroupChange: handleGroupChange,
     };
+    const quoteProps = {
+      quoteSnapshot,
+      quotesLoading,
+      canFetchQuotes: isAuthenticated,
+      onImportQuotes: handleImportQuotes,
+      onFetchQuotes: handleFetchBrokerQuotes,
+      onClearQuotes: () => setQuoteSnapshot(null),
+    };
 
     switch (activeOperationType) {
       case OPERATION_TYPES.OPCIONES:
         return (
           <OpcionesView
             {...commonProps}
+            {...quoteProps}
             groupOptions={optionGroupOptions}
             callsOperations={callsOperations}
             putsOperations={putsOperations}
@@ -1626,6 +1943,7 @@ const ProcessorScreen = () => {
             onDownload={handleDownload}
             averagingEnabled={useAveraging}
             onToggleAveraging={handleToggleAveraging}
+            stockOperationsByUnderlying={stockOperationsByUnderlying}
           />
         );
 
@@ -1633,6 +1951,7 @@ const ProcessorScreen = () => {
         return (
           <CompraVentaView
             {...commonProps}
+            {...quoteProps}
             groupOptions={compraVentaGroupOptions}
             operations={scopedData.filteredOperations}
             expirationLabels={expirationLabelMap}
@@ -1646,6 +1965,7 @@ const ProcessorScreen = () => {
         return (
           <ArbitrajesView
             {...commonProps}
+            {...quoteProps}
             groupOptions={allGroupOptions}
             operations={allOperations}
             avgTNAByCurrency={avgTNAByCurrency}
@@ -1653,6 +1973,44 @@ const ProcessorScreen = () => {
         );
       }
 
+      case OPERATION_TYPES.POSICIONES:
+        return (
+          <PosicionesView
+            strings={processorStrings}
+            operations={report?.operations ?? []}
+            fileName={selectedDataSource?.name || selectedFile?.name}
+          />
+        );
+
+      case OPERATION_TYPES.CAUCIONES:
+        return (
+          <CaucionesView
+            strings={processorStrings}
+            operations={report?.operations ?? []}
+            fileName={selectedDataSource?.name || selectedFile?.name}
+          />
+        );
+
+      case OPERATION_TYPES.EXCLUIDAS:
+        return (
+          <ExclusionsView
+            strings={processorStrings}
+            rows={excludedRows}
+            onDownload={handleDownloadExclusions}
+          />
+        );
+
+      case OPERATION_TYPES.CONCILIACION:
+        return (
+          <FeeReconciliationView
+            strings={processorStrings}
+            operations={report?.operations ?? []}
+            importedCharges={importedCharges}
+            onImportCharges={handleImportCharges}
+            onClearCharges={() => setImportedCharges(null)}
+          />
+        );
+
       default:
         return null;
     }
@@ -1711,7 +2069,13 @@ const ProcessorScreen = () => {
         overflow: 'auto',
       }}
     >
-      {isProcessing && <LinearProgress />}
+      {isProcessing && (
+        <ProcessingProgress
+          progress={processingProgress}
+          strings={processorStrings.progress}
+          onCancel={handleCancelProcessing}
+        />
+      )}
 
       {/* Only show top-level error if we have a selected data source (during active processing) */}
       {processingError && selectedDataSource && <Alert severity="error" sx={{ mx: 3, mt: 2 }}>{processingError}</Alert>}
@@ -1749,6 +2113,7 @@ const ProcessorScreen = () => {
                 strings={processorStrings}
                 activeTab={activeOperationType}
                 onTabChange={handleOperationTypeChange}
+                excludedCount={excludedRows.length}
                 onClose={() => {
                   setSelectedDataSource(null);
                   setSelectedFile(null);
@@ -1768,9 +2133,9 @@ const ProcessorScreen = () => {
                         : null
                     }
                     csvSource={
-                      selectedFile && selectedDataSource?.type === 'csv'
+                      selectedFile && isFileDataSource(selectedDataSource)
                         ? {
-                            fileName: selectedFile.name,
+                            fileName: selectedDataSource.name ?? selectedFile.name,
                             operationCount: report?.operations?.length || 0,
                           }
                         : null
@@ -1796,6 +2161,24 @@ const ProcessorScreen = () => {
           ) : null}
         </Stack>
 
+      <ColumnMappingWizard
+        open={Boolean(mappingRequest)}
+        details={mappingRequest?.details}
+        fileName={mappingRequest?.source?.name}
+        strings={processorStrings.columnMapping}
+        onCancel={handleMappingCancel}
+        onSave={handleMappingSave}
+      />
+
+      <SheetPickerDialog
+        open={Boolean(sheetRequest)}
+        fileName={sheetRequest?.file?.name}
+        sheetNames={sheetRequest?.sheetNames}
+        strings={processorStrings.sheetPicker}
+        onSelect={handleSheetSelected}
+        onCancel={() => setSheetRequest(null)}
+      />
+
       {/* Toast notifications are handled by the global ToastContainer (mounted at app root).
           This avoids re-rendering the Processor screen when toasts are shown/hidden. */}
     </Box>
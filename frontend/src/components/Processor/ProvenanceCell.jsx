@@ -0,0 +1,46 @@
+import TableCell from '@mui/material/TableCell';
+import Tooltip from '@mui/material/Tooltip';
+
+import { summarizeProvenance } from '../../services/data-sources/index.js';
+
+const MAX_TOOLTIP_ROWS = 20;
+
+const formatRows = (rows) => (
+  rows.length > MAX_TOOLTIP_ROWS
+    ? `${rows.slice(0, MAX_TOOLTIP_ROWS).join(', ')}, …`
+    : rows.join(', ')
+);
+
+/**
+ * "Origen" cell for merged sessions: file and row for single fills, counts with the full
+ * list in a tooltip for aggregated rows.
+ */
+const ProvenanceCell = ({ provenance = [], strings, sx }) => {
+  const files = summarizeProvenance(provenance);
+  const labels = strings?.tables?.provenance ?? {};
+
+  let label = '—';
+  if (files.length === 1 && files[0].rows.length === 1) {
+    label = `${files[0].fileName} · ${(labels.row ?? 'fila {row}').replace('{row}', files[0].rows[0])}`;
+  } else if (files.length === 1) {
+    label = `${files[0].fileName} (${(labels.rows ?? '{count} filas').replace('{count}', files[0].rows.length)})`;
+  } else if (files.length > 1) {
+    label = (labels.files ?? '{count} archivos').replace('{count}', files.length);
+  }
+
+  const tooltip = files
+    .map(({ fileName, rows }) => `${fileName}: ${(labels.rowList ?? 'filas {rows}').replace('{rows}', formatRows(rows))}`)
+    .join('\n');
+
+  return (
+    <TableCell sx={{ whiteSpace: 'nowrap', color: 'text.secondary', ...sx }}>
+      {files.length > 0 ? (
+        <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{tooltip}</span>} disableInteractive>
+          <span>{label}</span>
+        </Tooltip>
+      ) : label}
+    </TableCell>
+  );
+};
+
+export default ProvenanceCell;
@@ -0,0 +1,140 @@
+/**
+ * QuotesToolbar - Loads a market quote snapshot and shows the unrealized P&L of the view
+ * Shared by the option and Compra/Venta views; totals are per currency and per group.
+ */
+
+import { useRef } from 'react';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import CircularProgress from '@mui/material/CircularProgress';
+import Stack from '@mui/material/Stack';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import CloseIcon from '@mui/icons-material/Close';
+import CloudDownloadIcon from '@mui/icons-material/CloudDownload';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+
+import { formatCurrency } from '../../services/pnl-calculations.js';
+import { QUOTE_SOURCES } from '../../services/quotes/market-quotes.js';
+
+const getPnLColor = (value) => {
+  if (value > 0) return 'success.main';
+  if (value < 0) return 'error.main';
+  return 'text.secondary';
+};
+
+const formatTotals = (totals = {}) => Object.entries(totals)
+  .map(([currency, amount]) => formatCurrency(amount, currency))
+  .join(' · ');
+
+const sumTotals = (totals = {}) => Object.values(totals).reduce((sum, amount) => sum + amount, 0);
+
+const QuotesToolbar = ({
+  snapshot = null,
+  summary = null,
+  loading = false,
+  canFetchBroker = false,
+  onImport,
+  onFetchBroker,
+  onClear,
+  strings = {},
+}) => {
+  const quoteStrings = strings?.quotes ?? {};
+  const fileInputRef = useRef(null);
+  const groupEntries = Object.entries(summary?.byGroup ?? {}).filter(([group]) => group);
+
+  const handleFileChange = (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = '';
+    if (file && onImport) {
+      onImport(file);
+    }
+  };
+
+  const snapshotLabel = snapshot
+    ? (quoteStrings.snapshotLabel ?? '{source} · {time}')
+      .replace('{source}', snapshot.source === QUOTE_SOURCES.BROKER
+        ? (quoteStrings.brokerSource ?? 'Broker')
+        : snapshot.fileName ?? snapshot.source)
+      .replace('{time}', new Date(snapshot.loadedAt).toLocaleTimeString('es-AR'))
+    : null;
+
+  return (
+    <Stack
+      direction="row"
+      spacing={1.5}
+      alignItems="center"
+      flexWrap="wrap"
+      useFlexGap
+      sx={{ px: 2, py: 1, borderBottom: 1, borderColor: 'divider' }}
+      data-testid="quotes-toolbar"
+    >
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<UploadFileIcon />}
+        onClick={() => fileInputRef.current?.click()}
+        disabled={loading}
+        data-testid="quotes-import-button"
+      >
+        {quoteStrings.importButton ?? 'Importar cotizaciones'}
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        hidden
+        onChange={handleFileChange}
+      />
+      <Tooltip title={canFetchBroker ? '' : (quoteStrings.brokerRequired ?? 'Iniciá sesión en el broker para cotizar')}>
+        <span>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={loading ? <CircularProgress size={14} /> : <CloudDownloadIcon />}
+            onClick={onFetchBroker}
+            disabled={!canFetchBroker || loading}
+            data-testid="quotes-broker-button"
+          >
+            {quoteStrings.brokerButton ?? 'Cotizar con broker'}
+          </Button>
+        </span>
+      </Tooltip>
+      {snapshot && (
+        <Chip
+          size="small"
+          label={snapshotLabel}
+          onDelete={onClear}
+          deleteIcon={<CloseIcon aria-label={quoteStrings.clear ?? 'Quitar cotizaciones'} />}
+        />
+      )}
+      {snapshot && summary && (
+        <>
+          <Typography variant="body2" sx={{ fontWeight: 600, color: getPnLColor(sumTotals(summary.totals)) }}>
+            {(quoteStrings.unrealizedTotal ?? 'P&L no realizado: {amount}')
+              .replace('{amount}', formatTotals(summary.totals) || formatCurrency(0))}
+          </Typography>
+          {groupEntries.map(([group, totals]) => (
+            <Chip
+              key={group}
+              size="small"
+              variant="outlined"
+              label={`${group}: ${formatTotals(totals)}`}
+              sx={{ color: getPnLColor(sumTotals(totals)) }}
+            />
+          ))}
+          {summary.missing.length > 0 && (
+            <Tooltip title={summary.missing.join(', ')}>
+              <Typography variant="caption" color="warning.main">
+                {(quoteStrings.missing ?? '{count} instrumentos sin cotización')
+                  .replace('{count}', String(summary.missing.length))}
+              </Typography>
+            </Tooltip>
+          )}
+        </>
+      )}
+    </Stack>
+  );
+};
+
+export default QuotesToolbar;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Box, TextField, Button, MenuItem } from '@mui/material';
+import { Add as AddIcon } from '@mui/icons-material';
+import { MONTH_EXPIRATION_CODES } from '../../../services/settings-types';
+import { buildExpirationCode } from '../../../services/expiration-catalog';
+import strings from '../../../strings';
+
+const YEAR_REGEX = /^(\d{2}|\d{4})$/;
+
+/**
+ * Inline form to add a monthly expiration (optionally year-specific) to a symbol catalog.
+ * Suffixes are generated by the caller.
+ *
+ * @param {Object} props
+ * @param {string[]} props.existingCodes - Codes already in the catalog
+ * @param {Function} props.onAdd - Callback receiving { monthCode, year }
+ */
+export default function AddExpirationForm({ existingCodes = [], onAdd }) {
+  const s = strings.settings.symbolSettings.expirationTabs;
+
+  const [monthCode, setMonthCode] = useState(MONTH_EXPIRATION_CODES[0]);
+  const [year, setYear] = useState('');
+  const [error, setError] = useState('');
+
+  const handleAdd = () => {
+    const trimmedYear = year.trim();
+    if (trimmedYear && !YEAR_REGEX.test(trimmedYear)) {
+      setError(s.errorYearInvalid || 'Invalid year');
+      return;
+    }
+
+    const code = buildExpirationCode(monthCode, trimmedYear);
+    if (existingCodes.includes(code)) {
+      setError(s.errorExpirationDuplicate || 'Expiration already exists');
+      return;
+    }
+
+    setError('');
+    setYear('');
+    if (onAdd) {
+      onAdd({ monthCode, year: trimmedYear || undefined });
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 2 }}>
+      <TextField
+        select
+        size="small"
+        label={s.monthLabel}
+        value={monthCode}
+        onChange={(e) => setMonthCode(e.target.value)}
+        sx={{ width: 110 }}
+        inputProps={{ 'data-testid': 'add-expiration-month' }}
+      >
+        {MONTH_EXPIRATION_CODES.map((code) => (
+          <MenuItem key={code} value={code}>{code}</MenuItem>
+        ))}
+      </TextField>
+      <TextField
+        size="small"
+        label={s.yearLabel}
+        value={year}
+        onChange={(e) => {
+          setYear(e.target.value);
+          setError('');
+        }}
+        onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+        placeholder="Ej. 26"
+        error={!!error}
+        helperText={error || s.yearHelper}
+        inputProps={{ maxLength: 4, 'data-testid': 'add-expiration-year' }}
+        sx={{ width: 260 }}
+      />
+      <Button
+        variant="outlined"
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={handleAdd}
+        sx={{ mt: 0.5 }}
+      >
+        {s.addExpirationButton}
+      </Button>
+    </Box>
+  );
+}
@@ -16,6 +16,7 @@ import {
 } from '../../../services/fees/broker-fees-storage.js';
 import { refreshFeeServices } from '../../../services/bootstrap-defaults.js';
 import { showToast } from '../../../services/toastService.js';
+import FeeProfilesEditor from './FeeProfilesEditor.jsx';
 
 const brokerStrings = strings.settings.brokerFees;
 
@@ -239,6 +240,12 @@ export default function BrokerFeesScreen() {
         </Stack>
       )}
 
+      {!loading && (
+        <Box sx={{ mt: 5 }}>
+          <FeeProfilesEditor />
+        </Box>
+      )}
+
       {/* Toasts are handled by the global ToastContainer */}
     </Container>
   );
@@ -14,6 +14,10 @@ import { Add as AddIcon, Close as CloseIcon } from '@mui/icons-material';
 import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
 import { validateSuffix, validateDecimals } from '../../../services/settings-utils';
 import { DECIMALS_MIN, DECIMALS_MAX } from '../../../services/settings-types';
+import {
+  estimateExpirationDate,
+  parseExpirationDate,
+} from '../../../services/options/expiration-calendar.js';
 import OverrideRow from './OverrideRow.jsx';
 import strings from '../../../strings';
 
@@ -26,8 +30,9 @@ import strings from '../../../strings';
  * @param {string} props.expirationCode - Current expiration code (e.g., "DIC")
  * @param {Object} props.expiration - ExpirationSetting object
  * @param {Function} props.onExpirationUpdate - Callback when expiration is updated
+ * @param {Function} [props.onExpirationRemove] - Callback to remove the expiration from the catalog
  */
-export default function ExpirationDetail({ expirationCode, expiration, onExpirationUpdate }) {
+export default function ExpirationDetail({ expirationCode, expiration, onExpirationUpdate, onExpirationRemove }) {
   const s = strings.settings.symbolSettings.expirationTabs;
 
   const [suffixes, setSuffixes] = useState([]);
@@ -36,6 +41,7 @@ export default function ExpirationDetail({ expirationCode, expiration, onExpirat
   const [suffixError, setSuffixError] = useState('');
   const [decimalsError, setDecimalsError] = useState('');
   const [overrides, setOverrides] = useState([]);
+  const [expirationDate, setExpirationDate] = useState('');
 
   // Initialize from expiration object
   useEffect(() => {
@@ -43,6 +49,7 @@ export default function ExpirationDetail({ expirationCode, expiration, onExpirat
       setSuffixes(expiration.suffixes || []);
       setDecimals(expiration.decimals !== undefined ? expiration.decimals : 2);
       setOverrides(expiration.overrides || []);
+      setExpirationDate(expiration.expirationDate || '');
       setSuffixError('');
       setDecimalsError('');
     }
@@ -100,6 +107,19 @@ export default function ExpirationDetail({ expirationCode, expiration, onExpirat
     saveExpirationUpdate({ decimals: validation.value });
   };
 
+  const handleExpirationDateChange = (e) => {
+    const value = e.target.value;
+    setExpirationDate(value);
+    if (!value || parseExpirationDate(value)) {
+      saveExpirationUpdate({ expirationDate: value || null });
+    }
+  };
+
+  const handleExpirationDateClear = () => {
+    setExpirationDate('');
+    saveExpirationUpdate({ expirationDate: null });
+  };
+
   const handleOverrideAdd = (override) => {
     const updated = [...overrides, override];
     setOverrides(updated);
@@ -135,9 +155,41 @@ export default function ExpirationDetail({ expirationCode, expiration, onExpirat
 
   return (
     <Box sx={{ p: 3 }}>
-      <Typography variant="h6" gutterBottom>
-        {expirationCode}
-      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Typography variant="h6">
+          {expirationCode}
+        </Typography>
+        {onExpirationRemove && (
+          <Button size="small" color="error" onClick={() => onExpirationRemove(expirationCode)}>
+            {s.removeExpirationButton || 'Eliminar vencimiento'}
+          </Button>
+        )}
+      </Box>
+
+      {/* Expiration Date Section */}
+      <Box sx={{ mb: 3, display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+        <TextField
+          label={s.expirationDateLabel || 'Fecha de vencimiento'}
+          type="date"
+          size="small"
+          value={expirationDate}
+          onChange={handleExpirationDateChange}
+          helperText={expirationDate
+            ? s.expirationDateHelper
+            : (s.expirationDateEstimated || 'Fecha estimada: {date}').replace(
+                '{date}',
+                estimateExpirationDate(expirationCode)?.toLocaleDateString('es-AR') ?? '—',
+              )}
+          sx={{ width: 280 }}
+          InputLabelProps={{ shrink: true }}
+          inputProps={{ 'data-testid': 'expiration-date-input' }}
+        />
+        {expirationDate && (
+          <Button size="small" onClick={handleExpirationDateClear} sx={{ mt: 0.5 }}>
+            {s.expirationDateClear || 'Usar fecha estimada'}
+          </Button>
+        )}
+      </Box>
 
       {/* Decimals Section */}
       <Box sx={{ mb: 3 }}>
@@ -193,10 +245,10 @@ export default function ExpirationDetail({ expirationCode, expiration, onExpirat
             value={newSuffix}
             onChange={(e) => setNewSuffix(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && handleAddSuffix()}
-            placeholder="Ej. O, OC"
+            placeholder="Ej. O, OC, OC26"
             error={!!suffixError}
             helperText={suffixError}
-            inputProps={{ maxLength: 2 }}
+            inputProps={{ maxLength: 4 }}
             sx={{ width: 120 }}
           />
           <Button
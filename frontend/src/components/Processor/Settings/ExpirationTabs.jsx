@@ -4,7 +4,7 @@ import strings from '../../../strings';
 
 /**
  * Vertical tabs component for expiration navigation.
- * Displays available expiration codes (DIC, FEB, ABR, JUN, AGO, OCT).
+ * Displays the symbol's expiration catalog (e.g. ENE … DIC, OCT26).
  * 
  * @param {Object} props
  * @param {Array<string>} props.expirationCodes - List of expiration codes
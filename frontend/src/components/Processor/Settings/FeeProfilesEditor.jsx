@@ -0,0 +1,356 @@
+import { useEffect, useState } from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Paper from '@mui/material/Paper';
+import Checkbox from '@mui/material/Checkbox';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import IconButton from '@mui/material/IconButton';
+import Tooltip from '@mui/material/Tooltip';
+import Divider from '@mui/material/Divider';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+
+import strings from '../../../strings/es-AR.js';
+import { loadFeeProfiles, saveFeeProfiles } from '../../../services/fees/broker-fees-storage.js';
+import { COMMISSION_CATEGORIES, toIsoDate } from '../../../services/fees/fee-profiles.js';
+import { showToast } from '../../../services/toastService.js';
+
+const profileStrings = strings.settings.brokerFees.profiles;
+
+const toInput = (value) => (typeof value === 'number' && Number.isFinite(value) ? String(value) : '');
+
+const commissionsToForm = (commissions = {}) => Object.fromEntries(
+  COMMISSION_CATEGORIES.map((category) => [category, toInput(commissions[category])]),
+);
+
+const createEmptySchedule = () => ({
+  effectiveFrom: new Date().toISOString().slice(0, 10),
+  minimumFee: '',
+  commissions: commissionsToForm(),
+  tiers: [],
+});
+
+const createEmptyProfile = (isDefault) => ({
+  id: `profile-${Date.now()}`,
+  name: '',
+  accounts: '',
+  isDefault,
+  schedules: [createEmptySchedule()],
+});
+
+const profilesToForm = (profiles) => profiles.map((profile) => ({
+  id: profile.id,
+  name: profile.name,
+  accounts: profile.accounts.join(', '),
+  isDefault: profile.isDefault,
+  schedules: profile.schedules.map((schedule) => ({
+    effectiveFrom: schedule.effectiveFrom,
+    minimumFee: schedule.minimumFee > 0 ? String(schedule.minimumFee) : '',
+    commissions: commissionsToForm(schedule.commissions),
+    tiers: schedule.tiers.map((tier) => ({
+      minVolume: String(tier.minVolume),
+      commissions: commissionsToForm(tier.commissions),
+    })),
+  })),
+}));
+
+const isFormValid = (profiles) => profiles.every((profile) => (
+  profile.name.trim()
+  && profile.schedules.length > 0
+  && profile.schedules.every((schedule) => toIsoDate(schedule.effectiveFrom))
+));
+
+const CommissionFields = ({ commissions, onChange, disabled }) => (
+  <>
+    {COMMISSION_CATEGORIES.map((category) => (
+      <TextField
+        key={category}
+        label={profileStrings.categories[category]}
+        size="small"
+        type="number"
+        value={commissions[category]}
+        onChange={(event) => onChange({ ...commissions, [category]: event.target.value })}
+        inputProps={{ min: 0, step: '0.01' }}
+        placeholder={profileStrings.basePlaceholder}
+        InputLabelProps={{ shrink: true }}
+        disabled={disabled}
+        sx={{ width: 130 }}
+      />
+    ))}
+  </>
+);
+
+const RemoveButton = ({ title, onClick, disabled }) => (
+  <Tooltip title={title}>
+    <span>
+      <IconButton size="small" onClick={onClick} disabled={disabled} aria-label={title}>
+        <DeleteOutlineIcon fontSize="small" />
+      </IconButton>
+    </span>
+  </Tooltip>
+);
+
+export default function FeeProfilesEditor() {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+
+    const loadData = async () => {
+      try {
+        const stored = await loadFeeProfiles();
+        if (mounted) {
+          setProfiles(profilesToForm(stored.profiles));
+        }
+      } catch (error) {
+        console.error('PO: loadFeeProfiles failed', error);
+        if (mounted) {
+          setErrorMessage(profileStrings.errorMessage);
+        }
+      } finally {
+        if (mounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadData();
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const updateProfile = (profileIndex, changes) => {
+    setDirty(true);
+    setProfiles((current) => current.map((profile, index) => {
+      if (index === profileIndex) {
+        return { ...profile, ...changes };
+      }
+      // A single default profile: checking one unchecks the rest
+      return changes.isDefault ? { ...profile, isDefault: false } : profile;
+    }));
+  };
+
+  const updateSchedule = (profileIndex, scheduleIndex, changes) => {
+    const schedules = profiles[profileIndex].schedules.map((schedule, index) => (
+      index === scheduleIndex ? { ...schedule, ...changes } : schedule
+    ));
+    updateProfile(profileIndex, { schedules });
+  };
+
+  const updateTier = (profileIndex, scheduleIndex, tierIndex, changes) => {
+    const tiers = profiles[profileIndex].schedules[scheduleIndex].tiers.map((tier, index) => (
+      index === tierIndex ? { ...tier, ...changes } : tier
+    ));
+    updateSchedule(profileIndex, scheduleIndex, { tiers });
+  };
+
+  const handleAddProfile = () => {
+    setDirty(true);
+    setProfiles((current) => [...current, createEmptyProfile(current.length === 0)]);
+  };
+
+  const handleRemoveProfile = (profileIndex) => {
+    setDirty(true);
+    setProfiles((current) => current.filter((_, index) => index !== profileIndex));
+  };
+
+  const handleSave = async () => {
+    if (!isFormValid(profiles)) {
+      setErrorMessage(profileStrings.validationError);
+      return;
+    }
+
+    setSaving(true);
+    setErrorMessage('');
+    try {
+      const saved = await saveFeeProfiles(profiles);
+      setProfiles(profilesToForm(saved.profiles));
+      setDirty(false);
+      showToast({ message: profileStrings.successMessage, severity: 'success' });
+    } catch (error) {
+      console.error('PO: saveFeeProfiles failed', error);
+      setErrorMessage(profileStrings.errorMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <Stack spacing={2} sx={{ maxWidth: 1100 }}>
+      <Box>
+        <Typography variant="h5" component="h2" gutterBottom>
+          {profileStrings.title}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {profileStrings.description}
+        </Typography>
+      </Box>
+
+      {errorMessage && (
+        <Alert severity="error" onClose={() => setErrorMessage('')}>
+          {errorMessage}
+        </Alert>
+      )}
+
+      {profiles.length === 0 && (
+        <Typography variant="body2" color="text.secondary">{profileStrings.empty}</Typography>
+      )}
+
+      {profiles.map((profile, profileIndex) => (
+        <Paper key={profile.id} variant="outlined" sx={{ p: 2 }}>
+          <Stack spacing={2}>
+            <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap" useFlexGap>
+              <TextField
+                label={profileStrings.nameLabel}
+                size="small"
+                value={profile.name}
+                onChange={(event) => updateProfile(profileIndex, { name: event.target.value })}
+                disabled={saving}
+                required
+              />
+              <TextField
+                label={profileStrings.accountsLabel}
+                size="small"
+                value={profile.accounts}
+                onChange={(event) => updateProfile(profileIndex, { accounts: event.target.value })}
+                helperText={profileStrings.accountsHelper}
+                disabled={saving}
+                sx={{ minWidth: 280 }}
+              />
+              <FormControlLabel
+                control={(
+                  <Checkbox
+                    checked={profile.isDefault}
+                    onChange={(event) => updateProfile(profileIndex, { isDefault: event.target.checked })}
+                    disabled={saving}
+                  />
+                )}
+                label={profileStrings.defaultLabel}
+              />
+              <Box sx={{ flex: 1 }} />
+              <RemoveButton
+                title={profileStrings.removeProfile}
+                onClick={() => handleRemoveProfile(profileIndex)}
+                disabled={saving}
+              />
+            </Stack>
+
+            {profile.schedules.map((schedule, scheduleIndex) => (
+              <Stack key={scheduleIndex} spacing={1.5}>
+                <Divider />
+                <Stack direction="row" spacing={1.5} alignItems="center" flexWrap="wrap" useFlexGap>
+                  <TextField
+                    label={profileStrings.effectiveFromLabel}
+                    type="date"
+                    size="small"
+                    value={schedule.effectiveFrom}
+                    onChange={(event) => updateSchedule(profileIndex, scheduleIndex, { effectiveFrom: event.target.value })}
+                    InputLabelProps={{ shrink: true }}
+                    disabled={saving}
+                  />
+                  <CommissionFields
+                    commissions={schedule.commissions}
+                    onChange={(commissions) => updateSchedule(profileIndex, scheduleIndex, { commissions })}
+                    disabled={saving}
+                  />
+                  <TextField
+                    label={profileStrings.minimumFeeLabel}
+                    size="small"
+                    type="number"
+                    value={schedule.minimumFee}
+                    onChange={(event) => updateSchedule(profileIndex, scheduleIndex, { minimumFee: event.target.value })}
+                    inputProps={{ min: 0, step: '1' }}
+                    InputLabelProps={{ shrink: true }}
+                    disabled={saving}
+                    sx={{ width: 150 }}
+                  />
+                  <RemoveButton
+                    title={profileStrings.removeSchedule}
+                    onClick={() => updateProfile(profileIndex, {
+                      schedules: profile.schedules.filter((_, index) => index !== scheduleIndex),
+                    })}
+                    disabled={saving || profile.schedules.length === 1}
+                  />
+                </Stack>
+
+                {schedule.tiers.map((tier, tierIndex) => (
+                  <Stack key={tierIndex} direction="row" spacing={1.5} alignItems="center" sx={{ pl: 4 }} flexWrap="wrap" useFlexGap>
+                    <TextField
+                      label={profileStrings.minVolumeLabel}
+                      size="small"
+                      type="number"
+                      value={tier.minVolume}
+                      onChange={(event) => updateTier(profileIndex, scheduleIndex, tierIndex, { minVolume: event.target.value })}
+                      inputProps={{ min: 0, step: '1000' }}
+                      InputLabelProps={{ shrink: true }}
+                      disabled={saving}
+                      sx={{ width: 180 }}
+                    />
+                    <CommissionFields
+                      commissions={tier.commissions}
+                      onChange={(commissions) => updateTier(profileIndex, scheduleIndex, tierIndex, { commissions })}
+                      disabled={saving}
+                    />
+                    <RemoveButton
+                      title={profileStrings.removeTier}
+                      onClick={() => updateSchedule(profileIndex, scheduleIndex, {
+                        tiers: schedule.tiers.filter((_, index) => index !== tierIndex),
+                      })}
+                      disabled={saving}
+                    />
+                  </Stack>
+                ))}
+                <Box sx={{ pl: 4 }}>
+                  <Button
+                    size="small"
+                    startIcon={<AddIcon />}
+                    onClick={() => updateSchedule(profileIndex, scheduleIndex, {
+                      tiers: [...schedule.tiers, { minVolume: '', commissions: commissionsToForm() }],
+                    })}
+                    disabled={saving}
+                  >
+                    {profileStrings.addTier}
+                  </Button>
+                </Box>
+              </Stack>
+            ))}
+
+            <Box>
+              <Button
+                size="small"
+                startIcon={<AddIcon />}
+                onClick={() => updateProfile(profileIndex, { schedules: [...profile.schedules, createEmptySchedule()] })}
+                disabled={saving}
+              >
+                {profileStrings.addSchedule}
+              </Button>
+            </Box>
+          </Stack>
+        </Paper>
+      ))}
+
+      <Stack direction="row" spacing={2}>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={handleAddProfile} disabled={saving}>
+          {profileStrings.addProfile}
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !dirty}>
+          {saving ? `${profileStrings.saveButton}...` : profileStrings.saveButton}
+        </Button>
+      </Stack>
+    </Stack>
+  );
+}
@@ -0,0 +1,344 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import Container from '@mui/material/Container';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import IconButton from '@mui/material/IconButton';
+import Tooltip from '@mui/material/Tooltip';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import CircularProgress from '@mui/material/CircularProgress';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+
+import strings from '../../../strings/es-AR.js';
+import {
+  HOLIDAY_SOURCES,
+  HOLIDAY_TYPES,
+  getHolidaysForYear,
+  mergeCustomHolidays,
+  sanitizeHolidayEntry,
+} from '../../../services/holidays/holiday-calendar.js';
+import {
+  clearHolidayOverrides,
+  initializeHolidayCalendar,
+  saveHolidayOverrides,
+} from '../../../services/holidays/holiday-storage.js';
+import { parseHolidayFile } from '../../../services/holidays/holiday-import.js';
+import { showToast } from '../../../services/toastService.js';
+
+const holidayStrings = strings.settings.holidays;
+
+const TYPE_COLORS = {
+  [HOLIDAY_TYPES.NATIONAL]: 'primary',
+  [HOLIDAY_TYPES.BRIDGE]: 'secondary',
+  [HOLIDAY_TYPES.MARKET]: 'warning',
+};
+
+const YEARS_AROUND_CURRENT = 2;
+
+const buildYearOptions = (currentYear) => {
+  const years = [];
+  for (let year = currentYear - 1; year <= currentYear + YEARS_AROUND_CURRENT; year += 1) {
+    years.push(year);
+  }
+  return years;
+};
+
+const formatDisplayDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+const EMPTY_FORM = { date: '', name: '', type: HOLIDAY_TYPES.MARKET };
+
+export default function HolidaysScreen() {
+  const currentYear = new Date().getFullYear();
+  const yearOptions = useMemo(() => buildYearOptions(currentYear), [currentYear]);
+
+  const [year, setYear] = useState(currentYear);
+  const [overrides, setOverrides] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    let mounted = true;
+
+    const loadData = async () => {
+      try {
+        const stored = await initializeHolidayCalendar();
+        if (mounted) {
+          setOverrides(stored);
+        }
+      } catch (error) {
+        console.error('PO: loadHolidayOverrides failed', error);
+        if (mounted) {
+          setErrorMessage(holidayStrings.errorMessage);
+        }
+      } finally {
+        if (mounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadData();
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  // getHolidaysForYear reads the active calendar, which is replaced on every save
+  const holidays = useMemo(() => (overrides ? getHolidaysForYear(year) : []), [overrides, year]);
+
+  const persist = async (next, message) => {
+    setSaving(true);
+    setErrorMessage('');
+    try {
+      const saved = await saveHolidayOverrides(next);
+      setOverrides(saved);
+      if (message) {
+        showToast({ message, severity: 'success' });
+      }
+      return true;
+    } catch (error) {
+      console.error('PO: saveHolidayOverrides failed', error);
+      setErrorMessage(holidayStrings.errorMessage);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFormChange = (field) => (event) => {
+    setForm((current) => ({ ...current, [field]: event.target.value }));
+  };
+
+  const handleAdd = async () => {
+    const entry = sanitizeHolidayEntry(form);
+    if (!entry || !entry.name) {
+      setErrorMessage(holidayStrings.validationError);
+      return;
+    }
+    const { custom } = mergeCustomHolidays(overrides.custom, [entry]);
+    const disabled = overrides.disabled.filter((date) => date !== entry.date);
+    if (await persist({ custom, disabled }, holidayStrings.addedMessage)) {
+      setForm(EMPTY_FORM);
+      setYear(Number(entry.date.slice(0, 4)));
+    }
+  };
+
+  const handleRemove = (holiday) => {
+    const custom = overrides.custom.filter((entry) => entry.date !== holiday.date);
+    const disabled = holiday.source === HOLIDAY_SOURCES.DEFAULT
+      ? [...overrides.disabled, holiday.date]
+      : overrides.disabled;
+    persist({ custom, disabled }, holidayStrings.removedMessage);
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const text = await file.text();
+      const { entries, skipped } = parseHolidayFile(file.name, text);
+      if (!entries.length) {
+        setErrorMessage(holidayStrings.importEmpty);
+        return;
+      }
+      const { custom, added } = mergeCustomHolidays(overrides.custom, entries);
+      const importedDates = new Set(entries.map((entry) => entry.date));
+      const disabled = overrides.disabled.filter((date) => !importedDates.has(date));
+      const message = holidayStrings.importSuccess
+        .replace('{count}', String(added))
+        .replace('{skipped}', String(skipped));
+      await persist({ custom, disabled }, message);
+    } catch (error) {
+      console.error('PO: holiday import failed', error);
+      setErrorMessage(holidayStrings.importError);
+    }
+  };
+
+  const handleReset = async () => {
+    setSaving(true);
+    setErrorMessage('');
+    try {
+      const empty = await clearHolidayOverrides();
+      setOverrides(empty);
+      showToast({ message: holidayStrings.resetMessage, severity: 'info' });
+    } catch (error) {
+      console.error('PO: clearHolidayOverrides failed', error);
+      setErrorMessage(holidayStrings.errorMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Container maxWidth={false} sx={{ py: 3, px: 4 }}>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          {holidayStrings.title}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {holidayStrings.description}
+        </Typography>
+      </Box>
+
+      {errorMessage && (
+        <Box sx={{ mb: 2 }}>
+          <Alert severity="error" onClose={() => setErrorMessage('')}>
+            {errorMessage}
+          </Alert>
+        </Box>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+          <CircularProgress size={32} />
+        </Box>
+      ) : (
+        <Stack spacing={3} sx={{ maxWidth: 900 }}>
+          <Stack direction="row" spacing={2} alignItems="flex-start" flexWrap="wrap" useFlexGap>
+            <TextField
+              label={holidayStrings.dateLabel}
+              type="date"
+              size="small"
+              value={form.date}
+              onChange={handleFormChange('date')}
+              InputLabelProps={{ shrink: true }}
+              disabled={saving}
+            />
+            <TextField
+              label={holidayStrings.nameLabel}
+              size="small"
+              value={form.name}
+              onChange={handleFormChange('name')}
+              disabled={saving}
+              sx={{ minWidth: 260 }}
+            />
+            <TextField
+              select
+              label={holidayStrings.typeLabel}
+              size="small"
+              value={form.type}
+              onChange={handleFormChange('type')}
+              disabled={saving}
+              sx={{ minWidth: 200 }}
+            >
+              {Object.values(HOLIDAY_TYPES).map((type) => (
+                <MenuItem key={type} value={type}>{holidayStrings.types[type]}</MenuItem>
+              ))}
+            </TextField>
+            <Button variant="contained" onClick={handleAdd} disabled={saving}>
+              {holidayStrings.addButton}
+            </Button>
+          </Stack>
+
+          <Stack direction="row" spacing={2} alignItems="center">
+            <TextField
+              select
+              label={holidayStrings.yearLabel}
+              size="small"
+              value={year}
+              onChange={(event) => setYear(Number(event.target.value))}
+              sx={{ width: 120 }}
+            >
+              {yearOptions.map((option) => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </TextField>
+            <Button
+              variant="outlined"
+              startIcon={<UploadFileIcon />}
+              onClick={() => fileInputRef.current?.click()}
+              disabled={saving}
+            >
+              {holidayStrings.importButton}
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".ics,.csv,text/calendar,text/csv"
+              hidden
+              onChange={handleImport}
+            />
+            <Button variant="outlined" color="secondary" onClick={handleReset} disabled={saving}>
+              {holidayStrings.resetButton}
+            </Button>
+          </Stack>
+          <Typography variant="caption" color="text.secondary">
+            {holidayStrings.importHelper}
+          </Typography>
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{holidayStrings.columns.date}</TableCell>
+                <TableCell>{holidayStrings.columns.name}</TableCell>
+                <TableCell>{holidayStrings.columns.type}</TableCell>
+                <TableCell>{holidayStrings.columns.source}</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {holidays.map((holiday) => (
+                <TableRow key={holiday.date}>
+                  <TableCell>{formatDisplayDate(holiday.date)}</TableCell>
+                  <TableCell>{holiday.name || '—'}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      color={TYPE_COLORS[holiday.type]}
+                      label={holidayStrings.types[holiday.type]}
+                    />
+                  </TableCell>
+                  <TableCell>{holidayStrings.sources[holiday.source]}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={holidayStrings.removeTooltip}>
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRemove(holiday)}
+                          disabled={saving}
+                          aria-label={holidayStrings.removeTooltip}
+                        >
+                          <DeleteOutlineIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {!holidays.length && (
+                <TableRow>
+                  <TableCell colSpan={5}>
+                    <Typography variant="body2" color="text.secondary">
+                      {holidayStrings.empty}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </Stack>
+      )}
+    </Container>
+  );
+}
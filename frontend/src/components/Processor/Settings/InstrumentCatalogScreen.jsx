@@ -0,0 +1,216 @@
+import { useEffect, useState } from 'react';
+import Container from '@mui/material/Container';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Stack from '@mui/material/Stack';
+import Button from '@mui/material/Button';
+import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import CircularProgress from '@mui/material/CircularProgress';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+import strings from '../../../strings/es-AR.js';
+import { useConfig } from '../../../state/index.js';
+import { setBaseUrl } from '../../../services/broker/jsrofex-client.js';
+import {
+  loadStoredInstrumentCatalog,
+  refreshInstrumentCatalog,
+} from '../../../services/fees/instrument-catalog.js';
+import { getCatalogOptions, getLoadedInstruments } from '../../../services/fees/instrument-mapping.js';
+import { resetInstrumentCatalog } from '../../../services/bootstrap-defaults.js';
+import { showToast } from '../../../services/toastService.js';
+
+const catalogStrings = strings.settings.instrumentCatalog;
+
+const formatUpdatedAt = (isoDate) => new Date(isoDate).toLocaleString(strings.locale);
+
+const readLoadedSummary = () => ({
+  count: getLoadedInstruments().length,
+  options: getCatalogOptions().length,
+});
+
+const DiffList = ({ title, symbols, total, color }) => (
+  <Paper variant="outlined" sx={{ p: 2, flex: 1, minWidth: 260 }}>
+    <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+      <Typography variant="subtitle2">{title}</Typography>
+      <Chip size="small" color={color} label={total} />
+    </Stack>
+    {symbols.length === 0 ? (
+      <Typography variant="body2" color="text.secondary">{catalogStrings.diffEmpty}</Typography>
+    ) : (
+      <Box component="ul" sx={{ m: 0, pl: 2, maxHeight: 320, overflow: 'auto' }}>
+        {symbols.map((symbol) => (
+          <Typography component="li" variant="body2" key={symbol}>{symbol}</Typography>
+        ))}
+      </Box>
+    )}
+    {total > symbols.length && (
+      <Typography variant="caption" color="text.secondary">
+        {catalogStrings.diffMore.replace('{count}', String(total - symbols.length))}
+      </Typography>
+    )}
+  </Paper>
+);
+
+export default function InstrumentCatalogScreen() {
+  const { brokerAuth, brokerApiUrl } = useConfig();
+  const isAuthenticated = Boolean(brokerAuth?.token);
+
+  const [catalog, setCatalog] = useState(null);
+  const [summary, setSummary] = useState(readLoadedSummary);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    let mounted = true;
+
+    const loadData = async () => {
+      try {
+        const stored = await loadStoredInstrumentCatalog();
+        if (mounted) {
+          setCatalog(stored);
+        }
+      } catch (error) {
+        console.error('PO: loadStoredInstrumentCatalog failed', error);
+        if (mounted) {
+          setErrorMessage(catalogStrings.loadError);
+        }
+      } finally {
+        if (mounted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadData();
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setErrorMessage('');
+    try {
+      if (brokerApiUrl) {
+        setBaseUrl(brokerApiUrl);
+      }
+      const { catalog: refreshed, diff } = await refreshInstrumentCatalog({ token: brokerAuth.token });
+      setCatalog(refreshed);
+      setSummary(readLoadedSummary());
+      showToast({
+        message: catalogStrings.refreshSuccess
+          .replace('{added}', String(diff.added.length))
+          .replace('{removed}', String(diff.removed.length)),
+        severity: 'success',
+      });
+    } catch (error) {
+      console.error('PO: refreshInstrumentCatalog failed', error);
+      setErrorMessage(catalogStrings.refreshError.replace('{message}', error?.message ?? ''));
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleReset = async () => {
+    setRefreshing(true);
+    setErrorMessage('');
+    try {
+      await resetInstrumentCatalog();
+      setCatalog(null);
+      setSummary(readLoadedSummary());
+      showToast({ message: catalogStrings.resetMessage, severity: 'info' });
+    } catch (error) {
+      console.error('PO: resetInstrumentCatalog failed', error);
+      setErrorMessage(catalogStrings.loadError);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const lastDiff = catalog?.lastDiff;
+
+  return (
+    <Container maxWidth={false} sx={{ py: 3, px: 4 }}>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          {catalogStrings.title}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {catalogStrings.description}
+        </Typography>
+      </Box>
+
+      {errorMessage && (
+        <Box sx={{ mb: 2 }}>
+          <Alert severity="error" onClose={() => setErrorMessage('')}>
+            {errorMessage}
+          </Alert>
+        </Box>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+          <CircularProgress size={32} />
+        </Box>
+      ) : (
+        <Stack spacing={3} sx={{ maxWidth: 900 }}>
+          <Stack spacing={0.5}>
+            <Typography variant="body1">
+              {catalog
+                ? catalogStrings.sourceBroker.replace('{date}', formatUpdatedAt(catalog.updatedAt))
+                : catalogStrings.sourceBundled}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {catalogStrings.counts
+                .replace('{count}', String(summary.count))
+                .replace('{options}', String(summary.options))}
+            </Typography>
+          </Stack>
+
+          <Stack direction="row" spacing={2} alignItems="center">
+            <Button
+              variant="contained"
+              startIcon={refreshing ? <CircularProgress size={16} color="inherit" /> : <RefreshIcon />}
+              onClick={handleRefresh}
+              disabled={refreshing || !isAuthenticated}
+            >
+              {catalogStrings.refreshButton}
+            </Button>
+            <Button variant="outlined" color="secondary" onClick={handleReset} disabled={refreshing || !catalog}>
+              {catalogStrings.resetButton}
+            </Button>
+          </Stack>
+          {!isAuthenticated && (
+            <Typography variant="caption" color="text.secondary">
+              {catalogStrings.loginRequired}
+            </Typography>
+          )}
+
+          {lastDiff && (
+            <Stack spacing={1}>
+              <Typography variant="h6">{catalogStrings.diffTitle}</Typography>
+              <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap>
+                <DiffList
+                  title={catalogStrings.added}
+                  symbols={lastDiff.added}
+                  total={lastDiff.addedCount}
+                  color="success"
+                />
+                <DiffList
+                  title={catalogStrings.removed}
+                  symbols={lastDiff.removed}
+                  total={lastDiff.removedCount}
+                  color="warning"
+                />
+              </Stack>
+            </Stack>
+          )}
+        </Stack>
+      )}
+    </Container>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   TextField,
@@ -13,11 +13,26 @@ import {
 import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
 import { validatePrefix, validateDecimals } from '../../../services/settings-utils';
 import { saveSymbolConfig } from '../../../services/storage-settings';
-import { DECIMALS_MIN, DECIMALS_MAX, EXPIRATION_CODES } from '../../../services/settings-types';
+import { DECIMALS_MIN, DECIMALS_MAX } from '../../../services/settings-types';
+import { addExpirationToCatalog, sortExpirationCodes } from '../../../services/expiration-catalog';
+import { auditStrikeRules } from '../../../services/strike-audit.js';
 import ExpirationTabs from './ExpirationTabs.jsx';
 import ExpirationDetail from './ExpirationDetail.jsx';
+import AddExpirationForm from './AddExpirationForm.jsx';
 import strings from '../../../strings';
 
+const MAX_AUDIT_ROWS = 10;
+
+const formatAuditRow = ({ token, expirationCode, configuredStrike, catalogStrike, suggestedDecimals }) => {
+  const auditStrings = strings.settings.symbolSettings.catalogAudit;
+  const row = auditStrings.row
+    .replace('{token}', token)
+    .replace('{expiration}', expirationCode || '—')
+    .replace('{configured}', String(configuredStrike))
+    .replace('{catalog}', String(catalogStrike));
+  return suggestedDecimals === null ? row : `${row} ${auditStrings.suggestion.replace('{decimals}', String(suggestedDecimals))}`;
+};
+
 /**
  * SymbolSettings panel component for editing symbol-level defaults.
  * Implements write-on-blur persistence per FR-010.
@@ -33,7 +48,14 @@ export default function SymbolSettings({ symbol, config, onConfigUpdate }) {
   const [prefixError, setPrefixError] = useState('');
   const [decimalsError, setDecimalsError] = useState('');
   const [saveSuccess, setSaveSuccess] = useState(false);
-  const [activeExpiration, setActiveExpiration] = useState(EXPIRATION_CODES[0] || null);
+  const [activeExpiration, setActiveExpiration] = useState(null);
+
+  const expirationCodes = useMemo(
+    () => sortExpirationCodes(Object.keys(config?.expirations ?? {})),
+    [config],
+  );
+
+  const strikeMismatches = useMemo(() => (config ? auditStrikeRules([config]) : []), [config]);
 
   // Initialize local state from config
   useEffect(() => {
@@ -44,12 +66,12 @@ export default function SymbolSettings({ symbol, config, onConfigUpdate }) {
       setDecimalsError('');
       setSaveSuccess(false);
       
-      // Set first expiration as active if none selected
-      if (!activeExpiration && EXPIRATION_CODES.length > 0) {
-        setActiveExpiration(EXPIRATION_CODES[0]);
+      // Set first expiration as active if none (or a removed one) is selected
+      if (!activeExpiration || !expirationCodes.includes(activeExpiration)) {
+        setActiveExpiration(expirationCodes[0] ?? null);
       }
     }
-  }, [config, activeExpiration]);
+  }, [config, activeExpiration, expirationCodes]);
 
   const handlePrefixChange = (e) => {
     setPrefix(e.target.value);
@@ -120,14 +142,11 @@ export default function SymbolSettings({ symbol, config, onConfigUpdate }) {
     }
   };
 
-  const handleExpirationUpdate = async (expirationCode, updatedExpiration) => {
+  const saveExpirations = async (expirations) => {
     try {
       const updatedConfig = {
         ...config,
-        expirations: {
-          ...config.expirations,
-          [expirationCode]: updatedExpiration,
-        },
+        expirations,
       };
 
       await saveSymbolConfig(updatedConfig);
@@ -141,6 +160,29 @@ export default function SymbolSettings({ symbol, config, onConfigUpdate }) {
     }
   };
 
+  const handleExpirationUpdate = (expirationCode, updatedExpiration) => saveExpirations({
+    ...config.expirations,
+    [expirationCode]: updatedExpiration,
+  });
+
+  const handleExpirationAdd = async ({ monthCode, year }) => {
+    const { expirations, code, created } = addExpirationToCatalog(config.expirations, {
+      monthCode,
+      year,
+      decimals: config.defaultDecimals ?? 0,
+    });
+    if (!created) {
+      return;
+    }
+    await saveExpirations(expirations);
+    setActiveExpiration(code);
+  };
+
+  const handleExpirationRemove = (expirationCode) => {
+    const { [expirationCode]: _removed, ...remaining } = config.expirations ?? {};
+    return saveExpirations(remaining);
+  };
+
   if (!config) {
     return null;
   }
@@ -206,6 +248,24 @@ export default function SymbolSettings({ symbol, config, onConfigUpdate }) {
         />
       </Box>
 
+      {strikeMismatches.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 3, maxWidth: 600 }} data-testid="strike-catalog-audit">
+          <Typography variant="subtitle2" gutterBottom>
+            {strings.settings.symbolSettings.catalogAudit.title.replace('{count}', String(strikeMismatches.length))}
+          </Typography>
+          {strikeMismatches.slice(0, MAX_AUDIT_ROWS).map((mismatch) => (
+            <Typography key={mismatch.token} variant="body2">
+              {formatAuditRow(mismatch)}
+            </Typography>
+          ))}
+          {strikeMismatches.length > MAX_AUDIT_ROWS && (
+            <Typography variant="body2" color="text.secondary">
+              {strings.settings.symbolSettings.catalogAudit.more.replace('{count}', String(strikeMismatches.length - MAX_AUDIT_ROWS))}
+            </Typography>
+          )}
+        </Alert>
+      )}
+
       {/* Expiration Management Section */}
       <Divider sx={{ my: 4 }} />
 
@@ -213,9 +273,11 @@ export default function SymbolSettings({ symbol, config, onConfigUpdate }) {
         {strings.settings.symbolSettings.expirationTabs.title}
       </Typography>
 
+      <AddExpirationForm existingCodes={expirationCodes} onAdd={handleExpirationAdd} />
+
       <Box sx={{ display: 'flex', gap: 3, mt: 2 }}>
         <ExpirationTabs
-          expirationCodes={EXPIRATION_CODES}
+          expirationCodes={expirationCodes}
           activeExpiration={activeExpiration}
           onExpirationChange={setActiveExpiration}
         />
@@ -226,6 +288,7 @@ export default function SymbolSettings({ symbol, config, onConfigUpdate }) {
             expirationCode={activeExpiration}
             expiration={config?.expirations?.[activeExpiration]}
             onExpirationUpdate={handleExpirationUpdate}
+            onExpirationRemove={handleExpirationRemove}
           />
         </Box>
       </Box>
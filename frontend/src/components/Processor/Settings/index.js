@@ -1,6 +1,8 @@
 // Settings feature entry point
 export { default as SettingsScreen } from './SettingsScreen';
 export { default as BrokerFeesScreen } from './BrokerFeesScreen.jsx';
+export { default as HolidaysScreen } from './HolidaysScreen.jsx';
+export { default as InstrumentCatalogScreen } from './InstrumentCatalogScreen.jsx';
 export { default as SymbolSettings } from './SymbolSettings';
 export { default as ExpirationTabs } from './ExpirationTabs';
 export { default as ExpirationDetail } from './ExpirationDetail';
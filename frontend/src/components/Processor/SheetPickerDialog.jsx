@@ -0,0 +1,35 @@
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
+import ListItemText from '@mui/material/ListItemText';
+import Typography from '@mui/material/Typography';
+
+/**
+ * Lets the user choose which sheet of a multi-sheet workbook holds the operations.
+ */
+const SheetPickerDialog = ({ open, fileName, sheetNames = [], strings, onSelect, onCancel }) => (
+  <Dialog open={open} onClose={onCancel} maxWidth="xs" fullWidth>
+    <DialogTitle>{strings?.title}</DialogTitle>
+    <DialogContent dividers>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {(strings?.description ?? '').replace('{fileName}', fileName ?? '')}
+      </Typography>
+      <List dense>
+        {sheetNames.map((name, index) => (
+          <ListItemButton key={name} onClick={() => onSelect?.(name)} data-testid={`sheet-option-${index}`}>
+            <ListItemText primary={name} />
+          </ListItemButton>
+        ))}
+      </List>
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onCancel}>{strings?.cancel ?? 'Cancelar'}</Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default SheetPickerDialog;
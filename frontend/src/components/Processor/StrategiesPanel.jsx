@@ -0,0 +1,111 @@
+import Paper from '@mui/material/Paper';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Typography from '@mui/material/Typography';
+import Chip from '@mui/material/Chip';
+
+const DEFAULT_STRATEGY_LABELS = {
+  butterfly: 'Mariposa',
+  straddle: 'Straddle',
+  strangle: 'Strangle',
+  vertical: 'Spread vertical',
+  ratioSpread: 'Ratio spread',
+  coveredCall: 'Lanzamiento cubierto',
+};
+
+const amountFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })
+  : null;
+
+const numberFormatter = typeof Intl !== 'undefined'
+  ? new Intl.NumberFormat('es-AR', {
+      useGrouping: true,
+      maximumFractionDigits: 4,
+    })
+  : null;
+
+const formatAmount = (value) => {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+  return amountFormatter ? amountFormatter.format(value) : value.toFixed(2);
+};
+
+const formatNumber = (value) => {
+  if (!Number.isFinite(value)) {
+    return '';
+  }
+  return numberFormatter ? numberFormatter.format(value) : String(value);
+};
+
+const formatLeg = (leg, stockLabel) => {
+  const quantity = `${leg.quantity > 0 ? '+' : ''}${formatNumber(leg.quantity)}`;
+  if (leg.type === 'STOCK') {
+    return `${quantity} ${stockLabel}`;
+  }
+  return `${quantity} ${leg.type === 'PUT' ? 'P' : 'C'} ${formatNumber(leg.strike)}`;
+};
+
+const StrategiesPanel = ({ strategies = [], strings }) => {
+  if (!strategies.length) {
+    return null;
+  }
+
+  const strategyStrings = strings?.strategies ?? {};
+  const typeLabels = { ...DEFAULT_STRATEGY_LABELS, ...(strategyStrings.types ?? {}) };
+  const stockLabel = strategyStrings.stock ?? 'acciones';
+
+  return (
+    <Paper elevation={0} data-testid="strategies-panel" sx={{ borderBottom: 1, borderColor: 'divider', borderRadius: 0 }}>
+      <Typography variant="subtitle2" color="text.secondary" sx={{ px: 2, pt: 1 }}>
+        {strategyStrings.title ?? 'Estrategias detectadas'}
+      </Typography>
+      <TableContainer sx={{ maxHeight: 220 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>{strategyStrings.strategy ?? 'Estrategia'}</TableCell>
+              <TableCell>{strategyStrings.underlying ?? 'Subyacente'}</TableCell>
+              <TableCell>{strategyStrings.legs ?? 'Patas'}</TableCell>
+              <TableCell align="right">{strategyStrings.netPremium ?? 'Débito / Crédito'}</TableCell>
+              <TableCell align="right">{strategyStrings.maxRisk ?? 'Riesgo máx.'}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {strategies.map((strategy) => (
+              <TableRow key={strategy.id} data-testid={`strategy-row-${strategy.type}`}>
+                <TableCell>
+                  <Chip size="small" label={typeLabels[strategy.type] ?? strategy.type} />
+                </TableCell>
+                <TableCell>{[strategy.underlying, strategy.expiration].filter(Boolean).join(' ')}</TableCell>
+                <TableCell>{strategy.legs.map((leg) => formatLeg(leg, stockLabel)).join(' / ')}</TableCell>
+                <TableCell
+                  align="right"
+                  sx={{ color: strategy.isDebit ? 'error.main' : 'success.main', fontWeight: 600 }}
+                >
+                  {`${strategy.isDebit
+                    ? (strategyStrings.debit ?? 'Débito')
+                    : (strategyStrings.credit ?? 'Crédito')} ${formatAmount(Math.abs(strategy.netPremium))}`}
+                </TableCell>
+                <TableCell align="right">
+                  {strategy.unboundedRisk
+                    ? (strategyStrings.unbounded ?? 'Ilimitado')
+                    : formatAmount(strategy.maxRisk)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default StrategiesPanel;
@@ -10,6 +10,9 @@ const TableWithActions = ({
   onDownload,
   averagingEnabled,
   onToggleAveraging,
+  showGreeks,
+  showMarks,
+  markTotals,
 }) => {
   return (
     <Box sx={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column' }}>
@@ -22,6 +25,9 @@ const TableWithActions = ({
         onDownload={onDownload}
         averagingEnabled={averagingEnabled}
         onToggleAveraging={onToggleAveraging}
+        showGreeks={showGreeks}
+        showMarks={showMarks}
+        markTotals={markTotals}
       />
     </Box>
   );
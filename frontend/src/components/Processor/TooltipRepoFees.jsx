@@ -6,6 +6,7 @@ import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
 import InfoOutlinedIcon from '@mui/icons-material/InfoOutlined';
 
 import { createWarnLogger } from '../../services/logging/index.js';
+import { calculateBreakdownRates } from '../../services/rates.js';
 
 const tooltipLogger = createWarnLogger('tooltip-repo-fees');
 
@@ -64,6 +65,15 @@ const formatAmount = (value, formatter) => {
   return formatter.format(value);
 };
 
+const rateFormatter = new Intl.NumberFormat('es-AR', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+const formatRates = (rates) => ['tna', 'tea', 'tem', 'ted']
+  .map((key) => `${key.toUpperCase()} ${Number.isFinite(rates?.[key]) ? `${rateFormatter.format(rates[key])}%` : '—'}`)
+  .join(' · ');
+
 const formatSigned = (value, formatter) => {
   if (!Number.isFinite(value)) return '—';
   const formatted = formatter.format(Math.abs(value));
@@ -80,6 +90,7 @@ const buildSuccessTooltip = (breakdown, strings) => {
   const formatter = createCurrencyFormatter(decimals);
   const showGastosGarantia = Number.isFinite(breakdown?.gastosGarantiaAmount)
     && Math.abs(breakdown.gastosGarantiaAmount) > 0;
+  const rates = calculateBreakdownRates(breakdown);
 
   return (
     <Box sx={{ p: 0.5 }}>
@@ -126,6 +137,17 @@ const buildSuccessTooltip = (breakdown, strings) => {
       <Typography variant="caption" sx={{ fontWeight: 600, display: 'block', mt: 0.25 }}>
         {labels.netSettlement || 'Neto de liquidación'}: {formatAmount(breakdown?.netSettlement, formatter)}
       </Typography>
+      {rates && (
+        <>
+          <Box sx={{ borderTop: '1px solid', borderColor: 'divider', my: 0.5 }} />
+          <Typography variant="caption" sx={{ display: 'block' }}>
+            {labels.grossRates || 'Tasas'}: {formatRates(rates.gross)}
+          </Typography>
+          <Typography variant="caption" sx={{ fontWeight: 600, display: 'block' }}>
+            {labels.netRates || 'Netas de gastos'}: {formatRates(rates.net)}
+          </Typography>
+        </>
+      )}
     </Box>
   );
 };
@@ -2,4 +2,8 @@ export const OPERATION_TYPES = {
   OPCIONES: 'opciones',
   COMPRA_VENTA: 'compraVenta',
   ARBITRAJES: 'arbitrajes',
+  POSICIONES: 'posiciones',
+  CAUCIONES: 'cauciones',
+  EXCLUIDAS: 'excluidas',
+  CONCILIACION: 'conciliacion',
 };
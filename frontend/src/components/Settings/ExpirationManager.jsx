@@ -18,6 +18,7 @@ import DeleteIcon from '@mui/icons-material/Delete';
 
 import { useConfig } from '../../state/index.js';
 import { useStrings } from '../../strings/index.js';
+import { collectCatalogSuffixes, generateExpirationSuffixes } from '../../services/expiration-catalog.js';
 
 const normalizeName = (value) => (typeof value === 'string' ? value.trim() : '');
 const normalizeSuffix = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '');
@@ -45,18 +46,26 @@ const ExpirationManager = () => {
     [expirations],
   );
 
-  const canSubmit = useMemo(() => {
-    const normalizedName = normalizeName(nameInput);
-    const normalizedSuffix = normalizeSuffix(suffixInput);
-    return Boolean(normalizedName && normalizedSuffix);
-  }, [nameInput, suffixInput]);
-
   const findExistingKey = (candidateName) => {
     const normalizedCandidate = candidateName.toLowerCase();
     const existing = expirationEntries.find(([name]) => name.toLowerCase() === normalizedCandidate);
     return existing?.[0] ?? null;
   };
 
+  // Suffixes proposed when the suffix field is left empty
+  const generatedSuffixes = useMemo(() => {
+    const normalizedName = normalizeName(nameInput);
+    if (!normalizedName || normalizeSuffix(suffixInput)) {
+      return [];
+    }
+    const code = normalizedName.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return generateExpirationSuffixes(code, collectCatalogSuffixes(expirations));
+  }, [nameInput, suffixInput, expirations]);
+
+  const canSubmit = Boolean(
+    normalizeName(nameInput) && (normalizeSuffix(suffixInput) || generatedSuffixes.length > 0),
+  );
+
   const handleNameChange = (event) => {
     setNameInput(event.target.value);
     if (nameError) {
@@ -82,13 +91,28 @@ const ExpirationManager = () => {
       return;
     }
 
-    if (!normalizedSuffix) {
+    if (!normalizedSuffix && generatedSuffixes.length === 0) {
       setSuffixError(expirationStrings.errorSuffixRequired);
       return;
     }
 
     const existingKey = findExistingKey(normalizedName);
 
+    if (!normalizedSuffix) {
+      if (existingKey) {
+        const currentSuffixes = expirations[existingKey]?.suffixes ?? [];
+        generatedSuffixes
+          .filter((suffix) => !currentSuffixes.includes(suffix))
+          .forEach((suffix) => addSuffix(existingKey, suffix));
+      } else {
+        addExpiration({ name: normalizedName, suffixes: generatedSuffixes });
+      }
+      setNameInput('');
+      setNameError('');
+      setSuffixError('');
+      return;
+    }
+
     if (existingKey) {
       const currentSuffixes = expirations[existingKey]?.suffixes ?? [];
       if (currentSuffixes.includes(normalizedSuffix)) {
@@ -155,7 +179,9 @@ const ExpirationManager = () => {
                 fullWidth
                 inputProps={{ 'data-testid': 'settings-expiration-suffix' }}
                 error={Boolean(suffixError)}
-                helperText={suffixError || expirationStrings.suffixHelper}
+                helperText={suffixError || (generatedSuffixes.length > 0
+                  ? (expirationStrings.generatedSuffixes ?? 'Se generarán: {suffixes}').replace('{suffixes}', generatedSuffixes.join(', '))
+                  : expirationStrings.suffixHelper)}
               />
               <Button
                 variant="contained"
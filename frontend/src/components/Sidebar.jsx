@@ -18,6 +18,7 @@ import Button from '@mui/material/Button';
 import Collapse from '@mui/material/Collapse';
 import Typography from '@mui/material/Typography';
 import PlayCircleOutlineIcon from '@mui/icons-material/PlayCircleOutline';
+import CalculateIcon from '@mui/icons-material/Calculate';
 import SettingsIcon from '@mui/icons-material/Settings';
 import MenuIcon from '@mui/icons-material/Menu';
 import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
@@ -69,6 +70,12 @@ const Sidebar = ({ strings, routes, brokerStatus, onBrokerLogout }) => {
         label: strings.navigation.processor,
         icon: <PlayCircleOutlineIcon />,
       },
+      {
+        key: 'caucion-calculator',
+        path: routes.caucionCalculator,
+        label: strings.navigation.caucionCalculator,
+        icon: <CalculateIcon />,
+      },
       {
         key: 'settings',
         label: strings.navigation.settings,
@@ -91,6 +98,22 @@ const Sidebar = ({ strings, routes, brokerStatus, onBrokerLogout }) => {
               strings.settings?.brokerFees?.title ||
               'Comisiones',
           },
+          {
+            key: 'settings-holidays',
+            path: routes.settingsHolidays,
+            label:
+              strings.navigation.settingsHolidays ||
+              strings.settings?.holidays?.title ||
+              'Feriados',
+          },
+          {
+            key: 'settings-instrument-catalog',
+            path: routes.settingsInstrumentCatalog,
+            label:
+              strings.navigation.settingsInstrumentCatalog ||
+              strings.settings?.instrumentCatalog?.title ||
+              'Catálogo',
+          },
         ],
       },
     ],
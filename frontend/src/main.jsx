@@ -7,6 +7,7 @@ import App from './app/App.jsx';
 import ToastContainer from './components/Toast/ToastContainer.jsx';
 import { ConfigProvider } from './state/config-context.jsx';
 import { bootstrapFeeServices } from './services/bootstrap-defaults.js';
+import { initializeHolidayCalendar } from './services/holidays/holiday-storage.js';
 
 const startApplication = async () => {
   try {
@@ -16,6 +17,12 @@ const startApplication = async () => {
     console.error('PO: bootstrapFeeServices failed', error);
   }
 
+  try {
+    await initializeHolidayCalendar();
+  } catch (error) {
+    console.error('PO: initializeHolidayCalendar failed', error);
+  }
+
   createRoot(document.getElementById('root')).render(
     <StrictMode>
       <HashRouter>
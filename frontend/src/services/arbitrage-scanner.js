@@ -0,0 +1,271 @@
+/**
+ * Arbitrage Scanner
+ * Looks for CI/24hs plazo arbitrages before they are traded, from a quote
+ * snapshot with both settlements of each instrument and the caución curve.
+ *
+ * VentaCI → Compra24h sells at the CI bid and buys back at the 24hs ask: the
+ * cash is borrowed at the implied rate and placed as colocadora. CompraCI →
+ * Venta24h buys at the CI ask and sells at the 24hs bid: the cash is lent at
+ * the implied rate and funded as tomadora. Both legs pay `calculateFee` and
+ * the caución pays `calculateRepoExpenseBreakdown`; the spread is the net rate
+ * earned over the net rate paid.
+ */
+
+import { PATTERNS, CAUCION_TIPOS } from './arbitrage-types.js';
+import { calculateCIto24hsPlazo } from './business-days.js';
+import { calculateFee } from './fees/fee-calculator.js';
+import { getInstrumentDetails, resolveCfiCategory } from './fees/instrument-mapping.js';
+import { calculateAccruedInterest, calculateRepoExpenseBreakdown } from './fees/repo-fees.js';
+import { roundMoney, roundToDecimals, sumMoney } from './money.js';
+
+// Notional (in the instrument currency) each opportunity is priced for; fee minimums make size matter
+export const DEFAULT_SCAN_NOTIONAL = 1000000;
+
+/**
+ * Where the caución TNA of an opportunity came from
+ */
+export const CURVE_SOURCES = {
+  CURVA: 'curva', // quoted at the exact tenor
+  CERCANA: 'cercana', // nearest quoted tenor
+  PROMEDIO: 'promedio', // average TNA of the day's cauciones
+};
+
+const CAUCION_TICKERS = { PESOS: 'ARS', DOLAR: 'USD' };
+const SETTLEMENTS = { CI: 'CI', '24HS': '24HS' };
+
+const splitSymbol = (symbol) => String(symbol ?? '')
+  .toUpperCase()
+  .split(/\s*-\s*/)
+  .map((part) => part.trim())
+  .filter(Boolean);
+
+const toAnnualPercent = (ratio, plazo) => roundToDecimals(ratio * (365 / plazo) * 100, 4);
+
+/**
+ * Caución TNA by currency and tenor, from quotes such as 'MERV - XMEV - PESOS - 1D'.
+ * The last rate is used, or the middle of the book when nothing traded.
+ * @param {Object|null} snapshot - from market-quotes
+ * @returns {Object<string, Map<number, number>>}
+ */
+export function buildCaucionCurve(snapshot) {
+  const curve = {};
+  (snapshot?.quotes ?? []).forEach((quote) => {
+    const parts = splitSymbol(quote.symbol);
+    const tenorPart = parts.find((part) => /^\d+D$/.test(part));
+    const currency = parts.map((part) => CAUCION_TICKERS[part]).find(Boolean);
+    if (!tenorPart || !currency) return;
+
+    const mid = Number.isFinite(quote.bid) && Number.isFinite(quote.ask) ? (quote.bid + quote.ask) / 2 : null;
+    const tna = quote.last ?? mid ?? quote.bid ?? quote.ask;
+    if (!Number.isFinite(tna)) return;
+
+    curve[currency] = curve[currency] ?? new Map();
+    curve[currency].set(Number.parseInt(tenorPart, 10), tna);
+  });
+  return curve;
+}
+
+/**
+ * @param {ReturnType<typeof buildCaucionCurve>} curve
+ * @param {string} currency
+ * @param {number} plazo
+ * @param {Object<string, number>} [avgTNAByCurrency]
+ * @returns {{tna: number, source: string}|null}
+ */
+export function resolveCurveTNA(curve, currency, plazo, avgTNAByCurrency = {}) {
+  const tenors = curve[currency];
+  if (tenors?.has(plazo)) {
+    return { tna: tenors.get(plazo), source: CURVE_SOURCES.CURVA };
+  }
+  if (tenors?.size > 0) {
+    const nearest = Array.from(tenors.keys())
+      .sort((a, b) => Math.abs(a - plazo) - Math.abs(b - plazo) || a - b)[0];
+    return { tna: tenors.get(nearest), source: CURVE_SOURCES.CERCANA };
+  }
+  const average = avgTNAByCurrency?.[currency];
+  return Number.isFinite(average) && average > 0 ? { tna: average, source: CURVE_SOURCES.PROMEDIO } : null;
+}
+
+// CI and 24hs books of each instrument, keyed by ticker
+const pairSettlementBooks = (snapshot) => {
+  const books = new Map();
+  (snapshot?.quotes ?? []).forEach((quote) => {
+    const parts = splitSymbol(quote.symbol);
+    if (parts.length < 2) return;
+    const settlement = SETTLEMENTS[parts[parts.length - 1]];
+    const ticker = parts[parts.length - 2];
+    if (!settlement || CAUCION_TICKERS[ticker]) return;
+
+    if (!books.has(ticker)) {
+      books.set(ticker, { instrumento: ticker });
+    }
+    books.get(ticker)[settlement] = quote;
+  });
+  return Array.from(books.values()).filter((book) => book.CI && book['24HS']);
+};
+
+const legFee = (grossNotional, category, currency, effectiveRates) => (
+  calculateFee({ grossNotional, category, currency }, effectiveRates).feeAmount ?? 0
+);
+
+const caucionExpenses = ({ id, role, principal, interest, tna, plazo, currency }, repoFeeConfig) => {
+  if (!repoFeeConfig) return 0;
+  const breakdown = calculateRepoExpenseBreakdown({
+    id,
+    instrument: { cfiCode: 'RP', displayName: `Caución ${plazo}D` },
+    currency,
+    role,
+    principalAmount: principal,
+    baseAmount: sumMoney([principal, interest], currency),
+    accruedInterest: interest,
+    priceTNA: tna,
+    tenorDays: plazo,
+  }, repoFeeConfig);
+  // An incomplete repo config blocks the breakdown; price the caución without expenses
+  return breakdown?.status === 'ok' ? breakdown.totalExpenses : 0;
+};
+
+/**
+ * Prices both directions of one instrument.
+ * @returns {Array<Object>}
+ */
+function priceBook(book, context) {
+  const { plazo, curve, avgTNAByCurrency, effectiveRates, repoFeeConfig, notional } = context;
+  const symbol = book.CI.symbol;
+  const details = getInstrumentDetails(symbol);
+  const currency = (details?.currency ?? 'ARS').toUpperCase();
+  const curveRate = resolveCurveTNA(curve, currency, plazo, avgTNAByCurrency);
+  if (!curveRate) return [];
+
+  const category = details?.cfiCode ? resolveCfiCategory(details.cfiCode) : 'bonds';
+  const unitValue = (details?.priceConversionFactor ?? 1) * (details?.contractMultiplier ?? 1);
+
+  const directions = [
+    {
+      patron: PATTERNS.VENTA_CI_COMPRA_24H,
+      tipo: CAUCION_TIPOS.COLOCADORA,
+      precioCI: book.CI.bid,
+      precio24h: book['24HS'].ask,
+    },
+    {
+      patron: PATTERNS.COMPRA_CI_VENTA_24H,
+      tipo: CAUCION_TIPOS.TOMADORA,
+      precioCI: book.CI.ask,
+      precio24h: book['24HS'].bid,
+    },
+  ];
+
+  return directions
+    .filter(({ precioCI, precio24h }) => Number.isFinite(precioCI) && Number.isFinite(precio24h))
+    .map(({ patron, tipo, precioCI, precio24h }) => {
+      const cantidad = Math.max(1, Math.floor(notional / (precioCI * unitValue)));
+      const grossCI = roundMoney(cantidad * precioCI * unitValue, currency);
+      const gross24h = roundMoney(cantidad * precio24h * unitValue, currency);
+      const feeCI = legFee(grossCI, category, currency, effectiveRates);
+      const fee24h = legFee(gross24h, category, currency, effectiveRates);
+      const isColocadora = tipo === CAUCION_TIPOS.COLOCADORA;
+
+      // Cash moved today (CI) and returned at 24hs settlement
+      const cashToday = isColocadora ? sumMoney([grossCI, -feeCI], currency) : sumMoney([grossCI, feeCI], currency);
+      const cash24h = isColocadora ? sumMoney([gross24h, fee24h], currency) : sumMoney([gross24h, -fee24h], currency);
+      // Rate paid on the cash borrowed (colocadora) or earned on the cash lent (tomadora)
+      const impliedTNA = toAnnualPercent(cash24h / cashToday - 1, plazo);
+
+      const interes = calculateAccruedInterest(cashToday, curveRate.tna, plazo, currency);
+      const gastosCaucion = caucionExpenses({
+        id: `scan-${book.instrumento}-${patron}`,
+        role: tipo,
+        principal: cashToday,
+        interest: interes,
+        tna: curveRate.tna,
+        plazo,
+        currency,
+      }, repoFeeConfig);
+
+      // Colocadora earns interest net of expenses; tomadora pays both
+      const caucionNeto = isColocadora ? sumMoney([interes, -gastosCaucion], currency) : sumMoney([interes, gastosCaucion], currency);
+      const netCaucionTNA = toAnnualPercent(caucionNeto / cashToday, plazo);
+      const spread = roundToDecimals(isColocadora ? netCaucionTNA - impliedTNA : impliedTNA - netCaucionTNA, 4);
+      const pnlTrade = isColocadora ? sumMoney([cashToday, -cash24h], currency) : sumMoney([cash24h, -cashToday], currency);
+
+      return {
+        id: `${book.instrumento}-${patron}`,
+        instrumento: book.instrumento,
+        currency,
+        patron,
+        tipoCaucion: tipo,
+        plazo,
+        cantidad,
+        precioCI,
+        precio24h,
+        impliedTNA,
+        caucionTNA: curveRate.tna,
+        caucionTNASource: curveRate.source,
+        netCaucionTNA,
+        spread,
+        fees: { ci: feeCI, h24: fee24h, caucion: gastosCaucion },
+        pnlEstimado: sumMoney([pnlTrade, isColocadora ? caucionNeto : -caucionNeto], currency),
+      };
+    });
+}
+
+/**
+ * Symbols to quote for a scan: both settlements of every traded instrument plus
+ * the peso and dollar cauciones at the plazo of `now`.
+ * @param {Array<Object>} operations - operations with full market symbols
+ * @param {{now?: Date}} [options]
+ * @returns {string[]}
+ */
+export function getScannerSymbols(operations = [], { now = new Date() } = {}) {
+  const symbols = new Set();
+  operations.forEach((operation) => {
+    const symbol = operation?.originalSymbol ?? operation?.symbol;
+    const parts = String(symbol ?? '').split(/\s*-\s*/).map((part) => part.trim()).filter(Boolean);
+    if (parts.length < 3 || !SETTLEMENTS[parts[parts.length - 1].toUpperCase()]) return;
+    if (CAUCION_TICKERS[parts[parts.length - 2].toUpperCase()]) return;
+
+    const prefix = parts.slice(0, -1).join(' - ');
+    symbols.add(`${prefix} - CI`);
+    symbols.add(`${prefix} - 24hs`);
+  });
+
+  const plazo = calculateCIto24hsPlazo(now);
+  Object.keys(CAUCION_TICKERS).forEach((ticker) => symbols.add(`MERV - XMEV - ${ticker} - ${plazo}D`));
+  return Array.from(symbols);
+}
+
+/**
+ * Ranks the CI/24hs opportunities in a quote snapshot by spread over the caución TNA.
+ *
+ * @param {Object|null} snapshot - quote snapshot from market-quotes
+ * @param {Object} options
+ * @param {Object} options.effectiveRates - fee rates by category (getEffectiveRates)
+ * @param {Object} [options.repoFeeConfig] - repo fee config (getRepoFeeConfig)
+ * @param {Object<string, number>} [options.avgTNAByCurrency] - fallback when the curve has no rate
+ * @param {Date} [options.now] - trade date for the CI → 24hs plazo
+ * @param {number} [options.notional]
+ * @returns {Array<import('./arbitrage-types.js').OportunidadArbitraje>} best spread first
+ */
+export function scanArbitrageOpportunities(snapshot, {
+  effectiveRates,
+  repoFeeConfig = null,
+  avgTNAByCurrency = {},
+  now = new Date(),
+  notional = DEFAULT_SCAN_NOTIONAL,
+} = {}) {
+  const plazo = calculateCIto24hsPlazo(now);
+  if (!snapshot || !(plazo > 0)) return [];
+
+  const context = {
+    plazo,
+    curve: buildCaucionCurve(snapshot),
+    avgTNAByCurrency,
+    effectiveRates,
+    repoFeeConfig,
+    notional,
+  };
+
+  return pairSettlementBooks(snapshot)
+    .flatMap((book) => priceBook(book, context))
+    .sort((a, b) => b.spread - a.spread || a.instrumento.localeCompare(b.instrumento));
+}
@@ -29,6 +29,8 @@
  * @property {number} tenorDias - Tenor in days (must be > 0)
  * @property {string} [referencia] - Optional reference
  * @property {string} currency - Currency (must match instrument)
+ * @property {number} [capital] - Cash lent or borrowed, used to link the caución to trades
+ * @property {string} [capitalCurrency] - Currency of the capital (from the PESOS/DOLAR symbol)
  */
 
 /**
@@ -40,7 +42,9 @@
  * @property {Operacion[]} compras24h - Buy operations in 24h venue
  * @property {Operacion[]} comprasCI - Buy operations in CI venue
  * @property {Operacion[]} ventas24h - Sales operations in 24h venue
- * @property {Caucion[]} cauciones - Related cauciones
+ * @property {Caucion[]} cauciones - Linked cauciones, each with the montoAsignado financing this grupo
+ * @property {string} [currency] - Instrument currency
+ * @property {number} [avgTNA] - Currency average TNA, used for notional no caución covers
  */
 
 /**
@@ -67,6 +71,49 @@
  * @property {PatronBreakdown} [compraCI_breakdown] - Breakdown for Compra CI side
  * @property {PatronBreakdown} [venta24h_breakdown] - Breakdown for Venta 24h side
  * @property {number} [avgTNA] - Weighted average TNA used for caución calculations
+ * @property {number} [caucionTNA] - TNA applied: linked cauciones' rates plus avgTNA for the uncovered part
+ * @property {'vinculada'|'parcial'|'promedio'} [caucionLinkMode] - How the caución P&L was financed
+ */
+
+/**
+ * @typedef {Object} GrupoDolar
+ * @property {string} bono - Peso ticker of the bond (e.g. 'AL30')
+ * @property {'CI'|'24h'} venue - Trading venue shared by all legs
+ * @property {Operacion[]} comprasPesos - Buys of the peso ticker
+ * @property {Operacion[]} ventasPesos - Sales of the peso ticker
+ * @property {Object<string, {instrumento: string, compras: Operacion[], ventas: Operacion[]}>} dolares - Dollar legs by TIPOS_CAMBIO (AL30D for MEP, AL30C for CCL)
+ */
+
+/**
+ * @typedef {Object} ResultadoDolar
+ * @property {string} patron - Pattern identifier (e.g. 'CompraMEP')
+ * @property {'MEP'|'CCL'} tipoCambio - Dollar rate the trade implies
+ * @property {string} bono - Peso ticker
+ * @property {string} instrumentoDolar - Dollar ticker
+ * @property {number} matchedQty - Nominals paired between both legs
+ * @property {number} montoPesos - Pesos paid (compra) or received (venta), fees included
+ * @property {number} montoDolares - Dollars received (compra) or paid (venta), fees included
+ * @property {number} tipoCambioImplicito - montoPesos / montoDolares
+ * @property {number|null} tipoCambioReferencia - Rate the P&L is measured against
+ * @property {'manual'|'promedio'} referenciaOrigen - Typed by the user or the day's average for the tipoCambio
+ * @property {number} pnl - P&L in pesos against the reference rate
+ * @property {string} estado - Pattern status (ESTADOS)
+ * @property {Operacion[]} operations - Operations of both legs
+ */
+
+/**
+ * @typedef {Object} OportunidadArbitraje
+ * @property {string} instrumento - Ticker with CI and 24hs quotes
+ * @property {string} patron - Pattern the trade would follow (PATTERNS)
+ * @property {'colocadora'|'tomadora'} tipoCaucion - Caución side that closes the trade
+ * @property {number} plazo - Calendar days from CI to 24hs settlement
+ * @property {number} cantidad - Nominals priced (the scan notional at the CI price)
+ * @property {number} impliedTNA - Rate of the CI/24hs pair, leg fees included
+ * @property {number} caucionTNA - Curve rate for the currency and plazo
+ * @property {'curva'|'cercana'|'promedio'} caucionTNASource - Where caucionTNA came from
+ * @property {number} netCaucionTNA - caucionTNA after repo expenses
+ * @property {number} spread - Net rate earned minus net rate paid, in TNA points
+ * @property {number} pnlEstimado - Expected P&L for `cantidad`, in the instrument currency
  */
 
 /**
@@ -77,6 +124,32 @@ export const PATTERNS = {
   COMPRA_CI_VENTA_24H: 'CompraCI_Venta24h',
 };
 
+/**
+ * Dollar rate patterns: buying dollars (peso leg bought, dollar leg sold) or selling them
+ */
+export const DOLLAR_PATTERNS = {
+  COMPRA_MEP: 'CompraMEP',
+  VENTA_MEP: 'VentaMEP',
+  COMPRA_CCL: 'CompraCCL',
+  VENTA_CCL: 'VentaCCL',
+};
+
+/**
+ * Dollar rates, keyed by the catalog currency of the dollar ticker
+ */
+export const TIPOS_CAMBIO = {
+  MEP: 'MEP',
+  CCL: 'CCL',
+};
+
+/**
+ * Catalog currency of each dollar leg: USD for MEP (AL30D), EXT for cable (AL30C)
+ */
+export const DOLLAR_LEG_CURRENCIES = {
+  USD: TIPOS_CAMBIO.MEP,
+  EXT: TIPOS_CAMBIO.CCL,
+};
+
 /**
  * Pattern statuses
  */
@@ -3,7 +3,7 @@ import { createDefaultSymbolConfigWithOverrides } from './settings-types.js';
 import { DEFAULT_SYMBOL_CONFIGS } from './prefix-defaults.js';
 import feeConfigJson from './fees/fees-config.json';
 import { validateFeeConfig, computeEffectiveRates } from './fees/config-validation.js';
-import { loadInstrumentMapping } from './fees/instrument-mapping.js';
+import { applyInstrumentCatalog, clearStoredInstrumentCatalog } from './fees/instrument-catalog.js';
 import { loadBrokerFees } from './fees/broker-fees-storage.js';
 import instrumentsData from '../../InstrumentsWithDetails.json';
 
@@ -76,20 +76,27 @@ export const refreshFeeServices = async () => {
 };
 
 /**
- * Initializes instrument CfiCode mapping.
- * Call once during app bootstrap after instruments data available.
+ * Initializes instrument CfiCode mapping from the stored catalog, or the bundled one if none.
+ * Safe to call again: the maps are only rebuilt when the stored catalog changed.
  */
-export function initializeInstrumentMapping() {
+export async function initializeInstrumentMapping() {
   try {
-    loadInstrumentMapping(instrumentsData);
+    const catalog = await applyInstrumentCatalog(instrumentsData);
      
-    console.info('PO: instrument-mapping-initialized');
+    console.info('PO: instrument-mapping-initialized', { source: catalog ? catalog.updatedAt : 'bundled' });
   } catch (e) {
      
     console.error('PO: instrument-mapping-init-failed', e);
   }
 }
 
+/**
+ * Drops a refreshed catalog and rebuilds the mapping from the bundled instruments.
+ */
+export async function resetInstrumentCatalog() {
+  await clearStoredInstrumentCatalog(instrumentsData);
+}
+
 /**
  * Seed storage with default symbol configs if missing.
  * Returns an array of symbols that were created (for info).
@@ -127,5 +134,5 @@ export async function seedDefaultSymbols() {
  */
 export async function bootstrapFeeServices() {
   await ensureFeeConfigLoaded();
-  initializeInstrumentMapping();
+  await initializeInstrumentMapping();
 }
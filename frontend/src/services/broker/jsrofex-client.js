@@ -388,3 +388,79 @@ export async function getTrades({ marketId, symbol, dateFrom, dateTo, external =
     throw new Error(`GET_TRADES_ERROR: ${error.message}`);
   }
 }
+
+/**
+ * Get the current market data snapshot for one instrument
+ * Wraps the Primary/Matba Rofex REST endpoint /rest/marketdata/get
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.symbol - Instrument symbol (e.g., 'MERV - XMEV - GGAL - 24hs')
+ * @param {string} [options.marketId='ROFX'] - Market identifier
+ * @param {string[]} [options.entries=['LA','BI','OF']] - Entries to request (last, bid, offer)
+ * @param {number} [options.depth=1] - Book depth
+ * @param {string} [options.token] - Authentication token
+ * @returns {Promise<{symbol: string, marketData: Object}>} Raw marketData block as returned by the API
+ */
+export async function getMarketData({
+  symbol,
+  marketId = 'ROFX',
+  entries = ['LA', 'BI', 'OF'],
+  depth = 1,
+  token = currentToken,
+}) {
+  if (!token) {
+    throw new Error('AUTH_REQUIRED: No authentication token available');
+  }
+
+  if (!symbol) {
+    throw new Error('INVALID_PARAMS: symbol is required');
+  }
+
+  try {
+    const params = new URLSearchParams({
+      marketId,
+      symbol,
+      entries: entries.join(','),
+      depth: String(depth),
+    });
+
+    const response = await fetch(`${BASE_URL}/rest/marketdata/get?${params.toString()}`, {
+      method: 'GET',
+      headers: {
+        'X-Auth-Token': token,
+      },
+    });
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        throw new Error('AUTH_REQUIRED: Token invalid or expired');
+      }
+      throw new Error(`GET_MARKETDATA_ERROR: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.status && data.status !== 'OK') {
+      throw new Error(`GET_MARKETDATA_ERROR: ${data.description || data.message || data.status}`);
+    }
+
+    // API returns { status, marketData: { LA: {...}, BI: [...], OF: [...] }, depth, aggregated }
+    return {
+      symbol,
+      marketData: data.marketData || {},
+    };
+  } catch (error) {
+    if (error.message.includes('AUTH_REQUIRED') || error.message.includes('INVALID_PARAMS')) {
+      throw error;
+    }
+    if (error.message.includes('429')) {
+      throw new Error('RATE_LIMITED: Retry after 60 seconds');
+    }
+    if (error.message.includes('500') || error.message.includes('502') || error.message.includes('503')) {
+      throw new Error(`SERVER_ERROR: ${error.message}`);
+    }
+    if (error.message.startsWith('GET_MARKETDATA_ERROR')) {
+      throw error;
+    }
+    throw new Error(`GET_MARKETDATA_ERROR: ${error.message}`);
+  }
+}
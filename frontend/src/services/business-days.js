@@ -1,43 +1,9 @@
 /**
  * Business Days Calculator for Argentina
- * Handles weekends and public holidays
+ * Handles weekends and market holidays (see holidays/holiday-calendar.js)
  */
 
-/**
- * Argentina public holidays 2025
- * Source: https://www.argentina.gob.ar/interior/feriados
- */
-const ARGENTINA_HOLIDAYS_2025 = [
-  '2025-01-01', // Año Nuevo
-  '2025-02-24', // Carnaval
-  '2025-02-25', // Carnaval
-  '2025-03-24', // Día Nacional de la Memoria por la Verdad y la Justicia
-  '2025-04-02', // Día del Veterano y de los Caídos en la Guerra de Malvinas
-  '2025-04-17', // Jueves Santo (Turismo)
-  '2025-04-18', // Viernes Santo
-  '2025-05-01', // Día del Trabajador
-  '2025-05-25', // Día de la Revolución de Mayo
-  '2025-06-16', // Paso a la Inmortalidad del General Don Martín Miguel de Güemes
-  '2025-06-20', // Paso a la Inmortalidad del General Don Manuel Belgrano
-  '2025-07-09', // Día de la Independencia
-  '2025-08-17', // Paso a la Inmortalidad del General Don José de San Martín
-  '2025-10-12', // Día del Respeto a la Diversidad Cultural
-  '2025-11-20', // Día de la Soberanía Nacional
-  '2025-12-08', // Inmaculada Concepción de María
-  '2025-12-25', // Navidad
-];
-
-/**
- * Convert date to YYYY-MM-DD string for comparison
- * @param {Date} date
- * @returns {string}
- */
-function toDateString(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
+import { isMarketHoliday } from './holidays/holiday-calendar.js';
 
 /**
  * Check if a date is a weekend (Saturday or Sunday)
@@ -49,23 +15,13 @@ function isWeekend(date) {
   return day === 0 || day === 6; // 0 = Sunday, 6 = Saturday
 }
 
-/**
- * Check if a date is an Argentina public holiday
- * @param {Date} date
- * @returns {boolean}
- */
-function isHoliday(date) {
-  const dateStr = toDateString(date);
-  return ARGENTINA_HOLIDAYS_2025.includes(dateStr);
-}
-
 /**
  * Check if a date is a business day (not weekend, not holiday)
  * @param {Date} date
  * @returns {boolean}
  */
 export function isBusinessDay(date) {
-  return !isWeekend(date) && !isHoliday(date);
+  return !isWeekend(date) && !isMarketHoliday(date);
 }
 
 /**
@@ -0,0 +1,151 @@
+/**
+ * Caución Matching Service
+ * Assigns the actual cauciones of the day to the arbitrage grupos they financed.
+ * A caución is a candidate for a pattern when it starts on a trading day of the
+ * pattern's CI leg, its tenor equals the grupo plazo, its currency matches the
+ * instrument and its type matches the financing side (colocadora for
+ * VentaCI → Compra24h, tomadora for CompraCI → Venta24h). Amounts are split
+ * greedily, so one caución can finance several grupos and vice versa.
+ */
+
+import { PATTERNS, CAUCION_TIPOS } from './arbitrage-types.js';
+import { roundMoney, sumMoney } from './money.js';
+
+/**
+ * How a pattern's caución P&L was financed
+ */
+export const CAUCION_LINK_MODES = {
+  VINCULADA: 'vinculada', // fully covered by actual cauciones
+  PARCIAL: 'parcial', // partly covered; the rest uses the average TNA
+  PROMEDIO: 'promedio', // no matching cauciones; average TNA only
+};
+
+// Financing side of each pattern: the CI leg and the caución type it implies
+const PATTERN_FINANCING = [
+  { patron: PATTERNS.VENTA_CI_COMPRA_24H, ciSide: 'ventasCI', otherSide: 'compras24h', tipo: CAUCION_TIPOS.COLOCADORA },
+  { patron: PATTERNS.COMPRA_CI_VENTA_24H, ciSide: 'comprasCI', otherSide: 'ventas24h', tipo: CAUCION_TIPOS.TOMADORA },
+];
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+const toDayKey = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const normalizeCurrency = (currency) => (currency || 'ARS').toString().toUpperCase();
+
+// Cash a caución lent or borrowed and its currency; older records only carry monto/currency
+const capitalOf = (caucion) => Number(caucion.capital ?? caucion.monto);
+const capitalCurrencyOf = (caucion) => normalizeCurrency(caucion.capitalCurrency ?? caucion.currency);
+
+/**
+ * Financing needs of a grupo, one per pattern with matched quantity.
+ * The notional is the CI leg at its average price for the matched quantity.
+ *
+ * @param {import('./arbitrage-types.js').GrupoInstrumentoPlazo} grupo
+ * @returns {Array<{patron: string, tipo: string, currency: string, plazo: number, fecha: Date, dayKeys: Set<string>, notional: number}>}
+ */
+export function getFinancingDemands(grupo) {
+  const demands = [];
+  if (!grupo || !(grupo.plazo > 0)) return demands;
+
+  PATTERN_FINANCING.forEach(({ patron, ciSide, otherSide, tipo }) => {
+    const ciOperations = grupo[ciSide] || [];
+    const otherOperations = grupo[otherSide] || [];
+    const ciQty = ciOperations.reduce((sum, op) => sum + op.cantidad, 0);
+    const otherQty = otherOperations.reduce((sum, op) => sum + op.cantidad, 0);
+    const matchedQty = Math.min(ciQty, otherQty);
+    if (!(matchedQty > 0)) return;
+
+    const avgPrice = ciOperations.reduce((sum, op) => sum + op.precio * op.cantidad, 0) / ciQty;
+    const times = ciOperations.map((op) => toTime(op.fechaHora)).filter(Number.isFinite);
+    if (times.length === 0) return;
+
+    demands.push({
+      patron,
+      tipo,
+      currency: normalizeCurrency(grupo.currency),
+      plazo: grupo.plazo,
+      fecha: new Date(Math.min(...times)),
+      dayKeys: new Set(times.map(toDayKey)),
+      notional: avgPrice * matchedQty,
+    });
+  });
+
+  return demands;
+}
+
+/**
+ * Whether a caución can finance a demand (type, currency, tenor and start day)
+ * @param {import('./arbitrage-types.js').Caucion} caucion
+ * @param {ReturnType<typeof getFinancingDemands>[number]} demand
+ * @returns {boolean}
+ */
+export function isCaucionCandidate(caucion, demand) {
+  return caucion.tipo === demand.tipo
+    && capitalCurrencyOf(caucion) === demand.currency
+    && Number(caucion.tenorDias) === demand.plazo
+    && demand.dayKeys.has(toDayKey(caucion.inicio));
+}
+
+/**
+ * Link cauciones to grupos, writing the allocations to each grupo.cauciones.
+ * Grupos are served in order of their first CI operation; within a grupo the
+ * cauciones closest in time to that operation are used first.
+ *
+ * @param {Iterable<import('./arbitrage-types.js').GrupoInstrumentoPlazo>} grupos
+ * @param {import('./arbitrage-types.js').Caucion[]} cauciones
+ * @returns {{linked: number, unallocated: Array<{caucion: import('./arbitrage-types.js').Caucion, remaining: number}>}}
+ */
+export function linkCaucionesToGrupos(grupos, cauciones) {
+  const pool = (cauciones || [])
+    .filter((caucion) => caucion && capitalOf(caucion) > 0 && caucion.inicio)
+    .map((caucion) => ({ caucion, remaining: capitalOf(caucion) }));
+
+  const requests = [];
+  Array.from(grupos).forEach((grupo) => {
+    grupo.cauciones = [];
+    getFinancingDemands(grupo).forEach((demand) => requests.push({ grupo, demand }));
+  });
+
+  requests.sort((a, b) => (
+    a.demand.fecha - b.demand.fecha
+    || a.grupo.instrumento.localeCompare(b.grupo.instrumento)
+    || a.demand.patron.localeCompare(b.demand.patron)
+  ));
+
+  let linked = 0;
+  requests.forEach(({ grupo, demand }) => {
+    let pending = demand.notional;
+    const fechaTime = demand.fecha.getTime();
+    const candidates = pool
+      .filter((entry) => entry.remaining > 0 && isCaucionCandidate(entry.caucion, demand))
+      .sort((a, b) => (
+        Math.abs(toTime(a.caucion.inicio) - fechaTime) - Math.abs(toTime(b.caucion.inicio) - fechaTime)
+        || String(a.caucion.id).localeCompare(String(b.caucion.id))
+      ));
+
+    for (const entry of candidates) {
+      if (pending <= 0) break;
+      const montoAsignado = roundMoney(Math.min(entry.remaining, pending), demand.currency);
+      if (montoAsignado <= 0) break;
+      entry.remaining = sumMoney([entry.remaining, -montoAsignado], demand.currency);
+      pending -= montoAsignado;
+      linked += 1;
+      grupo.cauciones.push({
+        ...entry.caucion,
+        patron: demand.patron,
+        montoAsignado,
+      });
+    }
+  });
+
+  return {
+    linked,
+    unallocated: pool.filter((entry) => entry.remaining > 0),
+  };
+}
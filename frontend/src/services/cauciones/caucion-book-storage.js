@@ -0,0 +1,58 @@
+import {
+  readItem,
+  writeItem,
+  removeItem,
+  storageAvailable,
+  storageKeys,
+} from '../storage/local-storage.js';
+import {
+  CAUCION_BOOK_VERSION,
+  createEmptyCaucionBook,
+} from './caucion-book.js';
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidPosition = (position) => position
+  && typeof position.id === 'string'
+  && Number.isFinite(position.monto)
+  && Number.isFinite(position.tenorDias)
+  && DATE_KEY_REGEX.test(position.inicio)
+  && DATE_KEY_REGEX.test(position.vencimiento);
+
+export const sanitizeCaucionBook = (candidate) => {
+  if (!candidate || typeof candidate !== 'object' || candidate.version !== CAUCION_BOOK_VERSION) {
+    return createEmptyCaucionBook();
+  }
+
+  return {
+    ...createEmptyCaucionBook(),
+    positions: Array.isArray(candidate.positions) ? candidate.positions.filter(isValidPosition) : [],
+    updatedAt: typeof candidate.updatedAt === 'string' ? candidate.updatedAt : null,
+  };
+};
+
+export const loadCaucionBook = async () => {
+  if (!storageAvailable()) {
+    return createEmptyCaucionBook();
+  }
+
+  const stored = await readItem(storageKeys.caucionBook);
+  return sanitizeCaucionBook(stored);
+};
+
+export const saveCaucionBook = async (book) => {
+  const sanitized = sanitizeCaucionBook(book);
+
+  if (storageAvailable()) {
+    await writeItem(storageKeys.caucionBook, sanitized);
+  }
+
+  return sanitized;
+};
+
+export const clearCaucionBook = async () => {
+  if (storageAvailable()) {
+    await removeItem(storageKeys.caucionBook);
+  }
+  return createEmptyCaucionBook();
+};
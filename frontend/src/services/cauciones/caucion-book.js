@@ -0,0 +1,297 @@
+/**
+ * Caución position book.
+ *
+ * Like the position ledger, the book only stores the cauciones it has been given;
+ * what is open, what matures on each business day and the interest accrued to date
+ * are derived on every read. A caución that starts on the day an earlier one of the
+ * same side and currency matures is linked to it as its renewal (rollover).
+ */
+
+import { parseCauciones } from '../data-aggregation.js';
+import { CAUCION_TIPOS } from '../arbitrage-types.js';
+import { addBusinessDays, calculateCalendarDays, isBusinessDay } from '../business-days.js';
+import { calculateAccruedInterest, calculateRepoExpenseBreakdown } from '../fees/repo-fees.js';
+import { multiplyMoney, sumMoney } from '../money.js';
+
+export const CAUCION_BOOK_VERSION = 1;
+
+// Business days shown in the maturity calendar
+export const DEFAULT_CALENDAR_DAYS = 10;
+
+export const POSITION_STATUS = {
+  ABIERTA: 'abierta',
+  VENCIDA: 'vencida',
+};
+
+const TIPOS = new Set(Object.values(CAUCION_TIPOS));
+const CAUCION_SYMBOL_REGEX = /(^|-)\s*(PESOS|DOLAR)\s*-\s*\d+D$/i;
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar day, so positions opened late in the day are not shifted by UTC
+export const toDateKey = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const fromDateKey = (key) => {
+  const [year, month, day] = String(key).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// A caución that ends on a weekend or holiday settles on the next business day
+const resolveSettlementKey = (finKey) => {
+  const fin = fromDateKey(finKey);
+  return toDateKey(isBusinessDay(fin) ? fin : addBusinessDays(fin, 1));
+};
+
+/**
+ * Cauciones are categorized by the fee enrichment; without an instrument catalog the
+ * symbol ('MERV - XMEV - PESOS - 7D') still identifies them.
+ */
+export const isCaucionOperation = (operation) => operation?.category === 'caucion'
+  || CAUCION_SYMBOL_REGEX.test(String(operation?.originalSymbol ?? operation?.symbol ?? '').trim());
+
+export const createEmptyCaucionBook = () => ({
+  version: CAUCION_BOOK_VERSION,
+  positions: [],
+  updatedAt: null,
+});
+
+/**
+ * Converts the cauciones of processed operations into book positions.
+ * @param {Array<Object>} operations - operations from processOperations
+ * @param {{ source?: string }} [options]
+ * @returns {Array<Object>}
+ */
+export const createPositionsFromOperations = (operations = [], { source = '' } = {}) => {
+  if (!Array.isArray(operations)) {
+    return [];
+  }
+  const caucionOperations = operations
+    .filter(isCaucionOperation)
+    .map((operation) => ({ ...operation, symbol: operation.originalSymbol ?? operation.symbol }));
+
+  return parseCauciones(caucionOperations)
+    .filter((caucion) => caucion.capital > 0 && caucion.tenorDias > 0 && TIPOS.has(caucion.tipo))
+    .map((caucion) => {
+      const inicio = toDateKey(caucion.inicio);
+      const fin = toDateKey(caucion.fin);
+      const { capital: monto, capitalCurrency: currency } = caucion;
+      return {
+        id: [caucion.id, caucion.tipo, currency, inicio, caucion.tenorDias, monto, caucion.tasa].join('|'),
+        instrumento: caucion.instrumento,
+        currency,
+        tipo: caucion.tipo,
+        monto,
+        tasa: caucion.tasa,
+        tenorDias: caucion.tenorDias,
+        inicio,
+        fin,
+        vencimiento: resolveSettlementKey(fin),
+        rolledFrom: null,
+        source,
+      };
+    });
+};
+
+const sortPositions = (positions) => [...positions].sort((a, b) => (
+  a.inicio === b.inicio ? a.id.localeCompare(b.id) : a.inicio.localeCompare(b.inicio)
+));
+
+/**
+ * Links each position to the one it renews: same side and currency, started on the day
+ * the earlier one settled. When several candidates match, the closest amount wins.
+ * Existing links, and positions whose link was broken by hand, are kept as they are.
+ * @param {Array<Object>} positions
+ * @returns {Array<Object>}
+ */
+export const linkRollovers = (positions = []) => {
+  const sorted = sortPositions(positions);
+  const renewed = new Set(sorted.map((position) => position.rolledFrom).filter(Boolean));
+
+  return sorted.map((position) => {
+    if (position.rolledFrom || position.rolloverUnlinked) {
+      return position;
+    }
+    const candidate = sorted
+      .filter((previous) => previous.id !== position.id
+        && !renewed.has(previous.id)
+        && previous.tipo === position.tipo
+        && previous.currency === position.currency
+        && previous.vencimiento === position.inicio)
+      .sort((a, b) => Math.abs(a.monto - position.monto) - Math.abs(b.monto - position.monto))[0];
+
+    if (!candidate) {
+      return position;
+    }
+    renewed.add(candidate.id);
+    return { ...position, rolledFrom: candidate.id };
+  });
+};
+
+/**
+ * Adds positions to the book, skipping ids already posted, and relinks rollovers.
+ * @returns {{ book: Object, added: number, skipped: number }}
+ */
+export const postPositions = (book, positions = []) => {
+  const base = book ?? createEmptyCaucionBook();
+  const knownIds = new Set(base.positions.map((position) => position.id));
+  const accepted = [];
+  let skipped = 0;
+
+  positions.forEach((position) => {
+    if (!position?.id || knownIds.has(position.id)) {
+      skipped += 1;
+      return;
+    }
+    knownIds.add(position.id);
+    accepted.push(position);
+  });
+
+  return {
+    book: {
+      ...base,
+      positions: linkRollovers([...base.positions, ...accepted]),
+      updatedAt: accepted.length > 0 ? new Date().toISOString() : base.updatedAt,
+    },
+    added: accepted.length,
+    skipped,
+  };
+};
+
+/**
+ * Breaks the rollover link of a position; it will not be relinked automatically.
+ */
+export const unlinkRollover = (book, positionId) => ({
+  ...book,
+  positions: book.positions.map((position) => (
+    position.id === positionId ? { ...position, rolledFrom: null, rolloverUnlinked: true } : position
+  )),
+});
+
+const repoExpenses = (position, interest, repoFeeConfig) => {
+  if (!repoFeeConfig) {
+    return 0;
+  }
+  const breakdown = calculateRepoExpenseBreakdown({
+    id: position.id,
+    instrument: { cfiCode: 'RP', displayName: `${position.instrumento} ${position.tenorDias}D` },
+    currency: position.currency,
+    role: position.tipo,
+    principalAmount: position.monto,
+    baseAmount: sumMoney([position.monto, interest], position.currency),
+    accruedInterest: interest,
+    priceTNA: position.tasa,
+    tenorDays: position.tenorDias,
+  }, repoFeeConfig);
+  return breakdown?.status === 'ok' ? breakdown.totalExpenses : 0;
+};
+
+/**
+ * Accrued interest and expenses of one position as of a date. Expenses are charged for
+ * the whole tenor and accrue pro rata; the net is income for a colocadora and cost for
+ * a tomadora (negative).
+ */
+export const calculatePositionAccrual = (position, { asOf = new Date(), repoFeeConfig = null } = {}) => {
+  const { currency, tenorDias } = position;
+  const elapsed = Math.min(Math.max(calculateCalendarDays(fromDateKey(position.inicio), startOfDay(asOf)), 0), tenorDias);
+  const interesTotal = calculateAccruedInterest(position.monto, position.tasa, tenorDias, currency);
+  const gastosTotal = repoExpenses(position, interesTotal, repoFeeConfig);
+
+  const interesDevengado = calculateAccruedInterest(position.monto, position.tasa, elapsed, currency);
+  const gastosDevengados = multiplyMoney(gastosTotal, [elapsed], { currency, divisor: tenorDias });
+  const netoDevengado = position.tipo === CAUCION_TIPOS.COLOCADORA
+    ? sumMoney([interesDevengado, -gastosDevengados], currency)
+    : sumMoney([-interesDevengado, -gastosDevengados], currency);
+
+  return {
+    diasTranscurridos: elapsed,
+    interesTotal,
+    gastosTotal,
+    interesDevengado,
+    gastosDevengados,
+    netoDevengado,
+    // Cash at maturity: collected by a colocadora, paid by a tomadora
+    montoAlVencimiento: position.tipo === CAUCION_TIPOS.COLOCADORA
+      ? sumMoney([position.monto, interesTotal, -gastosTotal], currency)
+      : sumMoney([position.monto, interesTotal, gastosTotal], currency),
+  };
+};
+
+const addToTotals = (totals, currency, values) => {
+  const current = totals[currency] ?? {};
+  totals[currency] = Object.fromEntries(Object.entries(values).map(([key, amount]) => (
+    [key, sumMoney([current[key] ?? 0, amount], currency)]
+  )));
+};
+
+/**
+ * Derives open and matured positions, rollover chains, accruals and the maturity calendar.
+ * @param {Object} book
+ * @param {{ asOf?: Date, repoFeeConfig?: Object|null, calendarDays?: number }} [options]
+ * @returns {{ open: Array<Object>, matured: Array<Object>, calendar: Array<Object>,
+ *   totals: Object<string, { colocado: number, tomado: number, netoDevengado: number }> }}
+ */
+export const computeCaucionBookState = (book, {
+  asOf = new Date(),
+  repoFeeConfig = null,
+  calendarDays = DEFAULT_CALENDAR_DAYS,
+} = {}) => {
+  const positions = sortPositions(Array.isArray(book?.positions) ? book.positions : []);
+  const byId = new Map(positions.map((position) => [position.id, position]));
+  const today = toDateKey(asOf);
+
+  const rows = positions.map((position) => {
+    let chainLength = 1;
+    let origin = position;
+    while (origin.rolledFrom && byId.has(origin.rolledFrom) && chainLength <= positions.length) {
+      origin = byId.get(origin.rolledFrom);
+      chainLength += 1;
+    }
+    return {
+      ...position,
+      ...calculatePositionAccrual(position, { asOf, repoFeeConfig }),
+      status: position.vencimiento >= today ? POSITION_STATUS.ABIERTA : POSITION_STATUS.VENCIDA,
+      renovaciones: chainLength - 1,
+      chainStart: origin.inicio,
+    };
+  });
+
+  const open = rows.filter((row) => row.status === POSITION_STATUS.ABIERTA);
+  const matured = rows.filter((row) => row.status === POSITION_STATUS.VENCIDA).reverse();
+
+  const totals = {};
+  open.forEach((row) => {
+    addToTotals(totals, row.currency, {
+      colocado: row.tipo === CAUCION_TIPOS.COLOCADORA ? row.monto : 0,
+      tomado: row.tipo === CAUCION_TIPOS.TOMADORA ? row.monto : 0,
+      netoDevengado: row.netoDevengado,
+    });
+  });
+
+  // Today when it is a business day, then the following ones
+  const start = startOfDay(asOf);
+  const firstDay = isBusinessDay(start) ? start : addBusinessDays(start, 1);
+  const calendar = Array.from({ length: calendarDays }, (_, index) => {
+    const fecha = toDateKey(index === 0 ? firstDay : addBusinessDays(firstDay, index));
+    const vencimientos = open.filter((row) => row.vencimiento === fecha);
+    const porMoneda = {};
+    vencimientos.forEach((row) => {
+      const signed = row.tipo === CAUCION_TIPOS.COLOCADORA ? row.montoAlVencimiento : -row.montoAlVencimiento;
+      porMoneda[row.currency] = sumMoney([porMoneda[row.currency] ?? 0, signed], row.currency);
+    });
+    return { fecha, vencimientos, porMoneda };
+  });
+
+  return { open, matured, calendar, totals };
+};
@@ -0,0 +1,148 @@
+/**
+ * Caución calculator
+ * Prices a caución before it is placed with the same repo-fees math used for the
+ * processed operations: gross interest, every expense line, net settlement and the
+ * net effective rate, for one tenor or several side by side.
+ */
+
+import { CAUCION_TIPOS } from '../arbitrage-types.js';
+import { addBusinessDays, calculateCalendarDays, isBusinessDay } from '../business-days.js';
+import { calculateAccruedInterest, calculateRepoExpenseBreakdown } from '../fees/repo-fees.js';
+import { sumMoney } from '../money.js';
+import { calculateBreakdownRates, describeTNA } from '../rates.js';
+import { fromDateKey, toDateKey } from './caucion-book.js';
+
+export const DEFAULT_COMPARISON_TENORS = [1, 7, 14, 30];
+
+const CAUCION_TICKERS = { ARS: 'PESOS', USD: 'DOLAR' };
+
+/**
+ * Field errors of the calculator form, empty when the input can be priced.
+ * @param {{amount: number, tna: number, tenorDays: number}} input
+ * @returns {Object<string, string>}
+ */
+export const validateCalculatorInput = ({ amount, tna, tenorDays }) => {
+  const errors = {};
+  if (!Number.isFinite(amount) || amount <= 0) {
+    errors.amount = 'Ingresá un monto mayor a cero.';
+  }
+  if (!Number.isFinite(tna) || tna < 0) {
+    errors.tna = 'Ingresá una TNA válida.';
+  }
+  if (!Number.isInteger(tenorDays) || tenorDays < 1) {
+    errors.tenorDays = 'El plazo debe ser de al menos 1 día.';
+  }
+  return errors;
+};
+
+/**
+ * Tenor and maturity from either a tenor in days or an end date. Cauciones only
+ * mature on business days; when the maturity is not one, the next business day is
+ * suggested.
+ * @param {{startDate: string, tenorDays?: number, endDate?: string}} params - dates as 'YYYY-MM-DD'
+ * @returns {{tenorDays: number|null, endDate: string|null, nextBusinessDay: string|null, error: string|null}}
+ */
+export const resolveCaucionTenor = ({ startDate, tenorDays, endDate }) => {
+  const start = fromDateKey(startDate);
+  if (!startDate || Number.isNaN(start.getTime())) {
+    return { tenorDays: null, endDate: null, nextBusinessDay: null, error: 'Fecha de inicio inválida.' };
+  }
+
+  let end;
+  if (endDate) {
+    end = fromDateKey(endDate);
+    if (Number.isNaN(end.getTime())) {
+      return { tenorDays: null, endDate: null, nextBusinessDay: null, error: 'Fecha de vencimiento inválida.' };
+    }
+  } else if (Number.isInteger(tenorDays) && tenorDays > 0) {
+    end = new Date(start);
+    end.setDate(end.getDate() + tenorDays);
+  } else {
+    return { tenorDays: null, endDate: null, nextBusinessDay: null, error: null };
+  }
+
+  const days = calculateCalendarDays(start, end);
+  if (days < 1) {
+    return { tenorDays: null, endDate: toDateKey(end), nextBusinessDay: null, error: 'El vencimiento debe ser posterior al inicio.' };
+  }
+  if (!isBusinessDay(end)) {
+    const nextBusinessDay = toDateKey(addBusinessDays(end, 1));
+    return {
+      tenorDays: days,
+      endDate: toDateKey(end),
+      nextBusinessDay,
+      error: `El vencimiento cae en un día no hábil; el próximo hábil es ${nextBusinessDay}.`,
+    };
+  }
+  return { tenorDays: days, endDate: toDateKey(end), nextBusinessDay: null, error: null };
+};
+
+/**
+ * Prices one caución with the active repo fee config.
+ * @param {{amount: number, currency: string, tenorDays: number, tna: number, role: string}} input
+ * @param {Object|null} repoFeeConfig - getRepoFeeConfig()
+ * @returns {{interest: number, breakdown: Object, rates: {gross: Object, net: Object|null},
+ *   netSettlement: number|null, netResult: number|null}}
+ */
+export const calculateCaucion = ({ amount, currency = 'ARS', tenorDays, tna, role = CAUCION_TIPOS.COLOCADORA }, repoFeeConfig) => {
+  const interest = calculateAccruedInterest(amount, tna, tenorDays, currency);
+  const breakdown = calculateRepoExpenseBreakdown({
+    id: `calculadora-${tenorDays}`,
+    instrument: { cfiCode: 'RP', displayName: `${CAUCION_TICKERS[currency] ?? currency} ${tenorDays}D` },
+    currency,
+    role,
+    principalAmount: amount,
+    baseAmount: sumMoney([amount, interest], currency),
+    accruedInterest: interest,
+    priceTNA: tna,
+    tenorDays,
+  }, repoFeeConfig ?? {});
+
+  const isPriced = breakdown?.status === 'ok';
+  const isColocadora = role === CAUCION_TIPOS.COLOCADORA;
+  return {
+    interest,
+    breakdown,
+    rates: {
+      gross: describeTNA(tna, tenorDays),
+      net: isPriced ? calculateBreakdownRates(breakdown)?.net ?? null : null,
+    },
+    netSettlement: isPriced ? breakdown.netSettlement : null,
+    // Earned by a colocadora, paid (negative) by a tomadora
+    netResult: isPriced
+      ? sumMoney(isColocadora ? [interest, -breakdown.totalExpenses] : [-interest, -breakdown.totalExpenses], currency)
+      : null,
+  };
+};
+
+/**
+ * Prices the same amount and role for several tenors, each at its own TNA when given.
+ * @param {Object} input - as for calculateCaucion
+ * @param {Array<{tenorDays: number, tna?: number}>} scenarios
+ * @param {Object|null} repoFeeConfig
+ * @param {{startDate: string}} options
+ * @returns {Array<Object>}
+ */
+export const compareTenors = (input, scenarios, repoFeeConfig, { startDate }) => scenarios
+  .filter(({ tenorDays }) => Number.isInteger(tenorDays) && tenorDays > 0)
+  .map(({ tenorDays, tna }) => {
+    const scenarioTNA = Number.isFinite(tna) ? tna : input.tna;
+    return {
+      ...calculateCaucion({ ...input, tenorDays, tna: scenarioTNA }, repoFeeConfig),
+      ...resolveCaucionTenor({ startDate, tenorDays }),
+      tenorDays,
+      tna: scenarioTNA,
+    };
+  });
+
+/**
+ * Reads a list of tenors such as '1, 7, 14 30'.
+ * @param {string} text
+ * @returns {number[]} unique tenors in ascending order
+ */
+export const parseTenorList = (text) => Array.from(new Set(
+  String(text ?? '')
+    .split(/[\s,;]+/)
+    .map((part) => Number.parseInt(part, 10))
+    .filter((value) => Number.isInteger(value) && value > 0),
+)).sort((a, b) => a - b);
@@ -1,12 +1,10 @@
+import { roundToDecimals, sumMoney } from '../money.js';
+
 const SIGN_BY_SIDE = {
   BUY: 1,
   SELL: -1,
 };
 
-const formatNumber = (value, decimals = 4) => {
-  const factor = 10 ** decimals;
-  return Math.round((value + Number.EPSILON) * factor) / factor;
-};
 
 const groupOperations = (operations, { useAveraging }) => {
   const groups = new Map();
@@ -59,6 +57,7 @@ export const consolidateOperations = (
       exclusions: {
         zeroNetQuantity: 0,
       },
+      excludedOperations: [],
     };
   }
 
@@ -66,31 +65,34 @@ export const consolidateOperations = (
   const calls = [];
   const puts = [];
   let zeroNetQuantity = 0;
+  // Legs of groups that net to zero, so each dropped fill can be reported
+  const excludedOperations = [];
 
   groups.forEach((group) => {
     if (group.netQuantity === 0) {
       zeroNetQuantity += 1;
+      excludedOperations.push(...group.legs);
       return;
     }
 
-    const averagePrice = formatNumber(group.weightedSum / group.netQuantity);
+    const averagePrice = roundToDecimals(group.weightedSum / group.netQuantity, 4);
 
     const representativeSymbol = group.legs[0]?.originalSymbol ?? group.matchedSymbol;
 
     // Aggregate fee data from legs (Feature 004)
     const totalGrossNotional = group.legs.reduce((sum, leg) => sum + (leg.grossNotional || 0), 0);
-    const totalFeeAmount = group.legs.reduce((sum, leg) => sum + (leg.feeAmount || 0), 0);
     const firstLeg = group.legs[0];
     const category = firstLeg?.category || 'bonds';
-    
-    // Recompute fee breakdown for the total gross notional
-    // (not using first leg's breakdown since it's for a single leg)
+    const currency = firstLeg?.feeBreakdown?.currency;
+    const sumLegs = (pick) => sumMoney(group.legs.map((leg) => pick(leg) || 0), currency);
+    const totalFeeAmount = sumLegs((leg) => leg.feeAmount);
+
+    // Components are the sum of each leg's rounded amounts, so they add up to feeAmount
     const feeBreakdown = firstLeg?.feeBreakdown ? {
       ...firstLeg.feeBreakdown,
-      // Recalculate amounts based on totalGrossNotional
-      commissionAmount: totalGrossNotional * firstLeg.feeBreakdown.commissionPct,
-      rightsAmount: totalGrossNotional * firstLeg.feeBreakdown.rightsPct,
-      vatAmount: totalGrossNotional * (firstLeg.feeBreakdown.commissionPct + firstLeg.feeBreakdown.rightsPct) * firstLeg.feeBreakdown.vatPct,
+      commissionAmount: sumLegs((leg) => leg.feeBreakdown?.commissionAmount),
+      rightsAmount: sumLegs((leg) => leg.feeBreakdown?.rightsAmount),
+      vatAmount: sumLegs((leg) => leg.feeBreakdown?.vatAmount),
     } : null;
 
     const consolidated = {
@@ -133,6 +135,7 @@ export const consolidateOperations = (
     exclusions: {
       zeroNetQuantity,
     },
+    excludedOperations,
   };
 };
 
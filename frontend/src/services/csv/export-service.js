@@ -106,24 +106,8 @@ const buildFileName = (summary, scope) => {
   return `${symbol}_${expiration}_${suffix}.csv`;
 };
 
-export const exportReportToCsv = async ({ report, scope, view, documentRef }) => {
-  if (!report) {
-    throw new Error('No hay datos para exportar.');
-  }
-
-  const viewData = resolveViewData(report, view);
-  const { operations, calls, puts } = getOperations(viewData, scope);
-  if (!operations || operations.length === 0) {
-    throw new Error('No hay datos disponibles en el ámbito seleccionado.');
-  }
-
-  const lines =
-    scope === CLIPBOARD_SCOPES.COMBINED
-      ? buildCombinedLines(calls, puts)
-      : buildCsvLines(operations);
-
+const downloadCsvLines = ({ lines, fileName, documentRef }) => {
   const csvContent = `${lines.join('\n')}\n`;
-  const fileName = buildFileName(viewData?.summary ?? report.summary, scope);
 
   const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
   const url = (typeof URL !== 'undefined' && URL.createObjectURL)
@@ -153,3 +137,82 @@ export const exportReportToCsv = async ({ report, scope, view, documentRef }) =>
 
   return fileName;
 };
+
+export const exportReportToCsv = async ({ report, scope, view, documentRef }) => {
+  if (!report) {
+    throw new Error('No hay datos para exportar.');
+  }
+
+  const viewData = resolveViewData(report, view);
+  const { operations, calls, puts } = getOperations(viewData, scope);
+  if (!operations || operations.length === 0) {
+    throw new Error('No hay datos disponibles en el ámbito seleccionado.');
+  }
+
+  const lines =
+    scope === CLIPBOARD_SCOPES.COMBINED
+      ? buildCombinedLines(calls, puts)
+      : buildCsvLines(operations);
+
+  const fileName = buildFileName(viewData?.summary ?? report.summary, scope);
+  return downloadCsvLines({ lines, fileName, documentRef });
+};
+
+const EXCLUDED_BASE_HEADERS = ['Motivo', 'Detalle', 'Archivo', 'Fila'];
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    // Broker dumps keep nested payloads such as `_original`
+    text = JSON.stringify(value);
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Lines for the exclusion report: reason code and label, source file and row, followed by
+ * every column found in the original rows.
+ * @param {Array<{reason: string, fileName?: string, rowNumber?: number, raw?: Object}>} rows
+ * @param {Record<string, string>} [reasonLabels]
+ * @returns {string[]}
+ */
+export const buildExcludedRowsCsvLines = (rows = [], reasonLabels = {}) => {
+  const rawColumns = [];
+  const seen = new Set();
+  rows.forEach((row) => {
+    Object.keys(row.raw ?? {}).forEach((column) => {
+      if (!seen.has(column)) {
+        seen.add(column);
+        rawColumns.push(column);
+      }
+    });
+  });
+
+  const header = [...EXCLUDED_BASE_HEADERS, ...rawColumns].map(escapeCsvValue).join(',');
+  const lines = rows.map((row) =>
+    [
+      row.reason,
+      reasonLabels[row.reason] ?? '',
+      row.fileName,
+      row.rowNumber,
+      ...rawColumns.map((column) => row.raw?.[column]),
+    ].map(escapeCsvValue).join(','),
+  );
+  return [header, ...lines];
+};
+
+export const exportExcludedRowsToCsv = async ({ report, view, reasonLabels, documentRef }) => {
+  const viewData = resolveViewData(report, view);
+  const rows = viewData?.exclusions?.rows ?? report?.exclusions?.rows ?? [];
+  if (rows.length === 0) {
+    throw new Error('No hay filas excluidas para exportar.');
+  }
+
+  const fileName = buildFileName(viewData?.summary ?? report.summary, 'EXCLUIDAS');
+  return downloadCsvLines({ lines: buildExcludedRowsCsvLines(rows, reasonLabels), fileName, documentRef });
+};
@@ -0,0 +1,54 @@
+import {
+  readItem,
+  writeItem,
+  storageAvailable,
+  storageKeys,
+} from '../storage/local-storage.js';
+import { IMPORT_PROFILE_VERSION } from './import-profiles.js';
+
+const isValidProfile = (profile) => (
+  profile
+  && typeof profile === 'object'
+  && profile.version === IMPORT_PROFILE_VERSION
+  && typeof profile.id === 'string'
+  && typeof profile.signature === 'string'
+  && profile.columns
+  && typeof profile.columns === 'object'
+);
+
+export const sanitizeImportProfiles = (candidate) => (
+  Array.isArray(candidate) ? candidate.filter(isValidProfile) : []
+);
+
+export const loadImportProfiles = async () => {
+  if (!storageAvailable()) {
+    return [];
+  }
+
+  const stored = await readItem(storageKeys.importProfiles);
+  return sanitizeImportProfiles(stored);
+};
+
+const writeProfiles = async (profiles) => {
+  const sanitized = sanitizeImportProfiles(profiles);
+  if (storageAvailable()) {
+    await writeItem(storageKeys.importProfiles, sanitized);
+  }
+  return sanitized;
+};
+
+/**
+ * Adds a profile, replacing any profile with the same id or header signature.
+ * @param {Object} profile
+ * @returns {Promise<Array<Object>>} Stored profiles
+ */
+export const saveImportProfile = async (profile) => {
+  const profiles = await loadImportProfiles();
+  const remaining = profiles.filter((entry) => entry.id !== profile.id && entry.signature !== profile.signature);
+  return writeProfiles([...remaining, profile]);
+};
+
+export const deleteImportProfile = async (profileId) => {
+  const profiles = await loadImportProfiles();
+  return writeProfiles(profiles.filter((entry) => entry.id !== profileId));
+};
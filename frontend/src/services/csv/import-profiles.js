@@ -0,0 +1,291 @@
+/**
+ * Import profiles map arbitrary broker CSV headers to the columns the pipeline expects.
+ * A profile stores the column mapping, value translations (side/status) and the decimal
+ * separator, and is matched to later files by header signature.
+ */
+
+import { findUnresolvedColumns } from './legacy-normalizer.js';
+import { validatorConstants } from './validators.js';
+
+export const MISSING_COLUMNS_ERROR = 'MISSING_COLUMNS';
+
+export const IMPORT_PROFILE_VERSION = 1;
+
+// Fields a source column can be mapped to; the required ones come from the validator
+export const MAPPABLE_FIELDS = [
+  'order_id',
+  'side',
+  'quantity',
+  'price',
+  'symbol',
+  'transact_time',
+  'status',
+  'security_id',
+  'option_type',
+  'strike',
+  'expiration',
+];
+
+export const REQUIRED_FIELDS = validatorConstants.REQUIRED_COLUMNS;
+
+const NUMERIC_FIELDS = new Set(['quantity', 'price', 'strike']);
+
+// Fields whose raw values can be translated through `valueMaps`
+export const TRANSLATABLE_FIELDS = {
+  side: ['BUY', 'SELL'],
+  status: ['fully_executed', 'partially_executed', 'cancelled', 'new'],
+};
+
+const HEADER_ALIASES = {
+  order_id: ['order_id', 'orden', 'nro orden', 'numero de orden', 'número de orden', 'order', 'id orden', 'boleto', 'nro boleto'],
+  side: ['side', 'operacion', 'operación', 'tipo operacion', 'tipo de operacion', 'tipo de operación', 'compra/venta', 'sentido'],
+  quantity: ['quantity', 'cantidad', 'cant', 'nominales', 'qty', 'cantidad vn'],
+  price: ['price', 'precio', 'px', 'precio promedio', 'cotizacion', 'cotización'],
+  symbol: ['symbol', 'especie', 'simbolo', 'símbolo', 'ticker', 'instrumento'],
+  transact_time: ['transact_time', 'fecha', 'fecha/hora', 'fecha hora', 'hora', 'fecha concertacion', 'fecha de concertación', 'timestamp'],
+  status: ['status', 'estado', 'ord_status'],
+  security_id: ['security_id', 'codigo', 'código', 'isin'],
+  option_type: ['option_type', 'tipo opcion', 'tipo de opción'],
+  strike: ['strike', 'precio ejercicio', 'precio de ejercicio', 'base'],
+  expiration: ['expiration', 'vencimiento', 'expire_date'],
+};
+
+const SIDE_PATTERNS = [
+  { pattern: /^(buy|b|c|compra|cpra|comprado)\b/i, value: 'BUY' },
+  { pattern: /^(sell|s|v|venta|vta|vendido)\b/i, value: 'SELL' },
+];
+
+const STATUS_PATTERNS = [
+  { pattern: /parcial|partial/i, value: 'partially_executed' },
+  { pattern: /cancel|anulad|rechaz/i, value: 'cancelled' },
+  { pattern: /ejecut|fill|complet|concertad/i, value: 'fully_executed' },
+  { pattern: /pendiente|nueva|new|abierta/i, value: 'new' },
+];
+
+const normalizeHeader = (header) => (typeof header === 'string' ? header.trim().toLowerCase() : '');
+
+/**
+ * Normalized key used in value maps ("  Compra " -> "COMPRA").
+ * @param {*} value
+ * @returns {string}
+ */
+export const normalizeValueKey = (value) => (
+  value === null || value === undefined ? '' : String(value).trim().toUpperCase()
+);
+
+/**
+ * Order-independent signature of a header row.
+ * @param {string[]} headers
+ * @returns {string}
+ */
+export const createHeaderSignature = (headers = []) => (
+  headers.map(normalizeHeader).filter(Boolean).sort().join('|')
+);
+
+/**
+ * Headers of parsed rows (union of the first rows' keys, in first-seen order).
+ * @param {Array<Object>} rows
+ * @param {number} [sampleSize]
+ * @returns {string[]}
+ */
+export const collectHeaders = (rows = [], sampleSize = 5) => {
+  const headers = [];
+  rows.slice(0, sampleSize).forEach((row) => {
+    Object.keys(row ?? {}).forEach((key) => {
+      if (!headers.includes(key)) {
+        headers.push(key);
+      }
+    });
+  });
+  return headers;
+};
+
+/**
+ * Guesses a field -> header mapping from common Spanish/English header names.
+ * @param {string[]} headers
+ * @returns {Object<string, string>}
+ */
+export const suggestColumnMapping = (headers = []) => {
+  const byNormalized = new Map(headers.map((header) => [normalizeHeader(header), header]));
+  const used = new Set();
+  const mapping = {};
+
+  MAPPABLE_FIELDS.forEach((field) => {
+    const alias = (HEADER_ALIASES[field] ?? [field]).find((candidate) => (
+      byNormalized.has(candidate) && !used.has(byNormalized.get(candidate))
+    ));
+    if (alias) {
+      mapping[field] = byNormalized.get(alias);
+      used.add(mapping[field]);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Suggests translations for the raw values of a side or status column.
+ * @param {'side'|'status'} field
+ * @param {Array<*>} values - Distinct raw values
+ * @returns {Object<string, string>}
+ */
+export const suggestValueMap = (field, values = []) => {
+  const patterns = field === 'side' ? SIDE_PATTERNS : STATUS_PATTERNS;
+  const map = {};
+  values.forEach((value) => {
+    const key = normalizeValueKey(value);
+    if (!key) {
+      return;
+    }
+    const match = patterns.find(({ pattern }) => pattern.test(key));
+    if (match) {
+      map[key] = match.value;
+    }
+  });
+  return map;
+};
+
+/**
+ * Distinct values per header, for value translation previews.
+ * @param {Array<Object>} rows
+ * @param {string[]} headers
+ * @param {number} [limit]
+ * @returns {Object<string, string[]>}
+ */
+export const collectDistinctValues = (rows = [], headers = [], limit = 20) => {
+  const distinct = Object.fromEntries(headers.map((header) => [header, new Set()]));
+  rows.forEach((row) => {
+    headers.forEach((header) => {
+      const set = distinct[header];
+      const value = row?.[header];
+      if (set.size < limit && value !== null && value !== undefined && value !== '') {
+        set.add(String(value).trim());
+      }
+    });
+  });
+  return Object.fromEntries(Object.entries(distinct).map(([header, set]) => [header, [...set]]));
+};
+
+const parseDecimal = (value, decimalSeparator) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const compact = value.replace(/\s+/g, '');
+  const normalized = decimalSeparator === ','
+    ? compact.replace(/\./g, '').replace(',', '.')
+    : compact.replace(/,/g, '');
+  const parsed = Number(normalized);
+  return normalized && Number.isFinite(parsed) ? parsed : value;
+};
+
+/**
+ * Rewrites parsed rows into the pipeline's column names. Source columns are kept so the
+ * original values stay available in `raw`.
+ * @param {Array<Object>} rows
+ * @param {Object} profile
+ * @returns {Array<Object>}
+ */
+export const applyImportProfile = (rows = [], profile) => {
+  const columns = Object.entries(profile?.columns ?? {}).filter(([, header]) => header);
+  if (!columns.length) {
+    return rows;
+  }
+  const valueMaps = profile.valueMaps ?? {};
+  const decimalSeparator = profile.decimalSeparator ?? '.';
+
+  return rows.map((row) => {
+    const mapped = { ...row };
+    columns.forEach(([field, header]) => {
+      if (!Object.prototype.hasOwnProperty.call(row, header)) {
+        return;
+      }
+      let value = row[header];
+      const translated = valueMaps[field]?.[normalizeValueKey(value)];
+      if (translated) {
+        value = translated;
+      } else if (NUMERIC_FIELDS.has(field)) {
+        value = parseDecimal(value, decimalSeparator);
+      }
+      mapped[field] = value;
+    });
+    return mapped;
+  });
+};
+
+/**
+ * @param {Array<Object>} profiles
+ * @param {string[]} headers
+ * @returns {Object|null} Profile whose signature matches the headers
+ */
+export const findProfileForHeaders = (profiles = [], headers = []) => {
+  const signature = createHeaderSignature(headers);
+  return profiles.find((profile) => profile?.signature === signature) ?? null;
+};
+
+/**
+ * Matches one file's rows to a saved profile by their headers and applies it.
+ * @param {Array<Object>} rows - Rows of a single file
+ * @param {Array<Object>} profiles
+ * @param {string[]} [ignoredHeaders] - Columns added after parsing (e.g. provenance)
+ * @returns {{rows: Array<Object>, headers: string[], profile: Object|null, missing: string[]}}
+ */
+export const matchImportProfile = (rows = [], profiles = [], ignoredHeaders = []) => {
+  const headers = collectHeaders(rows).filter((header) => !ignoredHeaders.includes(header));
+  const profile = findProfileForHeaders(profiles, headers);
+  return {
+    rows: profile ? applyImportProfile(rows, profile) : rows,
+    headers,
+    profile,
+    missing: findMissingRequiredColumns(headers, profile),
+  };
+};
+
+/**
+ * Required pipeline columns still missing after a profile is applied.
+ * @param {string[]} headers
+ * @param {Object} [profile]
+ * @returns {string[]}
+ */
+export const findMissingRequiredColumns = (headers = [], profile = null) => {
+  const mappedFields = Object.entries(profile?.columns ?? {})
+    .filter(([, header]) => header && headers.includes(header))
+    .map(([field]) => field);
+  return findUnresolvedColumns([...headers, ...mappedFields], REQUIRED_FIELDS);
+};
+
+/**
+ * Error thrown when a file lacks required columns. Carries what the mapping wizard needs.
+ * @param {Object} params
+ * @returns {Error}
+ */
+export const createMissingColumnsError = ({ missing, headers, rows, fileName = null }) => {
+  const message = `Faltan columnas requeridas: ${missing.join(', ')}.`;
+  const error = new Error(fileName ? `${fileName}: ${message}` : message);
+  error.code = MISSING_COLUMNS_ERROR;
+  error.details = {
+    fileName,
+    missing,
+    headers,
+    signature: createHeaderSignature(headers),
+    preview: rows.slice(0, 5).map((row) => Object.fromEntries(headers.map((header) => [header, row?.[header]]))),
+    distinctValues: collectDistinctValues(rows, headers),
+  };
+  return error;
+};
+
+/**
+ * Builds a profile from wizard input.
+ * @param {{name: string, headers: string[], columns: Object, valueMaps?: Object, decimalSeparator?: string}} params
+ * @returns {Object}
+ */
+export const createImportProfile = ({ id, name, headers, columns, valueMaps = {}, decimalSeparator = '.' }) => ({
+  version: IMPORT_PROFILE_VERSION,
+  id: id ?? `profile-${Date.now().toString(36)}`,
+  name: typeof name === 'string' && name.trim() ? name.trim() : 'Perfil sin nombre',
+  signature: createHeaderSignature(headers),
+  columns: Object.fromEntries(
+    Object.entries(columns ?? {}).filter(([field, header]) => MAPPABLE_FIELDS.includes(field) && header),
+  ),
+  valueMaps,
+  decimalSeparator: decimalSeparator === ',' ? ',' : '.',
+});
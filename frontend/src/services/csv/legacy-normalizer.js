@@ -103,8 +103,30 @@ export const deriveOptionData = (row, configuration) => {
   return result;
 };
 
+// Columns that can stand in for quantity/price, in priority order
+const QUANTITY_COLUMNS = ['quantity', 'last_qty', 'cum_qty'];
+const PRICE_COLUMNS = ['price', 'last_price', 'avg_price', 'order_price'];
+
+const COLUMN_ALTERNATIVES = {
+  quantity: QUANTITY_COLUMNS,
+  price: PRICE_COLUMNS,
+};
+
+/**
+ * Columns required by the validator that no header (or derivable alternative) provides.
+ * @param {string[]} headers
+ * @param {string[]} requiredColumns
+ * @returns {string[]}
+ */
+export const findUnresolvedColumns = (headers = [], requiredColumns = []) => {
+  const available = new Set(headers);
+  return requiredColumns.filter((column) => (
+    !(COLUMN_ALTERNATIVES[column] ?? [column]).some((candidate) => available.has(candidate))
+  ));
+};
+
 const deriveQuantity = (row) => {
-  const sources = [row.quantity, row.last_qty, row.cum_qty];
+  const sources = QUANTITY_COLUMNS.map((column) => row[column]);
   for (const source of sources) {
     const value = parseNumber(source);
     if (Number.isFinite(value) && value !== 0) {
@@ -115,7 +137,7 @@ const deriveQuantity = (row) => {
 };
 
 const derivePrice = (row) => {
-  const sources = [row.price, row.last_price, row.avg_price, row.order_price];
+  const sources = PRICE_COLUMNS.map((column) => row[column]);
   for (const source of sources) {
     const value = parseNumber(source);
     if (Number.isFinite(value) && value > 0) {
@@ -1,7 +1,9 @@
 import Papa from 'papaparse';
 
-const MAX_ROWS = 50000;
+// Row cap for parses on the main thread; pass `maxRows: null` to lift it (worker pipeline)
+export const DEFAULT_MAX_ROWS = 50000;
 const LARGE_FILE_WARNING_THRESHOLD = 25000;
+const PROGRESS_EVERY_ROWS = 1000;
 
 const NUMERIC_HEADERS = ['quantity', 'price', 'strike'];
 
@@ -29,12 +31,159 @@ const sanitizeRow = (row) => {
   return trimmedEntries;
 };
 
+const LINE_BREAK_REGEX = /\r\n|\r|\n/g;
+const LEADING_BLANK_LINES_REGEX = /^(?:[ \t]*(?:\r\n|\r|\n))+/;
+
+const countLineBreaks = (text) => (typeof text === 'string' ? text.match(LINE_BREAK_REGEX)?.length ?? 0 : 0);
+
+// Quoted fields may span several lines; they count towards the physical line of the next record
+const countRecordLines = (data) =>
+  1 + Object.values(data ?? {}).reduce((total, value) => total + countLineBreaks(value), 0);
+
+const readBlobBytes = (blob) => (typeof blob.arrayBuffer === 'function'
+  ? blob.arrayBuffer()
+  : new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  }));
+
+/**
+ * Papaparse's own File reader decodes every byte slice on its own, so a multi-byte UTF-8
+ * character (á, ñ, º) cut by a slice boundary turns into U+FFFD. This reads the slices and
+ * decodes them with one streaming TextDecoder instead; Papaparse consumes it through its
+ * readable-stream interface (`readable`, `read`, `on`, `removeListener`, `pause`, `resume`).
+ * @param {Blob} blob
+ * @param {{ chunkSize: number, encoding?: string }} options
+ */
+const createDecodedBlobStream = (blob, { chunkSize, encoding }) => {
+  const listeners = { data: [], end: [], error: [] };
+  const decoder = new TextDecoder(encoding || 'utf-8');
+  let offset = 0;
+  let paused = false;
+  let reading = false;
+  let closed = false;
+
+  const emit = (event, payload) => listeners[event].slice().forEach((listener) => listener(payload));
+
+  const pump = async () => {
+    if (reading) {
+      return;
+    }
+    reading = true;
+    try {
+      while (!closed && !paused && offset < blob.size) {
+        const end = Math.min(offset + chunkSize, blob.size);
+        const bytes = await readBlobBytes(blob.slice(offset, end));
+        offset = end;
+        const text = decoder.decode(new Uint8Array(bytes), { stream: offset < blob.size });
+        if (text && !closed) {
+          emit('data', text);
+        }
+      }
+      if (!closed && offset >= blob.size) {
+        closed = true;
+        emit('end');
+      }
+    } catch (error) {
+      closed = true;
+      emit('error', error);
+    } finally {
+      reading = false;
+    }
+  };
+
+  return {
+    readable: true,
+    read: () => null,
+    on(event, listener) {
+      listeners[event]?.push(listener);
+      if (event === 'data') {
+        pump();
+      }
+      return this;
+    },
+    removeListener(event, listener) {
+      listeners[event] = (listeners[event] ?? []).filter((candidate) => candidate !== listener);
+      return this;
+    },
+    pause() {
+      paused = true;
+    },
+    resume() {
+      paused = false;
+      pump();
+    },
+    // Stops reading once the parse is complete or aborted
+    close() {
+      closed = true;
+    },
+  };
+};
+
+const resolveMaxRows = (value) => {
+  if (value === null || value === Infinity) {
+    return Infinity;
+  }
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_ROWS;
+};
+
+const resolveInputSize = (input) => {
+  if (typeof input === 'string') {
+    return input.length;
+  }
+  return typeof input?.size === 'number' ? input.size : 0;
+};
+
+/**
+ * Streams a CSV through Papaparse row by row.
+ * Besides Papaparse options, `config` accepts:
+ * - `maxRows`: row cap (defaults to DEFAULT_MAX_ROWS, `null` for no cap)
+ * - `onProgress`: called every few thousand rows with `{ processed, percent }`
+ * - `signal`: AbortSignal that stops the parse and rejects with an `AbortError`
+ * Blank lines are skipped, but `meta.rowNumbers` keeps each row's physical line in the file.
+ */
 export const parseOperationsCsv = (input, config = {}) =>
   new Promise((resolve, reject) => {
+    const {
+      maxRows: maxRowsOption,
+      onProgress,
+      signal,
+      ...papaConfig
+    } = config;
+    const maxRows = resolveMaxRows(maxRowsOption);
+    const inputSize = resolveInputSize(input);
     const rows = [];
+    const rowNumbers = [];
+    // Physical line of the record Papaparse hands over next (the header sits on `nextLine - 1`)
+    let nextLine = 2;
     let rowCount = 0;
     let exceededMaxRows = false;
     let warningThresholdExceeded = false;
+    let aborted = false;
+    let blobStream = null;
+
+    const createAbortError = () => {
+      const error = new Error('Procesamiento cancelado.');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const reportProgress = (cursor) => {
+      if (typeof onProgress !== 'function') {
+        return;
+      }
+      const percent = inputSize > 0 && Number.isFinite(cursor)
+        ? Math.min(99, Math.round((cursor / inputSize) * 100))
+        : null;
+      onProgress({ processed: rowCount, percent });
+    };
 
     // Normalize input so Papa.parse always receives a string or a File/Blob it knows how to handle.
     let normalizedInput = input;
@@ -57,18 +206,36 @@ export const parseOperationsCsv = (input, config = {}) =>
     };
 
     // Configure the parser (must be declared before use in proceed function)
+    // Blank lines reach `step` (and are dropped there) so line numbers stay in sync with the file
     const parserConfig = {
       header: true,
-      skipEmptyLines: 'greedy',
       worker: false,
       dynamicTyping: defaultDynamicTyping,
       delimitersToGuess: [',', ';', '\t'],
       transformHeader: (header) => header.trim(),
-      ...config,
+      ...papaConfig,
+      skipEmptyLines: false,
+      beforeFirstChunk: (chunk) => {
+        const leadingBlankLines = LEADING_BLANK_LINES_REGEX.exec(chunk)?.[0] ?? '';
+        nextLine += countLineBreaks(leadingBlankLines);
+        const trimmed = chunk.slice(leadingBlankLines.length);
+        return typeof papaConfig.beforeFirstChunk === 'function'
+          ? papaConfig.beforeFirstChunk(trimmed) ?? trimmed
+          : trimmed;
+      },
       step: (results, parser) => {
+        if (signal?.aborted) {
+          aborted = true;
+          parser.abort();
+          return;
+        }
+
+        const line = nextLine;
+        nextLine += countRecordLines(results.data);
         const row = sanitizeRow(results.data);
         if (!isEmptyRow(row)) {
           rows.push(row);
+          rowNumbers.push(line);
           rowCount += 1;
         }
 
@@ -76,18 +243,32 @@ export const parseOperationsCsv = (input, config = {}) =>
           warningThresholdExceeded = true;
         }
 
-        if (rowCount >= MAX_ROWS) {
+        if (rowCount > 0 && rowCount % PROGRESS_EVERY_ROWS === 0) {
+          reportProgress(results.meta?.cursor);
+        }
+
+        if (rowCount >= maxRows) {
           exceededMaxRows = true;
           parser.abort();
         }
 
-        if (typeof config.step === 'function') {
-          config.step(results, parser);
+        if (typeof papaConfig.step === 'function') {
+          papaConfig.step(results, parser);
         }
       },
       complete: (results, file) => {
-        if (typeof config.complete === 'function') {
-          config.complete(results, file);
+        blobStream?.close();
+        if (aborted) {
+          reject(createAbortError());
+          return;
+        }
+
+        if (typeof papaConfig.complete === 'function') {
+          papaConfig.complete(results, file);
+        }
+
+        if (typeof onProgress === 'function') {
+          onProgress({ processed: rowCount, percent: 100 });
         }
 
         resolve({
@@ -96,13 +277,15 @@ export const parseOperationsCsv = (input, config = {}) =>
             rowCount,
             exceededMaxRows,
             warningThresholdExceeded,
-            errors: results.errors ?? [],
+            errors: results?.errors ?? [],
+            rowNumbers,
           },
         });
       },
       error: (error, file) => {
-        if (typeof config.error === 'function') {
-          config.error(error, file);
+        blobStream?.close();
+        if (typeof papaConfig.error === 'function') {
+          papaConfig.error(error, file);
         }
         reject(error);
       },
@@ -113,7 +296,14 @@ export const parseOperationsCsv = (input, config = {}) =>
       Papa.parse(finalInput, parserConfig);
     };
 
-    if (input && typeof input === 'object' && input.arrayBuffer && typeof input.arrayBuffer === 'function') {
+    if (typeof Blob !== 'undefined' && input instanceof Blob) {
+      // Files are streamed in chunks so large exports never sit in memory as a single string
+      blobStream = createDecodedBlobStream(input, {
+        chunkSize: papaConfig.chunkSize || Papa.LocalChunkSize,
+        encoding: papaConfig.encoding,
+      });
+      proceed(blobStream);
+    } else if (input && typeof input === 'object' && input.arrayBuffer && typeof input.arrayBuffer === 'function') {
       // Perform async conversion then start parse
       input.arrayBuffer()
         .then((buf) => {
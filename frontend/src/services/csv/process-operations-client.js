@@ -0,0 +1,192 @@
+/**
+ * Runs the operations pipeline in a Web Worker, with progress events and cancellation.
+ * Falls back to the main thread when workers are not available (tests, old runtimes).
+ */
+
+import { processOperations, isProcessingAbortError } from './process-operations.js';
+import {
+  CsvDataSource,
+  JsonDataSource,
+  MultiFileDataSource,
+  XlsxDataSource,
+} from '../data-sources/index.js';
+import { storageAdapter } from '../storage/storage-adapter.js';
+import { storageKeys } from '../storage/local-storage.js';
+import { getSymbolSettingsSnapshot } from '../storage-settings.js';
+import { recordFeeVolumes } from '../fees/broker-fees-storage.js';
+
+export const WORKER_MESSAGES = {
+  PROCESS: 'process',
+  CANCEL: 'cancel',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error',
+};
+
+export const SOURCE_TYPES = {
+  CSV: 'csv',
+  JSON: 'json',
+  XLSX: 'xlsx',
+  FILES: 'files',
+};
+
+// Settings the pipeline reads besides symbol configurations
+const WORKER_STORAGE_KEYS = [
+  storageKeys.brokerFees,
+  storageKeys.feeProfiles,
+  storageKeys.feeVolumes,
+  storageKeys.repoFeeConfig,
+  storageKeys.holidays,
+  storageKeys.importProfiles,
+  storageKeys.instrumentCatalog,
+];
+
+export const createDataSource = (sourceType) => {
+  if (sourceType === SOURCE_TYPES.JSON) {
+    return new JsonDataSource();
+  }
+  if (sourceType === SOURCE_TYPES.XLSX) {
+    return new XlsxDataSource();
+  }
+  if (sourceType === SOURCE_TYPES.FILES) {
+    return new MultiFileDataSource();
+  }
+  return new CsvDataSource();
+};
+
+const canUseWorker = () => typeof window !== 'undefined' && typeof Worker !== 'undefined';
+
+const createAbortError = () => {
+  const error = new Error('Procesamiento cancelado.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const collectStorageSnapshot = async () => {
+  const snapshot = await getSymbolSettingsSnapshot();
+  await Promise.all(WORKER_STORAGE_KEYS.map(async (key) => {
+    const value = await storageAdapter.getItem(key);
+    if (value !== null && value !== undefined) {
+      snapshot[key] = value;
+    }
+  }));
+  return snapshot;
+};
+
+const runOnMainThread = ({ sourceType, input, fileName, configuration, parserConfig, onProgress, signal }) => processOperations({
+  dataSource: createDataSource(sourceType),
+  file: input,
+  fileName,
+  configuration,
+  parserConfig,
+  onProgress,
+  signal,
+});
+
+// The worker only sees a storage snapshot, so the run's fee volumes are recorded here
+const recordRunVolumes = async (result) => {
+  await recordFeeVolumes(result?.meta?.feeVolumes);
+  return result;
+};
+
+/**
+ * Processes operations off the main thread.
+ * Inside the worker the row cap is lifted unless `configuration.maxRows` is set.
+ *
+ * @param {Object} params
+ * @param {'csv'|'json'|'xlsx'|'files'} [params.sourceType]
+ * @param {File|string|Array} params.input - CSV/spreadsheet file, CSV text, broker operations
+ *   or, for `files`, the list of files to merge
+ * @param {string} [params.fileName]
+ * @param {Object} params.configuration
+ * @param {Object} [params.parserConfig] - Data source options (e.g. the workbook `sheet`)
+ * @param {Function} [params.onProgress] - Receives `{ stage, processed, total, percent }`
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<Object>} Same result as processOperations; its fee volumes are recorded
+ */
+export const runProcessingJob = async ({
+  sourceType = SOURCE_TYPES.CSV,
+  input,
+  fileName,
+  configuration,
+  parserConfig,
+  onProgress,
+  signal,
+} = {}) => {
+  if (!canUseWorker()) {
+    return runOnMainThread({ sourceType, input, fileName, configuration, parserConfig, onProgress, signal })
+      .then(recordRunVolumes);
+  }
+
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
+  const storage = await collectStorageSnapshot();
+  const worker = new Worker(new URL('./process-operations.worker.js', import.meta.url), { type: 'module' });
+
+  const result = await new Promise((resolve, reject) => {
+    let settled = false;
+
+    const finish = (callback, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      signal?.removeEventListener('abort', handleAbort);
+      worker.terminate();
+      callback(value);
+    };
+
+    function handleAbort() {
+      worker.postMessage({ type: WORKER_MESSAGES.CANCEL });
+      finish(reject, createAbortError());
+    }
+
+    worker.onmessage = (event) => {
+      const { type, progress, result, error } = event.data ?? {};
+      if (type === WORKER_MESSAGES.PROGRESS) {
+        if (typeof onProgress === 'function' && !settled) {
+          onProgress(progress);
+        }
+        return;
+      }
+      if (type === WORKER_MESSAGES.RESULT) {
+        finish(resolve, result);
+        return;
+      }
+      if (type === WORKER_MESSAGES.ERROR) {
+        const workerError = new Error(error?.message ?? 'Error al procesar operaciones.');
+        workerError.name = error?.name ?? 'Error';
+        if (error?.code) {
+          workerError.code = error.code;
+          workerError.details = error.details;
+        }
+        finish(reject, workerError);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      console.error('PO: processing worker failed', event.message);
+      finish(reject, new Error(event.message || 'Error al procesar operaciones.'));
+    };
+
+    signal?.addEventListener('abort', handleAbort);
+
+    worker.postMessage({
+      type: WORKER_MESSAGES.PROCESS,
+      payload: {
+        sourceType,
+        input,
+        fileName,
+        configuration: { maxRows: null, ...configuration },
+        parserConfig,
+        storage,
+      },
+    });
+  });
+  return recordRunVolumes(result);
+};
+
+export { isProcessingAbortError };
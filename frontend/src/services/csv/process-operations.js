@@ -1,12 +1,16 @@
-import { parseOperationsCsv } from './parser.js';
+import { parseOperationsCsv, DEFAULT_MAX_ROWS } from './parser.js';
 import { validateAndFilterRows } from './validators.js';
 import { buildConsolidatedViews } from './consolidator.js';
 import { createDevLogger } from '../logging/dev-logger.js';
 import { normalizeOperationRows } from './legacy-normalizer.js';
 import { getAllSymbols, loadSymbolConfig } from '../storage-settings.js';
 import { normalizeOperation } from '../broker/dedupe-utils.js';
-import { enrichOperationsWithFees } from '../fees/fee-enrichment.js';
-import { getInstrumentDetails } from '../fees/instrument-mapping.js';
+import { collectProfileDailyVolumes, enrichOperationsWithFees } from '../fees/fee-enrichment.js';
+import { getCatalogOption, getInstrumentDetails } from '../fees/instrument-mapping.js';
+import { resolveExpirationCode } from '../expiration-catalog.js';
+import { applyImportProfile, createMissingColumnsError, matchImportProfile } from './import-profiles.js';
+import { loadImportProfiles } from './import-profiles-storage.js';
+import { PROVENANCE_COLUMNS, resolveSourceRowNumber } from '../data-sources/multi-file-data-source.js';
 
 const OPTION_TOKEN_REGEX = /^([A-Z0-9]+?)([CV])(\d+(?:\.\d+)?)(.*)$/;
 const DEFAULT_EXPIRATION = 'NONE';
@@ -350,42 +354,6 @@ const formatStrikeTokenValue = (strikeToken = '', decimals = 0) => {
   return Number.isFinite(numeric) ? numeric : null;
 };
 
-/**
- * Find the expiration code by checking which expiration has a suffix matching the token
- * @param {string} tokenSuffix - The suffix from the token (e.g., 'O', 'OC', 'OCT')
- * @param {Object} symbolConfig - The symbol configuration with expirations
- * @returns {string} The matching expiration code (e.g., 'OCT') or the original suffix
- */
-const findExpirationCodeBySuffix = (tokenSuffix, symbolConfig) => {
-  if (!tokenSuffix || !symbolConfig?.expirations) {
-    return tokenSuffix || '';
-  }
-
-  const upper = tokenSuffix.toUpperCase();
-  
-  // Check each expiration to see if any of its suffixes match
-  for (const [expirationCode, expirationSettings] of Object.entries(symbolConfig.expirations)) {
-    if (expirationSettings?.suffixes?.includes(upper)) {
-      return expirationCode;
-    }
-  }
-  
-  // No match found, return original suffix
-  return upper;
-};
-
-const resolveExpirationCode = (tokenMatch, explicitExpiration, symbolConfig) => {
-  if (tokenMatch?.expiration) {
-    return findExpirationCodeBySuffix(tokenMatch.expiration, symbolConfig);
-  }
-  const normalized = toUpperCase(explicitExpiration);
-  if (!normalized) {
-    return '';
-  }
-  const cleaned = normalized.replace(/[^0-9A-Z]/g, '');
-  return findExpirationCodeBySuffix(cleaned, symbolConfig);
-};
-
 const resolveStrikeDecimals = ({ symbolConfig, strikeToken, expirationCode }) => {
   if (!symbolConfig) {
     return 0;
@@ -439,7 +407,8 @@ const applyPrefixRule = ({ tokenMatch, symbolConfig, explicitExpiration }) => {
   }
 
   const strikeToken = tokenMatch?.strikeToken ?? '';
-  const expirationCode = resolveExpirationCode(tokenMatch, explicitExpiration, symbolConfig);
+  // The token's own suffix wins over an explicit expiration column
+  const expirationCode = resolveExpirationCode(tokenMatch?.expiration || explicitExpiration, symbolConfig);
   const decimals = resolveStrikeDecimals({
     symbolConfig,
     strikeToken: strikeToken ? strikeToken.toUpperCase() : '',
@@ -470,9 +439,29 @@ const applyPrefixRule = ({ tokenMatch, symbolConfig, explicitExpiration }) => {
     symbol: symbolConfig.symbol ? toUpperCase(symbolConfig.symbol) : null,
     strike: formattedStrike ?? tokenMatch?.strike ?? null,
     decimalsApplied: decimals === -1 ? null : decimals, // Don't report decimals for skip-formatting
+    expirationCode,
   };
 };
 
+/**
+ * Strike the symbol's prefix/decimals rules produce for an option token, ignoring the catalog.
+ * @param {string} token - option token (e.g. 'GFGC50131O')
+ * @param {Object} symbolConfig - symbol configuration owning the token prefix
+ * @returns {{strike: number|null, decimalsApplied: number|null, expirationCode: string}|null}
+ */
+export const resolveConfiguredStrike = (token, symbolConfig) => {
+  const tokenMatch = parseToken(token);
+  if (!tokenMatch || !symbolConfig) {
+    return null;
+  }
+  const { strike, decimalsApplied, expirationCode } = applyPrefixRule({ tokenMatch, symbolConfig, explicitExpiration: '' });
+  return { strike, decimalsApplied, expirationCode };
+};
+
+const STRIKE_TOLERANCE = 1e-9;
+
+const strikesDiffer = (a, b) => Math.abs(a - b) > STRIKE_TOLERANCE;
+
 export const enrichOperationRow = async (row = {}, configuration = {}) => {
   const prefixMap = configuration.prefixMap ?? await loadPrefixMap();
   const tokenMatch = findTokenMatch(row);
@@ -522,6 +511,8 @@ export const enrichOperationRow = async (row = {}, configuration = {}) => {
 
   // Determine symbol configuration from prefix map BEFORE type assignment
   const symbolConfig = tokenSymbol ? prefixMap[tokenSymbol] : undefined;
+  // Exact catalog match for the option token; its strike beats any configured rule
+  const catalogOption = tokenMatch ? getCatalogOption(tokenMatch.rawValue) : null;
 
   if (!type && tokenType) {
     // Before accepting the token type, verify the instrument is actually an option.
@@ -533,7 +524,7 @@ export const enrichOperationRow = async (row = {}, configuration = {}) => {
     // If CFI is unknown but Symbol Prefix is configured, accept it as an option.
     // If neither CFI nor Symbol Prefix confirms it, reject the token type.
     
-    const cfiResult = explicitSymbol ? isConfirmedOption(explicitSymbol) : null;
+    const cfiResult = catalogOption ? true : (explicitSymbol ? isConfirmedOption(explicitSymbol) : null);
     
     if (cfiResult === false) {
       // CFI confirms this is NOT an option (e.g., bond, future, equity)
@@ -571,6 +562,24 @@ export const enrichOperationRow = async (row = {}, configuration = {}) => {
     appliedDecimals = decimalsApplied;
   }
 
+  let strikeSource = null;
+  let strikeMismatch = null;
+  if (catalogOption && tokenFilledStrike) {
+    if (symbolConfig && Number.isFinite(strike) && strikesDiffer(strike, catalogOption.strike)) {
+      strikeMismatch = {
+        token: catalogOption.token,
+        instrument: catalogOption.symbol,
+        prefixRule: tokenSymbol,
+        configuredStrike: strike,
+        catalogStrike: catalogOption.strike,
+      };
+    }
+    strike = catalogOption.strike;
+    strikeSource = 'catalog';
+  } else if (symbolConfig && tokenFilledStrike) {
+    strikeSource = 'prefixRule';
+  }
+
   const normalizedSymbol = toUpperCase(symbol);
   const normalizedExpiration = expiration ? toUpperCase(expiration) : DEFAULT_EXPIRATION;
   const normalizedStrike = Number.isFinite(strike) ? strike : null;
@@ -589,11 +598,19 @@ export const enrichOperationRow = async (row = {}, configuration = {}) => {
 
   if (symbolConfig) {
     meta.prefixRule = tokenSymbol;
-    if (appliedDecimals !== null) {
+    if (appliedDecimals !== null && strikeSource !== 'catalog') {
       meta.strikeDecimals = appliedDecimals;
     }
   }
 
+  if (strikeSource) {
+    meta.strikeSource = strikeSource;
+  }
+
+  if (strikeMismatch) {
+    meta.strikeMismatch = strikeMismatch;
+  }
+
   return {
     id: String(row.order_id ?? row.id ?? ''),
     symbol: normalizedSymbol || 'UNKNOWN',
@@ -766,7 +783,34 @@ export const deriveGroups = (operations = []) => {
 };
 
 const LARGE_FILE_WARNING_THRESHOLD = 25000;
-const MAX_ROWS = 50000;
+const ENRICHMENT_CHUNK_SIZE = 2000;
+
+/**
+ * Pipeline stages reported through `onProgress`, in execution order.
+ */
+export const PROCESSING_STAGES = {
+  PARSE: 'parse',
+  NORMALIZE: 'normalize',
+  VALIDATE: 'validate',
+  ENRICH: 'enrich',
+  FEES: 'fees',
+  CONSOLIDATE: 'consolidate',
+  DONE: 'done',
+};
+
+const createAbortError = () => {
+  const error = new Error('Procesamiento cancelado.');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isProcessingAbortError = (error) => error?.name === 'AbortError';
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
 
 const getNow = () => {
   if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
@@ -865,7 +909,7 @@ const buildWarnings = (meta) => {
   return warnings;
 };
 
-const normalizeParseMeta = (rows, meta = {}) => {
+const normalizeParseMeta = (rows, meta = {}, maxRows = DEFAULT_MAX_ROWS) => {
   const rowCount = meta.rowCount ?? rows.length ?? 0;
 
   return {
@@ -874,12 +918,16 @@ const normalizeParseMeta = (rows, meta = {}) => {
     excluded: meta.excluded,
     warningThresholdExceeded:
       meta.warningThresholdExceeded ?? rowCount > LARGE_FILE_WARNING_THRESHOLD,
-    exceededMaxRows: meta.exceededMaxRows ?? rowCount > MAX_ROWS,
+    exceededMaxRows: meta.exceededMaxRows ?? (maxRows !== null && rowCount > maxRows),
     errors: Array.isArray(meta.errors) ? meta.errors : [],
+    headerRow: meta.headerRow,
+    // Merged sessions (MultiFileDataSource)
+    files: meta.files,
+    duplicatesRemoved: meta.duplicatesRemoved,
   };
 };
 
-const resolveRows = async ({ file, parserConfig, dataSource }) => {
+const resolveRows = async ({ file, parserConfig = {}, dataSource }) => {
   // Data source adapter is required
   if (!dataSource || typeof dataSource.parse !== 'function') {
     throw new Error('Debes proporcionar un adaptador de fuente de datos (dataSource) válido.');
@@ -889,9 +937,14 @@ const resolveRows = async ({ file, parserConfig, dataSource }) => {
     const parsed = await dataSource.parse(file, parserConfig);
     return {
       rows: parsed.rows,
-      meta: normalizeParseMeta(parsed.rows, parsed.meta),
+      meta: normalizeParseMeta(parsed.rows, parsed.meta, parserConfig.maxRows),
+      // Physical line/sheet row per parsed row, kept out of the reported meta
+      rowNumbers: parsed.meta?.rowNumbers,
     };
   } catch (error) {
+    if (isProcessingAbortError(error)) {
+      throw error;
+    }
     const sourceType = typeof dataSource.getSourceType === 'function' 
       ? dataSource.getSourceType() 
       : 'desconocido';
@@ -956,6 +1009,81 @@ const resolveTradeTimestamp = (raw = {}) => {
   return Date.now();
 };
 
+// File and row a merged operation came from (multi-file sessions only)
+const resolveProvenance = (raw = {}) => {
+  const fileName = raw[PROVENANCE_COLUMNS.FILE];
+  if (!fileName) {
+    return null;
+  }
+  const rowNumber = Number(raw[PROVENANCE_COLUMNS.ROW]);
+  return { fileName, rowNumber: Number.isFinite(rowNumber) ? rowNumber : null };
+};
+
+const PROVENANCE_HEADERS = Object.values(PROVENANCE_COLUMNS);
+
+// Rows per source file in a merged session (one `null` group otherwise), in source order
+const groupRowsBySourceFile = (rows) => {
+  const byFile = new Map();
+  rows.forEach((row) => {
+    const sourceFile = row?.[PROVENANCE_COLUMNS.FILE] ?? null;
+    if (!byFile.has(sourceFile)) {
+      byFile.set(sourceFile, []);
+    }
+    byFile.get(sourceFile).push(row);
+  });
+  return byFile;
+};
+
+// One entry per option token whose configured strike rule disagrees with the catalog
+const collectStrikeMismatches = (operations) => {
+  const byToken = new Map();
+  operations.forEach((operation) => {
+    const mismatch = operation.meta?.strikeMismatch;
+    if (mismatch && !byToken.has(mismatch.token)) {
+      byToken.set(mismatch.token, mismatch);
+    }
+  });
+  return Array.from(byToken.values());
+};
+
+const CONSOLIDATION_EXCLUSION_REASON = 'zeroNetQuantity';
+
+/**
+ * One entry per excluded row, in source order: reason code, file and row number in the
+ * source, and the row as it was read (before import profiles and normalization).
+ */
+const buildExcludedRows = ({
+  validationExclusions,
+  consolidationExclusions,
+  sourceIndexByRow,
+  parsedRows,
+  sourceRowMeta,
+  sourceType,
+  fileName,
+}) => {
+  const entries = [
+    ...validationExclusions,
+    ...consolidationExclusions
+      .map((operation) => ({ index: sourceIndexByRow.get(operation.raw), reason: CONSOLIDATION_EXCLUSION_REASON }))
+      .filter(({ index }) => index !== undefined),
+  ];
+
+  return entries
+    .sort((a, b) => a.index - b.index)
+    .map(({ index, reason }) => {
+      const raw = { ...(parsedRows[index] ?? {}) };
+      const provenance = resolveProvenance(raw);
+      delete raw[PROVENANCE_COLUMNS.FILE];
+      delete raw[PROVENANCE_COLUMNS.ROW];
+      return {
+        reason,
+        fileName: provenance?.fileName ?? fileName,
+        rowNumber: provenance?.rowNumber ?? resolveSourceRowNumber(sourceType, sourceRowMeta, index),
+        raw,
+      };
+    });
+};
+
 const createNormalizedCsvOperation = (operation) => {
   const rawSource = operation?.raw ?? {};
 
@@ -985,14 +1113,28 @@ const sanitizeConfiguration = (configuration) => {
   return configuration;
 };
 
+/**
+ * Runs parse, normalize, validate, enrich and consolidate over a data source.
+ * `onProgress` receives `{ stage, processed, total, percent }` and `signal` cancels the run
+ * between stages (and during parsing) with an `AbortError`. `configuration.maxRows` sets the
+ * row cap (`null` lifts it).
+ */
 export const processOperations = async ({
   file,
   configuration,
   fileName,
   parserConfig,
   dataSource,
+  onProgress,
+  signal,
 } = {}) => {
   const activeConfiguration = sanitizeConfiguration(configuration);
+  const reportProgress = (stage, details = {}) => {
+    if (typeof onProgress === 'function') {
+      onProgress({ stage, processed: 0, total: null, percent: null, ...details });
+    }
+  };
+  throwIfAborted(signal);
   
   // Load prefix map from new settings format if not already provided
   if (!activeConfiguration.prefixMap) {
@@ -1004,11 +1146,24 @@ export const processOperations = async ({
   const startTime = getNow();
 
   const resolvedFileName = resolveFileName({ fileName, file });
-  const { rows: parsedRows, meta: parseMeta } = await resolveRows({ 
-    file, 
-    parserConfig,
+  const sourceType = typeof dataSource?.getSourceType === 'function' ? dataSource.getSourceType() : null;
+  // Files from other brokers are mapped through a saved import profile matched by headers
+  if (!activeConfiguration.importProfiles) {
+    activeConfiguration.importProfiles = await loadImportProfiles();
+  }
+  const { rows: parsedRows, meta: parseMeta, rowNumbers } = await resolveRows({
+    file,
+    parserConfig: {
+      maxRows: activeConfiguration.maxRows === undefined ? DEFAULT_MAX_ROWS : activeConfiguration.maxRows,
+      onProgress: (progress) => reportProgress(PROCESSING_STAGES.PARSE, progress),
+      signal,
+      // Merged sessions map each file through its own profile before cross-file dedupe
+      ...(sourceType === 'files' ? { importProfiles: activeConfiguration.importProfiles } : {}),
+      ...parserConfig,
+    },
     dataSource,
   });
+  throwIfAborted(signal);
 
   logger.log(`Inicio de procesamiento - ${formatLogFileInfo(resolvedFileName, parseMeta.rowCount)}`);
 
@@ -1017,7 +1172,32 @@ export const processOperations = async ({
     throw new Error('El archivo CSV no contiene operaciones. Verificá que el archivo tenga datos además del encabezado.');
   }
 
-  const { rows: normalizedRows, missingColumns } = normalizeOperationRows(parsedRows, activeConfiguration);
+  const profileByFile = new Map();
+  groupRowsBySourceFile(parsedRows).forEach((fileRows, sourceFile) => {
+    const { headers, profile, missing } = matchImportProfile(
+      fileRows,
+      activeConfiguration.importProfiles,
+      PROVENANCE_HEADERS,
+    );
+    if (missing.length > 0) {
+      throw createMissingColumnsError({ missing, headers, rows: fileRows, fileName: sourceFile });
+    }
+    if (profile) {
+      profileByFile.set(sourceFile, profile);
+      logger.log(`Perfil de importación aplicado: ${profile.name}`);
+    }
+  });
+  // Merged sessions report each file's profile in `parse.files`
+  const importProfile = profileByFile.get(null) ?? null;
+  const profiledRows = profileByFile.size === 0
+    ? parsedRows
+    : parsedRows.map((row) => {
+      const profile = profileByFile.get(row[PROVENANCE_COLUMNS.FILE] ?? null);
+      return profile ? applyImportProfile([row], profile)[0] : row;
+    });
+
+  reportProgress(PROCESSING_STAGES.NORMALIZE, { total: profiledRows.length });
+  const { rows: normalizedRows, missingColumns } = normalizeOperationRows(profiledRows, activeConfiguration);
 
   if (missingColumns.length > 0) {
     const unresolvedColumns = missingColumns.filter((column) =>
@@ -1029,6 +1209,8 @@ export const processOperations = async ({
     }
   }
 
+  throwIfAborted(signal);
+  reportProgress(PROCESSING_STAGES.VALIDATE, { total: normalizedRows.length });
   let validated;
   try {
     validated = validateAndFilterRows({ rows: normalizedRows, configuration: activeConfiguration });
@@ -1038,13 +1220,16 @@ export const processOperations = async ({
   }
 
   const validatedRows = validated.rows ?? [];
+  // Validated rows and operations keep the normalized row in `raw`, which locates them in the source
+  const sourceIndexByRow = new Map(normalizedRows.map((row, index) => [row, index]));
 
-  const enrichedOperations = await Promise.all(validatedRows.map(async (row, index) => {
+  const enrichRow = async (row, index) => {
     const enrichment = await enrichOperationRow(row, activeConfiguration);
 
     const optionType = enrichment.type === 'CALL' || enrichment.type === 'PUT' ? enrichment.type : 'UNKNOWN';
     const strike = enrichment.strike ?? row.strike ?? null;
     const originalSymbol = typeof row.symbol === 'string' ? row.symbol.trim() : '';
+    const provenance = resolveProvenance(row.raw ?? row);
 
     return {
       id: enrichment.id || String(row.order_id || index),
@@ -1063,9 +1248,27 @@ export const processOperations = async ({
         ...enrichment.meta,
         status: row.status ?? '',
       },
+      ...(provenance ? { provenance } : {}),
       raw: row.raw ?? row,
     };
-  }));
+  };
+
+  // Enrich in chunks so progress can be reported and cancellation checked between them
+  const enrichedOperations = [];
+  for (let start = 0; start < validatedRows.length; start += ENRICHMENT_CHUNK_SIZE) {
+    throwIfAborted(signal);
+    reportProgress(PROCESSING_STAGES.ENRICH, {
+      processed: start,
+      total: validatedRows.length,
+      percent: Math.round((start / validatedRows.length) * 100),
+    });
+    const chunk = validatedRows.slice(start, start + ENRICHMENT_CHUNK_SIZE);
+    const enrichedChunk = await Promise.all(chunk.map((row, offset) => enrichRow(row, start + offset)));
+    enrichedOperations.push(...enrichedChunk);
+  }
+
+  throwIfAborted(signal);
+  reportProgress(PROCESSING_STAGES.FEES, { total: enrichedOperations.length });
 
   // Enrich operations with fee calculations (Feature 004)
   const enrichedWithFees = await enrichOperationsWithFees(enrichedOperations);
@@ -1077,6 +1280,8 @@ export const processOperations = async ({
     (operation) => operation.optionType === 'CALL' || operation.optionType === 'PUT',
   );
 
+  throwIfAborted(signal);
+  reportProgress(PROCESSING_STAGES.CONSOLIDATE, { total: optionOperationsForConsolidation.length });
   const views = buildConsolidatedViews(optionOperationsForConsolidation);
   const groupSummaries = deriveGroups(
     enrichedOperations.map((operation) => ({
@@ -1089,6 +1294,11 @@ export const processOperations = async ({
   const activeViewKey = activeConfiguration.useAveraging ? 'averaged' : 'raw';
   const processedAt = formatTimestamp(new Date());
   const warnings = buildWarnings(parseMeta);
+  const strikeMismatches = collectStrikeMismatches(enrichedOperations);
+  if (strikeMismatches.length > 0) {
+    warnings.push('strikeCatalogMismatch');
+    logger.warn('Strikes configurados distintos al catálogo', strikeMismatches);
+  }
 
   const viewSnapshots = Object.fromEntries(
     Object.entries(views).map(([key, consolidated]) => {
@@ -1140,6 +1350,15 @@ export const processOperations = async ({
             combined: viewCombinedExclusions,
             validation: validated.exclusions,
             consolidation: consolidated.exclusions,
+            rows: buildExcludedRows({
+              validationExclusions: validated.excludedRows ?? [],
+              consolidationExclusions: consolidated.excludedOperations ?? [],
+              sourceIndexByRow,
+              parsedRows,
+              sourceRowMeta: { headerRow: parseMeta.headerRow, rowNumbers },
+              sourceType,
+              fileName: resolvedFileName,
+            }),
           },
         },
       ];
@@ -1179,6 +1398,12 @@ export const processOperations = async ({
     view.summary.durationMs = durationMs;
   });
 
+  reportProgress(PROCESSING_STAGES.DONE, {
+    processed: parseMeta.rowCount,
+    total: parseMeta.rowCount,
+    percent: 100,
+  });
+
   return {
     summary: activeViewSnapshot.summary,
     calls: activeViewSnapshot.calls,
@@ -1191,6 +1416,10 @@ export const processOperations = async ({
     normalizedOperations,
     meta: {
       parse: parseMeta,
+      importProfile: importProfile ? { id: importProfile.id, name: importProfile.name } : null,
+      strikeMismatches,
+      // Daily notional by fee profile, recorded by the caller for later runs' volume tiers
+      feeVolumes: collectProfileDailyVolumes(enrichedWithFees),
     },
   };
 };
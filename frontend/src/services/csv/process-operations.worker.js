@@ -0,0 +1,60 @@
+/**
+ * Web Worker entry for the operations pipeline.
+ * Storage is hydrated from the main thread on every job so fee, symbol, holiday and instrument
+ * catalog settings match what the user sees.
+ */
+
+import { processOperations } from './process-operations.js';
+import { WORKER_MESSAGES, createDataSource } from './process-operations-client.js';
+import { storageAdapter } from '../storage/storage-adapter.js';
+import { initializeInstrumentMapping, refreshFeeServices } from '../bootstrap-defaults.js';
+import { initializeHolidayCalendar } from '../holidays/holiday-storage.js';
+
+let activeController = null;
+
+const prepareServices = async (storage) => {
+  storageAdapter.hydrate(storage);
+  await refreshFeeServices();
+  await initializeInstrumentMapping();
+  await initializeHolidayCalendar();
+};
+
+const runJob = async ({ sourceType, input, fileName, configuration, parserConfig, storage }) => {
+  activeController = new AbortController();
+  const { signal } = activeController;
+
+  try {
+    await prepareServices(storage);
+    const result = await processOperations({
+      dataSource: createDataSource(sourceType),
+      file: input,
+      fileName,
+      configuration,
+      parserConfig,
+      signal,
+      onProgress: (progress) => self.postMessage({ type: WORKER_MESSAGES.PROGRESS, progress }),
+    });
+    self.postMessage({ type: WORKER_MESSAGES.RESULT, result });
+  } catch (error) {
+    self.postMessage({
+      type: WORKER_MESSAGES.ERROR,
+      error: {
+        name: error?.name,
+        message: error?.message,
+        code: error?.code,
+        details: error?.details,
+      },
+    });
+  } finally {
+    activeController = null;
+  }
+};
+
+self.onmessage = (event) => {
+  const { type, payload } = event.data ?? {};
+  if (type === WORKER_MESSAGES.PROCESS) {
+    runJob(payload);
+  } else if (type === WORKER_MESSAGES.CANCEL) {
+    activeController?.abort();
+  }
+};
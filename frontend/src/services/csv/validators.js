@@ -87,8 +87,14 @@ export const validateAndFilterRows = ({ rows = [] }) => {
   );
 
   const validated = [];
+  // Position of every excluded row in the input, with the reason it was dropped
+  const excludedRows = [];
+  const exclude = (reason, index) => {
+    exclusions[reason] += 1;
+    excludedRows.push({ index, reason });
+  };
 
-  rows.forEach((rawRow) => {
+  rows.forEach((rawRow, index) => {
     const mapped = {};
     REQUIRED_COLUMNS.forEach((column) => {
       mapped[column] = rawRow[column];
@@ -96,19 +102,19 @@ export const validateAndFilterRows = ({ rows = [] }) => {
 
     const missingFields = REQUIRED_COLUMNS.filter((column) => mapped[column] === undefined);
     if (missingFields.length > 0) {
-      exclusions[EXCLUSION_REASONS.missingRequiredField] += 1;
+      exclude(EXCLUSION_REASONS.missingRequiredField, index);
       return;
     }
 
     const eventType = normalizeString(rawRow.event_type ?? rawRow.event_subtype);
     if (eventType && eventType.toLowerCase() !== EXECUTION_EVENT) {
-      exclusions[EXCLUSION_REASONS.invalidEventType] += 1;
+      exclude(EXCLUSION_REASONS.invalidEventType, index);
       return;
     }
 
     const status = normalizeStatus(rawRow.status ?? rawRow.ord_status ?? rawRow.exec_status);
     if (status && !ALLOWED_STATUSES.has(status)) {
-      exclusions[EXCLUSION_REASONS.invalidStatus] += 1;
+      exclude(EXCLUSION_REASONS.invalidStatus, index);
       return;
     }
 
@@ -116,13 +122,13 @@ export const validateAndFilterRows = ({ rows = [] }) => {
       rawRow.exec_type ?? rawRow.execution_type ?? rawRow.execType ?? rawRow.executionType,
     ).toUpperCase();
     if (execType && !ALLOWED_EXEC_TYPES.has(execType)) {
-      exclusions[EXCLUSION_REASONS.invalidExecType] += 1;
+      exclude(EXCLUSION_REASONS.invalidExecType, index);
       return;
     }
 
     const side = normalizeString(rawRow.side).toUpperCase();
     if (!ALLOWED_SIDES.has(side)) {
-      exclusions[EXCLUSION_REASONS.invalidSide] += 1;
+      exclude(EXCLUSION_REASONS.invalidSide, index);
       return;
     }
 
@@ -131,19 +137,19 @@ export const validateAndFilterRows = ({ rows = [] }) => {
 
     const strike = parseNumber(rawRow.strike);
     if (rawRow.strike !== undefined && rawRow.strike !== null && strike === null) {
-      exclusions[EXCLUSION_REASONS.invalidStrike] += 1;
+      exclude(EXCLUSION_REASONS.invalidStrike, index);
       return;
     }
 
     const quantity = parseNumber(rawRow.quantity);
     if (quantity === null || quantity === 0) {
-      exclusions[EXCLUSION_REASONS.invalidQuantity] += 1;
+      exclude(EXCLUSION_REASONS.invalidQuantity, index);
       return;
     }
 
     const price = parseNumber(rawRow.price);
     if (price === null || price <= 0) {
-      exclusions[EXCLUSION_REASONS.invalidPrice] += 1;
+      exclude(EXCLUSION_REASONS.invalidPrice, index);
       return;
     }
 
@@ -169,6 +175,7 @@ export const validateAndFilterRows = ({ rows = [] }) => {
   return {
     rows: validated,
     exclusions,
+    excludedRows,
   };
 };
 
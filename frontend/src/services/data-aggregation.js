@@ -3,9 +3,10 @@
  * Groups operations and cauciones by instrument and plazo
  */
 
-import { createGrupoInstrumentoPlazo, VENUES, LADOS } from './arbitrage-types.js';
+import { createGrupoInstrumentoPlazo, VENUES, LADOS, DOLLAR_LEG_CURRENCIES } from './arbitrage-types.js';
 import { calculateCIto24hsPlazo, calculateCalendarDays } from './business-days.js';
 import { getInstrumentDetails } from './fees/instrument-mapping.js';
+import { linkCaucionesToGrupos } from './caucion-matching.js';
 
 /**
  * Consolidate partial fills by order_id
@@ -97,10 +98,11 @@ function consolidatePartialFills(operations) {
  * Aggregate operations and cauciones by instrument and plazo
  * Calculates plazo based on CI and 24hs settlement dates (accounting for weekends/holidays)
  *
- * Note: avgTNAByCurrency is optional. If provided, it should be an object mapping
- * currency codes (e.g. 'ARS', 'USD') to the weighted-average TNA to use when
- * computing caución P&L. If not provided, the function will compute it from
- * the supplied cauciones array.
+ * Actual cauciones are linked to each grupo (see caucion-matching.js) and stored
+ * in grupo.cauciones as allocations. avgTNAByCurrency is optional. If provided,
+ * it should be an object mapping currency codes (e.g. 'ARS', 'USD') to the
+ * weighted-average TNA used for the notional no caución covers. If not provided,
+ * the function will compute it from the supplied cauciones array.
  *
  * @param {import('./arbitrage-types.js').Operacion[]} operations - All operations
  * @param {import('./arbitrage-types.js').Caucion[]} cauciones - All cauciones
@@ -182,30 +184,82 @@ export function aggregateByInstrumentoPlazo(operations, cauciones, jornada, avgT
     }
   });
 
-  // NOTE: We do NOT attach cauciones directly to operation grupos here.
-  // PESOS cauciones in CSV commonly reference the repo leg but not the underlying
-  // instrument symbol, so naive attachment caused many grupos (e.g. S31O5) to have
-  // zero attached cauciones while cauciones existed in the dataset. Instead we
-  // compute a weighted-average TNA per currency and apply the appropriate avgTNA
-  // to each grupo based on the instrument currency. This enforces the rule:
-  // "use the weighted average TNA by currency when computing caución P&L".
-
   // Determine avgTNAByCurrency: prefer precomputed mapping, otherwise compute from cauciones
   const avgTNAMap = avgTNAByCurrency || calculateAvgTNAByCurrency(cauciones);
 
-  // Add avgTNA to all grupos that have operations (do NOT attach explicit cauciones)
-  // Determine instrument currency via instrument mapping when available.
+  // Every grupo with operations gets the average TNA of its instrument currency.
+  // It is the fallback for the part of a trade no actual caución can be linked to.
   grupos.forEach((grupo) => {
     if (grupo.ventasCI.length > 0 || grupo.compras24h.length > 0 ||
         grupo.comprasCI.length > 0 || grupo.ventas24h.length > 0) {
       const details = getInstrumentDetails(grupo.instrumento) || {};
       const currency = (details.currency || 'ARS').toString().toUpperCase();
+      grupo.currency = currency;
       grupo.avgTNA = Number(avgTNAMap[currency] || 0);
-      // Ensure grupo.cauciones is empty (we don't attach explicit cauciones anywhere)
-      grupo.cauciones = [];
     }
   });
 
+  // Assign the actual cauciones by start day, tenor, currency and notional
+  linkCaucionesToGrupos(grupos.values(), cauciones);
+
+  return grupos;
+}
+
+/**
+ * Pair the peso, MEP and cable tickers of the same bond (AL30 / AL30D / AL30C).
+ * The catalog currency tells the legs apart: ARS for pesos, USD for MEP, EXT for
+ * cable. A dollar ticker is paired when dropping its D/C suffix gives a ticker
+ * the catalog lists in pesos. Legs are grouped per venue so CI trades pair with CI.
+ *
+ * @param {import('./arbitrage-types.js').Operacion[]} operations
+ * @returns {Map<string, import('./arbitrage-types.js').GrupoDolar>} Map keyed by "bono:venue"
+ */
+export function aggregateDollarLegs(operations) {
+  const currencyCache = new Map();
+  const getCurrency = (instrumento) => {
+    if (!currencyCache.has(instrumento)) {
+      const details = getInstrumentDetails(instrumento);
+      currencyCache.set(instrumento, details?.currency ? details.currency.toString().toUpperCase() : null);
+    }
+    return currencyCache.get(instrumento);
+  };
+
+  const consolidated = consolidatePartialFills(operations || []);
+  const dollarLegs = [];
+  const bonos = new Set();
+
+  consolidated.forEach((op) => {
+    const tipoCambio = DOLLAR_LEG_CURRENCIES[getCurrency(op.instrumento)];
+    if (!tipoCambio || !/[DC]$/.test(op.instrumento)) return;
+    const bono = op.instrumento.slice(0, -1);
+    if (getCurrency(bono) !== 'ARS') return;
+    dollarLegs.push({ op, bono, tipoCambio });
+    bonos.add(bono);
+  });
+
+  const grupos = new Map();
+  const getGrupo = (bono, venue) => {
+    const key = `${bono}:${venue}`;
+    if (!grupos.has(key)) {
+      grupos.set(key, { bono, venue, comprasPesos: [], ventasPesos: [], dolares: {} });
+    }
+    return grupos.get(key);
+  };
+
+  dollarLegs.forEach(({ op, bono, tipoCambio }) => {
+    const grupo = getGrupo(bono, op.venue);
+    if (!grupo.dolares[tipoCambio]) {
+      grupo.dolares[tipoCambio] = { instrumento: op.instrumento, compras: [], ventas: [] };
+    }
+    grupo.dolares[tipoCambio][op.lado === LADOS.COMPRA ? 'compras' : 'ventas'].push(op);
+  });
+
+  consolidated.forEach((op) => {
+    if (!bonos.has(op.instrumento) || !grupos.has(`${op.instrumento}:${op.venue}`)) return;
+    const grupo = grupos.get(`${op.instrumento}:${op.venue}`);
+    (op.lado === LADOS.COMPRA ? grupo.comprasPesos : grupo.ventasPesos).push(op);
+  });
+
   return grupos;
 }
 
@@ -467,6 +521,11 @@ export function parseCauciones(rawCauciones) {
             tenorDias: plazo,
             referencia,
             currency: 'ARS',
+            // A caución is quoted by rate, so the cash lent or borrowed is the quantity.
+            // Linking and the caución book read these; monto/currency above keep feeding
+            // the average-TNA fallback unchanged.
+            capital: cantidad,
+            capitalCurrency: getCaucionCurrency(instrument),
             feeAmount: parseFloat(raw.feeAmount || 0), // Preserve calculated fees
             feeBreakdown: raw.feeBreakdown || null,
           };
@@ -486,18 +545,23 @@ export function parseCauciones(rawCauciones) {
         const fin = finValue ? parseDate(finValue) : new Date(inicio);
         const tenorDias = calculatePlazoFromDates(inicio, fin);
 
+        const monto = parseFloat(raw.monto || raw.amount || 0);
+        const currency = raw.currency || raw.moneda || 'ARS';
+
         return {
           id: raw.id || `cau-${Date.now()}-${Math.random()}`,
           instrumento: raw.instrumento || raw.instrument || '',
           tipo: raw.tipo || raw.type || 'colocadora',
           inicio,
           fin,
-          monto: parseFloat(raw.monto || raw.amount || 0),
+          monto,
           tasa: parseFloat(raw.tasa || raw.rate || 0),
           interes: parseFloat(raw.interes || raw.interest || 0),
           tenorDias,
           referencia: raw.referencia || raw.reference,
-          currency: raw.currency || raw.moneda || 'ARS',
+          currency,
+          capital: monto,
+          capitalCurrency: currency,
         };
       } catch (error) {
         console.warn('Failed to parse caución:', raw, error);
@@ -507,6 +571,15 @@ export function parseCauciones(rawCauciones) {
     .filter((cau) => cau !== null && cau.monto > 0 && cau.tenorDias > 0);
 }
 
+/**
+ * Currency of a caución from its symbol (PESOS - 3D, DOLAR - 3D)
+ * @param {string} instrument
+ * @returns {'ARS'|'USD'}
+ */
+function getCaucionCurrency(instrument) {
+  return /^(DOLAR|USD)/i.test(instrument || '') ? 'USD' : 'ARS';
+}
+
 /**
  * Parse symbol to extract instrument, venue, and plazo
  * Handles formats like:
@@ -618,8 +691,8 @@ function parseDate(date) {
  * Get summary statistics for grupos
  * @param {Map<string, import('./arbitrage-types.js').GrupoInstrumentoPlazo>} grupos
  * @param {import('./arbitrage-types.js').Caucion[]|null} [cauciones] - Optional original cauciones array.
- *   If supplied, totalCauciones will be taken from this array (recommended when
- *   grupos.cauciones are intentionally left empty). If omitted, the function
+ *   If supplied, totalCauciones will be taken from this array (recommended, as
+ *   unlinked cauciones are not in any grupo). If omitted, the function
  *   falls back to summing grupo.cauciones lengths.
  * @returns {Object} Summary statistics
  */
@@ -639,9 +712,9 @@ export function getGruposSummary(grupos, cauciones = null) {
       grupo.ventas24h.length;
   });
 
-  // If caller provided the original cauciones array (preferred now that grupos
-  // do not hold attached cauciones), use its length. Otherwise fall back to
-  // summing grupo.cauciones lengths for backward compatibility.
+  // If caller provided the original cauciones array (preferred, since grupos
+  // only hold the allocations of linked cauciones), use its length. Otherwise
+  // fall back to summing grupo.cauciones lengths for backward compatibility.
   if (Array.isArray(cauciones)) {
     stats.totalCauciones = cauciones.length;
   } else {
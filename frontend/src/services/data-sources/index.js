@@ -1,4 +1,13 @@
 export { DataSourceAdapter } from './data-source-interface.js';
 export { CsvDataSource } from './csv-data-source.js';
 export { JsonDataSource } from './json-data-source.js';
+export { XlsxDataSource, isSpreadsheetFile, listSpreadsheetSheets } from './xlsx-data-source.js';
+export {
+  MultiFileDataSource,
+  PROVENANCE_COLUMNS,
+  collectProvenance,
+  resolveFileSourceType,
+  resolveSourceRowNumber,
+  summarizeProvenance,
+} from './multi-file-data-source.js';
 export { MockDataSource } from './mock-data-source.js';
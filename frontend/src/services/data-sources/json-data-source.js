@@ -120,18 +120,20 @@ export class JsonDataSource extends DataSourceAdapter {
     }
 
     const rowCount = dedupedRows.length;
+    // `maxRows: null` lifts the cap (worker pipeline)
+    const maxRows = _config.maxRows === null ? Infinity : (_config.maxRows ?? MAX_ROWS);
     const meta = {
       rowCount,
       totalOrders: orders.length,
       excluded: exclusionStats,
       duplicatesRemoved,
-      exceededMaxRows: rowCount > MAX_ROWS,
+      exceededMaxRows: rowCount > maxRows,
       warningThresholdExceeded: rowCount > LARGE_FILE_WARNING_THRESHOLD,
       errors: [],
     };
 
     // Truncate if needed
-    const truncatedRows = rowCount > MAX_ROWS ? dedupedRows.slice(0, MAX_ROWS) : dedupedRows;
+    const truncatedRows = rowCount > maxRows ? dedupedRows.slice(0, maxRows) : dedupedRows;
 
     return {
       rows: truncatedRows,
@@ -0,0 +1,278 @@
+import { isDuplicate } from '../broker/dedupe-utils.js';
+import { matchImportProfile } from '../csv/import-profiles.js';
+import { DataSourceAdapter } from './data-source-interface.js';
+import { CsvDataSource } from './csv-data-source.js';
+import { JsonDataSource } from './json-data-source.js';
+import { XlsxDataSource, isSpreadsheetFile } from './xlsx-data-source.js';
+
+// Columns added to every merged row so operations can point back to their file
+export const PROVENANCE_COLUMNS = {
+  FILE: 'source_file',
+  ROW: 'source_row',
+};
+
+const createAbortError = () => {
+  const error = new Error('Procesamiento cancelado.');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * @param {File|{name?: string}} file
+ * @returns {'csv'|'json'|'xlsx'}
+ */
+export const resolveFileSourceType = (file) => {
+  const name = typeof file?.name === 'string' ? file.name.toLowerCase() : '';
+  if (name.endsWith('.json')) {
+    return 'json';
+  }
+  return isSpreadsheetFile(file) ? 'xlsx' : 'csv';
+};
+
+const createChildSource = (sourceType) => {
+  if (sourceType === 'json') {
+    return new JsonDataSource();
+  }
+  if (sourceType === 'xlsx') {
+    return new XlsxDataSource();
+  }
+  return new CsvDataSource();
+};
+
+const normalizeEntry = (entry, index) => {
+  const file = entry?.file ?? entry;
+  return {
+    file,
+    fileName: entry?.fileName ?? file?.name ?? `archivo-${index + 1}`,
+    sourceType: entry?.sourceType ?? resolveFileSourceType(file),
+    parserConfig: entry?.parserConfig ?? {},
+  };
+};
+
+const TABULAR_SOURCE_TYPES = new Set(['csv', 'xlsx']);
+
+/**
+ * Row number as the user sees it in the source: CSV lines and sheet rows as recorded by the
+ * parser in `meta.rowNumbers` (blank lines included), other sources number their records from 1.
+ * @param {string} sourceType
+ * @param {{headerRow?: number, rowNumbers?: number[]}} meta - Parse meta of the source
+ * @param {number} index - Zero-based position among the parsed rows
+ * @returns {number}
+ */
+export const resolveSourceRowNumber = (sourceType, meta, index) => {
+  if (!TABULAR_SOURCE_TYPES.has(sourceType)) {
+    return index + 1;
+  }
+  const recorded = meta?.rowNumbers?.[index];
+  if (Number.isInteger(recorded)) {
+    return recorded;
+  }
+  const headerRow = Number.isInteger(meta?.headerRow) && meta.headerRow > 0 ? meta.headerRow : 1;
+  return headerRow + index + 1;
+};
+
+const parseTimestamp = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+  const parsed = Date.parse(trimmed.includes('T') ? trimmed : trimmed.replace(' ', 'T'));
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const toNumber = (value) => {
+  const parsed = typeof value === 'number' ? value : Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+/**
+ * Shape a parsed row the way `isDuplicate` compares operations: order and execution ids
+ * first, then symbol/side/fill quantity/fill price within the same second.
+ * Broker JSON rows keep the execution id in `_original.execId`; CSV exports use `id`.
+ */
+const toDedupeCandidate = (row) => ({
+  order_id: row.order_id ?? null,
+  operation_id: row._original
+    ? row._original.execId ?? null
+    : row.operation_id ?? row.execution_id ?? row.id ?? null,
+  symbol: typeof row.symbol === 'string' ? row.symbol.trim().toUpperCase() : '',
+  action: typeof row.side === 'string' ? row.side.trim().toLowerCase() : '',
+  quantity: toNumber(row.last_qty ?? row.quantity),
+  price: toNumber(row.last_price ?? row.price),
+  tradeTimestamp: parseTimestamp(row.transact_time),
+});
+
+const createDuplicateIndex = () => {
+  const byOrderId = new Map();
+  const bySymbol = new Map();
+  const append = (map, key, candidate) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(candidate);
+  };
+
+  return {
+    // A duplicate shares the order id (id match) or the symbol (composite match)
+    has: (candidate) => [
+      ...(candidate.order_id ? byOrderId.get(candidate.order_id) ?? [] : []),
+      ...(bySymbol.get(candidate.symbol) ?? []),
+    ].some((existing) => isDuplicate(existing, candidate)),
+    addAll: (candidates) => {
+      candidates.forEach((candidate) => {
+        if (candidate.order_id) {
+          append(byOrderId, candidate.order_id, candidate);
+        }
+        append(bySymbol, candidate.symbol, candidate);
+      });
+    },
+  };
+};
+
+/**
+ * Merges several files (CSV, spreadsheets, broker JSON dumps) into one row set.
+ * Each entry is a File or `{ file, fileName?, sourceType?, parserConfig? }`. Rows that
+ * duplicate a fill from an earlier file are dropped; rows within the same file are kept as-is.
+ * Every row gets `source_file` and `source_row` columns. With `importProfiles` in the config,
+ * each file is matched to its own profile and mapped before it is merged and deduped.
+ */
+export class MultiFileDataSource extends DataSourceAdapter {
+  async parse(input, _config = {}) {
+    const entries = (Array.isArray(input) ? input : [input]).filter(Boolean).map(normalizeEntry);
+    if (entries.length === 0) {
+      throw new Error('Debes seleccionar al menos un archivo.');
+    }
+
+    const { onProgress, signal, importProfiles, ...sharedConfig } = _config;
+    const duplicateIndex = createDuplicateIndex();
+    const rows = [];
+    const files = [];
+    let exceededMaxRows = false;
+    let warningThresholdExceeded = false;
+    const errors = [];
+
+    for (let fileIndex = 0; fileIndex < entries.length; fileIndex += 1) {
+      const { file, fileName, sourceType, parserConfig } = entries[fileIndex];
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+
+      const childInput = sourceType === 'json' && typeof file?.text === 'function' ? await file.text() : file;
+      let parsed;
+      try {
+        parsed = await createChildSource(sourceType).parse(childInput, {
+          ...sharedConfig,
+          ...parserConfig,
+          signal,
+          onProgress: (progress) => {
+            if (typeof onProgress !== 'function') {
+              return;
+            }
+            const filePercent = Number.isFinite(progress?.percent) ? progress.percent : 0;
+            onProgress({
+              processed: rows.length + (progress?.processed ?? 0),
+              percent: Math.min(99, Math.round(((fileIndex + filePercent / 100) / entries.length) * 100)),
+            });
+          },
+        });
+      } catch (error) {
+        if (error?.name === 'AbortError') {
+          throw error;
+        }
+        throw new Error(`${fileName}: ${error.message}`);
+      }
+
+      const { rows: fileRows, profile } = Array.isArray(importProfiles)
+        ? matchImportProfile(parsed.rows ?? [], importProfiles)
+        : { rows: parsed.rows ?? [], profile: null };
+      const candidates = [];
+      let duplicatesRemoved = 0;
+      fileRows.forEach((row, index) => {
+        const candidate = toDedupeCandidate(row);
+        if (duplicateIndex.has(candidate)) {
+          duplicatesRemoved += 1;
+          return;
+        }
+        candidates.push(candidate);
+        rows.push({
+          ...row,
+          [PROVENANCE_COLUMNS.FILE]: fileName,
+          [PROVENANCE_COLUMNS.ROW]: resolveSourceRowNumber(sourceType, parsed.meta, index),
+        });
+      });
+      // Added after the file is scanned so a file never dedupes against itself
+      duplicateIndex.addAll(candidates);
+
+      exceededMaxRows = exceededMaxRows || Boolean(parsed.meta?.exceededMaxRows);
+      warningThresholdExceeded = warningThresholdExceeded || Boolean(parsed.meta?.warningThresholdExceeded);
+      errors.push(...(parsed.meta?.errors ?? []));
+      files.push({
+        fileName,
+        sourceType,
+        rowCount: fileRows.length,
+        duplicatesRemoved,
+        ...(profile ? { importProfile: profile.name } : {}),
+      });
+    }
+
+    if (typeof onProgress === 'function') {
+      onProgress({ processed: rows.length, percent: 100 });
+    }
+
+    return {
+      rows,
+      meta: {
+        rowCount: rows.length,
+        exceededMaxRows,
+        warningThresholdExceeded,
+        errors,
+        files,
+        duplicatesRemoved: files.reduce((total, file) => total + file.duplicatesRemoved, 0),
+      },
+    };
+  }
+
+  getSourceType() {
+    return 'files';
+  }
+}
+
+/**
+ * Groups provenance entries by file, keeping row numbers in order.
+ * @param {Array<{fileName: string, rowNumber: number}>} entries
+ * @returns {Array<{fileName: string, rows: number[]}>}
+ */
+export const summarizeProvenance = (entries = []) => {
+  const byFile = new Map();
+  entries.forEach((entry) => {
+    if (!entry?.fileName) {
+      return;
+    }
+    if (!byFile.has(entry.fileName)) {
+      byFile.set(entry.fileName, []);
+    }
+    if (Number.isFinite(entry.rowNumber)) {
+      byFile.get(entry.fileName).push(entry.rowNumber);
+    }
+  });
+  return Array.from(byFile, ([fileName, rows]) => ({ fileName, rows: rows.sort((a, b) => a - b) }));
+};
+
+/**
+ * Collects provenance entries from table rows: operations carry one entry, consolidated
+ * rows gather their legs'.
+ * @param {Object} item
+ * @returns {Array<{fileName: string, rowNumber: number}>}
+ */
+export const collectProvenance = (item) => {
+  if (Array.isArray(item?.provenance)) {
+    return item.provenance;
+  }
+  if (item?.provenance) {
+    return [item.provenance];
+  }
+  return Array.isArray(item?.legs) ? item.legs.flatMap(collectProvenance) : [];
+};
@@ -0,0 +1,568 @@
+/**
+ * Minimal reader for Office Open XML (.xlsx) and OpenDocument (.ods) workbooks.
+ * Unzips with the platform DecompressionStream and scans the XML with regular expressions,
+ * so it runs the same on the main thread and inside the processing worker (no DOMParser).
+ */
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATE = 8;
+
+const ODS_MIMETYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+// Guards against "repeat to the end of the sheet" markers in ODS files
+const MAX_COLUMNS = 16384;
+
+const EXCEL_EPOCH_1900_OFFSET = 25569;
+const EXCEL_EPOCH_1904_OFFSET = 24107;
+const DAY_MS = 86400000;
+
+// Built-in number formats that render as dates or times
+const BUILTIN_DATE_FORMATS = new Set([
+  14, 15, 16, 17, 18, 19, 20, 21, 22,
+  27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+  45, 46, 47,
+  50, 51, 52, 53, 54, 55, 56, 57, 58,
+]);
+
+export const SPREADSHEET_FORMATS = {
+  XLSX: 'xlsx',
+  ODS: 'ods',
+};
+
+const utf8Decoder = new TextDecoder('utf-8');
+
+const toBytes = async (input) => {
+  if (input instanceof Uint8Array) {
+    return input;
+  }
+  if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  }
+  if (ArrayBuffer.isView(input)) {
+    return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  }
+  if (input && typeof input.arrayBuffer === 'function') {
+    return new Uint8Array(await input.arrayBuffer());
+  }
+  throw new Error('Formato de archivo no soportado para planillas.');
+};
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Este navegador no permite descomprimir planillas.');
+  }
+  const stream = new DecompressionStream('deflate-raw');
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+/**
+ * Lists the entries of a ZIP archive from its central directory.
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, {method: number, compressedSize: number, localOffset: number}>}
+ */
+const readZipDirectory = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const minOffset = Math.max(0, bytes.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let offset = bytes.length - 22; offset >= minOffset; offset -= 1) {
+    if (view.getUint32(offset, true) === ZIP_EOCD_SIGNATURE) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('El archivo no es una planilla válida (.xlsx u .ods).');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = new Map();
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('El archivo de planilla está dañado.');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = utf8Decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+const createZipReader = (bytes) => {
+  const entries = readZipDirectory(bytes);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const readText = async (name) => {
+    const entry = entries.get(name);
+    if (!entry) {
+      return null;
+    }
+    const { method, compressedSize, localOffset } = entry;
+    if (view.getUint32(localOffset, true) !== ZIP_LOCAL_SIGNATURE) {
+      throw new Error('El archivo de planilla está dañado.');
+    }
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === ZIP_METHOD_STORED) {
+      return utf8Decoder.decode(data);
+    }
+    if (method === ZIP_METHOD_DEFLATE) {
+      return utf8Decoder.decode(await inflateRaw(data));
+    }
+    throw new Error(`Compresión de planilla no soportada (método ${method}).`);
+  };
+
+  return { has: (name) => entries.has(name), readText };
+};
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? Number.parseInt(entity.slice(2), 16)
+        : Number.parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+
+// Excel escapes control characters as _xHHHH_
+const decodeExcelEscapes = (text) => text
+  .replace(/_x([0-9a-f]{4})_/gi, (match, hex) => String.fromCharCode(Number.parseInt(hex, 16)));
+
+const parseAttributes = (source = '') => {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match = pattern.exec(source);
+  while (match) {
+    attributes[match[1]] = decodeXml(match[2] ?? match[3] ?? '');
+    match = pattern.exec(source);
+  }
+  return attributes;
+};
+
+const collectTextRuns = (xml = '') => {
+  const withoutPhonetics = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  const parts = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match = pattern.exec(withoutPhonetics);
+  while (match) {
+    parts.push(decodeExcelEscapes(decodeXml(match[1])));
+    match = pattern.exec(withoutPhonetics);
+  }
+  return parts.join('');
+};
+
+const padTime = (value) => String(value).padStart(2, '0');
+
+const formatTimeOfDay = (totalMs) => {
+  const seconds = Math.round(totalMs / 1000) % 86400;
+  return `${padTime(Math.floor(seconds / 3600))}:${padTime(Math.floor((seconds % 3600) / 60))}:${padTime(seconds % 60)}`;
+};
+
+/**
+ * Converts an Excel serial date to a Date holding the same wall-clock time in UTC fields.
+ * Serials below one day are pure times and come back as `HH:mm:ss` strings.
+ * @param {number} serial
+ * @param {{date1904?: boolean}} [options]
+ * @returns {Date|string|null}
+ */
+export const excelSerialToDate = (serial, { date1904 = false } = {}) => {
+  if (typeof serial !== 'number' || !Number.isFinite(serial) || serial < 0) {
+    return null;
+  }
+  if (serial < 1) {
+    return formatTimeOfDay(serial * DAY_MS);
+  }
+  const offset = date1904 ? EXCEL_EPOCH_1904_OFFSET : EXCEL_EPOCH_1900_OFFSET;
+  return new Date(Math.round((serial - offset) * DAY_MS));
+};
+
+const isDateFormatCode = (formatCode = '') => {
+  const stripped = formatCode
+    .replace(/"[^"]*"/g, '')
+    .replace(/\\./g, '')
+    .replace(/\[(?!h\]|m\]|s\])[^\]]*\]/gi, '');
+  return /[dmyhs]/i.test(stripped);
+};
+
+const readXlsxStyles = (xml) => {
+  if (!xml) {
+    return [];
+  }
+  const customFormats = new Map();
+  const numFmtPattern = /<numFmt\b([^>]*?)\/?>/g;
+  let match = numFmtPattern.exec(xml);
+  while (match) {
+    const { numFmtId, formatCode } = parseAttributes(match[1]);
+    customFormats.set(Number(numFmtId), formatCode ?? '');
+    match = numFmtPattern.exec(xml);
+  }
+
+  const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/)?.[1] ?? '';
+  const dateStyles = [];
+  const xfPattern = /<xf\b([^>]*?)\/?>/g;
+  match = xfPattern.exec(cellXfs);
+  while (match) {
+    const numFmtId = Number(parseAttributes(match[1]).numFmtId ?? 0);
+    dateStyles.push(customFormats.has(numFmtId)
+      ? isDateFormatCode(customFormats.get(numFmtId))
+      : BUILTIN_DATE_FORMATS.has(numFmtId));
+    match = xfPattern.exec(cellXfs);
+  }
+  return dateStyles;
+};
+
+const readSharedStrings = (xml) => {
+  if (!xml) {
+    return [];
+  }
+  const strings = [];
+  const pattern = /<si\b[^>]*>([\s\S]*?)<\/si>|<si\b[^>]*\/>/g;
+  let match = pattern.exec(xml);
+  while (match) {
+    strings.push(collectTextRuns(match[1] ?? ''));
+    match = pattern.exec(xml);
+  }
+  return strings;
+};
+
+// "AB12" -> 27 (zero-based column index)
+const columnIndexFromRef = (ref = '') => {
+  const letters = ref.match(/^[A-Z]+/i)?.[0]?.toUpperCase();
+  if (!letters) {
+    return null;
+  }
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+const readXlsxCell = (attributes, body, context) => {
+  const type = attributes.t ?? 'n';
+  if (type === 'inlineStr') {
+    return collectTextRuns(body.match(/<is\b[^>]*>([\s\S]*?)<\/is>/)?.[1] ?? '');
+  }
+
+  const rawValue = body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/)?.[1];
+  if (rawValue === undefined) {
+    return null;
+  }
+  const value = decodeXml(rawValue);
+
+  switch (type) {
+    case 's':
+      return context.sharedStrings[Number(value)] ?? null;
+    case 'b':
+      return value === '1' || value === 'true';
+    case 'str':
+    case 'e':
+    case 'd':
+      return decodeExcelEscapes(value);
+    default: {
+      const numeric = Number(value);
+      if (!Number.isFinite(numeric)) {
+        return value;
+      }
+      const isDate = context.dateStyles[Number(attributes.s ?? 0)] === true;
+      return isDate ? excelSerialToDate(numeric, context) : numeric;
+    }
+  }
+};
+
+const readXlsxRows = (xml, context) => {
+  const rows = [];
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+
+  let rowMatch = rowPattern.exec(xml);
+  while (rowMatch) {
+    const rowAttributes = parseAttributes(rowMatch[1]);
+    const rowIndex = rowAttributes.r ? Number(rowAttributes.r) - 1 : rows.length;
+    const cells = [];
+    const body = rowMatch[2] ?? '';
+
+    cellPattern.lastIndex = 0;
+    let cellMatch = cellPattern.exec(body);
+    while (cellMatch) {
+      const attributes = parseAttributes(cellMatch[1]);
+      const columnIndex = columnIndexFromRef(attributes.r) ?? cells.length;
+      const value = readXlsxCell(attributes, cellMatch[2] ?? '', context);
+      if (value !== null && value !== '' && columnIndex < MAX_COLUMNS) {
+        while (cells.length < columnIndex) {
+          cells.push(null);
+        }
+        cells[columnIndex] = value;
+      }
+      cellMatch = cellPattern.exec(body);
+    }
+
+    while (rows.length < rowIndex) {
+      rows.push([]);
+    }
+    rows[rowIndex] = cells;
+    rowMatch = rowPattern.exec(xml);
+  }
+
+  return rows;
+};
+
+const resolveXlsxTarget = (target = '') => {
+  if (target.startsWith('/')) {
+    return target.slice(1);
+  }
+  return `xl/${target.replace(/^\.\//, '')}`;
+};
+
+const openXlsx = async (zip) => {
+  const workbookXml = await zip.readText('xl/workbook.xml');
+  const relsXml = (await zip.readText('xl/_rels/workbook.xml.rels')) ?? '';
+
+  const targets = new Map();
+  const relPattern = /<Relationship\b([^>]*?)\/?>/g;
+  let match = relPattern.exec(relsXml);
+  while (match) {
+    const { Id, Target } = parseAttributes(match[1]);
+    targets.set(Id, resolveXlsxTarget(Target));
+    match = relPattern.exec(relsXml);
+  }
+
+  const sheets = [];
+  const sheetPattern = /<sheet\b([^>]*?)\/?>/g;
+  match = sheetPattern.exec(workbookXml);
+  while (match) {
+    const attributes = parseAttributes(match[1]);
+    sheets.push({ name: attributes.name, path: targets.get(attributes['r:id']) });
+    match = sheetPattern.exec(workbookXml);
+  }
+
+  const workbookPr = parseAttributes(workbookXml.match(/<workbookPr\b([^>]*?)\/?>/)?.[1]);
+  const date1904 = workbookPr.date1904 === '1' || workbookPr.date1904 === 'true';
+  let context = null;
+
+  const loadContext = async () => {
+    if (!context) {
+      context = {
+        date1904,
+        sharedStrings: readSharedStrings(await zip.readText('xl/sharedStrings.xml')),
+        dateStyles: readXlsxStyles(await zip.readText('xl/styles.xml')),
+      };
+    }
+    return context;
+  };
+
+  return {
+    sheetNames: sheets.map((sheet) => sheet.name),
+    date1904,
+    readSheet: async (index) => {
+      const xml = sheets[index]?.path ? await zip.readText(sheets[index].path) : null;
+      if (xml === null) {
+        throw new Error(`No se encontró el contenido de la hoja "${sheets[index]?.name}".`);
+      }
+      return readXlsxRows(xml, await loadContext());
+    },
+  };
+};
+
+const readOdsText = (body = '') => {
+  const withoutAnnotations = body.replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '');
+  const paragraphs = [];
+  const pattern = /<text:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/text:p>)/g;
+  let match = pattern.exec(withoutAnnotations);
+  while (match) {
+    const text = (match[1] ?? '')
+      .replace(/<text:s\b([^>]*?)\/>/g, (tag, attributes) => ' '.repeat(Number(parseAttributes(attributes)['text:c'] ?? 1)))
+      .replace(/<text:tab\b[^>]*\/>/g, '\t')
+      .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+      .replace(/<[^>]+>/g, '');
+    paragraphs.push(decodeXml(text));
+    match = pattern.exec(withoutAnnotations);
+  }
+  return paragraphs.join('\n');
+};
+
+// "PT14H56M07S" -> "14:56:07"
+const parseOdsTime = (value = '') => {
+  const match = value.match(/^-?P(?:\d+D)?T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?$/);
+  if (!match) {
+    return value;
+  }
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return formatTimeOfDay(((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000);
+};
+
+const readOdsCell = (attributes, body) => {
+  switch (attributes['office:value-type']) {
+    case 'float':
+    case 'percentage':
+    case 'currency': {
+      const numeric = Number(attributes['office:value']);
+      return Number.isFinite(numeric) ? numeric : readOdsText(body);
+    }
+    case 'date': {
+      // Date values carry no zone: keep the wall-clock time in UTC fields, like Excel serials
+      const raw = attributes['office:date-value'] ?? '';
+      const parsed = Date.parse(/T/.test(raw) ? `${raw.replace(/(Z|[+-]\d{2}:\d{2})$/, '')}Z` : `${raw}T00:00:00Z`);
+      return Number.isNaN(parsed) ? raw : new Date(parsed);
+    }
+    case 'time':
+      return parseOdsTime(attributes['office:time-value']);
+    case 'boolean':
+      return attributes['office:boolean-value'] === 'true';
+    default: {
+      const text = readOdsText(body);
+      return text === '' ? null : text;
+    }
+  }
+};
+
+const readOdsRows = (tableXml) => {
+  const rows = [];
+  const rowPattern = /<table:table-row(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/table:table-row>)/g;
+  const cellPattern = /<table:(?:covered-)?table-cell(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/table:(?:covered-)?table-cell>)/g;
+  let pendingEmptyRows = 0;
+
+  let rowMatch = rowPattern.exec(tableXml);
+  while (rowMatch) {
+    const rowRepeat = Number(parseAttributes(rowMatch[1])['table:number-rows-repeated'] ?? 1) || 1;
+    const cells = [];
+    let pendingEmptyCells = 0;
+    const body = rowMatch[2] ?? '';
+
+    cellPattern.lastIndex = 0;
+    let cellMatch = cellPattern.exec(body);
+    while (cellMatch) {
+      const attributes = parseAttributes(cellMatch[1]);
+      const repeat = Number(attributes['table:number-columns-repeated'] ?? 1) || 1;
+      const value = readOdsCell(attributes, cellMatch[2] ?? '');
+      if (value === null) {
+        pendingEmptyCells += repeat;
+      } else {
+        for (let index = 0; index < pendingEmptyCells && cells.length < MAX_COLUMNS; index += 1) {
+          cells.push(null);
+        }
+        pendingEmptyCells = 0;
+        for (let index = 0; index < repeat && cells.length < MAX_COLUMNS; index += 1) {
+          cells.push(value);
+        }
+      }
+      cellMatch = cellPattern.exec(body);
+    }
+
+    if (cells.length === 0) {
+      pendingEmptyRows += rowRepeat;
+    } else {
+      for (let index = 0; index < pendingEmptyRows; index += 1) {
+        rows.push([]);
+      }
+      pendingEmptyRows = 0;
+      for (let index = 0; index < rowRepeat; index += 1) {
+        rows.push(index === 0 ? cells : [...cells]);
+      }
+    }
+    rowMatch = rowPattern.exec(tableXml);
+  }
+
+  return rows;
+};
+
+const openOds = async (zip) => {
+  const contentXml = (await zip.readText('content.xml')) ?? '';
+  const tables = [];
+  const tablePattern = /<table:table(\s[^>]*)?>([\s\S]*?)<\/table:table>/g;
+  let match = tablePattern.exec(contentXml);
+  while (match) {
+    tables.push({ name: parseAttributes(match[1])['table:name'], xml: match[2] });
+    match = tablePattern.exec(contentXml);
+  }
+
+  return {
+    sheetNames: tables.map((table) => table.name),
+    date1904: false,
+    readSheet: async (index) => readOdsRows(tables[index]?.xml ?? ''),
+  };
+};
+
+/**
+ * Opens a workbook and lists its sheets; rows are read on demand.
+ * Cell values come back as strings, numbers, booleans, `Date` (date cells, wall-clock time in
+ * UTC fields) or `null` for blanks.
+ *
+ * @param {File|Blob|ArrayBuffer|Uint8Array} input
+ * @returns {Promise<{format: string, sheetNames: string[], date1904: boolean, resolveSheetIndex: Function, readSheet: Function}>}
+ *   `readSheet(sheet)` takes a sheet name or zero-based index and resolves to rows of cells
+ */
+export const openSpreadsheet = async (input) => {
+  const zip = createZipReader(await toBytes(input));
+
+  let format = null;
+  let workbook = null;
+  if (zip.has('xl/workbook.xml')) {
+    format = SPREADSHEET_FORMATS.XLSX;
+    workbook = await openXlsx(zip);
+  } else if (zip.has('content.xml') && ((await zip.readText('mimetype')) ?? ODS_MIMETYPE).startsWith(ODS_MIMETYPE)) {
+    format = SPREADSHEET_FORMATS.ODS;
+    workbook = await openOds(zip);
+  } else {
+    throw new Error('El archivo no es una planilla válida (.xlsx u .ods).');
+  }
+
+  const resolveSheetIndex = (sheet) => {
+    if (sheet === undefined || sheet === null || sheet === '') {
+      return 0;
+    }
+    const index = typeof sheet === 'number' ? sheet : workbook.sheetNames.indexOf(sheet);
+    if (index < 0 || index >= workbook.sheetNames.length) {
+      throw new Error(`La hoja "${sheet}" no existe en el libro.`);
+    }
+    return index;
+  };
+
+  return {
+    format,
+    sheetNames: workbook.sheetNames,
+    date1904: workbook.date1904,
+    resolveSheetIndex,
+    readSheet: (sheet) => workbook.readSheet(resolveSheetIndex(sheet)),
+  };
+};
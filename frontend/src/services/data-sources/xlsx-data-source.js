@@ -0,0 +1,185 @@
+import { DEFAULT_MAX_ROWS } from '../csv/parser.js';
+import { DataSourceAdapter } from './data-source-interface.js';
+import { excelSerialToDate, openSpreadsheet } from './spreadsheet-reader.js';
+
+const LARGE_FILE_WARNING_THRESHOLD = 25000;
+const PROGRESS_EVERY_ROWS = 1000;
+const HEADER_SCAN_ROWS = 20;
+
+// Plain numbers under these headers are treated as Excel serial dates
+const DATE_HEADER_PATTERN = /time|date|fecha|hora|timestamp/i;
+// 1900-01-01 .. 9999-12-31 in the 1900 date system
+const MAX_EXCEL_SERIAL = 2958465;
+
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.ods'];
+
+const createAbortError = () => {
+  const error = new Error('Procesamiento cancelado.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const isBlankCell = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Formats a spreadsheet date as `YYYY-MM-DD HH:mm:ss[.SSS]`, the layout broker CSVs use for
+ * `transact_time`. Workbook dates carry no zone, so the UTC fields hold the wall-clock time.
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatSpreadsheetDate = (date) => {
+  const base = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} `
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+  const ms = date.getUTCMilliseconds();
+  return ms ? `${base}.${pad(ms, 3)}` : base;
+};
+
+/**
+ * Picks the header row: the one with the most text cells among the first rows.
+ * @param {Array<Array<*>>} rows
+ * @returns {number} Zero-based row index, or -1 when the sheet has no text rows
+ */
+export const detectHeaderRow = (rows = []) => {
+  let bestIndex = -1;
+  let bestCount = 0;
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((cells, index) => {
+    const textCount = (cells ?? []).filter((value) => typeof value === 'string' && value.trim() !== '').length;
+    if (textCount > bestCount) {
+      bestCount = textCount;
+      bestIndex = index;
+    }
+  });
+  return bestIndex;
+};
+
+const buildHeaders = (cells = []) => {
+  const seen = new Map();
+  return cells.map((value, index) => {
+    const base = isBlankCell(value)
+      ? `columna_${index + 1}`
+      : String(value instanceof Date ? formatSpreadsheetDate(value) : value).trim();
+    const count = (seen.get(base) ?? 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base}_${count}` : base;
+  });
+};
+
+const coerceCell = (value, header, date1904) => {
+  if (value instanceof Date) {
+    return formatSpreadsheetDate(value);
+  }
+  if (typeof value === 'number' && value >= 1 && value <= MAX_EXCEL_SERIAL && DATE_HEADER_PATTERN.test(header)) {
+    return formatSpreadsheetDate(excelSerialToDate(value, { date1904 }));
+  }
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return value ?? null;
+};
+
+const resolveMaxRows = (value) => {
+  if (value === null || value === Infinity) {
+    return Infinity;
+  }
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_ROWS;
+};
+
+/**
+ * Spreadsheet data source adapter (.xlsx and .ods workbooks).
+ * Besides the common `maxRows`, `onProgress` and `signal`, `config` accepts:
+ * - `sheet`: sheet name or zero-based index (defaults to the first sheet)
+ * - `headerRow`: one-based row number of the header (detected when omitted)
+ */
+export class XlsxDataSource extends DataSourceAdapter {
+  async parse(input, _config = {}) {
+    if (!input) {
+      throw new Error('XLSX input is required');
+    }
+
+    const { sheet, headerRow, maxRows: maxRowsOption, onProgress, signal } = _config;
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const workbook = await openSpreadsheet(input);
+    const sheetIndex = workbook.resolveSheetIndex(sheet);
+    const cells = await workbook.readSheet(sheetIndex);
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const headerIndex = Number.isInteger(headerRow) && headerRow > 0 ? headerRow - 1 : detectHeaderRow(cells);
+    const headers = headerIndex >= 0 ? buildHeaders(cells[headerIndex]) : [];
+    const dataRows = headerIndex >= 0 ? cells.slice(headerIndex + 1) : [];
+    const maxRows = resolveMaxRows(maxRowsOption);
+    const rows = [];
+    // Sheet row of each parsed row; blank rows are dropped but still count in the sheet
+    const rowNumbers = [];
+    let exceededMaxRows = false;
+
+    for (let index = 0; index < dataRows.length; index += 1) {
+      const values = dataRows[index] ?? [];
+      if (values.some((value) => !isBlankCell(value))) {
+        if (rows.length >= maxRows) {
+          exceededMaxRows = true;
+          break;
+        }
+        rows.push(Object.fromEntries(headers.map((header, column) => [
+          header,
+          coerceCell(values[column], header, workbook.date1904),
+        ])));
+        rowNumbers.push(headerIndex + index + 2);
+      }
+
+      if ((index + 1) % PROGRESS_EVERY_ROWS === 0) {
+        if (signal?.aborted) {
+          throw createAbortError();
+        }
+        if (typeof onProgress === 'function') {
+          onProgress({ processed: rows.length, percent: Math.min(99, Math.round(((index + 1) / dataRows.length) * 100)) });
+        }
+      }
+    }
+
+    if (typeof onProgress === 'function') {
+      onProgress({ processed: rows.length, percent: 100 });
+    }
+
+    return {
+      rows,
+      meta: {
+        rowCount: rows.length,
+        exceededMaxRows,
+        warningThresholdExceeded: rows.length >= LARGE_FILE_WARNING_THRESHOLD,
+        errors: [],
+        format: workbook.format,
+        sheetName: workbook.sheetNames[sheetIndex],
+        sheetNames: workbook.sheetNames,
+        headerRow: headerIndex + 1,
+        rowNumbers,
+      },
+    };
+  }
+
+  getSourceType() {
+    return 'xlsx';
+  }
+}
+
+/**
+ * @param {File|{name?: string}} file
+ * @returns {boolean} True for .xlsx/.ods files
+ */
+export const isSpreadsheetFile = (file) => {
+  const name = typeof file?.name === 'string' ? file.name.toLowerCase() : '';
+  return SPREADSHEET_EXTENSIONS.some((extension) => name.endsWith(extension));
+};
+
+/**
+ * Sheet names of a workbook, for letting the user pick one before processing.
+ * @param {File|Blob|ArrayBuffer} input
+ * @returns {Promise<string[]>}
+ */
+export const listSpreadsheetSheets = async (input) => (await openSpreadsheet(input)).sheetNames;
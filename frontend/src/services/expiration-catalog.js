@@ -0,0 +1,213 @@
+/**
+ * Per-symbol expiration catalog helpers
+ * Expiration codes are either a month ("OCT") or a month plus a 2-digit year ("OCT26") when two
+ * series of the same month trade at once. Suffixes follow the same rule ("OC" / "OC26").
+ */
+
+import { FALLBACK_EXPIRATION_NAMES } from './csv/expiration-labels.js';
+
+// Full monthly series, in calendar order
+export const MONTH_EXPIRATION_CODES = [
+  'ENE', 'FEB', 'MAR', 'ABR', 'MAY', 'JUN',
+  'JUL', 'AGO', 'SEP', 'OCT', 'NOV', 'DIC',
+];
+
+const MONTH_LABELS = [
+  'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+  'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre',
+];
+
+const CODE_WITH_YEAR_REGEX = /^([A-Z]+?)(\d{2}|\d{4})?$/;
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '');
+
+/**
+ * Split an expiration code or suffix into its month and optional year.
+ * @param {string} code - e.g. "OCT", "OCT26", "OC25", "O"
+ * @returns {{letters: string, monthIndex: number, year: number|null}|null}
+ */
+export function parseExpirationCode(code) {
+  const match = normalize(code).match(CODE_WITH_YEAR_REGEX);
+  if (!match) {
+    return null;
+  }
+  const [, letters, yearToken] = match;
+  const label = FALLBACK_EXPIRATION_NAMES.get(letters);
+  let year = null;
+  if (yearToken) {
+    year = yearToken.length === 2 ? 2000 + Number(yearToken) : Number(yearToken);
+  }
+  return {
+    letters,
+    monthIndex: label ? MONTH_LABELS.indexOf(label) : -1,
+    year,
+  };
+}
+
+/**
+ * Build a catalog code from a month code and an optional year.
+ * @param {string} monthCode - One of MONTH_EXPIRATION_CODES
+ * @param {number|string} [year] - Full or 2-digit year
+ * @returns {string} e.g. "OCT" or "OCT26"
+ */
+export function buildExpirationCode(monthCode, year) {
+  const base = normalize(monthCode);
+  if (year === undefined || year === null || year === '') {
+    return base;
+  }
+  const digits = String(year).trim().slice(-2).padStart(2, '0');
+  return `${base}${digits}`;
+}
+
+/**
+ * Collect every suffix used in a catalog, optionally ignoring one code.
+ * @param {Object} expirations - Map of expiration code to settings
+ * @param {string} [exceptCode]
+ * @returns {Set<string>}
+ */
+export function collectCatalogSuffixes(expirations = {}, exceptCode) {
+  const taken = new Set();
+  Object.entries(expirations ?? {}).forEach(([code, settings]) => {
+    if (code === exceptCode) {
+      return;
+    }
+    (settings?.suffixes ?? []).forEach((suffix) => taken.add(normalize(suffix)));
+  });
+  return taken;
+}
+
+/**
+ * Generate 1- and 2-letter suffixes for a code, skipping suffixes already taken by other
+ * codes. Falls back to first + third letter ("MY" for MAY, "JL" for JUL) on collisions.
+ * Year-specific codes keep the year on every suffix ("OCT26" -> "O26", "OC26").
+ * @param {string} code
+ * @param {Set<string>|string[]} [taken]
+ * @returns {string[]}
+ */
+export function generateExpirationSuffixes(code, taken = new Set()) {
+  const parsed = parseExpirationCode(code);
+  if (!parsed) {
+    return [];
+  }
+  const takenSet = taken instanceof Set ? taken : new Set(taken);
+  const { letters } = parsed;
+  const yearSuffix = parsed.year ? String(parsed.year).slice(-2) : '';
+  const candidates = [letters.charAt(0), letters.substring(0, 2)];
+  if (letters.length > 2) {
+    candidates.push(`${letters.charAt(0)}${letters.charAt(2)}`);
+  }
+
+  const suffixes = [];
+  candidates.forEach((candidate) => {
+    const suffix = `${candidate}${yearSuffix}`;
+    if (candidate && !takenSet.has(suffix) && !suffixes.includes(suffix)) {
+      suffixes.push(suffix);
+    }
+  });
+
+  // Two suffixes at most: the fallback form only survives when a primary form was taken
+  return suffixes.length > 2 ? suffixes.slice(0, 2) : suffixes;
+}
+
+/**
+ * Add an expiration to a catalog with auto-generated suffixes.
+ * @param {Object} expirations - Current catalog
+ * @param {{monthCode: string, year?: number|string, decimals?: number}} params
+ * @returns {{expirations: Object, code: string, created: boolean}}
+ */
+export function addExpirationToCatalog(expirations = {}, { monthCode, year, decimals = 0 } = {}) {
+  const code = buildExpirationCode(monthCode, year);
+  if (!code || Object.prototype.hasOwnProperty.call(expirations ?? {}, code)) {
+    return { expirations, code, created: false };
+  }
+  return {
+    code,
+    created: true,
+    expirations: {
+      ...expirations,
+      [code]: {
+        suffixes: generateExpirationSuffixes(code, collectCatalogSuffixes(expirations)),
+        decimals,
+        overrides: [],
+      },
+    },
+  };
+}
+
+/**
+ * Resolve a token (code or suffix, with or without year) to a catalog code.
+ * A year-qualified suffix that is not listed ("OC25") falls back to the year-specific code
+ * when present ("OCT25") and otherwise to the generic month code ("OCT").
+ * @param {string} token
+ * @param {Object} expirations
+ * @returns {string|null}
+ */
+export function matchExpirationCode(token, expirations = {}) {
+  const normalized = normalize(token);
+  const catalog = expirations ?? {};
+  if (!normalized) {
+    return null;
+  }
+  if (Object.prototype.hasOwnProperty.call(catalog, normalized)) {
+    return normalized;
+  }
+
+  const findBySuffix = (suffix) => Object.keys(catalog).find((code) => (
+    (catalog[code]?.suffixes ?? []).some((candidate) => normalize(candidate) === suffix)
+  )) ?? null;
+
+  const direct = findBySuffix(normalized);
+  if (direct) {
+    return direct;
+  }
+
+  const parsed = parseExpirationCode(normalized);
+  if (!parsed?.year) {
+    return null;
+  }
+  const base = Object.prototype.hasOwnProperty.call(catalog, parsed.letters)
+    ? parsed.letters
+    : findBySuffix(parsed.letters);
+  if (!base) {
+    return null;
+  }
+  const yearCode = buildExpirationCode(parseExpirationCode(base)?.letters ?? base, parsed.year);
+  return Object.prototype.hasOwnProperty.call(catalog, yearCode) ? yearCode : base;
+}
+
+/**
+ * Maps a raw expiration token (e.g. "O", "OC", "OC26", "oct.") to the expiration code
+ * configured for the symbol (e.g. "OCT", "OCT26"). Shared by the processing pipeline and the
+ * expiry/greeks layer so both read a symbol the same way. Unknown tokens are returned
+ * uppercased, without punctuation.
+ * @param {string} token
+ * @param {Object} [symbolConfig] - symbol settings with an `expirations` catalog
+ * @returns {string}
+ */
+export function resolveExpirationCode(token, symbolConfig) {
+  const cleaned = normalize(token).replace(/[^0-9A-Z]/g, '');
+  if (!cleaned) {
+    return '';
+  }
+  return matchExpirationCode(cleaned, symbolConfig?.expirations) ?? cleaned;
+}
+
+/**
+ * Sort codes by calendar month, generic codes first and year-specific codes by year.
+ * @param {string[]} codes
+ * @returns {string[]}
+ */
+export function sortExpirationCodes(codes = []) {
+  const rank = (code) => {
+    const parsed = parseExpirationCode(code);
+    return {
+      year: parsed?.year ?? 0,
+      month: parsed && parsed.monthIndex >= 0 ? parsed.monthIndex : 12,
+    };
+  };
+  return [...codes].sort((a, b) => {
+    const left = rank(a);
+    const right = rank(b);
+    return left.year - right.year || left.month - right.month || a.localeCompare(b);
+  });
+}
@@ -6,6 +6,15 @@ import {
   storageAvailable,
   storageKeys,
 } from '../storage/local-storage.js';
+import {
+  createEmptyFeeProfiles,
+  createEmptyFeeVolumes,
+  mergeFeeVolumes,
+  sanitizeFeeProfiles,
+  sanitizeFeeVolumes,
+  FEE_PROFILES_VERSION,
+  FEE_VOLUMES_VERSION,
+} from './fee-profiles.js';
 
 const DEFAULT_BROKER_FEES = Object.freeze({
   commission: feeConfigJson?.broker?.commission ?? 0
@@ -62,6 +71,73 @@ export const clearBrokerFees = async () => {
   return getDefaultBrokerFees();
 };
 
+/* -------------------------------------------------------------------------- */
+/* Per-broker fee profiles                                                      */
+/* When no profile is stored the flat broker commission above applies.         */
+/* -------------------------------------------------------------------------- */
+
+export const loadFeeProfiles = async () => {
+  if (!storageAvailable()) {
+    return createEmptyFeeProfiles();
+  }
+
+  const stored = await readItem(storageKeys.feeProfiles);
+  return sanitizeFeeProfiles(stored);
+};
+
+export const saveFeeProfiles = async (profiles) => {
+  const sanitized = sanitizeFeeProfiles({
+    version: FEE_PROFILES_VERSION,
+    profiles,
+    updatedAt: new Date().toISOString(),
+  });
+
+  if (storageAvailable()) {
+    await writeItem(storageKeys.feeProfiles, sanitized);
+  }
+
+  return sanitized;
+};
+
+export const clearFeeProfiles = async () => {
+  if (storageAvailable()) {
+    await removeItem(storageKeys.feeProfiles);
+  }
+  return createEmptyFeeProfiles();
+};
+
+export const loadFeeVolumes = async () => {
+  if (!storageAvailable()) {
+    return createEmptyFeeVolumes();
+  }
+
+  const stored = await readItem(storageKeys.feeVolumes);
+  return sanitizeFeeVolumes(stored);
+};
+
+/**
+ * Adds a processing run's daily volumes by profile to the stored month-to-date history.
+ * @param {Object} dailyVolumes - `{ [profileId]: { 'YYYY-MM-DD': notional } }`
+ */
+export const recordFeeVolumes = async (dailyVolumes) => {
+  const current = await loadFeeVolumes();
+  if (!dailyVolumes || Object.keys(dailyVolumes).length === 0) {
+    return current;
+  }
+
+  const sanitized = sanitizeFeeVolumes({
+    version: FEE_VOLUMES_VERSION,
+    volumes: mergeFeeVolumes(current.volumes, dailyVolumes),
+    updatedAt: new Date().toISOString(),
+  });
+
+  if (storageAvailable()) {
+    await writeItem(storageKeys.feeVolumes, sanitized);
+  }
+
+  return sanitized;
+};
+
 /* -------------------------------------------------------------------------- */
 /* Repo fee config (moved here from storage-settings.js)                         */
 /* Consolidates repo-related fee defaults and persisted overrides under this    */
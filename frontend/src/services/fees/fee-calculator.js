@@ -2,15 +2,17 @@
 // Returns fee breakdown and total per operation; aggregated fee for consolidated rows.
 
 import { isCaucionEnabled } from './fees-flags.js';
+import { multiplyMoney, sumMoney } from '../money.js';
 
 /**
  * Calculates fee breakdown for a single operation.
- * @param {object} operation - { grossNotional, category, ... }
+ * Each component is rounded to the currency's minor unit, as on broker statements.
+ * @param {object} operation - { grossNotional, category, currency?, ... }
  * @param {object} effectiveRates - precomputed category rates from config-validation
- * @returns {object} { feeAmount, feeBreakdown: { commissionPct, rightsPct, vatPct, commissionAmount, rightsAmount, vatAmount, category, source } }
+ * @returns {object} { feeAmount, feeBreakdown: { commissionPct, rightsPct, vatPct, commissionAmount, rightsAmount, vatAmount, category, currency, source } }
  */
 export function calculateFee(operation, effectiveRates) {
-  const { grossNotional, category } = operation;
+  const { grossNotional, category, currency } = operation;
 
   // Caucion placeholder logic
   if (category === 'caucion' && !isCaucionEnabled()) {
@@ -35,13 +37,11 @@ export function calculateFee(operation, effectiveRates) {
   // conservative reference to avoid unused-variable lint when configs include extra fields
   void effectiveRate;
 
-  // Component amounts (high precision)
-  const commissionAmount = grossNotional * commissionPct;
-  const rightsAmount = grossNotional * rightsPct;
+  const commissionAmount = multiplyMoney(grossNotional, [commissionPct], { currency });
+  const rightsAmount = multiplyMoney(grossNotional, [rightsPct], { currency });
   // VAT applies to both commission and derechos (rights)
-  const baseAmount = commissionAmount + rightsAmount;
-  const vatAmount = baseAmount * vatPct;
-  const feeAmount = baseAmount + vatAmount;
+  const vatAmount = multiplyMoney(sumMoney([commissionAmount, rightsAmount], currency), [vatPct], { currency });
+  const feeAmount = sumMoney([commissionAmount, rightsAmount, vatAmount], currency);
 
   return {
     feeAmount,
@@ -53,6 +53,7 @@ export function calculateFee(operation, effectiveRates) {
       rightsAmount,
       vatAmount,
       category,
+      currency: currency ?? null,
       source: 'config',
     },
   };
@@ -64,10 +65,11 @@ export function calculateFee(operation, effectiveRates) {
  * @param {number} aggregatedGrossNotional
  * @param {string} category - dominant/homogeneous category
  * @param {object} effectiveRates
+ * @param {string} [currency]
  * @returns {object} same structure as calculateFee
  */
-export function aggregateFee(aggregatedGrossNotional, category, effectiveRates) {
+export function aggregateFee(aggregatedGrossNotional, category, effectiveRates, currency) {
   // Treat as single operation with aggregated notional
-  const operation = { grossNotional: aggregatedGrossNotional, category };
+  const operation = { grossNotional: aggregatedGrossNotional, category, currency };
   return calculateFee(operation, effectiveRates);
 }
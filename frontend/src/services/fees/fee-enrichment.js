@@ -2,10 +2,19 @@
 // Integrates with process-operations pipeline to add fee fields.
 
 import { calculateFee } from './fee-calculator.js';
+import { allocateMoney, multiplyMoney, sumMoney } from '../money.js';
 import { calculateRepoExpenseBreakdown, calculateAccruedInterest, parseTenorDays } from './repo-fees.js';
 import { resolveCfiCategory, getInstrumentDetails, getUnknownCfiCodes } from './instrument-mapping.js';
 import { getEffectiveRates } from '../bootstrap-defaults.js';
-import { getRepoFeeConfig } from './broker-fees-storage.js';
+import { getRepoFeeConfig, loadFeeProfiles, loadFeeVolumes } from './broker-fees-storage.js';
+import {
+  buildScheduleRates,
+  resolveFeeProfile,
+  resolveFeeSchedule,
+  resolveFeeTier,
+  resolveMonthToDateVolume,
+  toIsoDate,
+} from './fee-profiles.js';
 import { logFeeProcessingSummary } from '../logging/fee-logging.js';
 
 const REPO_SOURCE_PREFIX = 'repo';
@@ -453,9 +462,9 @@ const extractRepoOperationInput = (operation, instrumentDetails) => {
     && priceTNA !== null
     && resolvedTenorDays !== null
     && resolvedTenorDays > 0) {
-    const accrued = calculateAccruedInterest(principalAmount, priceTNA, resolvedTenorDays);
+    const accrued = calculateAccruedInterest(principalAmount, priceTNA, resolvedTenorDays, currency);
     if (Number.isFinite(accrued)) {
-      baseAmount = principalAmount + accrued;
+      baseAmount = sumMoney([principalAmount, accrued], currency);
     }
   }
 
@@ -543,7 +552,7 @@ export function enrichOperationWithFee(operation, effectiveRates, options = {})
   const grossNotional = Math.abs(quantity) * contractMultiplier * price * priceConversionFactor;
 
   // Calculate fee using pure calculator (fee is in monetary units)
-  const feeResult = calculateFee({ grossNotional, category }, effectiveRates);
+  const feeResult = calculateFee({ grossNotional, category, currency: instrumentDetails?.currency }, effectiveRates);
 
   const repoBreakdown = maybeCalculateRepoBreakdown(operation, instrumentDetails, repoFeeConfig);
   const useRepoBreakdown = isRepoBreakdown(repoBreakdown);
@@ -568,8 +577,173 @@ export function enrichOperationWithFee(operation, effectiveRates, options = {})
   };
 }
 
+const resolveOperationAccount = (operation) => pickFirstString(operation, [
+  'account',
+  'accountId',
+  'account_id',
+  'cuenta',
+]);
+
+const resolveOperationTradeDate = (operation) => toIsoDate(pickFirstString(operation, [
+  'transact_time',
+  'transactTime',
+  'tradeTimestamp',
+  'trade_timestamp',
+  'execution_time',
+  'tradeDate',
+  'trade_date',
+]));
+
+const withProfileBreakdown = (operation, context, tier) => ({
+  ...operation,
+  feeBreakdown: {
+    ...operation.feeBreakdown,
+    profile: {
+      id: context.profile.id,
+      name: context.profile.name,
+      effectiveFrom: context.schedule.effectiveFrom,
+      tierMinVolume: tier?.minVolume ?? null,
+      tradeDate: context.tradeDate,
+    },
+  },
+});
+
+/**
+ * Daily notional per fee profile of operations enriched with profiles, in the stored
+ * volume shape (`{ [profileId]: { 'YYYY-MM-DD': notional } }`). Undated fills are left out.
+ * @param {Array<object>} operations
+ * @returns {Object}
+ */
+export function collectProfileDailyVolumes(operations = []) {
+  const volumes = {};
+  operations.forEach((operation) => {
+    const profile = operation?.feeBreakdown?.profile;
+    if (!profile?.id || !profile.tradeDate) {
+      return;
+    }
+    const days = volumes[profile.id] ?? {};
+    days[profile.tradeDate] = (days[profile.tradeDate] ?? 0) + (operation.grossNotional || 0);
+    volumes[profile.id] = days;
+  });
+  return volumes;
+}
+
+// Tops the commission of an order's fills up to the minimum, split by notional
+const applyMinimumFee = (legs, minimumFee) => {
+  const { currency } = legs[0].feeBreakdown;
+  const commission = sumMoney(legs.map((leg) => leg.feeBreakdown.commissionAmount), currency);
+  if (commission >= minimumFee) {
+    return legs;
+  }
+
+  const shortfall = sumMoney([minimumFee, -commission], currency);
+  const adjustments = allocateMoney(shortfall, legs.map((leg) => leg.grossNotional), currency);
+  return legs.map((leg, index) => {
+    const adjustment = adjustments[index];
+    const breakdown = leg.feeBreakdown;
+    const commissionAmount = sumMoney([breakdown.commissionAmount, adjustment], currency);
+    const vatAmount = multiplyMoney(
+      sumMoney([commissionAmount, breakdown.rightsAmount], currency),
+      [breakdown.vatPct],
+      { currency },
+    );
+    return {
+      ...leg,
+      feeAmount: sumMoney([commissionAmount, breakdown.rightsAmount, vatAmount], currency),
+      feeBreakdown: {
+        ...breakdown,
+        commissionAmount,
+        vatAmount,
+        minimumFeeAdjustment: adjustment,
+      },
+    };
+  });
+};
+
+/**
+ * Fee enrichment with per-broker profiles: each operation takes the profile of its account
+ * (or the default profile) and the schedule in force on its trade date. The volume tier is
+ * picked from the profile's volume on earlier days of the same month (recorded volumes plus
+ * the batch's own earlier days), so the result does not depend on the order of fills within
+ * a day. Minimum fees apply per order.
+ * @param {Array<object>} operations
+ * @param {object} effectiveRates - global rates, used when no profile or schedule applies
+ * @param {object} options
+ * @param {Array<object>} options.profiles - sanitized fee profiles
+ * @param {object} [options.volumes] - recorded daily volumes by profile (see sanitizeFeeVolumes)
+ * @param {object} [options.repoFeeConfig]
+ * @returns {Array<object>}
+ */
+export function enrichOperationsWithFeeProfiles(operations, effectiveRates, { profiles, volumes = {}, repoFeeConfig } = {}) {
+  const contexts = operations.map((operation) => {
+    const profile = resolveFeeProfile(profiles, resolveOperationAccount(operation));
+    const tradeDate = resolveOperationTradeDate(operation);
+    const schedule = profile ? resolveFeeSchedule(profile, tradeDate) : null;
+    return { profile, schedule, tradeDate };
+  });
+
+  const enriched = operations.map((operation, index) => {
+    const { schedule } = contexts[index];
+    const rates = schedule ? buildScheduleRates(effectiveRates, schedule) : effectiveRates;
+    return enrichOperationWithFee(operation, rates, { repoFeeConfig });
+  });
+
+  const isProfiled = (index) => Boolean(contexts[index].schedule) && enriched[index].category !== 'caucion';
+
+  // Daily volume per profile, to find the tier reached before each trade date. The batch's
+  // days replace recorded ones so reprocessing a day does not count it twice.
+  const batchVolumes = {};
+  enriched.forEach((operation, index) => {
+    const { profile, tradeDate } = contexts[index];
+    if (!isProfiled(index) || !tradeDate) {
+      return;
+    }
+    const days = batchVolumes[profile.id] ?? {};
+    days[tradeDate] = (days[tradeDate] ?? 0) + (operation.grossNotional || 0);
+    batchVolumes[profile.id] = days;
+  });
+
+  const volumeBefore = (profile, tradeDate) => resolveMonthToDateVolume(
+    { ...volumes?.[profile.id], ...batchVolumes[profile.id] },
+    tradeDate,
+  );
+
+  enriched.forEach((operation, index) => {
+    if (!isProfiled(index)) {
+      return;
+    }
+    const context = contexts[index];
+    const tier = resolveFeeTier(context.schedule, volumeBefore(context.profile, context.tradeDate));
+    const tiered = tier
+      ? enrichOperationWithFee(operations[index], buildScheduleRates(effectiveRates, context.schedule, tier), { repoFeeConfig })
+      : operation;
+    enriched[index] = withProfileBreakdown(tiered, context, tier);
+  });
+
+  const orders = new Map();
+  enriched.forEach((operation, index) => {
+    if (!isProfiled(index) || !(contexts[index].schedule.minimumFee > 0)) {
+      return;
+    }
+    const key = `${contexts[index].profile.id}|${operation.orderId ?? operation.id ?? index}`;
+    if (!orders.has(key)) {
+      orders.set(key, { minimumFee: contexts[index].schedule.minimumFee, indexes: [] });
+    }
+    orders.get(key).indexes.push(index);
+  });
+  orders.forEach(({ minimumFee, indexes }) => {
+    const adjusted = applyMinimumFee(indexes.map((index) => enriched[index]), minimumFee);
+    indexes.forEach((index, position) => {
+      enriched[index] = adjusted[position];
+    });
+  });
+
+  return enriched;
+}
+
 /**
  * Enriches an array of operations with fee calculations.
+ * Uses the stored broker fee profiles when there are any, the flat commission otherwise.
  * Logs summary of processed rows and unknown CfiCodes.
  * @param {Array<object>} operations - enriched operations from process-operations
  * @returns {Array<object>} operations with fee fields
@@ -581,14 +755,19 @@ export async function enrichOperationsWithFees(operations) {
 
   const effectiveRates = getEffectiveRates();
   const repoFeeConfig = await getRepoFeeConfig();
+  const { profiles } = await loadFeeProfiles();
+  const { volumes } = profiles.length > 0 ? await loadFeeVolumes() : { volumes: {} };
   
   // Debug: log effective rates
    
   console.log('PO: effective-rates', effectiveRates, {
     repoFeeConfigLoaded: Boolean(repoFeeConfig),
+    feeProfiles: profiles.length,
   });
 
-  const enriched = operations.map((op) => enrichOperationWithFee(op, effectiveRates, { repoFeeConfig }));
+  const enriched = profiles.length > 0
+    ? enrichOperationsWithFeeProfiles(operations, effectiveRates, { profiles, volumes, repoFeeConfig })
+    : operations.map((op) => enrichOperationWithFee(op, effectiveRates, { repoFeeConfig }));
 
   // Log summary
   const unknownCfiCodes = getUnknownCfiCodes();
@@ -0,0 +1,280 @@
+// fee-profiles.js - Named broker commission profiles (one per ALyC or set of accounts)
+// A profile holds dated schedules; each schedule has per-category commissions (whole %),
+// monthly volume tiers and a minimum commission per order.
+
+export const FEE_PROFILES_VERSION = 1;
+
+import { toIsoDate as toLocalIsoDate } from '../holidays/holiday-calendar.js';
+
+// Categories charged a broker commission; cauciones use the repo aranceles instead
+export const COMMISSION_CATEGORIES = ['accionCedear', 'letra', 'bonds', 'option'];
+
+const DATE_PATTERN = /^(\d{4})-?(0[1-9]|1[0-2])-?(0[1-9]|[12]\d|3[01])(?!\d)/;
+const EPOCH_PATTERN = /^\d{10,}$/;
+// ISO timestamps in UTC or with an offset ('2025-10-08 13:58:51.454000Z', '...T10:58:51-03:00')
+const ZONED_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const toNonNegativeNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : null;
+};
+
+/**
+ * Reduces a date-like value to 'YYYY-MM-DD' ('20251008-10:58:51', '2025-10-08 13:58' and epoch ms).
+ * Instants (dates, epochs, UTC/offset timestamps) take the local calendar date, so a trade at
+ * 23:30 in Buenos Aires stays on its own day and month.
+ * @param {string|number|Date} value
+ * @returns {string|null}
+ */
+export const toIsoDate = (value) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (EPOCH_PATTERN.test(text)) {
+    return toIsoDate(Number(text));
+  }
+  const zoned = ZONED_TIMESTAMP_PATTERN.test(text) ? new Date(text.replace(' ', 'T')) : null;
+  if (zoned && !Number.isNaN(zoned.getTime())) {
+    return toLocalIsoDate(zoned);
+  }
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : toLocalIsoDate(date);
+  }
+  const match = DATE_PATTERN.exec(text);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const sanitizeCommissions = (candidate = {}) => {
+  const commissions = {};
+  COMMISSION_CATEGORIES.forEach((category) => {
+    const value = toNonNegativeNumber(candidate?.[category]);
+    if (value !== null) {
+      commissions[category] = value;
+    }
+  });
+  return commissions;
+};
+
+const sanitizeTier = (candidate) => {
+  const minVolume = toNonNegativeNumber(candidate?.minVolume);
+  if (minVolume === null) {
+    return null;
+  }
+  return { minVolume, commissions: sanitizeCommissions(candidate.commissions) };
+};
+
+const sanitizeSchedule = (candidate) => {
+  const effectiveFrom = toIsoDate(candidate?.effectiveFrom);
+  if (!effectiveFrom) {
+    return null;
+  }
+  const tiers = Array.isArray(candidate.tiers) ? candidate.tiers.map(sanitizeTier).filter(Boolean) : [];
+  return {
+    effectiveFrom,
+    commissions: sanitizeCommissions(candidate.commissions),
+    tiers: tiers.sort((a, b) => a.minVolume - b.minVolume),
+    minimumFee: toNonNegativeNumber(candidate.minimumFee) ?? 0,
+  };
+};
+
+const normalizeAccounts = (accounts) => {
+  const list = Array.isArray(accounts) ? accounts : String(accounts ?? '').split(',');
+  return [...new Set(list.map((account) => String(account).trim()).filter(Boolean))];
+};
+
+export const sanitizeFeeProfile = (candidate, index = 0) => {
+  if (!candidate || typeof candidate !== 'object') {
+    return null;
+  }
+  const name = typeof candidate.name === 'string' ? candidate.name.trim() : '';
+  const schedules = Array.isArray(candidate.schedules)
+    ? candidate.schedules.map(sanitizeSchedule).filter(Boolean)
+    : [];
+  if (!name || schedules.length === 0) {
+    return null;
+  }
+
+  return {
+    id: typeof candidate.id === 'string' && candidate.id ? candidate.id : `profile-${index + 1}`,
+    name,
+    accounts: normalizeAccounts(candidate.accounts),
+    isDefault: Boolean(candidate.isDefault),
+    schedules: schedules.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom)),
+  };
+};
+
+export const createEmptyFeeProfiles = () => ({
+  version: FEE_PROFILES_VERSION,
+  profiles: [],
+  updatedAt: null,
+});
+
+export const sanitizeFeeProfiles = (candidate) => {
+  if (!candidate || typeof candidate !== 'object' || candidate.version !== FEE_PROFILES_VERSION) {
+    return createEmptyFeeProfiles();
+  }
+
+  const profiles = Array.isArray(candidate.profiles)
+    ? candidate.profiles.map(sanitizeFeeProfile).filter(Boolean)
+    : [];
+  // Only one profile can catch the accounts no other profile lists
+  let defaultSeen = false;
+  profiles.forEach((profile) => {
+    profile.isDefault = profile.isDefault && !defaultSeen;
+    defaultSeen = defaultSeen || profile.isDefault;
+  });
+
+  return {
+    version: FEE_PROFILES_VERSION,
+    profiles,
+    updatedAt: typeof candidate.updatedAt === 'string' ? candidate.updatedAt : null,
+  };
+};
+
+/**
+ * Profile that lists the account, or the default profile when none does.
+ * @param {Array<Object>} profiles - sanitized profiles
+ * @param {string|null} account
+ * @returns {Object|null}
+ */
+export const resolveFeeProfile = (profiles = [], account = null) => {
+  const normalized = account === null || account === undefined ? '' : String(account).trim();
+  const byAccount = normalized ? profiles.find((profile) => profile.accounts.includes(normalized)) : null;
+  return byAccount ?? profiles.find((profile) => profile.isDefault) ?? null;
+};
+
+/**
+ * Latest schedule in force on the trade date; null when the trade predates every schedule.
+ * @param {Object} profile
+ * @param {string|null} tradeDate - 'YYYY-MM-DD'; without a date the latest schedule applies
+ * @returns {Object|null}
+ */
+export const resolveFeeSchedule = (profile, tradeDate = null) => {
+  const schedules = profile?.schedules ?? [];
+  if (!tradeDate) {
+    return schedules.at(-1) ?? null;
+  }
+  let selected = null;
+  schedules.forEach((schedule) => {
+    if (schedule.effectiveFrom <= tradeDate) {
+      selected = schedule;
+    }
+  });
+  return selected;
+};
+
+/**
+ * Highest tier whose minimum monthly volume has been reached.
+ * @param {Object} schedule
+ * @param {number} monthlyVolume - volume already traded in the month
+ * @returns {Object|null}
+ */
+export const resolveFeeTier = (schedule, monthlyVolume = 0) => {
+  let selected = null;
+  (schedule?.tiers ?? []).forEach((tier) => {
+    if (monthlyVolume >= tier.minVolume) {
+      selected = tier;
+    }
+  });
+  return selected;
+};
+
+/**
+ * Effective rates with the schedule's (and tier's) commissions in place of the global one.
+ * Categories the schedule leaves blank keep the global commission.
+ * @param {Object} baseRates - output of computeEffectiveRates
+ * @param {Object} schedule
+ * @param {Object|null} tier
+ * @returns {Object} rates map in the computeEffectiveRates shape
+ */
+export const buildScheduleRates = (baseRates, schedule, tier = null) => {
+  const commissions = { ...schedule?.commissions, ...tier?.commissions };
+  const rates = { ...baseRates };
+  COMMISSION_CATEGORIES.forEach((category) => {
+    const base = baseRates?.[category];
+    if (!base || commissions[category] === undefined) {
+      return;
+    }
+    const commissionPct = commissions[category] / 100;
+    rates[category] = {
+      ...base,
+      commissionPct,
+      effectiveRate: (commissionPct + base.rightsPct) * (1 + base.vatPct),
+    };
+  });
+  return rates;
+};
+
+/* -------------------------------------------------------------------------- */
+/* Month-to-date volume history                                                 */
+/* Files are processed one day at a time, so the volume that picks a tier comes */
+/* from the daily notionals recorded by earlier runs.                           */
+/* -------------------------------------------------------------------------- */
+
+export const FEE_VOLUMES_VERSION = 1;
+
+export const createEmptyFeeVolumes = () => ({
+  version: FEE_VOLUMES_VERSION,
+  volumes: {},
+  updatedAt: null,
+});
+
+/**
+ * @param {Object} candidate - stored `{ version, volumes: { [profileId]: { 'YYYY-MM-DD': notional } } }`
+ * @returns {Object}
+ */
+export const sanitizeFeeVolumes = (candidate) => {
+  if (!candidate || typeof candidate !== 'object' || candidate.version !== FEE_VOLUMES_VERSION) {
+    return createEmptyFeeVolumes();
+  }
+
+  const volumes = {};
+  Object.entries(candidate.volumes ?? {}).forEach(([profileId, days]) => {
+    Object.entries(days ?? {}).forEach(([date, amount]) => {
+      const isoDate = toIsoDate(date);
+      const notional = toNonNegativeNumber(amount);
+      if (isoDate && notional !== null) {
+        volumes[profileId] = { ...volumes[profileId], [isoDate]: notional };
+      }
+    });
+  });
+
+  return {
+    version: FEE_VOLUMES_VERSION,
+    volumes,
+    updatedAt: typeof candidate.updatedAt === 'string' ? candidate.updatedAt : null,
+  };
+};
+
+/**
+ * Records a run's daily volumes. Days in the run replace what was stored for them, so
+ * processing the same file again does not add its volume twice.
+ * @param {Object} volumes - stored volumes by profile and day
+ * @param {Object} dailyVolumes - the run's volumes, same shape
+ * @returns {Object}
+ */
+export const mergeFeeVolumes = (volumes = {}, dailyVolumes = {}) => {
+  const merged = { ...volumes };
+  Object.entries(dailyVolumes).forEach(([profileId, days]) => {
+    merged[profileId] = { ...merged[profileId], ...days };
+  });
+  return merged;
+};
+
+/**
+ * Volume a profile traded in the trade date's month before that date.
+ * @param {Object<string, number>} days - notional by 'YYYY-MM-DD'
+ * @param {string|null} tradeDate
+ * @returns {number}
+ */
+export const resolveMonthToDateVolume = (days = {}, tradeDate = null) => {
+  if (!tradeDate) {
+    return 0;
+  }
+  const month = tradeDate.slice(0, 7);
+  return Object.entries(days).reduce((total, [date, amount]) => (
+    date.slice(0, 7) === month && date < tradeDate ? total + amount : total
+  ), 0);
+};
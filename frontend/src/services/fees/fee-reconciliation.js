@@ -0,0 +1,322 @@
+// fee-reconciliation.js - Compares estimated fees with what the broker actually charged
+// Charges come from a boleto/settlement CSV or from fee fields in raw broker JSON, and are
+// matched to operations by order id.
+
+import Papa from 'papaparse';
+import { parseLocaleAmount, sumMoney } from '../money.js';
+
+// Absolute difference (in the operation currency) tolerated per order
+export const DEFAULT_RECONCILIATION_TOLERANCE = 1;
+
+export const RECONCILIATION_STATUS = {
+  MATCHED: 'matched',
+  OVERCHARGED: 'overcharged',
+  UNDERCHARGED: 'undercharged',
+  MISSING_CHARGE: 'missingCharge',
+  UNMATCHED_CHARGE: 'unmatchedCharge',
+};
+
+// Flagged rows first, then orders that could not be compared
+const STATUS_ORDER = [
+  RECONCILIATION_STATUS.OVERCHARGED,
+  RECONCILIATION_STATUS.UNDERCHARGED,
+  RECONCILIATION_STATUS.UNMATCHED_CHARGE,
+  RECONCILIATION_STATUS.MISSING_CHARGE,
+  RECONCILIATION_STATUS.MATCHED,
+];
+
+const CHARGE_FIELDS = ['commission', 'rights', 'vat', 'total'];
+// Components reported separately; `total` covers all of them
+export const FEE_COMPONENTS = ['commission', 'rights', 'vat'];
+
+// Normalized header -> field. Headers are lowercased, accents and punctuation become '_'
+const CSV_COLUMN_ALIASES = {
+  orderId: ['order_id', 'orderid', 'orden', 'nro_orden', 'numero_orden', 'n_orden', 'n_de_orden', 'order'],
+  commission: ['commission', 'comision', 'comisiones', 'arancel', 'aranceles', 'comision_broker'],
+  rights: ['derechos', 'derechos_mercado', 'derechos_de_mercado', 'market_fees', 'rights'],
+  vat: ['iva', 'vat', 'iva_comision', 'iva_gastos'],
+  total: ['total_gastos', 'gastos', 'total_fees', 'fees', 'cargos', 'total_cargos'],
+};
+
+// Fee fields found in raw broker JSON orders
+const JSON_FIELD_ALIASES = {
+  commission: ['commission', 'commissions', 'comision'],
+  rights: ['marketFees', 'marketFee', 'derechos', 'rights'],
+  vat: ['vat', 'iva', 'tax', 'taxes'],
+  total: ['totalFees', 'fees', 'fee'],
+};
+
+const normalizeHeader = (header) => String(header ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const createCharge = (orderId, source) => ({
+  orderId,
+  commission: null,
+  rights: null,
+  vat: null,
+  total: null,
+  source,
+});
+
+const addAmount = (current, amount) => (amount === null ? current : sumMoney([current ?? 0, amount]));
+
+// Boletos may list one line per fill; charges of the same order are added up
+const accumulateCharge = (chargesByOrder, orderId, amounts, source) => {
+  if (!chargesByOrder.has(orderId)) {
+    chargesByOrder.set(orderId, createCharge(orderId, source));
+  }
+  const charge = chargesByOrder.get(orderId);
+  CHARGE_FIELDS.forEach((field) => {
+    charge[field] = addAmount(charge[field], amounts[field] ?? null);
+  });
+};
+
+/**
+ * Parses a boleto/settlement CSV into charges per order.
+ * @param {string} text
+ * @returns {{charges: Array<Object>, skipped: number}}
+ */
+export const parseBrokerChargesCsv = (text) => {
+  const { data, meta } = Papa.parse(typeof text === 'string' ? text : '', {
+    header: true,
+    skipEmptyLines: true,
+  });
+
+  const columns = {};
+  (meta.fields ?? []).forEach((header) => {
+    const normalized = normalizeHeader(header);
+    Object.entries(CSV_COLUMN_ALIASES).forEach(([field, aliases]) => {
+      if (!columns[field] && aliases.includes(normalized)) {
+        columns[field] = header;
+      }
+    });
+  });
+
+  if (!columns.orderId) {
+    throw new Error('El archivo de gastos no tiene una columna de número de orden.');
+  }
+  if (!CHARGE_FIELDS.some((field) => columns[field])) {
+    throw new Error('El archivo de gastos no tiene columnas de comisión, derechos, IVA o total.');
+  }
+
+  const chargesByOrder = new Map();
+  let skipped = 0;
+  data.forEach((row) => {
+    const orderId = String(row[columns.orderId] ?? '').trim();
+    const amounts = Object.fromEntries(
+      CHARGE_FIELDS.map((field) => [field, columns[field] ? parseLocaleAmount(row[columns[field]]) : null]),
+    );
+    if (!orderId || CHARGE_FIELDS.every((field) => amounts[field] === null)) {
+      skipped += 1;
+      return;
+    }
+    accumulateCharge(chargesByOrder, orderId, amounts, 'csv');
+  });
+
+  return { charges: Array.from(chargesByOrder.values()), skipped };
+};
+
+const pickJsonAmount = (raw, aliases) => {
+  const key = aliases.find((candidate) => raw[candidate] !== undefined && raw[candidate] !== null);
+  if (!key) {
+    return null;
+  }
+  const value = raw[key];
+  // Some payloads send fees as { amount, currency }
+  return parseLocaleAmount(typeof value === 'object' ? value.amount ?? value.value : value);
+};
+
+/**
+ * Collects fee fields present in raw broker JSON, one charge per order.
+ * @param {Array<Object>} operations - processed operations (with `raw`)
+ * @returns {Array<Object>}
+ */
+export const extractBrokerCharges = (operations = []) => {
+  const chargesByOrder = new Map();
+  operations.forEach((operation) => {
+    // JsonDataSource keeps the broker order under `_original`
+    const raw = operation?.raw?._original ?? operation?.raw;
+    const orderId = String(operation?.orderId ?? operation?.raw?.order_id ?? '').trim();
+    if (!orderId || !raw || typeof raw !== 'object') {
+      return;
+    }
+    const amounts = Object.fromEntries(
+      Object.entries(JSON_FIELD_ALIASES).map(([field, aliases]) => [field, pickJsonAmount(raw, aliases)]),
+    );
+    if (CHARGE_FIELDS.every((field) => amounts[field] === null)) {
+      return;
+    }
+    accumulateCharge(chargesByOrder, orderId, amounts, 'broker');
+  });
+  return Array.from(chargesByOrder.values());
+};
+
+/**
+ * Joins charge lists; when several sources charge the same order, the earlier list wins.
+ * @param {...Array<Object>} sources - e.g. (importedCsvCharges, brokerJsonCharges)
+ * @returns {Array<Object>}
+ */
+export const combineChargeSources = (...sources) => {
+  const byOrder = new Map();
+  sources.forEach((charges) => {
+    (charges ?? []).forEach((charge) => {
+      if (!byOrder.has(charge.orderId)) {
+        byOrder.set(charge.orderId, charge);
+      }
+    });
+  });
+  return Array.from(byOrder.values());
+};
+
+// Without a total, only the components the charge lists are compared; a boleto with the
+// commission alone says nothing about derechos or IVA.
+const resolveComparedAmounts = (expected, charge) => {
+  if (charge.total !== null) {
+    return { components: null, charged: charge.total, expected: expected?.total ?? null };
+  }
+  const components = FEE_COMPONENTS.filter((component) => charge[component] !== null);
+  return {
+    components,
+    charged: sumMoney(components.map((component) => charge[component])),
+    expected: expected ? sumMoney(components.map((component) => expected[component])) : null,
+  };
+};
+
+// Charged minus expected per component, null where the charge does not list it
+const resolveComponentDifferences = (expected, charge) => Object.fromEntries(FEE_COMPONENTS.map((component) => [
+  component,
+  expected && charge && charge[component] !== null ? sumMoney([charge[component], -expected[component]]) : null,
+]));
+
+const buildExpectedByOrder = (operations) => {
+  const expectedByOrder = new Map();
+  operations.forEach((operation) => {
+    const orderId = String(operation?.orderId ?? '').trim();
+    if (!orderId || !operation.feeBreakdown) {
+      return;
+    }
+    if (!expectedByOrder.has(orderId)) {
+      expectedByOrder.set(orderId, {
+        symbol: operation.originalSymbol ?? operation.symbol ?? '',
+        category: operation.category ?? 'bonds',
+        commission: 0,
+        rights: 0,
+        vat: 0,
+        total: 0,
+      });
+    }
+    const expected = expectedByOrder.get(orderId);
+    const breakdown = operation.feeBreakdown;
+    // Repo breakdowns carry their own component names
+    expected.commission = sumMoney([expected.commission, breakdown.commissionAmount ?? breakdown.arancelAmount ?? 0]);
+    expected.rights = sumMoney([expected.rights, breakdown.rightsAmount ?? breakdown.derechosMercadoAmount ?? 0]);
+    expected.vat = sumMoney([expected.vat, breakdown.vatAmount ?? breakdown.ivaAmount ?? 0]);
+    expected.total = sumMoney([expected.total, operation.feeAmount ?? 0]);
+  });
+  return expectedByOrder;
+};
+
+const resolveStatus = (expected, charge, difference, tolerance) => {
+  if (!charge) {
+    return RECONCILIATION_STATUS.MISSING_CHARGE;
+  }
+  if (!expected) {
+    return RECONCILIATION_STATUS.UNMATCHED_CHARGE;
+  }
+  if (Math.abs(difference) <= tolerance) {
+    return RECONCILIATION_STATUS.MATCHED;
+  }
+  return difference > 0 ? RECONCILIATION_STATUS.OVERCHARGED : RECONCILIATION_STATUS.UNDERCHARGED;
+};
+
+const createAmountTotals = () => ({ orders: 0, expected: 0, charged: 0, difference: 0 });
+
+const createTotals = () => ({
+  ...createAmountTotals(),
+  flagged: 0,
+  components: Object.fromEntries(FEE_COMPONENTS.map((component) => [component, createAmountTotals()])),
+});
+
+const addToTotals = (target, expected, charged, difference) => {
+  target.orders += 1;
+  target.expected = sumMoney([target.expected, expected]);
+  target.charged = sumMoney([target.charged, charged]);
+  target.difference = sumMoney([target.difference, difference]);
+};
+
+/**
+ * Matches charges to operations by order id and compares them with the estimated fees.
+ * Differences are charged minus expected, so a positive value is an overcharge. Charges
+ * without a total are compared on the components they list (`comparedComponents`), and
+ * `componentDifferences` splits every row into commission, derechos and IVA.
+ * @param {Array<Object>} operations - operations with feeAmount/feeBreakdown
+ * @param {Array<Object>} charges - from parseBrokerChargesCsv or extractBrokerCharges
+ * @param {{tolerance?: number}} [options]
+ * @returns {{rows: Array<Object>, totalsByCategory: Object, totals: Object, tolerance: number}}
+ */
+export const reconcileFees = (operations = [], charges = [], { tolerance = DEFAULT_RECONCILIATION_TOLERANCE } = {}) => {
+  const expectedByOrder = buildExpectedByOrder(operations);
+  const chargesByOrder = new Map();
+  charges.forEach((charge) => {
+    accumulateCharge(chargesByOrder, String(charge.orderId).trim(), charge, charge.source);
+  });
+
+  const orderIds = new Set([...expectedByOrder.keys(), ...chargesByOrder.keys()]);
+  const rows = [];
+  orderIds.forEach((orderId) => {
+    const expected = expectedByOrder.get(orderId) ?? null;
+    const charge = chargesByOrder.get(orderId) ?? null;
+    const compared = charge ? resolveComparedAmounts(expected, charge) : null;
+    const difference = expected && charge ? sumMoney([compared.charged, -compared.expected]) : null;
+    rows.push({
+      orderId,
+      symbol: expected?.symbol ?? '',
+      category: expected?.category ?? null,
+      expected,
+      charged: charge ? { ...charge, total: compared.charged } : null,
+      comparedComponents: compared?.components ?? null,
+      comparedExpected: compared?.expected ?? expected?.total ?? null,
+      difference,
+      componentDifferences: resolveComponentDifferences(expected, charge),
+      status: resolveStatus(expected, charge, difference, tolerance),
+    });
+  });
+
+  rows.sort((a, b) => (
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+    || Math.abs(b.difference ?? 0) - Math.abs(a.difference ?? 0)
+    || a.orderId.localeCompare(b.orderId)
+  ));
+
+  // Only orders present on both sides add to the totals
+  const totalsByCategory = {};
+  const totals = createTotals();
+  rows.forEach((row) => {
+    if (row.difference === null) {
+      return;
+    }
+    const categoryTotals = totalsByCategory[row.category] ?? createTotals();
+    totalsByCategory[row.category] = categoryTotals;
+    [categoryTotals, totals].forEach((target) => {
+      addToTotals(target, row.comparedExpected, row.charged.total, row.difference);
+      target.flagged += row.status === RECONCILIATION_STATUS.MATCHED ? 0 : 1;
+      FEE_COMPONENTS.forEach((component) => {
+        const componentDifference = row.componentDifferences[component];
+        if (componentDifference !== null) {
+          addToTotals(
+            target.components[component],
+            row.expected[component],
+            row.charged[component],
+            componentDifference,
+          );
+        }
+      });
+    });
+  });
+
+  return { rows, totalsByCategory, totals, tolerance };
+};
@@ -0,0 +1,248 @@
+/**
+ * Instrument catalog - keeps the CFI/detail maps current with the broker's instrument list.
+ * The bundled InstrumentsWithDetails.json is only the starting point; a refreshed catalog is
+ * stored with its date and replaces it on the next startup.
+ */
+
+import {
+  readItem,
+  writeItem,
+  removeItem,
+  storageAvailable,
+  storageKeys,
+} from '../storage/local-storage.js';
+import { getAllInstruments } from '../broker/jsrofex-client.js';
+import { getLoadedInstruments, reloadInstrumentMapping } from './instrument-mapping.js';
+
+export const INSTRUMENT_CATALOG_VERSION = 1;
+
+// Scheduled refreshes run at most once a day
+export const INSTRUMENT_CATALOG_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Symbols kept per side of the stored diff; the counts are always complete
+const MAX_STORED_DIFF_SYMBOLS = 200;
+
+const BUNDLED_STAMP = 'bundled';
+
+// Catalog currently feeding the maps: the stored updatedAt, or BUNDLED_STAMP
+let _appliedStamp = null;
+
+const FIELD_ALIASES = {
+  CfiCode: ['CfiCode', 'cficode', 'cfiCode'],
+  PriceConvertionFactor: ['PriceConvertionFactor', 'priceConvertionFactor'],
+  ContractMultiplier: ['ContractMultiplier', 'contractMultiplier'],
+  RoundLot: ['RoundLot', 'roundLot'],
+  Currency: ['Currency', 'currency'],
+  StrikePrice: ['StrikePrice', 'strikePrice'],
+};
+
+const pickField = (raw, aliases) => {
+  const key = aliases.find((candidate) => raw[candidate] !== undefined && raw[candidate] !== null);
+  return key ? raw[key] : undefined;
+};
+
+/**
+ * Converts a bundled or broker instrument into the catalog shape the mapping reads.
+ * Only the fields the mapping uses are kept so the stored catalog stays small.
+ * @param {Object} raw - bundled entry (PascalCase) or `/rest/instruments/all` entry (camelCase)
+ * @returns {Object|null} null when the instrument has no symbol
+ */
+export const normalizeCatalogInstrument = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const instrumentId = raw.InstrumentId ?? raw.instrumentId ?? {};
+  const symbol = typeof instrumentId.symbol === 'string' ? instrumentId.symbol.trim() : '';
+  if (!symbol) {
+    return null;
+  }
+
+  const entry = { InstrumentId: { marketId: instrumentId.marketId ?? null, symbol } };
+  Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+    const value = pickField(raw, aliases);
+    if (value !== undefined) {
+      entry[field] = value;
+    }
+  });
+  return entry;
+};
+
+const symbolOf = (instrument) => instrument.InstrumentId.symbol;
+
+/**
+ * Takes the broker list as the set of instruments, keeping details it does not return
+ * (the `/all` endpoint only sends ids and CFI codes) from the previous catalog.
+ * @param {Array<Object>} previous - normalized catalog in use
+ * @param {Array<Object>} incoming - normalized broker instruments
+ * @returns {Array<Object>}
+ */
+export const mergeCatalogInstruments = (previous = [], incoming = []) => {
+  const previousBySymbol = new Map(previous.map((instrument) => [symbolOf(instrument), instrument]));
+  const merged = new Map();
+  incoming.forEach((instrument) => {
+    const symbol = symbolOf(instrument);
+    merged.set(symbol, { ...previousBySymbol.get(symbol), ...instrument });
+  });
+  return Array.from(merged.values());
+};
+
+/**
+ * Symbols added to and removed from the catalog, sorted.
+ * @param {Array<Object>} previous
+ * @param {Array<Object>} next
+ * @returns {{added: string[], removed: string[]}}
+ */
+export const diffInstrumentCatalogs = (previous = [], next = []) => {
+  const previousSymbols = new Set(previous.map(symbolOf));
+  const nextSymbols = new Set(next.map(symbolOf));
+  return {
+    added: [...nextSymbols].filter((symbol) => !previousSymbols.has(symbol)).sort(),
+    removed: [...previousSymbols].filter((symbol) => !nextSymbols.has(symbol)).sort(),
+  };
+};
+
+const summarizeDiff = ({ added, removed }) => ({
+  addedCount: added.length,
+  removedCount: removed.length,
+  added: added.slice(0, MAX_STORED_DIFF_SYMBOLS),
+  removed: removed.slice(0, MAX_STORED_DIFF_SYMBOLS),
+});
+
+export const sanitizeInstrumentCatalog = (candidate) => {
+  if (
+    !candidate
+    || typeof candidate !== 'object'
+    || candidate.version !== INSTRUMENT_CATALOG_VERSION
+    || typeof candidate.updatedAt !== 'string'
+    || !Array.isArray(candidate.instruments)
+  ) {
+    return null;
+  }
+
+  const diff = candidate.lastDiff ?? {};
+  const added = Array.isArray(diff.added) ? diff.added.slice(0, MAX_STORED_DIFF_SYMBOLS) : [];
+  const removed = Array.isArray(diff.removed) ? diff.removed.slice(0, MAX_STORED_DIFF_SYMBOLS) : [];
+  return {
+    version: INSTRUMENT_CATALOG_VERSION,
+    updatedAt: candidate.updatedAt,
+    instruments: candidate.instruments.map(normalizeCatalogInstrument).filter(Boolean),
+    lastDiff: {
+      addedCount: Number.isInteger(diff.addedCount) ? diff.addedCount : added.length,
+      removedCount: Number.isInteger(diff.removedCount) ? diff.removedCount : removed.length,
+      added,
+      removed,
+    },
+  };
+};
+
+/**
+ * @returns {Promise<Object|null>} the stored catalog, or null when the bundled one is in use
+ */
+export const loadStoredInstrumentCatalog = async () => {
+  if (!storageAvailable()) {
+    return null;
+  }
+  const stored = await readItem(storageKeys.instrumentCatalog);
+  return sanitizeInstrumentCatalog(stored);
+};
+
+/**
+ * Builds the maps from the stored catalog, or from `bundledInstruments` when none is stored.
+ * Skips the rebuild when that catalog is already applied, so it can run on every worker job.
+ * @param {Array<Object>} bundledInstruments - parsed InstrumentsWithDetails.json
+ * @returns {Promise<Object|null>} the stored catalog in use, if any
+ */
+export const applyInstrumentCatalog = async (bundledInstruments) => {
+  const catalog = await loadStoredInstrumentCatalog();
+  const stamp = catalog?.updatedAt ?? BUNDLED_STAMP;
+  if (stamp !== _appliedStamp) {
+    reloadInstrumentMapping(catalog ? catalog.instruments : bundledInstruments);
+    _appliedStamp = stamp;
+  }
+  return catalog;
+};
+
+/**
+ * Removes the stored catalog and goes back to the bundled one.
+ * @param {Array<Object>} bundledInstruments
+ */
+export const clearStoredInstrumentCatalog = async (bundledInstruments) => {
+  if (storageAvailable()) {
+    await removeItem(storageKeys.instrumentCatalog);
+  }
+  reloadInstrumentMapping(bundledInstruments);
+  _appliedStamp = BUNDLED_STAMP;
+};
+
+/**
+ * @param {Object|null} catalog - stored catalog (null means the bundled one is in use)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isInstrumentCatalogStale = (catalog, now = new Date(), maxAgeMs = INSTRUMENT_CATALOG_MAX_AGE_MS) => {
+  const updatedAt = Date.parse(catalog?.updatedAt ?? '');
+  if (!Number.isFinite(updatedAt)) {
+    return true;
+  }
+  return now.getTime() - updatedAt >= maxAgeMs;
+};
+
+/**
+ * Downloads the broker's instrument list, stores it and rebuilds the maps in place.
+ * @param {Object} [options]
+ * @param {string} [options.token] - broker session token (defaults to the client's current one)
+ * @param {Function} [options.fetchInstruments] - resolves to `{instruments}` (defaults to getAllInstruments)
+ * @param {Date} [options.now]
+ * @returns {Promise<{catalog: Object, diff: {added: string[], removed: string[]}}>}
+ */
+export const refreshInstrumentCatalog = async ({
+  token,
+  fetchInstruments = getAllInstruments,
+  now = new Date(),
+} = {}) => {
+  const response = await fetchInstruments(token);
+  const incoming = (response?.instruments ?? []).map(normalizeCatalogInstrument).filter(Boolean);
+  if (incoming.length === 0) {
+    // An empty answer would wipe the catalog and send every instrument to the fallback category
+    throw new Error('El broker no devolvió instrumentos; se mantiene el catálogo actual.');
+  }
+
+  const previous = getLoadedInstruments().map(normalizeCatalogInstrument).filter(Boolean);
+  const instruments = mergeCatalogInstruments(previous, incoming);
+  const diff = diffInstrumentCatalogs(previous, instruments);
+  const catalog = {
+    version: INSTRUMENT_CATALOG_VERSION,
+    updatedAt: now.toISOString(),
+    instruments,
+    lastDiff: summarizeDiff(diff),
+  };
+
+  if (storageAvailable()) {
+    const saved = await writeItem(storageKeys.instrumentCatalog, catalog);
+    if (!saved) {
+      console.warn('PO: instrument-catalog-not-persisted', { count: instruments.length });
+    }
+  }
+
+  reloadInstrumentMapping(instruments);
+  _appliedStamp = catalog.updatedAt;
+  console.info('PO: instrument-catalog-refreshed', {
+    count: instruments.length,
+    added: diff.added.length,
+    removed: diff.removed.length,
+  });
+  return { catalog, diff };
+};
+
+/**
+ * Scheduled variant: refreshes only when the stored catalog is older than a day.
+ * @param {Object} [options] - same as refreshInstrumentCatalog
+ * @returns {Promise<{catalog: Object, diff: Object}|null>} null when the catalog is current
+ */
+export const refreshInstrumentCatalogIfStale = async (options = {}) => {
+  const stored = await loadStoredInstrumentCatalog();
+  if (!isInstrumentCatalogStale(stored, options.now)) {
+    return null;
+  }
+  return refreshInstrumentCatalog(options);
+};
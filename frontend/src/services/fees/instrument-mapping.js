@@ -8,6 +8,8 @@ import { logUnknownCfiCode, logMappingDedupSummary } from '../logging/fee-loggin
 let _cfiCodeMap = null;
 let _instrumentDetailsMap = null; // New: stores PriceConversionFactor and ContractMultiplier by symbol
 let _unknownCfiCodes = null;
+let _optionTokenMap = null; // Option token (e.g. GFGC50131O) -> catalog option with its strike
+let _loadedInstruments = null; // Catalog the maps were built from, used as the baseline for refresh diffs
 
 /**
  * CfiCode patterns for each fee category.
@@ -31,6 +33,26 @@ const CFI_PATTERNS = {
   caucion: /^(FR|RP)/,
 };
 
+/**
+ * Strike as listed in the catalog, already scaled by the market (e.g. 5013.1 for GFGC50131O).
+ * @param {Object} instr - catalog entry
+ * @returns {number|null}
+ */
+function resolveCatalogStrike(instr) {
+  const value = Number(instr?.StrikePrice ?? instr?.strikePrice);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+const OPTION_TOKEN_PATTERN = /^[A-Z0-9]+?[CV]\d+(?:\.\d+)?[A-Z0-9]*$/;
+
+// "MERV - XMEV - GFGC50131O - 24hs" -> ['GFGC50131O']
+function extractOptionTokens(symbol) {
+  return String(symbol)
+    .split(/\s+-\s+/)
+    .map((part) => part.trim().toUpperCase())
+    .filter((part) => OPTION_TOKEN_PATTERN.test(part));
+}
+
 /**
  * Builds the CfiCode -> category map from InstrumentsWithDetails.json.
  * Also builds a symbol -> instrument details map.
@@ -41,11 +63,12 @@ const CFI_PATTERNS = {
 function buildCfiCodeMap(instrumentsData) {
   const map = new Map();
   const detailsMap = new Map();
+  const optionTokenMap = new Map();
   
   if (!Array.isArray(instrumentsData)) {
      
     console.error('PO: instrument-data-invalid', typeof instrumentsData);
-    return { cfiMap: map, detailsMap };
+    return { cfiMap: map, detailsMap, optionTokenMap };
   }
 
   for (const instr of instrumentsData) {
@@ -91,19 +114,31 @@ function buildCfiCodeMap(instrumentsData) {
       const roundLot = instr?.RoundLot ?? 1;
       const effectiveMultiplier = contractMult === 1 && roundLot > 1 ? roundLot : contractMult;
       
+      const strike = resolveCatalogStrike(instr);
       detailsMap.set(symbol, {
         cfiCode: cfi || null,
         priceConversionFactor: instr?.PriceConvertionFactor ?? 1,
         contractMultiplier: effectiveMultiplier,
         currency: instr?.Currency ?? null,
         displayName: symbol,
+        strike,
       });
+
+      if (strike !== null && typeof cfi === 'string' && CFI_PATTERNS.option.test(cfi)) {
+        extractOptionTokens(symbol).forEach((token) => {
+          optionTokenMap.set(token, { token, symbol, strike, cfiCode: cfi });
+        });
+      }
     }
   }
 
    
-  console.info('PO: instrument-mapping-built', { totalCodes: map.size, totalSymbols: detailsMap.size });
-  return { cfiMap: map, detailsMap };
+  console.info('PO: instrument-mapping-built', {
+    totalCodes: map.size,
+    totalSymbols: detailsMap.size,
+    optionsWithStrike: optionTokenMap.size,
+  });
+  return { cfiMap: map, detailsMap, optionTokenMap };
 }
 
 /**
@@ -113,13 +148,32 @@ function buildCfiCodeMap(instrumentsData) {
  */
 export function loadInstrumentMapping(instrumentsData) {
   if (!_cfiCodeMap) {
-    const result = buildCfiCodeMap(instrumentsData);
-    _cfiCodeMap = result.cfiMap;
-    _instrumentDetailsMap = result.detailsMap;
-    _unknownCfiCodes = new Set();
+    reloadInstrumentMapping(instrumentsData);
   }
 }
 
+/**
+ * Rebuilds the CFI, detail and option maps from a new catalog, replacing the loaded one.
+ * Unknown-code warnings are reset so codes the new catalog still lacks are reported again.
+ * @param {Array} instrumentsData - catalog entries in the InstrumentsWithDetails.json shape
+ */
+export function reloadInstrumentMapping(instrumentsData) {
+  const result = buildCfiCodeMap(instrumentsData);
+  _cfiCodeMap = result.cfiMap;
+  _instrumentDetailsMap = result.detailsMap;
+  _optionTokenMap = result.optionTokenMap;
+  _unknownCfiCodes = new Set();
+  _loadedInstruments = Array.isArray(instrumentsData) ? instrumentsData : [];
+}
+
+/**
+ * Returns the catalog entries the current maps were built from.
+ * @returns {Array}
+ */
+export function getLoadedInstruments() {
+  return _loadedInstruments ?? [];
+}
+
 /**
  * Resolves a CfiCode to its fee category.
  * Falls back to 'bonds' and logs once per unknown code.
@@ -182,6 +236,27 @@ export function getInstrumentDetails(symbol) {
   return null;
 }
 
+/**
+ * Looks up an option in the catalog by its exact market token. Unlike `getInstrumentDetails`
+ * there is no partial matching: a strike is only trusted for the exact instrument.
+ * @param {string} token - option token (e.g. 'GFGC50131O')
+ * @returns {{token: string, symbol: string, strike: number, cfiCode: string}|null}
+ */
+export function getCatalogOption(token) {
+  if (!_optionTokenMap || typeof token !== 'string') {
+    return null;
+  }
+  return _optionTokenMap.get(token.trim().toUpperCase()) ?? null;
+}
+
+/**
+ * Lists every catalog option that carries a strike.
+ * @returns {Array<{token: string, symbol: string, strike: number, cfiCode: string}>}
+ */
+export function getCatalogOptions() {
+  return _optionTokenMap ? Array.from(_optionTokenMap.values()) : [];
+}
+
 /**
  * Returns the current set of unknown CfiCodes (for summary logging).
  * @returns {Set<string>}
@@ -1,13 +1,12 @@
 // repo-fees.js - Repo (cauciones) fee calculation helpers
 
 import { createWarnLogger } from '../logging/index.js';
-
-const DISPLAY_ROUNDING = Object.freeze({
-  displayDecimals: 2,
-  roundingMode: 'HALF_UP',
-});
-
-export const REPO_RECONCILIATION_TOLERANCE = 0.01;
+import {
+  getCurrencyRounding,
+  multiplyMoney,
+  roundMoney,
+  sumMoney,
+} from '../money.js';
 
 const defaultLogger = createWarnLogger('repo-fees');
 
@@ -66,7 +65,8 @@ export function parseTenorDays(displayName = '') {
   return parsed;
 }
 
-export function calculateAccruedInterest(principalAmount = 0, priceTNA = 0, tenorDays = 0) {
+// Helpers return amounts already rounded to the currency's minor unit
+export function calculateAccruedInterest(principalAmount = 0, priceTNA = 0, tenorDays = 0, currency) {
   const principal = ensureNumber(principalAmount);
   const tnaPercent = ensureNumber(priceTNA);
   const days = ensureNumber(tenorDays);
@@ -75,27 +75,24 @@ export function calculateAccruedInterest(principalAmount = 0, priceTNA = 0, teno
     return 0;
   }
 
-  return principal * (tnaPercent / 100) * (days / 365);
+  return multiplyMoney(principal, [tnaPercent, days], { currency, divisor: 36500 });
 }
 
-export function reconcileBaseAmount(principalAmount = 0, accruedInterest = 0, baseAmount = 0, tolerance = REPO_RECONCILIATION_TOLERANCE) {
-  const principal = ensureNumber(principalAmount);
-  const accrued = ensureNumber(accruedInterest);
-  const base = ensureNumber(baseAmount);
-  const expectedBase = principal + accrued;
-  const diff = base - expectedBase;
-  const reconciles = Math.abs(diff) <= ensureNumber(tolerance);
+// Base amount must equal principal + interest to the cent once both are rounded
+export function reconcileBaseAmount(principalAmount = 0, accruedInterest = 0, baseAmount = 0, currency) {
+  const expectedBase = sumMoney([ensureNumber(principalAmount), ensureNumber(accruedInterest)], currency);
+  const base = roundMoney(ensureNumber(baseAmount), currency);
+  const diff = sumMoney([base, -expectedBase], currency);
 
   return {
-    reconciles,
+    reconciles: diff === 0,
     diff,
     expected: expectedBase,
     actual: base,
-    tolerance: ensureNumber(tolerance),
   };
 }
 
-export function calculateArancel(baseAmount = 0, ratePercent = 0, tenorDays = 0) {
+export function calculateArancel(baseAmount = 0, ratePercent = 0, tenorDays = 0, currency) {
   const base = ensureNumber(baseAmount);
   const rate = ensureNumber(ratePercent);
   const days = ensureNumber(tenorDays);
@@ -104,10 +101,10 @@ export function calculateArancel(baseAmount = 0, ratePercent = 0, tenorDays = 0)
     return 0;
   }
 
-  return base * (rate / 100) * (days / 365);
+  return multiplyMoney(base, [rate, days], { currency, divisor: 36500 });
 }
 
-export function calculateDerechosMercado(baseAmount = 0, dailyRatePercent = 0, tenorDays = 0) {
+export function calculateDerechosMercado(baseAmount = 0, dailyRatePercent = 0, tenorDays = 0, currency) {
   const base = ensureNumber(baseAmount);
   const rate = ensureNumber(dailyRatePercent);
   const days = ensureNumber(tenorDays);
@@ -116,10 +113,10 @@ export function calculateDerechosMercado(baseAmount = 0, dailyRatePercent = 0, t
     return 0;
   }
 
-  return base * (rate / 100) * days;
+  return multiplyMoney(base, [rate, days], { currency, divisor: 100 });
 }
 
-export function calculateGastosGarantia(baseAmount = 0, dailyRatePercent = 0, tenorDays = 0, role = 'colocadora') {
+export function calculateGastosGarantia(baseAmount = 0, dailyRatePercent = 0, tenorDays = 0, role = 'colocadora', currency) {
   if (role !== 'tomadora') {
     return 0;
   }
@@ -132,10 +129,10 @@ export function calculateGastosGarantia(baseAmount = 0, dailyRatePercent = 0, te
     return 0;
   }
 
-  return base * (rate / 100) * days;
+  return multiplyMoney(base, [rate, days], { currency, divisor: 100 });
 }
 
-export function calculateIva(amounts = [], ivaRate = 0) {
+export function calculateIva(amounts = [], ivaRate = 0, currency) {
   if (!Array.isArray(amounts) || amounts.length === 0) {
     return 0;
   }
@@ -145,14 +142,19 @@ export function calculateIva(amounts = [], ivaRate = 0) {
     return 0;
   }
 
-  const base = amounts.reduce((acc, item) => acc + ensureNumber(item), 0);
+  const base = sumMoney(amounts.map(ensureNumber), currency);
   if (base === 0) {
     return 0;
   }
 
-  return base * rate;
+  return multiplyMoney(base, [rate], { currency });
 }
 
+const buildRounding = (currency) => {
+  const { decimals, mode } = getCurrencyRounding(currency);
+  return { displayDecimals: decimals, roundingMode: mode };
+};
+
 const buildBreakdownSkeleton = (repoOperation) => ({
   repoOperationId: repoOperation?.id ?? null,
   currency: repoOperation?.currency ?? null,
@@ -177,9 +179,8 @@ const buildBreakdownSkeleton = (repoOperation) => ({
     diff: 0,
     expected: ensureNumber(repoOperation?.baseAmount),
     actual: ensureNumber(repoOperation?.baseAmount),
-    tolerance: REPO_RECONCILIATION_TOLERANCE,
   },
-  rounding: DISPLAY_ROUNDING,
+  rounding: buildRounding(repoOperation?.currency),
 });
 
 const resolveRatesForCurrency = (repoFeeConfig, currency, role) => {
@@ -319,18 +320,23 @@ export function calculateRepoExpenseBreakdown(repoOperation = {}, repoFeeConfig
     return breakdown;
   }
 
-  const accruedInterest = calculateAccruedInterest(
-    breakdown.principalAmount,
-    ensureNumber(repoOperation?.priceTNA),
-    tenorDays,
-  );
+  const { currency } = breakdown;
+  // Positions financed by several tranches pass their summed interest; no single TNA reproduces it
+  const accruedInterest = Number.isFinite(repoOperation?.accruedInterest)
+    ? roundMoney(repoOperation.accruedInterest, currency)
+    : calculateAccruedInterest(
+      breakdown.principalAmount,
+      ensureNumber(repoOperation?.priceTNA),
+      tenorDays,
+      currency,
+    );
   breakdown.accruedInterest = accruedInterest;
 
   const reconciliation = reconcileBaseAmount(
     breakdown.principalAmount,
     accruedInterest,
     breakdown.baseAmount,
-    REPO_RECONCILIATION_TOLERANCE,
+    currency,
   );
   breakdown.reconciliation = reconciliation;
 
@@ -349,20 +355,22 @@ export function calculateRepoExpenseBreakdown(repoOperation = {}, repoFeeConfig
     });
   }
 
-  const arancelAmount = calculateArancel(breakdown.baseAmount, arancelPercent, tenorDays);
-  const derechosMercadoAmount = calculateDerechosMercado(breakdown.baseAmount, derechosDailyPercent, tenorDays);
+  const arancelAmount = calculateArancel(breakdown.baseAmount, arancelPercent, tenorDays, currency);
+  const derechosMercadoAmount = calculateDerechosMercado(breakdown.baseAmount, derechosDailyPercent, tenorDays, currency);
   const gastosGarantiaAmount = calculateGastosGarantia(
     breakdown.baseAmount,
     gastosDailyPercent,
     tenorDays,
     breakdown.role,
+    currency,
   );
-  const ivaAmount = calculateIva([arancelAmount, derechosMercadoAmount, gastosGarantiaAmount], ivaRate);
+  const ivaAmount = calculateIva([arancelAmount, derechosMercadoAmount, gastosGarantiaAmount], ivaRate, currency);
 
-  const totalExpenses = arancelAmount + derechosMercadoAmount + gastosGarantiaAmount + ivaAmount;
-  const netSettlement = breakdown.role === 'tomadora'
-    ? breakdown.baseAmount + totalExpenses
-    : breakdown.baseAmount - totalExpenses;
+  const totalExpenses = sumMoney([arancelAmount, derechosMercadoAmount, gastosGarantiaAmount, ivaAmount], currency);
+  const netSettlement = sumMoney(
+    [breakdown.baseAmount, breakdown.role === 'tomadora' ? totalExpenses : -totalExpenses],
+    currency,
+  );
 
   breakdown.arancelAmount = arancelAmount;
   breakdown.derechosMercadoAmount = derechosMercadoAmount;
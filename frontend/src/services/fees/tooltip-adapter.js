@@ -68,6 +68,7 @@ export function adaptFeeBreakdownForTooltip(feeBreakdown, grossNotional, netTota
     vatAmount,
     category,
     source,
+    profile,
   } = feeBreakdown;
 
   const totalFee = commissionAmount + rightsAmount + vatAmount;
@@ -83,6 +84,6 @@ export function adaptFeeBreakdownForTooltip(feeBreakdown, grossNotional, netTota
     ivaARS: formatARS(vatAmount),
     totalARS: formatARS(totalFee),
     netoARS: formatARS(netTotal),
-    fuente: source === 'placeholder' ? 'Próximamente' : 'Configuración',
+    fuente: source === 'placeholder' ? 'Próximamente' : (profile?.name ?? 'Configuración'),
   };
 }
@@ -0,0 +1,247 @@
+/**
+ * Argentine market holiday calendar
+ * Default holidays are generated per year from the rules of Ley 27.399 (fixed dates, Easter-based
+ * dates and movable holidays) plus the bridge days ("días no laborables con fines turísticos")
+ * set by decree. User entries and disabled defaults are applied on top.
+ */
+
+export const HOLIDAY_TYPES = {
+  NATIONAL: 'national',
+  BRIDGE: 'bridge',
+  MARKET: 'market',
+};
+
+export const HOLIDAY_SOURCES = {
+  DEFAULT: 'default',
+  CUSTOM: 'custom',
+};
+
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const FIXED_HOLIDAYS = [
+  { month: 1, day: 1, name: 'Año Nuevo' },
+  { month: 3, day: 24, name: 'Día Nacional de la Memoria por la Verdad y la Justicia' },
+  { month: 4, day: 2, name: 'Día del Veterano y de los Caídos en la Guerra de Malvinas' },
+  { month: 5, day: 1, name: 'Día del Trabajador' },
+  { month: 5, day: 25, name: 'Día de la Revolución de Mayo' },
+  { month: 6, day: 20, name: 'Paso a la Inmortalidad del General Don Manuel Belgrano' },
+  { month: 7, day: 9, name: 'Día de la Independencia' },
+  { month: 12, day: 8, name: 'Inmaculada Concepción de María' },
+  { month: 12, day: 25, name: 'Navidad' },
+];
+
+// Movable holidays: Tuesday/Wednesday move to the previous Monday, Thursday/Friday to the next one
+const MOVABLE_HOLIDAYS = [
+  { month: 6, day: 17, name: 'Paso a la Inmortalidad del General Don Martín Miguel de Güemes' },
+  { month: 8, day: 17, name: 'Paso a la Inmortalidad del General Don José de San Martín' },
+  { month: 10, day: 12, name: 'Día del Respeto a la Diversidad Cultural' },
+  { month: 11, day: 20, name: 'Día de la Soberanía Nacional' },
+];
+
+const EASTER_HOLIDAYS = [
+  { offset: -48, name: 'Carnaval' },
+  { offset: -47, name: 'Carnaval' },
+  { offset: -3, name: 'Jueves Santo' },
+  { offset: -2, name: 'Viernes Santo' },
+];
+
+// Bridge days are announced by decree each year and cannot be derived from rules
+const BRIDGE_DAYS = {
+  2024: ['2024-04-01', '2024-06-21', '2024-10-11'],
+  2025: ['2025-05-02', '2025-08-15', '2025-11-21'],
+  2026: ['2026-03-23', '2026-07-10', '2026-12-07'],
+};
+
+const BRIDGE_DAY_NAME = 'Día no laborable con fines turísticos';
+
+const MOVABLE_SHIFT_BY_WEEKDAY = {
+  2: -1,
+  3: -2,
+  4: 4,
+  5: 3,
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD" in local time
+ */
+export const toIsoDate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Validates a "YYYY-MM-DD" string and returns it normalized, or null.
+ * @param {string} value
+ * @returns {string|null}
+ */
+export const normalizeHolidayDate = (value) => {
+  const match = typeof value === 'string' ? value.trim().match(ISO_DATE_REGEX) : null;
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? toIsoDate(date) : null;
+};
+
+/**
+ * Normalizes a user or imported entry. Unknown types default to a market closure.
+ * @param {Object} candidate
+ * @returns {{date: string, name: string, type: string}|null}
+ */
+export const sanitizeHolidayEntry = (candidate) => {
+  const date = normalizeHolidayDate(candidate?.date);
+  if (!date) {
+    return null;
+  }
+  const type = Object.values(HOLIDAY_TYPES).includes(candidate.type) ? candidate.type : HOLIDAY_TYPES.MARKET;
+  const name = typeof candidate.name === 'string' ? candidate.name.trim() : '';
+  return { date, name, type };
+};
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm).
+ * @param {number} year
+ * @returns {Date}
+ */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+};
+
+const shiftMovableHoliday = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  const shift = MOVABLE_SHIFT_BY_WEEKDAY[date.getDay()] ?? 0;
+  date.setDate(date.getDate() + shift);
+  return date;
+};
+
+const createEntry = (date, name, type, source = HOLIDAY_SOURCES.DEFAULT) => ({ date, name, type, source });
+
+const byDate = (a, b) => a.date.localeCompare(b.date);
+
+/**
+ * Built-in holidays for a year, before user changes.
+ * @param {number} year
+ * @returns {Array<{date: string, name: string, type: string, source: string}>}
+ */
+export const getDefaultHolidays = (year) => {
+  const entries = [];
+
+  FIXED_HOLIDAYS.forEach(({ month, day, name }) => {
+    entries.push(createEntry(toIsoDate(new Date(year, month - 1, day)), name, HOLIDAY_TYPES.NATIONAL));
+  });
+  MOVABLE_HOLIDAYS.forEach(({ month, day, name }) => {
+    entries.push(createEntry(toIsoDate(shiftMovableHoliday(year, month, day)), name, HOLIDAY_TYPES.NATIONAL));
+  });
+
+  const easter = getEasterSunday(year);
+  EASTER_HOLIDAYS.forEach(({ offset, name }) => {
+    const date = new Date(easter);
+    date.setDate(easter.getDate() + offset);
+    entries.push(createEntry(toIsoDate(date), name, HOLIDAY_TYPES.NATIONAL));
+  });
+
+  (BRIDGE_DAYS[year] ?? []).forEach((date) => {
+    entries.push(createEntry(date, BRIDGE_DAY_NAME, HOLIDAY_TYPES.BRIDGE));
+  });
+
+  // Malvinas and Jueves Santo can share a date; keep the first one
+  const unique = new Map();
+  entries.forEach((entry) => {
+    if (!unique.has(entry.date)) {
+      unique.set(entry.date, entry);
+    }
+  });
+  return [...unique.values()].sort(byDate);
+};
+
+let customHolidays = [];
+let disabledDates = new Set();
+const yearCache = new Map();
+
+/**
+ * Replaces the user changes applied on top of the defaults.
+ * @param {{custom?: Array<Object>, disabled?: string[]}} overrides
+ */
+export const setHolidayOverrides = ({ custom = [], disabled = [] } = {}) => {
+  customHolidays = Array.isArray(custom) ? custom : [];
+  disabledDates = new Set(Array.isArray(disabled) ? disabled : []);
+  yearCache.clear();
+};
+
+export const getHolidayOverrides = () => ({
+  custom: [...customHolidays],
+  disabled: [...disabledDates],
+});
+
+/**
+ * Effective holidays for a year: defaults not disabled by the user plus custom entries.
+ * A custom entry on a default date replaces it.
+ * @param {number} year
+ * @returns {Array<{date: string, name: string, type: string, source: string}>}
+ */
+export const getHolidaysForYear = (year) => {
+  if (yearCache.has(year)) {
+    return yearCache.get(year);
+  }
+
+  const byDay = new Map();
+  getDefaultHolidays(year)
+    .filter((entry) => !disabledDates.has(entry.date))
+    .forEach((entry) => byDay.set(entry.date, entry));
+  customHolidays
+    .filter((entry) => entry.date.startsWith(`${year}-`))
+    .forEach((entry) => byDay.set(entry.date, { ...entry, source: HOLIDAY_SOURCES.CUSTOM }));
+
+  const holidays = [...byDay.values()].sort(byDate);
+  yearCache.set(year, holidays);
+  return holidays;
+};
+
+/**
+ * Whether BYMA does not trade on the date (national holiday, bridge day or market closure).
+ * @param {Date|string} date - Date or "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+export const isMarketHoliday = (date) => {
+  const isoDate = date instanceof Date ? toIsoDate(date) : normalizeHolidayDate(date);
+  if (!isoDate) {
+    return false;
+  }
+  const year = Number(isoDate.slice(0, 4));
+  return getHolidaysForYear(year).some((entry) => entry.date === isoDate);
+};
+
+/**
+ * Adds or replaces custom entries by date.
+ * @param {Array<Object>} current - Current custom entries
+ * @param {Array<Object>} incoming - Entries to merge
+ * @returns {{custom: Array<Object>, added: number}}
+ */
+export const mergeCustomHolidays = (current = [], incoming = []) => {
+  const byDay = new Map(current.map((entry) => [entry.date, entry]));
+  let added = 0;
+  incoming.forEach((entry) => {
+    if (!byDay.has(entry.date)) {
+      added += 1;
+    }
+    byDay.set(entry.date, entry);
+  });
+  return { custom: [...byDay.values()].sort(byDate), added };
+};
@@ -0,0 +1,150 @@
+/**
+ * Holiday import parsers (CSV and iCalendar).
+ * Both return sanitized entries ready to merge into the custom holiday list.
+ */
+
+import Papa from 'papaparse';
+
+import { HOLIDAY_TYPES, sanitizeHolidayEntry, toIsoDate } from './holiday-calendar.js';
+
+const DMY_DATE_REGEX = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/;
+const ICS_DATE_REGEX = /^(\d{4})(\d{2})(\d{2})/;
+const MAX_EVENT_DAYS = 31;
+
+const TYPE_ALIASES = {
+  national: HOLIDAY_TYPES.NATIONAL,
+  feriado: HOLIDAY_TYPES.NATIONAL,
+  nacional: HOLIDAY_TYPES.NATIONAL,
+  bridge: HOLIDAY_TYPES.BRIDGE,
+  puente: HOLIDAY_TYPES.BRIDGE,
+  'no laborable': HOLIDAY_TYPES.BRIDGE,
+  market: HOLIDAY_TYPES.MARKET,
+  mercado: HOLIDAY_TYPES.MARKET,
+  byma: HOLIDAY_TYPES.MARKET,
+};
+
+const resolveType = (value, fallback) => {
+  const key = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return TYPE_ALIASES[key] ?? fallback;
+};
+
+const normalizeCsvDate = (value) => {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  const match = trimmed.match(DMY_DATE_REGEX);
+  if (!match) {
+    return trimmed;
+  }
+  const [, day, month, year] = match;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+/**
+ * Parses rows of `fecha,nombre,tipo`. The header row is optional and dates may be
+ * "YYYY-MM-DD" or "DD/MM/YYYY".
+ * @param {string} text
+ * @param {{defaultType?: string}} [options]
+ * @returns {{entries: Array<Object>, skipped: number}}
+ */
+export const parseHolidaysCsv = (text, { defaultType = HOLIDAY_TYPES.NATIONAL } = {}) => {
+  const { data } = Papa.parse(typeof text === 'string' ? text : '', { skipEmptyLines: true });
+  const entries = [];
+  let skipped = 0;
+
+  data.forEach((row, index) => {
+    const [date, name, type] = Array.isArray(row) ? row : [];
+    const entry = sanitizeHolidayEntry({
+      date: normalizeCsvDate(date),
+      name,
+      type: resolveType(type, defaultType),
+    });
+    if (entry) {
+      entries.push(entry);
+    } else if (index > 0) {
+      // An unparseable first row is the header
+      skipped += 1;
+    }
+  });
+
+  return { entries, skipped };
+};
+
+const unfoldIcsLines = (text) => text
+  .replace(/\r\n/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n');
+
+const parseIcsDate = (value) => {
+  const match = typeof value === 'string' ? value.match(ICS_DATE_REGEX) : null;
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const unescapeIcsText = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+/**
+ * Parses all-day VEVENTs from an iCalendar file. Multi-day events are expanded (DTEND is
+ * exclusive, as in the RFC).
+ * @param {string} text
+ * @param {{defaultType?: string}} [options]
+ * @returns {{entries: Array<Object>, skipped: number}}
+ */
+export const parseHolidaysIcs = (text, { defaultType = HOLIDAY_TYPES.NATIONAL } = {}) => {
+  const entries = [];
+  let skipped = 0;
+  let event = null;
+
+  unfoldIcsLines(typeof text === 'string' ? text : '').forEach((line) => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      const start = parseIcsDate(event?.DTSTART);
+      if (!start) {
+        skipped += 1;
+        event = null;
+        return;
+      }
+      const end = parseIcsDate(event.DTEND);
+      const days = end ? Math.min(Math.max(Math.round((end - start) / 86400000), 1), MAX_EVENT_DAYS) : 1;
+      for (let offset = 0; offset < days; offset += 1) {
+        const date = new Date(start);
+        date.setDate(start.getDate() + offset);
+        entries.push(sanitizeHolidayEntry({
+          date: toIsoDate(date),
+          name: unescapeIcsText(event.SUMMARY ?? ''),
+          type: resolveType(event.CATEGORIES, defaultType),
+        }));
+      }
+      event = null;
+      return;
+    }
+    if (!event) {
+      return;
+    }
+    const separator = line.indexOf(':');
+    if (separator < 0) {
+      return;
+    }
+    const property = line.slice(0, separator).split(';')[0].toUpperCase();
+    event[property] = line.slice(separator + 1);
+  });
+
+  return { entries: entries.filter(Boolean), skipped };
+};
+
+/**
+ * Picks the parser from the file name (".ics" or anything else as CSV).
+ * @param {string} fileName
+ * @param {string} text
+ * @param {{defaultType?: string}} [options]
+ */
+export const parseHolidayFile = (fileName, text, options) => (
+  /\.ics$/i.test(fileName ?? '') ? parseHolidaysIcs(text, options) : parseHolidaysCsv(text, options)
+);
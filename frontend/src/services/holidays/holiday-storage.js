@@ -0,0 +1,87 @@
+import {
+  readItem,
+  writeItem,
+  removeItem,
+  storageAvailable,
+  storageKeys,
+} from '../storage/local-storage.js';
+import {
+  normalizeHolidayDate,
+  sanitizeHolidayEntry,
+  setHolidayOverrides,
+} from './holiday-calendar.js';
+
+export const HOLIDAYS_VERSION = 1;
+
+export const createEmptyHolidayOverrides = () => ({
+  version: HOLIDAYS_VERSION,
+  custom: [],
+  disabled: [],
+  updatedAt: null,
+});
+
+export const sanitizeHolidayOverrides = (candidate) => {
+  if (!candidate || typeof candidate !== 'object' || candidate.version !== HOLIDAYS_VERSION) {
+    return createEmptyHolidayOverrides();
+  }
+
+  const custom = Array.isArray(candidate.custom)
+    ? candidate.custom.map(sanitizeHolidayEntry).filter(Boolean)
+    : [];
+  const disabled = Array.isArray(candidate.disabled)
+    ? [...new Set(candidate.disabled.map(normalizeHolidayDate).filter(Boolean))]
+    : [];
+
+  return {
+    ...createEmptyHolidayOverrides(),
+    custom,
+    disabled,
+    updatedAt: typeof candidate.updatedAt === 'string' ? candidate.updatedAt : null,
+  };
+};
+
+export const loadHolidayOverrides = async () => {
+  if (!storageAvailable()) {
+    return createEmptyHolidayOverrides();
+  }
+
+  const stored = await readItem(storageKeys.holidays);
+  return sanitizeHolidayOverrides(stored);
+};
+
+/**
+ * Persists the overrides and applies them to the active calendar.
+ * @param {{custom: Array<Object>, disabled: string[]}} overrides
+ */
+export const saveHolidayOverrides = async (overrides) => {
+  const sanitized = sanitizeHolidayOverrides({
+    ...overrides,
+    version: HOLIDAYS_VERSION,
+    updatedAt: new Date().toISOString(),
+  });
+
+  if (storageAvailable()) {
+    await writeItem(storageKeys.holidays, sanitized);
+  }
+
+  setHolidayOverrides(sanitized);
+  return sanitized;
+};
+
+export const clearHolidayOverrides = async () => {
+  if (storageAvailable()) {
+    await removeItem(storageKeys.holidays);
+  }
+  const empty = createEmptyHolidayOverrides();
+  setHolidayOverrides(empty);
+  return empty;
+};
+
+/**
+ * Loads stored overrides into the active calendar. Called once at startup.
+ */
+export const initializeHolidayCalendar = async () => {
+  const overrides = await loadHolidayOverrides();
+  setHolidayOverrides(overrides);
+  return overrides;
+};
@@ -0,0 +1,57 @@
+import {
+  readItem,
+  writeItem,
+  removeItem,
+  storageAvailable,
+  storageKeys,
+} from '../storage/local-storage.js';
+import {
+  COST_METHODS,
+  LEDGER_VERSION,
+  createEmptyLedger,
+} from './position-ledger.js';
+
+export const sanitizeLedger = (candidate) => {
+  if (!candidate || typeof candidate !== 'object' || candidate.version !== LEDGER_VERSION) {
+    return createEmptyLedger();
+  }
+
+  const method = Object.values(COST_METHODS).includes(candidate.method)
+    ? candidate.method
+    : COST_METHODS.FIFO;
+  const fills = Array.isArray(candidate.fills)
+    ? candidate.fills.filter((fill) => fill && typeof fill.id === 'string' && typeof fill.instrumentKey === 'string')
+    : [];
+
+  return {
+    ...createEmptyLedger({ method }),
+    fills,
+    updatedAt: typeof candidate.updatedAt === 'string' ? candidate.updatedAt : null,
+  };
+};
+
+export const loadLedger = async () => {
+  if (!storageAvailable()) {
+    return createEmptyLedger();
+  }
+
+  const stored = await readItem(storageKeys.positionLedger);
+  return sanitizeLedger(stored);
+};
+
+export const saveLedger = async (ledger) => {
+  const sanitized = sanitizeLedger(ledger);
+
+  if (storageAvailable()) {
+    await writeItem(storageKeys.positionLedger, sanitized);
+  }
+
+  return sanitized;
+};
+
+export const clearLedger = async ({ method } = {}) => {
+  if (storageAvailable()) {
+    await removeItem(storageKeys.positionLedger);
+  }
+  return createEmptyLedger({ method });
+};
@@ -0,0 +1,332 @@
+/**
+ * Multi-day position ledger.
+ *
+ * The ledger only stores the fills it has been given plus the cost method; open lots
+ * and realized results are always derived by replaying the fills in trade order. That
+ * keeps persistence trivial, makes re-posting the same file idempotent (fills are keyed)
+ * and lets the user switch between FIFO and average cost without losing history.
+ */
+
+import {
+  formatExpirationDate,
+  parseExpirationDate,
+  resolveExpirationDate,
+} from '../options/expiration-calendar.js';
+
+export const LEDGER_VERSION = 1;
+
+export const COST_METHODS = {
+  FIFO: 'fifo',
+  AVERAGE: 'average',
+};
+
+const OPTION_TYPES = new Set(['CALL', 'PUT']);
+const EXCLUDED_CATEGORIES = new Set(['caucion']);
+const SETTLEMENT_SUFFIX_REGEX = /\s*-\s*(CI|24HS|48HS|72HS|T0|T1|T2)$/i;
+// Broker exports write "20251008-10:58:51[.sss][-0300]"; Date.parse needs it dashed and with a T.
+const COMPACT_TIMESTAMP_REGEX = /^(\d{4})(\d{2})(\d{2})-(\d{2}:\d{2}:\d{2}(?:\.\d+)?)([+-]\d{2})?(\d{2})?$/;
+const EPSILON = 1e-9;
+
+const toNumber = (value) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const sanitizeMethod = (method) => (
+  Object.values(COST_METHODS).includes(method) ? method : COST_METHODS.FIFO
+);
+
+export const createEmptyLedger = ({ method = COST_METHODS.FIFO } = {}) => ({
+  version: LEDGER_VERSION,
+  method: sanitizeMethod(method),
+  fills: [],
+  updatedAt: null,
+});
+
+// Month codes repeat every year, so options are keyed by the expiration date of the series
+// that was trading on the fill's date ("OCT" traded in 2025 is not "OCT" traded in 2026).
+const resolveOptionExpiration = (operation, referenceDate) => {
+  if (parseExpirationDate(operation.expirationDate)) {
+    return operation.expirationDate;
+  }
+  const reference = referenceDate ? new Date(referenceDate) : null;
+  const resolved = reference && !Number.isNaN(reference.getTime())
+    ? resolveExpirationDate({ token: operation.expiration, referenceDate: reference })
+    : null;
+  return resolved ? formatExpirationDate(resolved.date) : operation.expiration ?? '';
+};
+
+/**
+ * Instrument identity across sessions. Options are keyed by underlying, type, strike and
+ * expiration date (resolved from the month code as of `referenceDate`); everything else by
+ * symbol without the settlement suffix so CI and 24hs fills of the same ticker net against
+ * each other.
+ * @param {Object} operation
+ * @param {{ referenceDate?: string|Date }} [options] - usually the fill's trade time
+ * @returns {string}
+ */
+export const resolveInstrumentKey = (operation = {}, { referenceDate } = {}) => {
+  if (OPTION_TYPES.has(operation.optionType)) {
+    return [
+      operation.symbol ?? operation.matchedSymbol ?? '',
+      operation.optionType,
+      operation.strike ?? '',
+      resolveOptionExpiration(operation, referenceDate),
+    ].join('::').toUpperCase();
+  }
+  const symbol = String(operation.originalSymbol ?? operation.symbol ?? '').trim();
+  return symbol.replace(SETTLEMENT_SUFFIX_REGEX, '').toUpperCase();
+};
+
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value).trim();
+  const compact = COMPACT_TIMESTAMP_REGEX.exec(text);
+  if (compact) {
+    const [, year, month, day, time, tzHours, tzMinutes = '00'] = compact;
+    return Date.parse(`${year}-${month}-${day}T${time}${tzHours ? `${tzHours}:${tzMinutes}` : ''}`);
+  }
+  return Date.parse(text.replace(' ', 'T'));
+};
+
+const resolveTradeDate = (operation, fallbackDate) => {
+  const raw = operation?.raw ?? {};
+  const candidates = [raw.transact_time, raw.transactTime, raw.tradeTimestamp, operation?.tradeTimestamp];
+  for (const candidate of candidates) {
+    if (candidate === null || candidate === undefined || candidate === '') {
+      continue;
+    }
+    const parsed = parseTimestamp(candidate);
+    if (Number.isFinite(parsed)) {
+      return new Date(parsed).toISOString();
+    }
+  }
+  return fallbackDate;
+};
+
+const resolveMultiplier = ({ grossNotional, quantity, price }) => {
+  const units = quantity * price;
+  const notional = toNumber(grossNotional);
+  if (notional && notional > 0 && units > 0) {
+    return notional / units;
+  }
+  return 1;
+};
+
+/**
+ * Converts processed operations into ledger fills. Cauciones are not positions and are skipped.
+ * Rows without a parseable trade time are skipped too unless a tradeDate is given: keying them
+ * by the posting time would make every re-post look like new fills.
+ * @param {Array<Object>} operations - operations from processOperations
+ * @param {{ tradeDate?: string, source?: string }} [options]
+ * @returns {Array<Object>}
+ */
+export const createFillsFromOperations = (operations = [], { tradeDate, source = '' } = {}) => {
+  if (!Array.isArray(operations)) {
+    return [];
+  }
+  const fallbackDate = tradeDate ?? null;
+
+  return operations.reduce((fills, operation) => {
+    if (!operation || EXCLUDED_CATEGORIES.has(operation.category)) {
+      return fills;
+    }
+    const quantity = Math.abs(toNumber(operation.quantity) ?? 0);
+    const price = toNumber(operation.price);
+    if (quantity <= 0 || price === null || (operation.side !== 'BUY' && operation.side !== 'SELL')) {
+      return fills;
+    }
+
+    const raw = operation.raw ?? {};
+    const orderId = operation.orderId ?? operation.id ?? raw.order_id ?? '';
+    const executionId = raw.id ?? raw.execution_id ?? raw.operation_id ?? '';
+    const tradedAt = resolveTradeDate(operation, fallbackDate);
+    if (!tradedAt) {
+      return fills;
+    }
+    const isOption = OPTION_TYPES.has(operation.optionType);
+
+    fills.push({
+      id: [orderId, executionId, operation.side, quantity, price, tradedAt].join('|'),
+      instrumentKey: resolveInstrumentKey(operation, { referenceDate: tradedAt }),
+      symbol: isOption
+        ? (operation.originalSymbol ?? operation.symbol ?? '')
+        : String(operation.originalSymbol ?? operation.symbol ?? '').replace(SETTLEMENT_SUFFIX_REGEX, ''),
+      category: operation.category ?? (isOption ? 'option' : 'bonds'),
+      optionType: isOption ? operation.optionType : null,
+      strike: isOption ? toNumber(operation.strike) : null,
+      expiration: isOption ? operation.expiration ?? null : null,
+      side: operation.side,
+      quantity,
+      price,
+      multiplier: resolveMultiplier({ grossNotional: operation.grossNotional, quantity, price }),
+      feeAmount: Math.abs(toNumber(operation.feeAmount) ?? 0),
+      tradedAt,
+      orderId: orderId ? String(orderId) : null,
+      source,
+    });
+    return fills;
+  }, []);
+};
+
+/**
+ * Adds fills to the ledger, skipping any fill id that was already posted.
+ * @returns {{ ledger: Object, added: number, skipped: number }}
+ */
+export const postFills = (ledger, fills = []) => {
+  const base = ledger ?? createEmptyLedger();
+  const knownIds = new Set(base.fills.map((fill) => fill.id));
+  const accepted = [];
+  let skipped = 0;
+
+  fills.forEach((fill) => {
+    if (!fill?.id || knownIds.has(fill.id)) {
+      skipped += 1;
+      return;
+    }
+    knownIds.add(fill.id);
+    accepted.push(fill);
+  });
+
+  return {
+    ledger: {
+      ...base,
+      fills: [...base.fills, ...accepted],
+      updatedAt: accepted.length > 0 ? new Date().toISOString() : base.updatedAt,
+    },
+    added: accepted.length,
+    skipped,
+  };
+};
+
+export const setLedgerMethod = (ledger, method) => ({
+  ...(ledger ?? createEmptyLedger()),
+  method: sanitizeMethod(method),
+});
+
+const sortFills = (fills) => fills
+  .map((fill, index) => ({ fill, index }))
+  .sort((a, b) => {
+    if (a.fill.tradedAt !== b.fill.tradedAt) {
+      return a.fill.tradedAt < b.fill.tradedAt ? -1 : 1;
+    }
+    return a.index - b.index;
+  })
+  .map(({ fill }) => fill);
+
+const openLot = (position, fill, signedQuantity) => {
+  position.lots.push({
+    id: `${fill.id}#${position.lots.length}`,
+    openedAt: fill.tradedAt,
+    quantity: signedQuantity,
+    price: fill.price,
+    feePerUnit: fill.feeAmount / fill.quantity,
+    orderId: fill.orderId,
+  });
+};
+
+const closeAgainstLot = (position, lot, fill, closeUnits, closedLots) => {
+  const direction = lot.quantity > 0 ? 1 : -1;
+  const grossPnl = closeUnits * (fill.price - lot.price) * direction * position.multiplier;
+  const fees = closeUnits * (lot.feePerUnit + fill.feeAmount / fill.quantity);
+  closedLots.push({
+    instrumentKey: position.instrumentKey,
+    symbol: position.symbol,
+    category: position.category,
+    openedAt: lot.openedAt,
+    closedAt: fill.tradedAt,
+    quantity: closeUnits * direction,
+    openPrice: lot.price,
+    closePrice: fill.price,
+    multiplier: position.multiplier,
+    realizedPnl: grossPnl,
+    fees,
+    netPnl: grossPnl - fees,
+  });
+  lot.quantity -= closeUnits * direction;
+};
+
+const applyFill = (position, fill, method, closedLots) => {
+  let remaining = fill.side === 'BUY' ? fill.quantity : -fill.quantity;
+
+  while (Math.abs(remaining) > EPSILON && position.lots.length > 0) {
+    const lot = position.lots[0];
+    if (Math.sign(lot.quantity) === Math.sign(remaining)) {
+      break;
+    }
+    const lotDirection = Math.sign(lot.quantity);
+    const closeUnits = Math.min(Math.abs(lot.quantity), Math.abs(remaining));
+    closeAgainstLot(position, lot, fill, closeUnits, closedLots);
+    remaining += closeUnits * lotDirection;
+    if (Math.abs(lot.quantity) <= EPSILON) {
+      position.lots.shift();
+    }
+  }
+
+  if (Math.abs(remaining) <= EPSILON) {
+    return;
+  }
+
+  if (method === COST_METHODS.AVERAGE && position.lots.length > 0) {
+    const lot = position.lots[0];
+    const totalUnits = Math.abs(lot.quantity) + Math.abs(remaining);
+    lot.price = (lot.price * Math.abs(lot.quantity) + fill.price * Math.abs(remaining)) / totalUnits;
+    lot.feePerUnit = (lot.feePerUnit * Math.abs(lot.quantity) + (fill.feeAmount / fill.quantity) * Math.abs(remaining)) / totalUnits;
+    lot.quantity += remaining;
+    return;
+  }
+
+  openLot(position, fill, remaining);
+};
+
+/**
+ * Replays the ledger fills and derives open lots and closed (realized) lots.
+ * @param {Object} ledger
+ * @returns {{ method: string, positions: Array<Object>, closedLots: Array<Object>,
+ *   totals: { realizedPnl: number, fees: number, netPnl: number } }}
+ */
+export const computeLedgerState = (ledger) => {
+  const method = sanitizeMethod(ledger?.method);
+  const fills = Array.isArray(ledger?.fills) ? ledger.fills : [];
+  const positionsByKey = new Map();
+  const closedLots = [];
+
+  sortFills(fills).forEach((fill) => {
+    if (!positionsByKey.has(fill.instrumentKey)) {
+      positionsByKey.set(fill.instrumentKey, {
+        instrumentKey: fill.instrumentKey,
+        symbol: fill.symbol,
+        category: fill.category,
+        optionType: fill.optionType,
+        strike: fill.strike,
+        expiration: fill.expiration,
+        multiplier: fill.multiplier,
+        lots: [],
+      });
+    }
+    applyFill(positionsByKey.get(fill.instrumentKey), fill, method, closedLots);
+  });
+
+  const positions = Array.from(positionsByKey.values())
+    .filter((position) => position.lots.length > 0)
+    .map((position) => {
+      const quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      const cost = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+      return {
+        ...position,
+        quantity,
+        averagePrice: quantity !== 0 ? cost / quantity : 0,
+      };
+    })
+    .sort((a, b) => a.instrumentKey.localeCompare(b.instrumentKey));
+
+  const totals = closedLots.reduce((acc, lot) => ({
+    realizedPnl: acc.realizedPnl + lot.realizedPnl,
+    fees: acc.fees + lot.fees,
+    netPnl: acc.netPnl + lot.netPnl,
+  }), { realizedPnl: 0, fees: 0, netPnl: 0 });
+
+  return { method, positions, closedLots, totals };
+};
@@ -0,0 +1,231 @@
+// money.js - Fixed-point decimal arithmetic for money amounts
+// Numbers are read from their shortest decimal form into BigInt units, so 1.005 rounds to
+// 1.01 and amounts rounded to the minor unit add up without float drift.
+
+export const ROUNDING_MODES = Object.freeze({
+  HALF_UP: 'HALF_UP', // halves away from zero
+  HALF_EVEN: 'HALF_EVEN',
+  DOWN: 'DOWN', // toward zero
+});
+
+// Settlement rounding per currency; unknown currencies use the ARS rule
+export const CURRENCY_ROUNDING = Object.freeze({
+  ARS: Object.freeze({ decimals: 2, mode: ROUNDING_MODES.HALF_UP }),
+  USD: Object.freeze({ decimals: 2, mode: ROUNDING_MODES.HALF_UP }),
+});
+
+export const DEFAULT_MONEY_CURRENCY = 'ARS';
+
+// Intermediate precision; daily repo rates such as 0.0005% need the room
+const SCALE = 12;
+const SCALE_FACTOR = 10n ** BigInt(SCALE);
+
+const NUMBER_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+const abs = (value) => (value < 0n ? -value : value);
+
+// Integer division of BigInts with the given rounding (divisor must be positive)
+const divideRounded = (numerator, divisor, mode = ROUNDING_MODES.HALF_UP) => {
+  const quotient = numerator / divisor;
+  const remainder = numerator % divisor;
+  if (remainder === 0n || mode === ROUNDING_MODES.DOWN) {
+    return quotient;
+  }
+  const step = numerator < 0n ? -1n : 1n;
+  const doubled = abs(remainder) * 2n;
+  if (doubled !== divisor) {
+    return doubled > divisor ? quotient + step : quotient;
+  }
+  if (mode === ROUNDING_MODES.HALF_EVEN && quotient % 2n === 0n) {
+    return quotient;
+  }
+  return quotient + step;
+};
+
+// Non-numeric values count as zero, like the fee helpers' ensureNumber
+const toUnits = (value) => {
+  let text = '';
+  if (typeof value === 'number') {
+    text = Number.isFinite(value) ? String(value) : '';
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  }
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    return 0n;
+  }
+  const [, sign, integerPart = '', fractionPart = '', exponent = '0'] = match;
+  const digits = BigInt(`${integerPart}${fractionPart}` || '0');
+  const shift = SCALE - fractionPart.length + Number(exponent);
+  const units = shift >= 0
+    ? digits * 10n ** BigInt(shift)
+    : divideRounded(digits, 10n ** BigInt(-shift));
+  return sign === '-' ? -units : units;
+};
+
+const fromUnits = (units) => {
+  const digits = abs(units).toString().padStart(SCALE + 1, '0');
+  const text = `${digits.slice(0, -SCALE)}.${digits.slice(-SCALE)}`;
+  const value = Number(units < 0n ? `-${text}` : text);
+  return Object.is(value, -0) ? 0 : value;
+};
+
+const roundUnits = (units, decimals, mode) => {
+  const step = 10n ** BigInt(SCALE - decimals);
+  return divideRounded(units, step, mode) * step;
+};
+
+/**
+ * Parses an amount written as '1.234,56', '1234.56', '$ 1.234,00' or a number.
+ * @param {*} value
+ * @returns {number|null}
+ */
+export const parseLocaleAmount = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  let cleaned = value.trim().replace(/[^0-9,.-]/g, '');
+  if (!cleaned) {
+    return null;
+  }
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  if (lastComma > lastDot) {
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else if (lastComma !== -1) {
+    cleaned = cleaned.replace(/,/g, '');
+  } else if ((cleaned.match(/\./g) ?? []).length > 1) {
+    cleaned = cleaned.replace(/\./g, '');
+  }
+  const parsed = Number(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+/**
+ * Rounding rule for a currency code ('ARS', 'USD'); other codes get the ARS rule.
+ * @param {string} [currency]
+ * @returns {{decimals: number, mode: string}}
+ */
+export const getCurrencyRounding = (currency = DEFAULT_MONEY_CURRENCY) => {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+  return CURRENCY_ROUNDING[code] ?? CURRENCY_ROUNDING[DEFAULT_MONEY_CURRENCY];
+};
+
+/**
+ * Rounds to a number of decimals without the x * 100 / 100 float error.
+ * @param {number|string} value
+ * @param {number} [decimals=2]
+ * @param {string} [mode='HALF_UP']
+ * @returns {number}
+ */
+export const roundToDecimals = (value, decimals = 2, mode = ROUNDING_MODES.HALF_UP) => (
+  fromUnits(roundUnits(toUnits(value), decimals, mode))
+);
+
+/**
+ * Rounds an amount to the currency's minor unit.
+ * @param {number|string} value
+ * @param {string} [currency='ARS']
+ * @returns {number}
+ */
+export const roundMoney = (value, currency = DEFAULT_MONEY_CURRENCY) => {
+  const { decimals, mode } = getCurrencyRounding(currency);
+  return roundToDecimals(value, decimals, mode);
+};
+
+/**
+ * Exact sum, rounded once to the currency's minor unit.
+ * @param {Array<number>} values
+ * @param {string} [currency='ARS']
+ * @returns {number}
+ */
+export const sumMoney = (values = [], currency = DEFAULT_MONEY_CURRENCY) => {
+  const { decimals, mode } = getCurrencyRounding(currency);
+  const total = values.reduce((sum, value) => sum + toUnits(value), 0n);
+  return fromUnits(roundUnits(total, decimals, mode));
+};
+
+/**
+ * amount × factors ÷ divisor, computed exactly and rounded to the currency's minor unit.
+ * @param {number} amount
+ * @param {Array<number>} factors - e.g. [ratePercent, days]
+ * @param {{currency?: string, divisor?: number}} [options] - e.g. divisor 36500 for % per year
+ * @returns {number}
+ */
+export const multiplyMoney = (amount, factors = [], { currency = DEFAULT_MONEY_CURRENCY, divisor = 1 } = {}) => {
+  const { decimals, mode } = getCurrencyRounding(currency);
+  let numerator = toUnits(amount);
+  let denominator = toUnits(divisor);
+  factors.forEach((factor) => {
+    numerator *= toUnits(factor);
+    denominator *= SCALE_FACTOR;
+  });
+  if (denominator === 0n) {
+    return 0;
+  }
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const step = 10n ** BigInt(SCALE - decimals);
+  // Scale back to SCALE decimals and round to the minor unit in a single division
+  return fromUnits(divideRounded(numerator * SCALE_FACTOR, denominator * step, mode) * step);
+};
+
+/**
+ * Splits an amount by weights so the rounded parts add up exactly to the rounded total.
+ * Leftover minor units go to the parts with the largest remainders.
+ * @param {number} total
+ * @param {Array<number>} weights - non-positive weights get nothing unless all are
+ * @param {string} [currency='ARS']
+ * @returns {Array<number>}
+ */
+export const allocateMoney = (total, weights = [], currency = DEFAULT_MONEY_CURRENCY) => {
+  if (weights.length === 0) {
+    return [];
+  }
+  const { decimals, mode } = getCurrencyRounding(currency);
+  const step = 10n ** BigInt(SCALE - decimals);
+  const totalMinor = divideRounded(toUnits(total), step, mode);
+  const sign = totalMinor < 0n ? -1n : 1n;
+  const absoluteMinor = abs(totalMinor);
+
+  let weightUnits = weights.map((weight) => {
+    const units = toUnits(weight);
+    return units > 0n ? units : 0n;
+  });
+  let weightSum = weightUnits.reduce((sum, units) => sum + units, 0n);
+  if (weightSum === 0n) {
+    weightUnits = weights.map(() => 1n);
+    weightSum = BigInt(weights.length);
+  }
+
+  const parts = weightUnits.map((units, index) => ({
+    index,
+    minor: (absoluteMinor * units) / weightSum,
+    remainder: (absoluteMinor * units) % weightSum,
+  }));
+  let leftover = absoluteMinor - parts.reduce((sum, part) => sum + part.minor, 0n);
+  [...parts]
+    .sort((a, b) => (a.remainder === b.remainder ? a.index - b.index : (b.remainder > a.remainder ? 1 : -1)))
+    .forEach((part) => {
+      if (leftover > 0n) {
+        part.minor += 1n;
+        leftover -= 1n;
+      }
+    });
+
+  return parts.map((part) => fromUnits(sign * part.minor * step));
+};
+
+/**
+ * Whether two amounts are the same once rounded to the currency's minor unit.
+ * @param {number} a
+ * @param {number} b
+ * @param {string} [currency='ARS']
+ * @returns {boolean}
+ */
+export const isSameMoney = (a, b, currency = DEFAULT_MONEY_CURRENCY) => roundMoney(a, currency) === roundMoney(b, currency);
@@ -0,0 +1,213 @@
+/**
+ * Black-Scholes pricing, implied volatility and greeks for European options.
+ * Rates and volatilities are annualized decimals (0.35 = 35%); time is in years.
+ */
+
+import { calculateDaysToExpiry } from './expiration-calendar.js';
+
+export { estimateExpirationDate, calculateDaysToExpiry } from './expiration-calendar.js';
+
+const DAYS_PER_YEAR = 365;
+const IV_MIN = 1e-4;
+const IV_MAX = 5;
+const IV_TOLERANCE = 1e-6;
+const IV_MAX_ITERATIONS = 100;
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Standard normal probability density.
+ * @param {number} x
+ * @returns {number}
+ */
+export const normalPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26 over erf).
+ * @param {number} x
+ * @returns {number}
+ */
+export const normalCdf = (x) => {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+};
+
+const computeD1D2 = ({ spot, strike, years, rate, volatility }) => {
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(spot / strike) + (rate + 0.5 * volatility * volatility) * years) / (volatility * sqrtT);
+  return { d1, d2: d1 - volatility * sqrtT, sqrtT };
+};
+
+const hasValidInputs = ({ spot, strike, years, volatility }) => isPositive(spot)
+  && isPositive(strike)
+  && isPositive(years)
+  && isPositive(volatility);
+
+/**
+ * Theoretical option price.
+ * @param {{ optionType: 'CALL'|'PUT', spot: number, strike: number, years: number, rate?: number, volatility: number }} params
+ * @returns {number|null}
+ */
+export const blackScholesPrice = ({ optionType, spot, strike, years, rate = 0, volatility }) => {
+  if (!hasValidInputs({ spot, strike, years, volatility }) || !Number.isFinite(rate)) {
+    return null;
+  }
+  const { d1, d2 } = computeD1D2({ spot, strike, years, rate, volatility });
+  const discount = Math.exp(-rate * years);
+  if (optionType === 'PUT') {
+    return strike * discount * normalCdf(-d2) - spot * normalCdf(-d1);
+  }
+  return spot * normalCdf(d1) - strike * discount * normalCdf(d2);
+};
+
+/**
+ * Option greeks. Theta is expressed per calendar day and vega per volatility point (1%).
+ * @param {{ optionType: 'CALL'|'PUT', spot: number, strike: number, years: number, rate?: number, volatility: number }} params
+ * @returns {{ delta: number, gamma: number, theta: number, vega: number }|null}
+ */
+export const calculateGreeks = ({ optionType, spot, strike, years, rate = 0, volatility }) => {
+  if (!hasValidInputs({ spot, strike, years, volatility }) || !Number.isFinite(rate)) {
+    return null;
+  }
+  const { d1, d2, sqrtT } = computeD1D2({ spot, strike, years, rate, volatility });
+  const pdf = normalPdf(d1);
+  const discount = Math.exp(-rate * years);
+  const isPut = optionType === 'PUT';
+
+  const delta = isPut ? normalCdf(d1) - 1 : normalCdf(d1);
+  const gamma = pdf / (spot * volatility * sqrtT);
+  const decay = -(spot * pdf * volatility) / (2 * sqrtT);
+  const carry = isPut
+    ? rate * strike * discount * normalCdf(-d2)
+    : -rate * strike * discount * normalCdf(d2);
+  const theta = (decay + carry) / DAYS_PER_YEAR;
+  const vega = (spot * pdf * sqrtT) / 100;
+
+  return { delta, gamma, theta, vega };
+};
+
+/**
+ * Solves the volatility that reproduces the given premium.
+ * Uses Newton-Raphson and falls back to bisection when vega vanishes or the step leaves the bracket.
+ * @returns {number|null} Annualized volatility, or null when the premium is outside arbitrage bounds.
+ */
+export const calculateImpliedVolatility = ({ optionType, price, spot, strike, years, rate = 0 }) => {
+  if (!isPositive(price) || !isPositive(spot) || !isPositive(strike) || !isPositive(years) || !Number.isFinite(rate)) {
+    return null;
+  }
+
+  const discountedStrike = strike * Math.exp(-rate * years);
+  const lowerBound = optionType === 'PUT'
+    ? Math.max(0, discountedStrike - spot)
+    : Math.max(0, spot - discountedStrike);
+  const upperBound = optionType === 'PUT' ? discountedStrike : spot;
+  if (price < lowerBound - IV_TOLERANCE || price >= upperBound) {
+    return null;
+  }
+
+  let low = IV_MIN;
+  let high = IV_MAX;
+  let volatility = 0.3;
+
+  for (let iteration = 0; iteration < IV_MAX_ITERATIONS; iteration += 1) {
+    const theoretical = blackScholesPrice({ optionType, spot, strike, years, rate, volatility });
+    const diff = theoretical - price;
+    if (Math.abs(diff) < IV_TOLERANCE) {
+      return volatility;
+    }
+
+    if (diff > 0) {
+      high = volatility;
+    } else {
+      low = volatility;
+    }
+
+    const { d1, sqrtT } = computeD1D2({ spot, strike, years, rate, volatility });
+    const rawVega = spot * normalPdf(d1) * sqrtT;
+    const next = rawVega > 1e-8 ? volatility - diff / rawVega : NaN;
+    volatility = Number.isFinite(next) && next > low && next < high ? next : (low + high) / 2;
+
+    if (high - low < IV_TOLERANCE) {
+      return volatility;
+    }
+  }
+
+  return volatility;
+};
+
+const resolveRowExpiration = (row = {}) => {
+  const legs = Array.isArray(row.legs) ? row.legs : [];
+  const withExpiration = legs.find((leg) => typeof leg?.expiration === 'string' && leg.expiration);
+  return withExpiration?.expiration ?? row.expiration ?? null;
+};
+
+/**
+ * Underlying symbol of a consolidated option row (e.g. 'GGAL'), upper-cased.
+ * @param {Object} row
+ * @returns {string|null}
+ */
+export const resolveRowUnderlying = (row) => {
+  const symbol = (Array.isArray(row?.legs) ? row.legs[0]?.symbol : null) ?? row?.matchedSymbol;
+  return typeof symbol === 'string' && symbol.trim() ? symbol.trim().toUpperCase() : null;
+};
+
+/**
+ * Attaches a `greeks` object to each consolidated option row.
+ * The row's average price is used as the premium to back out implied volatility.
+ * Expiry is taken from the row itself (`daysToExpiry`, see attachExpiryToRows) or estimated from
+ * the legs' expiration token.
+ * `underlyingPrices` maps each underlying to its price; rows whose underlying has none fall back
+ * to `underlyingPrice` and are left without greeks when neither is set.
+ *
+ * @param {Array<Object>} rows - consolidated CALL/PUT rows
+ * @param {{ underlyingPrice?: number, underlyingPrices?: Object<string, number>, ratePercent?: number, referenceDate?: Date }} params
+ * @returns {Array<Object>}
+ */
+export const enrichRowsWithGreeks = (rows = [], {
+  underlyingPrice,
+  underlyingPrices = {},
+  ratePercent = 0,
+  referenceDate = new Date(),
+} = {}) => {
+  if (!Array.isArray(rows)) {
+    return [];
+  }
+  const rate = Number.isFinite(Number(ratePercent)) ? Number(ratePercent) / 100 : 0;
+
+  return rows.map((row) => {
+    const spot = Number(underlyingPrices?.[resolveRowUnderlying(row)] ?? underlyingPrice);
+    if (!Number.isFinite(spot) || spot <= 0) {
+      return row;
+    }
+    const daysToExpiry = Number.isFinite(row?.daysToExpiry)
+      ? row.daysToExpiry
+      : calculateDaysToExpiry(resolveRowExpiration(row), referenceDate);
+    const years = Number.isFinite(daysToExpiry) ? daysToExpiry / DAYS_PER_YEAR : null;
+    const params = {
+      optionType: row?.optionType,
+      spot,
+      strike: Number(row?.strike),
+      years,
+      rate,
+    };
+    const impliedVolatility = calculateImpliedVolatility({ ...params, price: Number(row?.averagePrice) });
+    const greeks = impliedVolatility !== null
+      ? calculateGreeks({ ...params, volatility: impliedVolatility })
+      : null;
+
+    return {
+      ...row,
+      greeks: {
+        daysToExpiry: Number.isFinite(daysToExpiry) ? daysToExpiry : null,
+        impliedVolatility,
+        delta: greeks?.delta ?? null,
+        gamma: greeks?.gamma ?? null,
+        theta: greeks?.theta ?? null,
+        vega: greeks?.vega ?? null,
+      },
+    };
+  });
+};
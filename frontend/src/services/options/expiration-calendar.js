@@ -0,0 +1,171 @@
+/**
+ * Expiration calendar for BYMA option codes.
+ * Resolves a symbol/expiration pair to a concrete date: the user override stored in the
+ * expiration settings when present, otherwise the third Friday of the month moved back to
+ * the previous business day when it falls on a holiday.
+ */
+
+import { calculateCalendarDays, isBusinessDay } from '../business-days.js';
+import { parseExpirationCode, resolveExpirationCode } from '../expiration-catalog.js';
+
+const ISO_DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MAX_HOLIDAY_SHIFT_DAYS = 10;
+
+const normalizeToken = (token) => (typeof token === 'string' ? token.trim().toUpperCase() : '');
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * @param {string} code - month token ("OCT", "O", "OCT26", ...)
+ * @returns {number} zero-based month index, or -1 when the token is not a month
+ */
+export const resolveExpirationMonthIndex = (code) => parseExpirationCode(code)?.monthIndex ?? -1;
+
+export const getThirdFriday = (year, monthIndex) => {
+  const first = new Date(year, monthIndex, 1);
+  const offset = (5 - first.getDay() + 7) % 7;
+  return new Date(year, monthIndex, 1 + offset + 14);
+};
+
+/**
+ * Moves a date back to the closest business day (holidays and weekends are skipped).
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const adjustToPreviousBusinessDay = (date) => {
+  const adjusted = startOfDay(date);
+  for (let shift = 0; shift < MAX_HOLIDAY_SHIFT_DAYS && !isBusinessDay(adjusted); shift += 1) {
+    adjusted.setDate(adjusted.getDate() - 1);
+  }
+  return adjusted;
+};
+
+/**
+ * Parses a "YYYY-MM-DD" override into a local date.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export const parseExpirationDate = (value) => {
+  const match = typeof value === 'string' ? value.trim().match(ISO_DATE_REGEX) : null;
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD", or '' for invalid dates
+ */
+export const formatExpirationDate = (date) => {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const expirationForMonth = (year, monthIndex) => adjustToPreviousBusinessDay(getThirdFriday(year, monthIndex));
+
+/**
+ * Rule-based expiration: third Friday of the month moved back to the previous business day on
+ * holidays. Year-qualified codes ("OCT26") use that year; plain month codes use the next
+ * occurrence on or after the reference date.
+ * @param {string} expiration - month token ("OCT", "O", "OCT26", ...)
+ * @param {Date} [referenceDate]
+ * @returns {Date|null}
+ */
+export const estimateExpirationDate = (expiration, referenceDate = new Date()) => {
+  const parsed = parseExpirationCode(expiration);
+  if (!parsed || parsed.monthIndex < 0) {
+    return null;
+  }
+  if (parsed.year) {
+    return expirationForMonth(parsed.year, parsed.monthIndex);
+  }
+  const reference = startOfDay(referenceDate);
+  const candidate = expirationForMonth(reference.getFullYear(), parsed.monthIndex);
+  if (candidate >= reference) {
+    return candidate;
+  }
+  return expirationForMonth(reference.getFullYear() + 1, parsed.monthIndex);
+};
+
+/**
+ * Resolves the expiration of a symbol/token pair, honoring the `expirationDate` override
+ * saved in the symbol's expiration settings.
+ * @param {{ token: string, symbolConfig?: Object, referenceDate?: Date }} params
+ * @returns {{ code: string, date: Date, isOverride: boolean }|null}
+ */
+export const resolveExpirationDate = ({ token, symbolConfig, referenceDate = new Date() } = {}) => {
+  const code = resolveExpirationCode(token, symbolConfig);
+  if (!code) {
+    return null;
+  }
+  const override = parseExpirationDate(symbolConfig?.expirations?.[code]?.expirationDate);
+  if (override) {
+    return { code, date: override, isOverride: true };
+  }
+  const codeParts = parseExpirationCode(code);
+  const tokenYear = parseExpirationCode(token)?.year;
+  const estimated = codeParts && codeParts.monthIndex >= 0 && !codeParts.year && tokenYear
+    ? expirationForMonth(tokenYear, codeParts.monthIndex)
+    : estimateExpirationDate(code, referenceDate) ?? estimateExpirationDate(token, referenceDate);
+  return estimated ? { code, date: estimated, isOverride: false } : null;
+};
+
+/**
+ * Calendar days from the reference date to the expiration. Accepts a month token or a date.
+ * @param {string|Date} expiration
+ * @param {Date} [referenceDate]
+ * @returns {number|null}
+ */
+export const calculateDaysToExpiry = (expiration, referenceDate = new Date()) => {
+  const expirationDate = expiration instanceof Date
+    ? expiration
+    : estimateExpirationDate(expiration, referenceDate);
+  if (!expirationDate || Number.isNaN(expirationDate.getTime())) {
+    return null;
+  }
+  return calculateCalendarDays(referenceDate, expirationDate);
+};
+
+const resolveRowContext = (row = {}) => {
+  const legs = Array.isArray(row.legs) ? row.legs : [];
+  const withExpiration = legs.find((leg) => typeof leg?.expiration === 'string' && leg.expiration);
+  return {
+    underlying: normalizeToken(legs[0]?.symbol ?? row.symbol ?? row.matchedSymbol),
+    token: withExpiration?.expiration ?? row.expiration ?? null,
+  };
+};
+
+/**
+ * Adds `expirationCode`, `expirationDate` ("YYYY-MM-DD") and `daysToExpiry` to consolidated
+ * option rows. Rows whose expiration cannot be resolved are returned unchanged.
+ *
+ * @param {Array<Object>} rows
+ * @param {{ symbolConfigs?: Object<string, Object>, referenceDate?: Date }} [params]
+ * @returns {Array<Object>}
+ */
+export const attachExpiryToRows = (rows = [], { symbolConfigs = {}, referenceDate = new Date() } = {}) => {
+  if (!Array.isArray(rows)) {
+    return [];
+  }
+  return rows.map((row) => {
+    const { underlying, token } = resolveRowContext(row);
+    const resolved = resolveExpirationDate({ token, symbolConfig: symbolConfigs?.[underlying], referenceDate });
+    if (!resolved) {
+      return row;
+    }
+    return {
+      ...row,
+      expirationCode: resolved.code,
+      expirationDate: formatExpirationDate(resolved.date),
+      expirationOverridden: resolved.isOverride,
+      daysToExpiry: calculateDaysToExpiry(resolved.date, referenceDate),
+    };
+  });
+};
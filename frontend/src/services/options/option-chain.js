@@ -0,0 +1,105 @@
+/**
+ * Option chain layout (strikes × expirations) built from consolidated CALL/PUT rows.
+ */
+
+import { resolveExpirationCode } from '../expiration-catalog.js';
+import { resolveExpirationDate } from './expiration-calendar.js';
+
+const resolveRowLeg = (row = {}) => (Array.isArray(row.legs) ? row.legs[0] : null) ?? {};
+
+const sortExpirations = (codes, symbolConfig, referenceDate) => codes
+  .map((code) => ({ code, date: resolveExpirationDate({ token: code, symbolConfig, referenceDate })?.date ?? null }))
+  .sort((a, b) => {
+    if (a.date && b.date) {
+      return a.date - b.date;
+    }
+    if (a.date) {
+      return -1;
+    }
+    if (b.date) {
+      return 1;
+    }
+    return a.code.localeCompare(b.code);
+  })
+  .map(({ code }) => code);
+
+const accumulateCell = (cells, code, row) => {
+  const quantity = Number(row.totalQuantity);
+  const price = Number(row.averagePrice);
+  if (!Number.isFinite(quantity) || !Number.isFinite(price)) {
+    return;
+  }
+  const cell = cells[code] ?? { quantity: 0, weightedSum: 0, rows: 0 };
+  cell.quantity += quantity;
+  cell.weightedSum += quantity * price;
+  cell.rows += 1;
+  cells[code] = cell;
+};
+
+const finalizeCells = (cells) => Object.fromEntries(
+  Object.entries(cells).map(([code, cell]) => [code, {
+    quantity: cell.quantity,
+    averagePrice: cell.quantity !== 0 ? cell.weightedSum / cell.quantity : null,
+  }]),
+);
+
+/**
+ * Builds one chain per underlying. Expiration columns include every code configured for the
+ * symbol plus any code seen in the data, ordered by their resolved expiration date.
+ *
+ * @param {{ calls?: Array<Object>, puts?: Array<Object>, symbolConfigs?: Object<string, Object>,
+ *   referenceDate?: Date }} params
+ * @returns {Array<{ underlying: string, expirations: string[],
+ *   strikes: Array<{ strike: number, calls: Object, puts: Object }> }>}
+ */
+export const buildOptionChains = ({
+  calls = [],
+  puts = [],
+  symbolConfigs = {},
+  referenceDate = new Date(),
+} = {}) => {
+  const chains = new Map();
+
+  const addRow = (row, side) => {
+    const strike = Number(row?.strike);
+    if (!Number.isFinite(strike)) {
+      return;
+    }
+    const leg = resolveRowLeg(row);
+    const underlying = String(leg.symbol ?? row.matchedSymbol ?? '').trim().toUpperCase() || 'UNKNOWN';
+    const symbolConfig = symbolConfigs?.[underlying];
+    const code = resolveExpirationCode(leg.expiration ?? row.expiration, symbolConfig) || '—';
+
+    if (!chains.has(underlying)) {
+      chains.set(underlying, {
+        underlying,
+        symbolConfig,
+        codes: new Set(Object.keys(symbolConfig?.expirations ?? {})),
+        strikes: new Map(),
+      });
+    }
+    const chain = chains.get(underlying);
+    chain.codes.add(code);
+    if (!chain.strikes.has(strike)) {
+      chain.strikes.set(strike, { strike, calls: {}, puts: {} });
+    }
+    accumulateCell(chain.strikes.get(strike)[side], code, row);
+  };
+
+  (Array.isArray(calls) ? calls : []).forEach((row) => addRow(row, 'calls'));
+  (Array.isArray(puts) ? puts : []).forEach((row) => addRow(row, 'puts'));
+
+  return Array.from(chains.values())
+    .sort((a, b) => a.underlying.localeCompare(b.underlying))
+    .map((chain) => ({
+      underlying: chain.underlying,
+      expirations: sortExpirations(Array.from(chain.codes), chain.symbolConfig, referenceDate),
+      strikes: Array.from(chain.strikes.values())
+        .sort((a, b) => a.strike - b.strike)
+        .map((entry) => ({
+          strike: entry.strike,
+          calls: finalizeCells(entry.calls),
+          puts: finalizeCells(entry.puts),
+        })),
+    }));
+};
@@ -0,0 +1,239 @@
+/**
+ * Payoff-at-expiration analysis for a net option position, optionally hedged with
+ * underlying stock legs. Payoffs are piecewise linear with kinks at the strikes, so
+ * extremes and breakevens are resolved exactly instead of by sampling.
+ */
+
+export const PAYOFF_LEG_TYPES = {
+  CALL: 'CALL',
+  PUT: 'PUT',
+  STOCK: 'STOCK',
+};
+
+const DEFAULT_OPTION_MULTIPLIER = 100;
+const DEFAULT_STOCK_MULTIPLIER = 1;
+const DEFAULT_CURVE_POINTS = 121;
+const RANGE_PADDING = 0.3;
+const EPSILON = 1e-9;
+
+/**
+ * Infers the contract multiplier from the notional the fee pipeline already computed
+ * (quantity × multiplier × price × conversion factor). Falls back to the category default.
+ */
+const resolveMultiplier = ({ grossNotional, quantity, price }, fallback) => {
+  const units = Math.abs(Number(quantity)) * Number(price);
+  const notional = Number(grossNotional);
+  if (Number.isFinite(notional) && notional > 0 && Number.isFinite(units) && units > 0) {
+    const ratio = notional / units;
+    return Number.isFinite(ratio) && ratio > 0 ? ratio : fallback;
+  }
+  return fallback;
+};
+
+const toOptionLeg = (row = {}) => {
+  const quantity = Number(row.totalQuantity);
+  const strike = Number(row.strike);
+  const premium = Number(row.averagePrice);
+  if (!Number.isFinite(quantity) || quantity === 0 || !Number.isFinite(strike) || !Number.isFinite(premium)) {
+    return null;
+  }
+  const multiplier = resolveMultiplier(
+    { grossNotional: row.grossNotional, quantity, price: premium },
+    DEFAULT_OPTION_MULTIPLIER,
+  );
+  return {
+    type: row.optionType === 'PUT' ? PAYOFF_LEG_TYPES.PUT : PAYOFF_LEG_TYPES.CALL,
+    strike,
+    premium,
+    quantity,
+    multiplier,
+    symbol: row.originalSymbol ?? row.matchedSymbol ?? '',
+  };
+};
+
+const toStockLeg = (operation = {}) => {
+  const rawQuantity = Number(operation.quantity);
+  const price = Number(operation.price);
+  if (!Number.isFinite(rawQuantity) || rawQuantity === 0 || !Number.isFinite(price)) {
+    return null;
+  }
+  const sign = operation.side === 'SELL' ? -1 : 1;
+  const quantity = Math.abs(rawQuantity) * sign;
+  const multiplier = resolveMultiplier(
+    { grossNotional: operation.grossNotional, quantity, price },
+    DEFAULT_STOCK_MULTIPLIER,
+  );
+  return {
+    type: PAYOFF_LEG_TYPES.STOCK,
+    strike: null,
+    premium: price,
+    quantity,
+    multiplier,
+    symbol: operation.symbol ?? '',
+  };
+};
+
+/**
+ * Normalizes consolidated option rows and (optional) stock operations into payoff legs.
+ * @param {{ calls?: Array<Object>, puts?: Array<Object>, stockOperations?: Array<Object> }} params
+ * @returns {Array<Object>}
+ */
+export const buildPayoffLegs = ({ calls = [], puts = [], stockOperations = [] } = {}) => [
+  ...(Array.isArray(calls) ? calls : []).map(toOptionLeg),
+  ...(Array.isArray(puts) ? puts : []).map(toOptionLeg),
+  ...(Array.isArray(stockOperations) ? stockOperations : []).map(toStockLeg),
+].filter(Boolean);
+
+const legPayoffAt = (leg, price) => {
+  const units = leg.quantity * leg.multiplier;
+  switch (leg.type) {
+    case PAYOFF_LEG_TYPES.STOCK:
+      return units * (price - leg.premium);
+    case PAYOFF_LEG_TYPES.PUT:
+      return units * (Math.max(leg.strike - price, 0) - leg.premium);
+    default:
+      return units * (Math.max(price - leg.strike, 0) - leg.premium);
+  }
+};
+
+/**
+ * Net profit/loss of all legs if the underlying settles at `price`.
+ */
+export const calculatePayoffAt = (legs = [], price) => legs.reduce(
+  (total, leg) => total + legPayoffAt(leg, price),
+  0,
+);
+
+const collectStrikes = (legs) => Array.from(new Set(
+  legs
+    .filter((leg) => leg.type !== PAYOFF_LEG_TYPES.STOCK && Number.isFinite(leg.strike))
+    .map((leg) => leg.strike),
+)).sort((a, b) => a - b);
+
+/** Payoff slope for prices above every strike. */
+const terminalSlope = (legs) => legs.reduce((slope, leg) => {
+  if (leg.type === PAYOFF_LEG_TYPES.PUT) {
+    return slope;
+  }
+  return slope + leg.quantity * leg.multiplier;
+}, 0);
+
+/**
+ * Default price range centred on the strikes (or stock price) with some padding either side.
+ * @returns {{ minPrice: number, maxPrice: number }}
+ */
+export const resolvePayoffRange = (legs = []) => {
+  const strikes = collectStrikes(legs);
+  const stockPrices = legs
+    .filter((leg) => leg.type === PAYOFF_LEG_TYPES.STOCK)
+    .map((leg) => leg.premium);
+  const anchors = [...strikes, ...stockPrices].filter(Number.isFinite);
+  if (anchors.length === 0) {
+    return { minPrice: 0, maxPrice: 0 };
+  }
+  const low = Math.min(...anchors);
+  const high = Math.max(...anchors);
+  const span = Math.max(high - low, high * RANGE_PADDING);
+  return {
+    minPrice: Math.max(0, low - span * RANGE_PADDING * 2),
+    maxPrice: high + span * RANGE_PADDING * 2,
+  };
+};
+
+/**
+ * Samples the payoff curve across a price range. Strike prices are always included so
+ * the polyline renders the kinks exactly.
+ * @returns {Array<{ price: number, pnl: number }>}
+ */
+export const buildPayoffCurve = (legs = [], { minPrice, maxPrice, points = DEFAULT_CURVE_POINTS } = {}) => {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return [];
+  }
+  const range = resolvePayoffRange(legs);
+  const low = Number.isFinite(minPrice) ? minPrice : range.minPrice;
+  const high = Number.isFinite(maxPrice) ? maxPrice : range.maxPrice;
+  if (!(high > low)) {
+    return [];
+  }
+
+  const steps = Math.max(2, Math.floor(points));
+  const prices = new Set();
+  for (let index = 0; index < steps; index += 1) {
+    prices.add(low + ((high - low) * index) / (steps - 1));
+  }
+  collectStrikes(legs)
+    .filter((strike) => strike >= low && strike <= high)
+    .forEach((strike) => prices.add(strike));
+
+  return Array.from(prices)
+    .sort((a, b) => a - b)
+    .map((price) => ({ price, pnl: calculatePayoffAt(legs, price) }));
+};
+
+/**
+ * Breakevens, max profit and max loss of the position at expiration.
+ * `maxProfit`/`maxLoss` are null when unbounded (see the `unbounded*` flags).
+ * @returns {{ breakevens: number[], maxProfit: number|null, maxLoss: number|null,
+ *   maxProfitPrice: number|null, maxLossPrice: number|null,
+ *   unboundedProfit: boolean, unboundedLoss: boolean }}
+ */
+export const analyzePayoff = (legs = []) => {
+  const empty = {
+    breakevens: [],
+    maxProfit: null,
+    maxLoss: null,
+    maxProfitPrice: null,
+    maxLossPrice: null,
+    unboundedProfit: false,
+    unboundedLoss: false,
+  };
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return empty;
+  }
+
+  const strikes = collectStrikes(legs);
+  const kinks = [0, ...strikes.filter((strike) => strike > 0)];
+  const values = kinks.map((price) => ({ price, pnl: calculatePayoffAt(legs, price) }));
+  const slope = terminalSlope(legs);
+
+  const breakevens = [];
+  const pushBreakeven = (price) => {
+    if (!breakevens.some((existing) => Math.abs(existing - price) < 1e-6)) {
+      breakevens.push(price);
+    }
+  };
+
+  for (let index = 0; index < values.length - 1; index += 1) {
+    const left = values[index];
+    const right = values[index + 1];
+    if (Math.abs(left.pnl) < EPSILON && index > 0) {
+      pushBreakeven(left.price);
+    }
+    if (left.pnl * right.pnl < 0) {
+      const ratio = left.pnl / (left.pnl - right.pnl);
+      pushBreakeven(left.price + ratio * (right.price - left.price));
+    }
+  }
+
+  const last = values[values.length - 1];
+  if (Math.abs(last.pnl) < EPSILON && last.price > 0) {
+    pushBreakeven(last.price);
+  } else if (Math.abs(slope) > EPSILON && last.pnl * slope < 0) {
+    pushBreakeven(last.price - last.pnl / slope);
+  }
+
+  const unboundedProfit = slope > EPSILON;
+  const unboundedLoss = slope < -EPSILON;
+  const best = values.reduce((acc, point) => (point.pnl > acc.pnl ? point : acc), values[0]);
+  const worst = values.reduce((acc, point) => (point.pnl < acc.pnl ? point : acc), values[0]);
+
+  return {
+    breakevens: breakevens.sort((a, b) => a - b),
+    maxProfit: unboundedProfit ? null : best.pnl,
+    maxLoss: unboundedLoss ? null : worst.pnl,
+    maxProfitPrice: unboundedProfit ? null : best.price,
+    maxLossPrice: unboundedLoss ? null : worst.price,
+    unboundedProfit,
+    unboundedLoss,
+  };
+};
@@ -0,0 +1,301 @@
+/**
+ * Option strategy recognition over consolidated CALL/PUT rows.
+ *
+ * Rows are netted per underlying, expiration, type and strike, then matched greedily
+ * from the most specific structure (butterflies) to the least specific (ratio spreads),
+ * so each contract is assigned to at most one strategy. Covered calls consume short
+ * calls against long stock of the same underlying.
+ */
+
+import { analyzePayoff, buildPayoffLegs, PAYOFF_LEG_TYPES } from './payoff.js';
+
+export const STRATEGY_TYPES = {
+  BUTTERFLY: 'butterfly',
+  STRADDLE: 'straddle',
+  STRANGLE: 'strangle',
+  VERTICAL: 'vertical',
+  RATIO_SPREAD: 'ratioSpread',
+  COVERED_CALL: 'coveredCall',
+};
+
+const EPSILON = 1e-9;
+const DEFAULT_SHARES_PER_CONTRACT = 100;
+
+const resolveRowUnderlying = (row = {}) => {
+  const leg = Array.isArray(row.legs) ? row.legs[0] : null;
+  return (leg?.symbol ?? row.matchedSymbol ?? row.originalSymbol ?? '').toString().trim().toUpperCase();
+};
+
+const resolveRowExpiration = (row = {}) => {
+  const leg = Array.isArray(row.legs) ? row.legs[0] : null;
+  return (leg?.expiration ?? row.expiration ?? '').toString().trim().toUpperCase();
+};
+
+/**
+ * Nets rows by strike so opposite-side rows from the averaged view collapse into one position.
+ */
+const buildPositions = (rows) => {
+  const positions = new Map();
+  rows.forEach((row) => {
+    const [leg] = buildPayoffLegs(row.optionType === 'PUT' ? { puts: [row] } : { calls: [row] });
+    if (!leg) {
+      return;
+    }
+    const underlying = resolveRowUnderlying(row);
+    const expiration = resolveRowExpiration(row);
+    const key = [underlying, expiration, leg.type, leg.strike].join('::');
+    if (!positions.has(key)) {
+      positions.set(key, {
+        underlying,
+        expiration,
+        type: leg.type,
+        strike: leg.strike,
+        multiplier: leg.multiplier,
+        quantity: 0,
+        cash: 0,
+        symbols: new Set(),
+      });
+    }
+    const position = positions.get(key);
+    position.quantity += leg.quantity;
+    position.cash += leg.quantity * leg.premium;
+    if (leg.symbol) {
+      position.symbols.add(leg.symbol);
+    }
+  });
+
+  return Array.from(positions.values())
+    .filter((position) => Math.abs(position.quantity) > EPSILON)
+    .map((position) => ({
+      ...position,
+      premium: position.cash / position.quantity,
+      symbol: Array.from(position.symbols)[0] ?? '',
+      remaining: position.quantity,
+    }));
+};
+
+const groupBy = (items, keyFn) => items.reduce((map, item) => {
+  const key = keyFn(item);
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(item);
+  return map;
+}, new Map());
+
+const sign = (value) => (value > 0 ? 1 : -1);
+
+const takeLeg = (position, quantity) => {
+  position.remaining -= quantity;
+  return {
+    type: position.type,
+    strike: position.strike,
+    premium: position.premium,
+    quantity,
+    multiplier: position.multiplier,
+    symbol: position.symbol,
+  };
+};
+
+const available = (position) => Math.abs(position.remaining) > EPSILON;
+
+const detectButterflies = (positions, emit) => {
+  [PAYOFF_LEG_TYPES.CALL, PAYOFF_LEG_TYPES.PUT].forEach((type) => {
+    const sameType = positions
+      .filter((position) => position.type === type)
+      .sort((a, b) => a.strike - b.strike);
+    for (let i = 0; i < sameType.length; i += 1) {
+      for (let j = i + 1; j < sameType.length; j += 1) {
+        for (let k = j + 1; k < sameType.length; k += 1) {
+          const low = sameType[i];
+          const body = sameType[j];
+          const high = sameType[k];
+          if (!available(low) || !available(body) || !available(high)) {
+            continue;
+          }
+          if (Math.abs((body.strike - low.strike) - (high.strike - body.strike)) > EPSILON) {
+            continue;
+          }
+          const wingSign = sign(low.remaining);
+          if (sign(high.remaining) !== wingSign || sign(body.remaining) === wingSign) {
+            continue;
+          }
+          const units = Math.min(Math.abs(low.remaining), Math.abs(high.remaining), Math.abs(body.remaining) / 2);
+          if (units <= EPSILON) {
+            continue;
+          }
+          emit(STRATEGY_TYPES.BUTTERFLY, [
+            takeLeg(low, wingSign * units),
+            takeLeg(body, -2 * wingSign * units),
+            takeLeg(high, wingSign * units),
+          ]);
+        }
+      }
+    }
+  });
+};
+
+const detectStraddlesAndStrangles = (positions, emit) => {
+  const calls = positions.filter((position) => position.type === PAYOFF_LEG_TYPES.CALL);
+  const puts = positions.filter((position) => position.type === PAYOFF_LEG_TYPES.PUT);
+
+  const pair = (strategyType, matches) => {
+    calls.forEach((call) => {
+      puts.forEach((put) => {
+        if (!available(call) || !available(put) || !matches(call, put)) {
+          return;
+        }
+        if (sign(call.remaining) !== sign(put.remaining)) {
+          return;
+        }
+        const units = Math.min(Math.abs(call.remaining), Math.abs(put.remaining));
+        const direction = sign(call.remaining);
+        emit(strategyType, [takeLeg(put, direction * units), takeLeg(call, direction * units)]);
+      });
+    });
+  };
+
+  pair(STRATEGY_TYPES.STRADDLE, (call, put) => Math.abs(call.strike - put.strike) <= EPSILON);
+  pair(STRATEGY_TYPES.STRANGLE, (call, put) => call.strike > put.strike);
+};
+
+const detectSpreads = (positions, emit, { ratio }) => {
+  [PAYOFF_LEG_TYPES.CALL, PAYOFF_LEG_TYPES.PUT].forEach((type) => {
+    const sameType = positions
+      .filter((position) => position.type === type)
+      .sort((a, b) => a.strike - b.strike);
+    for (let i = 0; i < sameType.length; i += 1) {
+      for (let j = i + 1; j < sameType.length; j += 1) {
+        const low = sameType[i];
+        const high = sameType[j];
+        if (!available(low) || !available(high) || sign(low.remaining) === sign(high.remaining)) {
+          continue;
+        }
+        const lowQty = Math.abs(low.remaining);
+        const highQty = Math.abs(high.remaining);
+        const balanced = Math.abs(lowQty - highQty) <= EPSILON;
+        if (!ratio && balanced) {
+          emit(STRATEGY_TYPES.VERTICAL, [
+            takeLeg(low, low.remaining),
+            takeLeg(high, high.remaining),
+          ]);
+        } else if (ratio && !balanced) {
+          emit(STRATEGY_TYPES.RATIO_SPREAD, [
+            takeLeg(low, low.remaining),
+            takeLeg(high, high.remaining),
+          ]);
+        }
+      }
+    }
+  });
+};
+
+const summarizeStockLots = (stockOperations = []) => {
+  const summary = buildPayoffLegs({ stockOperations }).reduce((acc, leg) => {
+    acc.quantity += leg.quantity * leg.multiplier;
+    acc.cash += leg.quantity * leg.multiplier * leg.premium;
+    return acc;
+  }, { quantity: 0, cash: 0 });
+  if (summary.quantity <= EPSILON) {
+    return null;
+  }
+  return {
+    type: PAYOFF_LEG_TYPES.STOCK,
+    strike: null,
+    premium: summary.cash / summary.quantity,
+    multiplier: 1,
+    remaining: summary.quantity,
+    symbol: stockOperations[0]?.symbol ?? '',
+  };
+};
+
+const detectCoveredCalls = (positions, stockLot, emit) => {
+  if (!stockLot) {
+    return;
+  }
+  positions
+    .filter((position) => position.type === PAYOFF_LEG_TYPES.CALL && available(position) && position.remaining < 0)
+    .sort((a, b) => a.strike - b.strike)
+    .forEach((call) => {
+      const sharesPerContract = call.multiplier || DEFAULT_SHARES_PER_CONTRACT;
+      const coverable = Math.floor((stockLot.remaining + EPSILON) / sharesPerContract);
+      const contracts = Math.min(Math.abs(call.remaining), coverable);
+      if (contracts <= 0) {
+        return;
+      }
+      const shares = contracts * sharesPerContract;
+      emit(STRATEGY_TYPES.COVERED_CALL, [
+        takeLeg(stockLot, shares),
+        takeLeg(call, -contracts),
+      ]);
+    });
+};
+
+const describeStrategy = (type, legs, { underlying, expiration }) => {
+  const netPremium = legs.reduce((total, leg) => total + leg.quantity * leg.multiplier * leg.premium, 0);
+  const analysis = analyzePayoff(legs);
+  return {
+    id: [type, underlying, expiration, ...legs.map((leg) => `${leg.type}${leg.strike ?? ''}:${leg.quantity}`)].join('|'),
+    type,
+    underlying,
+    expiration,
+    legs,
+    // Positive values are paid (debit); negative values are received (credit).
+    netPremium,
+    isDebit: netPremium > EPSILON,
+    maxRisk: analysis.unboundedLoss ? null : Math.max(0, -(analysis.maxLoss ?? 0)),
+    unboundedRisk: analysis.unboundedLoss,
+    maxProfit: analysis.unboundedProfit ? null : analysis.maxProfit,
+    breakevens: analysis.breakevens,
+  };
+};
+
+/**
+ * Detects known strategies within the consolidated rows.
+ *
+ * @param {{ calls?: Array<Object>, puts?: Array<Object>,
+ *   stockOperationsByUnderlying?: Map<string, Array<Object>> }} params
+ * @returns {{ strategies: Array<Object>, unmatched: Array<Object> }}
+ */
+export const detectStrategies = ({ calls = [], puts = [], stockOperationsByUnderlying = new Map() } = {}) => {
+  const rows = [
+    ...(Array.isArray(calls) ? calls : []),
+    ...(Array.isArray(puts) ? puts : []),
+  ];
+  const positions = buildPositions(rows);
+  const strategies = [];
+
+  const buckets = groupBy(positions, (position) => `${position.underlying}::${position.expiration}`);
+  const stockLots = new Map();
+
+  buckets.forEach((bucket) => {
+    const { underlying, expiration } = bucket[0];
+    const emit = (type, legs) => strategies.push(describeStrategy(type, legs, { underlying, expiration }));
+
+    detectButterflies(bucket, emit);
+    detectStraddlesAndStrangles(bucket, emit);
+    detectSpreads(bucket, emit, { ratio: false });
+    detectSpreads(bucket, emit, { ratio: true });
+
+    if (!stockLots.has(underlying)) {
+      const stockOperations = stockOperationsByUnderlying instanceof Map
+        ? stockOperationsByUnderlying.get(underlying) ?? []
+        : [];
+      stockLots.set(underlying, summarizeStockLots(stockOperations));
+    }
+    detectCoveredCalls(bucket, stockLots.get(underlying), emit);
+  });
+
+  const unmatched = positions
+    .filter(available)
+    .map((position) => ({
+      underlying: position.underlying,
+      expiration: position.expiration,
+      type: position.type,
+      strike: position.strike,
+      quantity: position.remaining,
+      premium: position.premium,
+    }));
+
+  return { strategies, unmatched };
+};
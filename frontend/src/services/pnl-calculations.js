@@ -8,9 +8,16 @@ import {
   ESTADOS,
   LADOS,
   CAUCION_TIPOS,
+  DOLLAR_PATTERNS,
+  TIPOS_CAMBIO,
   createResultadoPatron,
 } from './arbitrage-types.js';
+import { CAUCION_LINK_MODES } from './caucion-matching.js';
 import { getRepoFeeConfig } from './fees/broker-fees-storage.js';
+import { multiplyMoney, roundMoney, roundToDecimals, sumMoney } from './money.js';
+
+// Arbitrage P&L is settled in pesos, same as the caución it is financed with
+const PNL_CURRENCY = 'ARS';
 
 /**
  * Calculate P&L for a given grupo (instrument + plazo)
@@ -106,7 +113,7 @@ async function calculatePatronVentaCICompra24h(grupo) {
   const totalComisionesCompras = sumCommissions(compras24h) * proportionCompras;
   const comisionesTotales = totalComisionesVentas + totalComisionesCompras;
   
-  resultado.pnl_trade = pnlTradeGross - comisionesTotales;
+  resultado.pnl_trade = sumMoney([pnlTradeGross, -comisionesTotales], PNL_CURRENCY);
 
   // Add breakdown information for UI display
   // Use raw prices for display (original values from CSV)
@@ -114,23 +121,22 @@ async function calculatePatronVentaCICompra24h(grupo) {
   const avgRawPriceCompras24h = calculateWeightedAverageRawPrice(compras24h);
   
   resultado.ventaCI_breakdown = {
-    totalValue: Math.round(avgPrecioVentasCI * matchedQty * 100) / 100,
-    avgPrice: Math.round(avgRawPriceVentasCI * 100) / 100, // Display original price from CSV
-    totalFees: Math.round(totalComisionesVentas * 100) / 100,
+    totalValue: multiplyMoney(avgPrecioVentasCI, [matchedQty], { currency: PNL_CURRENCY }),
+    avgPrice: roundToDecimals(avgRawPriceVentasCI, 2), // Display original price from CSV
+    totalFees: roundMoney(totalComisionesVentas, PNL_CURRENCY),
     quantity: totalVentasCI,
   };
   resultado.compra24h_breakdown = {
-    totalValue: Math.round(avgPrecioCompras24h * matchedQty * 100) / 100,
-    avgPrice: Math.round(avgRawPriceCompras24h * 100) / 100, // Display original price from CSV
-    totalFees: Math.round(totalComisionesCompras * 100) / 100,
+    totalValue: multiplyMoney(avgPrecioCompras24h, [matchedQty], { currency: PNL_CURRENCY }),
+    avgPrice: roundToDecimals(avgRawPriceCompras24h, 2), // Display original price from CSV
+    totalFees: roundMoney(totalComisionesCompras, PNL_CURRENCY),
     quantity: totalCompras24h,
   };
 
-  // Calculate caución P&L always using grupo.avgTNA and repo-fees breakdown
-  // NOTE: attached cauciones are ignored here per new requirement; we
-  // always use avgTNA and estimate ByMA/repo fees via the repo-fees calculator.
+  // Calculate caución P&L from the cauciones linked to this pattern; the
+  // notional they do not cover accrues at grupo.avgTNA (currency average).
   const avgTNA = grupo.avgTNA || 0;
-  resultado.cauciones = []; // attached cauciones are not used anymore
+  const linkedCauciones = filterCaucionesByType(grupo.cauciones || [], CAUCION_TIPOS.COLOCADORA);
   resultado.avgTNA = avgTNA; // Store avgTNA for display
 
   if (plazo > 0) {
@@ -140,9 +146,13 @@ async function calculatePatronVentaCICompra24h(grupo) {
     const totalOperationFeeAmount = ventasCI.reduce((sum, op) => sum + (op.feeAmount || 0), 0) * (matchedQty / (totalVentasCI || matchedQty));
 
     // Principal (net cash received when selling CI and lending)
-    const principal = operationTotal - proportionalBrokerCommissions - totalOperationFeeAmount;
-    const accruedInterest = principal * (avgTNA / 100) * (plazo / 365);
-    const baseAmount = principal + accruedInterest;
+    const principal = sumMoney([operationTotal, -proportionalBrokerCommissions, -totalOperationFeeAmount], PNL_CURRENCY);
+    const financing = resolveCaucionFinancing(principal, linkedCauciones, avgTNA, plazo);
+    const accruedInterest = financing.accruedInterest;
+    const baseAmount = sumMoney([principal, accruedInterest], PNL_CURRENCY);
+    resultado.cauciones = financing.cauciones;
+    resultado.caucionTNA = financing.tna;
+    resultado.caucionLinkMode = financing.mode;
 
     // Default caucion fees to 0 and attempt to compute a full repo (ByMA) breakdown
     let caucionFees = 0;
@@ -151,14 +161,15 @@ async function calculatePatronVentaCICompra24h(grupo) {
       if (repoFeeConfig) {
         const { calculateRepoExpenseBreakdown } = await import('./fees/repo-fees.js');
         const tenorDays = plazo;
-        const priceTNA = avgTNA;
+        const priceTNA = financing.tna;
         const repoOperationInput = {
           id: `${resultado.patron}-${grupo.instrumento}-${plazo}`,
           instrument: { cfiCode: 'RP', displayName: `${grupo.instrumento} ${tenorDays}D` },
-          currency: 'ARS',
+          currency: PNL_CURRENCY,
           role: CAUCION_TIPOS.COLOCADORA,
           principalAmount: principal,
           baseAmount,
+          accruedInterest,
           priceTNA,
           tenorDays,
         };
@@ -183,19 +194,19 @@ async function calculatePatronVentaCICompra24h(grupo) {
 
           resultado.caucionFeesBreakdown = normalized;
           caucionFees = normalized.totalExpenses || 0;
-          resultado.caucionFeesTotal = Math.round(caucionFees * 100) / 100;
+          resultado.caucionFeesTotal = roundMoney(caucionFees, PNL_CURRENCY);
         }
       }
     } catch (_e) {
       void _e; // non-fatal — keep caucionFees as computed (likely 0)
     }
 
-    resultado.principal = Math.round(principal * 100) / 100;
-    resultado.accruedInterest = Math.round(accruedInterest * 100) / 100;
-    resultado.baseAmount = Math.round(baseAmount * 100) / 100;
+    resultado.principal = principal;
+    resultado.accruedInterest = accruedInterest;
+    resultado.baseAmount = baseAmount;
 
     // caucion P&L = accruedInterest (earnings) - fees
-    resultado.pnl_caucion = Math.round((accruedInterest - caucionFees) * 100) / 100;
+    resultado.pnl_caucion = sumMoney([accruedInterest, -caucionFees], PNL_CURRENCY);
     resultado.estado = totalVentasCI === totalCompras24h ? ESTADOS.COMPLETO : ESTADOS.CANTIDADES_DESBALANCEADAS;
   } else {
     resultado.pnl_caucion = 0;
@@ -203,7 +214,7 @@ async function calculatePatronVentaCICompra24h(grupo) {
   }
 
   // Total P&L
-  resultado.pnl_total = resultado.pnl_trade + resultado.pnl_caucion;
+  resultado.pnl_total = sumMoney([resultado.pnl_trade, resultado.pnl_caucion], PNL_CURRENCY);
   resultado.isCaucionColocadora = true;
 
   return resultado;
@@ -269,7 +280,7 @@ async function calculatePatronCompraCIVenta24h(grupo) {
   const totalComisionesVentas = sumCommissions(ventas24h) * proportionVentas;
   const comisionesTotales = totalComisionesCompras + totalComisionesVentas;
   
-  resultado.pnl_trade = pnlTradeGross - comisionesTotales;
+  resultado.pnl_trade = sumMoney([pnlTradeGross, -comisionesTotales], PNL_CURRENCY);
 
   // Add breakdown information for UI display
   // Use raw prices for display (original values from CSV)
@@ -277,23 +288,22 @@ async function calculatePatronCompraCIVenta24h(grupo) {
   const avgRawPriceVentas24h = calculateWeightedAverageRawPrice(ventas24h);
   
   resultado.compraCI_breakdown = {
-    totalValue: Math.round(avgPrecioComprasCI * matchedQty * 100) / 100,
-    avgPrice: Math.round(avgRawPriceComprasCI * 100) / 100, // Display original price from CSV
-    totalFees: Math.round(totalComisionesCompras * 100) / 100,
+    totalValue: multiplyMoney(avgPrecioComprasCI, [matchedQty], { currency: PNL_CURRENCY }),
+    avgPrice: roundToDecimals(avgRawPriceComprasCI, 2), // Display original price from CSV
+    totalFees: roundMoney(totalComisionesCompras, PNL_CURRENCY),
     quantity: totalComprasCI,
   };
   resultado.venta24h_breakdown = {
-    totalValue: Math.round(avgPrecioVentas24h * matchedQty * 100) / 100,
-    avgPrice: Math.round(avgRawPriceVentas24h * 100) / 100, // Display original price from CSV
-    totalFees: Math.round(totalComisionesVentas * 100) / 100,
+    totalValue: multiplyMoney(avgPrecioVentas24h, [matchedQty], { currency: PNL_CURRENCY }),
+    avgPrice: roundToDecimals(avgRawPriceVentas24h, 2), // Display original price from CSV
+    totalFees: roundMoney(totalComisionesVentas, PNL_CURRENCY),
     quantity: totalVentas24h,
   };
 
-  // Calculate caución P&L always using grupo.avgTNA and repo-fees breakdown
-  // NOTE: attached cauciones are ignored here per new requirement; we
-  // always use avgTNA and estimate ByMA/repo fees via the repo-fees calculator.
+  // Calculate caución P&L from the cauciones linked to this pattern; the
+  // notional they do not cover accrues at grupo.avgTNA (currency average).
   const avgTNA = grupo.avgTNA || 0;
-  resultado.cauciones = []; // attached cauciones are not used anymore
+  const linkedCauciones = filterCaucionesByType(grupo.cauciones || [], CAUCION_TIPOS.TOMADORA);
   resultado.avgTNA = avgTNA; // Store avgTNA for display
 
   if (plazo > 0) {
@@ -303,9 +313,13 @@ async function calculatePatronCompraCIVenta24h(grupo) {
     const totalOperationFeeAmount = comprasCI.reduce((sum, op) => sum + (op.feeAmount || 0), 0) * (matchedQty / (totalComprasCI || matchedQty));
 
     // Principal (cash paid when buying CI and borrowing)
-    const principal = operationTotal + proportionalBrokerCommissions + totalOperationFeeAmount;
-    const accruedInterest = principal * (avgTNA / 100) * (plazo / 365);
-    const baseAmount = principal + accruedInterest;
+    const principal = sumMoney([operationTotal, proportionalBrokerCommissions, totalOperationFeeAmount], PNL_CURRENCY);
+    const financing = resolveCaucionFinancing(principal, linkedCauciones, avgTNA, plazo);
+    const accruedInterest = financing.accruedInterest;
+    const baseAmount = sumMoney([principal, accruedInterest], PNL_CURRENCY);
+    resultado.cauciones = financing.cauciones;
+    resultado.caucionTNA = financing.tna;
+    resultado.caucionLinkMode = financing.mode;
 
     // Default caucion fees to 0 and attempt to compute a full repo (ByMA) breakdown
     let caucionFees = 0;
@@ -314,14 +328,15 @@ async function calculatePatronCompraCIVenta24h(grupo) {
       if (repoFeeConfig) {
         const { calculateRepoExpenseBreakdown } = await import('./fees/repo-fees.js');
         const tenorDays = plazo;
-        const priceTNA = avgTNA;
+        const priceTNA = financing.tna;
         const repoOperationInput = {
           id: `${resultado.patron}-${grupo.instrumento}-${plazo}`,
           instrument: { cfiCode: 'RP', displayName: `${grupo.instrumento} ${tenorDays}D` },
-          currency: 'ARS',
+          currency: PNL_CURRENCY,
           role: CAUCION_TIPOS.TOMADORA,
           principalAmount: principal,
           baseAmount,
+          accruedInterest,
           priceTNA,
           tenorDays,
         };
@@ -346,18 +361,18 @@ async function calculatePatronCompraCIVenta24h(grupo) {
 
           resultado.caucionFeesBreakdown = normalized;
           caucionFees = normalized.totalExpenses || 0;
-          resultado.caucionFeesTotal = Math.round(caucionFees * 100) / 100;
+          resultado.caucionFeesTotal = roundMoney(caucionFees, PNL_CURRENCY);
         }
       }
     } catch (_e) {
       void _e; // non-fatal — keep caucionFees as computed (likely 0)
     }
 
-    resultado.principal = Math.round(principal * 100) / 100;
-    resultado.accruedInterest = Math.round(accruedInterest * 100) / 100;
-    resultado.baseAmount = Math.round(baseAmount * 100) / 100;
+    resultado.principal = principal;
+    resultado.accruedInterest = accruedInterest;
+    resultado.baseAmount = baseAmount;
 
-    resultado.pnl_caucion = Math.round((-(accruedInterest + caucionFees)) * 100) / 100;
+    resultado.pnl_caucion = sumMoney([-accruedInterest, -caucionFees], PNL_CURRENCY);
     resultado.estado = totalComprasCI === totalVentas24h ? ESTADOS.COMPLETO : ESTADOS.CANTIDADES_DESBALANCEADAS;
   } else {
     resultado.pnl_caucion = 0;
@@ -365,12 +380,113 @@ async function calculatePatronCompraCIVenta24h(grupo) {
   }
 
   // Total P&L
-  resultado.pnl_total = resultado.pnl_trade + resultado.pnl_caucion;
+  resultado.pnl_total = sumMoney([resultado.pnl_trade, resultado.pnl_caucion], PNL_CURRENCY);
   resultado.isCaucionColocadora = false;
 
   return resultado;
 }
 
+// Peso leg side and dollar leg side of each dollar pattern, MEP first so it
+// takes the peso nominals before cable when a bond was traded against both
+const DOLLAR_PATTERN_LEGS = [
+  { patron: DOLLAR_PATTERNS.COMPRA_MEP, tipoCambio: TIPOS_CAMBIO.MEP, pesos: 'comprasPesos', dolares: 'ventas', compra: true },
+  { patron: DOLLAR_PATTERNS.VENTA_MEP, tipoCambio: TIPOS_CAMBIO.MEP, pesos: 'ventasPesos', dolares: 'compras', compra: false },
+  { patron: DOLLAR_PATTERNS.COMPRA_CCL, tipoCambio: TIPOS_CAMBIO.CCL, pesos: 'comprasPesos', dolares: 'ventas', compra: true },
+  { patron: DOLLAR_PATTERNS.VENTA_CCL, tipoCambio: TIPOS_CAMBIO.CCL, pesos: 'ventasPesos', dolares: 'compras', compra: false },
+];
+
+/**
+ * Calculate MEP/CCL P&L for dollar grupos (see aggregateDollarLegs).
+ * Each pattern pairs the peso leg with the dollar leg, computes the implied rate
+ * with fees included and values the dollars at the reference rate. When no
+ * reference is given for a rate, the day's average implied rate is used.
+ *
+ * @param {Iterable<import('./arbitrage-types.js').GrupoDolar>} grupos
+ * @param {Object<string, number>} [referenceRates] - e.g. { MEP: 1180, CCL: 1205 }
+ * @returns {import('./arbitrage-types.js').ResultadoDolar[]}
+ */
+export function calculateDollarArbitrages(grupos, referenceRates = {}) {
+  const resultados = [];
+
+  Array.from(grupos).forEach((grupo) => {
+    const pesosUsados = { comprasPesos: 0, ventasPesos: 0 };
+
+    DOLLAR_PATTERN_LEGS.forEach((legs) => {
+      const dollarLeg = grupo.dolares[legs.tipoCambio];
+      const pesoOps = grupo[legs.pesos];
+      const dollarOps = dollarLeg?.[legs.dolares] ?? [];
+      if (dollarOps.length === 0 || pesoOps.length === 0) return;
+
+      const totalPesos = sumQuantity(pesoOps);
+      const totalDolares = sumQuantity(dollarOps);
+      const pesosDisponibles = totalPesos - pesosUsados[legs.pesos];
+      const matchedQty = Math.min(pesosDisponibles, totalDolares);
+      if (!(matchedQty > 0)) return;
+      pesosUsados[legs.pesos] += matchedQty;
+
+      const precioPesos = calculateWeightedAverage(pesoOps);
+      const precioDolar = calculateWeightedAverage(dollarOps);
+      const feesPesos = roundMoney(sumCommissions(pesoOps) * (matchedQty / totalPesos), PNL_CURRENCY);
+      const feesDolares = roundMoney(sumCommissions(dollarOps) * (matchedQty / totalDolares), 'USD');
+      const brutoPesos = multiplyMoney(precioPesos, [matchedQty], { currency: PNL_CURRENCY });
+      const brutoDolares = multiplyMoney(precioDolar, [matchedQty], { currency: 'USD' });
+
+      // Buying dollars pays pesos plus fees and nets dollars minus fees; selling is the reverse
+      const sign = legs.compra ? 1 : -1;
+      const montoPesos = sumMoney([brutoPesos, sign * feesPesos], PNL_CURRENCY);
+      const montoDolares = sumMoney([brutoDolares, -sign * feesDolares], 'USD');
+
+      resultados.push({
+        patron: legs.patron,
+        tipoCambio: legs.tipoCambio,
+        bono: grupo.bono,
+        instrumentoDolar: dollarLeg.instrumento,
+        venue: grupo.venue,
+        isCompra: legs.compra,
+        matchedQty,
+        precioPesos: roundToDecimals(calculateWeightedAverageRawPrice(pesoOps), 2),
+        precioDolar: roundToDecimals(calculateWeightedAverageRawPrice(dollarOps), 2),
+        feesPesos,
+        feesDolares,
+        montoPesos,
+        montoDolares,
+        tipoCambioImplicito: montoDolares > 0 ? roundToDecimals(montoPesos / montoDolares, 4) : null,
+        tipoCambioReferencia: null,
+        referenciaOrigen: null,
+        pnl: 0,
+        estado: pesosDisponibles === totalDolares ? ESTADOS.COMPLETO : ESTADOS.CANTIDADES_DESBALANCEADAS,
+        operations: [...pesoOps, ...dollarOps],
+      });
+    });
+  });
+
+  // Day's average per rate: all pesos over all dollars, both directions
+  const promedios = {};
+  Object.values(TIPOS_CAMBIO).forEach((tipoCambio) => {
+    const delTipo = resultados.filter((r) => r.tipoCambio === tipoCambio);
+    const dolares = sumMoney(delTipo.map((r) => r.montoDolares), 'USD');
+    promedios[tipoCambio] = dolares > 0
+      ? roundToDecimals(sumMoney(delTipo.map((r) => r.montoPesos), PNL_CURRENCY) / dolares, 4)
+      : null;
+  });
+
+  resultados.forEach((resultado) => {
+    const manual = Number(referenceRates?.[resultado.tipoCambio]);
+    const hasManual = Number.isFinite(manual) && manual > 0;
+    const referencia = hasManual ? manual : promedios[resultado.tipoCambio];
+    resultado.tipoCambioReferencia = referencia;
+    resultado.referenciaOrigen = hasManual ? 'manual' : 'promedio';
+    if (!Number.isFinite(referencia)) return;
+
+    const valorReferencia = multiplyMoney(resultado.montoDolares, [referencia], { currency: PNL_CURRENCY });
+    resultado.pnl = resultado.isCompra
+      ? sumMoney([valorReferencia, -resultado.montoPesos], PNL_CURRENCY)
+      : sumMoney([resultado.montoPesos, -valorReferencia], PNL_CURRENCY);
+  });
+
+  return resultados;
+}
+
 /**
  * Sum total quantity from operations
  * @param {import('./arbitrage-types.js').Operacion[]} operations
@@ -444,11 +560,58 @@ function calculateWeightedAverageCommissions(operations) {
  * @param {string} tipo - 'colocadora' or 'tomadora'
  * @returns {import('./arbitrage-types.js').Caucion[]}
  */
-// eslint-disable-next-line no-unused-vars
 function filterCaucionesByType(cauciones, tipo) {
   return cauciones.filter((c) => c.tipo === tipo);
 }
 
+/**
+ * Accrue interest on the principal using the linked cauciones first, each at
+ * its own rate, and the average TNA for whatever they leave uncovered.
+ *
+ * @param {number} principal
+ * @param {Array<Object>} allocations - Linked cauciones with montoAsignado
+ * @param {number} avgTNA - Fallback annual rate (%)
+ * @param {number} plazo - Days
+ * @returns {{accruedInterest: number, tna: number, mode: string, cauciones: Array<Object>}}
+ */
+function resolveCaucionFinancing(principal, allocations, avgTNA, plazo) {
+  const options = { currency: PNL_CURRENCY, divisor: 36500 };
+  let uncovered = principal;
+  let weightedRate = 0;
+  const cauciones = [];
+
+  allocations.forEach((allocation) => {
+    const principalPortion = Math.min(allocation.montoAsignado, uncovered);
+    if (!(principalPortion > 0)) return;
+    uncovered = sumMoney([uncovered, -principalPortion], PNL_CURRENCY);
+    weightedRate += principalPortion * allocation.tasa;
+    cauciones.push({
+      ...allocation,
+      principalPortion,
+      interes: multiplyMoney(principalPortion, [allocation.tasa, plazo], options),
+    });
+  });
+
+  if (cauciones.length === 0) {
+    return {
+      accruedInterest: multiplyMoney(principal, [avgTNA, plazo], options),
+      tna: avgTNA,
+      mode: CAUCION_LINK_MODES.PROMEDIO,
+      cauciones,
+    };
+  }
+
+  const fallbackInterest = uncovered > 0 ? multiplyMoney(uncovered, [avgTNA, plazo], options) : 0;
+  weightedRate += Math.max(uncovered, 0) * avgTNA;
+
+  return {
+    accruedInterest: sumMoney([...cauciones.map((c) => c.interes), fallbackInterest], PNL_CURRENCY),
+    tna: principal > 0 ? weightedRate / principal : avgTNA,
+    mode: uncovered > 0 ? CAUCION_LINK_MODES.PARCIAL : CAUCION_LINK_MODES.VINCULADA,
+    cauciones,
+  };
+}
+
 /**
  * Calculate P&L from cauciones
  * For colocadora (lending): P&L = +interest earned
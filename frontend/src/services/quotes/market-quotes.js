@@ -0,0 +1,468 @@
+// market-quotes.js - Market quote snapshots (last/bid/ask per instrument) and mark-to-market
+// Snapshots come from an imported CSV/JSON file or from the broker's /rest/marketdata/get,
+// and price the open consolidated rows of the option and Compra/Venta views.
+
+import Papa from 'papaparse';
+import { getMarketData } from '../broker/jsrofex-client.js';
+import { getInstrumentDetails } from '../fees/instrument-mapping.js';
+import { multiplyMoney, parseLocaleAmount, sumMoney } from '../money.js';
+
+export const QUOTE_SOURCES = {
+  CSV: 'csv',
+  JSON: 'json',
+  BROKER: 'broker',
+};
+
+// Which side of the book a row was marked at
+export const MARK_SOURCES = {
+  BID: 'bid',
+  ASK: 'ask',
+  LAST: 'last',
+};
+
+// Normalized header/key -> field. Headers are lowercased, accents and punctuation become '_'
+const FIELD_ALIASES = {
+  symbol: ['symbol', 'simbolo', 'instrumento', 'instrument', 'ticker', 'especie'],
+  last: ['last', 'last_price', 'ultimo', 'ultimo_precio', 'precio', 'price', 'la'],
+  bid: ['bid', 'bid_price', 'compra', 'precio_compra', 'punta_compradora', 'bi'],
+  ask: ['ask', 'ask_price', 'offer', 'venta', 'precio_venta', 'punta_vendedora', 'of'],
+  timestamp: ['timestamp', 'fecha', 'fecha_hora', 'hora', 'date', 'time'],
+};
+
+const normalizeKey = (key) => String(key ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const pickField = (record, field) => {
+  const aliases = FIELD_ALIASES[field];
+  const key = Object.keys(record).find((candidate) => aliases.includes(normalizeKey(candidate)));
+  return key === undefined ? undefined : record[key];
+};
+
+const toPrice = (value) => {
+  const parsed = parseLocaleAmount(value);
+  return parsed !== null && parsed > 0 ? parsed : null;
+};
+
+// Primary entries: LA is an object, BI/OF are arrays ordered best first
+const pickBookPrice = (entry) => {
+  const top = Array.isArray(entry) ? entry[0] : entry;
+  return toPrice(top?.price);
+};
+
+const toTimestamp = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Normalizes a flat quote record or a Primary `{symbol, marketData}` answer.
+ * @param {Object} record
+ * @returns {{symbol: string, last: number|null, bid: number|null, ask: number|null, timestamp: string|null}|null}
+ */
+export const normalizeQuote = (record) => {
+  if (!record || typeof record !== 'object') {
+    return null;
+  }
+  const symbol = String(pickField(record, 'symbol') ?? '').trim();
+  if (!symbol) {
+    return null;
+  }
+
+  const { marketData } = record;
+  const quote = marketData && typeof marketData === 'object'
+    ? {
+      symbol,
+      last: pickBookPrice(marketData.LA),
+      bid: pickBookPrice(marketData.BI),
+      ask: pickBookPrice(marketData.OF),
+      timestamp: toTimestamp(marketData.LA?.date),
+    }
+    : {
+      symbol,
+      last: toPrice(pickField(record, 'last')),
+      bid: toPrice(pickField(record, 'bid')),
+      ask: toPrice(pickField(record, 'ask')),
+      timestamp: toTimestamp(pickField(record, 'timestamp')),
+    };
+
+  return quote.last === null && quote.bid === null && quote.ask === null ? null : quote;
+};
+
+const collectQuotes = (records) => {
+  const quotes = [];
+  let skipped = 0;
+  records.forEach((record) => {
+    const quote = normalizeQuote(record);
+    if (quote) {
+      quotes.push(quote);
+    } else {
+      skipped += 1;
+    }
+  });
+  return { quotes, skipped };
+};
+
+/**
+ * Parses a quotes CSV with a symbol column and at least one of last/bid/ask.
+ * @param {string} text
+ * @returns {{quotes: Array<Object>, skipped: number}}
+ */
+export const parseQuotesCsv = (text) => {
+  const { data, meta } = Papa.parse(typeof text === 'string' ? text : '', {
+    header: true,
+    skipEmptyLines: true,
+  });
+  const headers = (meta.fields ?? []).map(normalizeKey);
+  if (!headers.some((header) => FIELD_ALIASES.symbol.includes(header))) {
+    throw new Error('El archivo de cotizaciones no tiene una columna de símbolo.');
+  }
+  if (!['last', 'bid', 'ask'].some((field) => headers.some((header) => FIELD_ALIASES[field].includes(header)))) {
+    throw new Error('El archivo de cotizaciones no tiene columnas de último, compra o venta.');
+  }
+  return collectQuotes(data);
+};
+
+/**
+ * Parses a quotes JSON: an array of quotes, `{quotes: [...]}`, or an object keyed by symbol.
+ * @param {string|Object|Array} input
+ * @returns {{quotes: Array<Object>, skipped: number}}
+ */
+export const parseQuotesJson = (input) => {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error('El archivo de cotizaciones no es un JSON válido.');
+    }
+  }
+
+  let records;
+  if (Array.isArray(data)) {
+    records = data;
+  } else if (Array.isArray(data?.quotes)) {
+    records = data.quotes;
+  } else if (data && typeof data === 'object') {
+    records = Object.entries(data).map(([symbol, value]) => ({ symbol, ...(value ?? {}) }));
+  } else {
+    throw new Error('El archivo de cotizaciones no tiene un formato reconocido.');
+  }
+  return collectQuotes(records);
+};
+
+/**
+ * Builds a snapshot from parsed quotes. Later quotes of the same symbol replace earlier ones.
+ * @param {Array<Object>} quotes
+ * @param {{source: string, fileName?: string, skipped?: number, failed?: string[], now?: Date}} options
+ * @returns {{source: string, fileName: string|null, loadedAt: string, quotes: Array<Object>, skipped: number, failed: string[]}}
+ */
+export const createQuoteSnapshot = (quotes, {
+  source,
+  fileName = null,
+  skipped = 0,
+  failed = [],
+  now = new Date(),
+}) => {
+  const bySymbol = new Map();
+  quotes.forEach((quote) => bySymbol.set(quote.symbol.toUpperCase(), quote));
+  return {
+    source,
+    fileName,
+    loadedAt: now.toISOString(),
+    quotes: Array.from(bySymbol.values()),
+    skipped,
+    failed,
+  };
+};
+
+/**
+ * Reads an imported quotes file (.json, otherwise CSV) into a snapshot.
+ * @param {File} file
+ * @returns {Promise<Object>}
+ */
+export const readQuotesFile = async (file) => {
+  const text = await file.text();
+  const isJson = /\.json$/i.test(file.name ?? '') || file.type === 'application/json';
+  const { quotes, skipped } = isJson ? parseQuotesJson(text) : parseQuotesCsv(text);
+  if (quotes.length === 0) {
+    throw new Error('El archivo no tiene cotizaciones con precio.');
+  }
+  return createQuoteSnapshot(quotes, {
+    source: isJson ? QUOTE_SOURCES.JSON : QUOTE_SOURCES.CSV,
+    fileName: file.name,
+    skipped,
+  });
+};
+
+/**
+ * Requests each symbol from the broker one at a time; symbols that fail are listed in `failed`.
+ * @param {string[]} symbols - full market symbols (e.g. 'MERV - XMEV - AL30 - 24hs')
+ * @param {Object} [options]
+ * @param {string} [options.token] - broker session token (defaults to the client's current one)
+ * @param {Function} [options.fetchMarketData] - same contract as getMarketData
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} snapshot
+ */
+export const fetchBrokerQuotes = async (symbols, {
+  token,
+  fetchMarketData = getMarketData,
+  now = new Date(),
+} = {}) => {
+  const unique = Array.from(new Set(symbols.filter(Boolean)));
+  const quotes = [];
+  const failed = [];
+
+  for (const symbol of unique) {
+    try {
+      const quote = normalizeQuote(await fetchMarketData({ symbol, token }));
+      if (quote) {
+        quotes.push(quote);
+      } else {
+        failed.push(symbol);
+      }
+    } catch (error) {
+      if (error?.message?.startsWith('AUTH_REQUIRED')) {
+        throw error;
+      }
+      console.warn('PO: marketdata-request-failed', { symbol, message: error?.message });
+      failed.push(symbol);
+    }
+  }
+
+  if (quotes.length === 0 && unique.length > 0) {
+    throw new Error('El broker no devolvió cotizaciones para los instrumentos abiertos.');
+  }
+  return createQuoteSnapshot(quotes, { source: QUOTE_SOURCES.BROKER, failed, now });
+};
+
+/**
+ * Local stand-in for getMarketData that answers in the Primary format from fixed prices.
+ * @param {Object<string, {last?: number, bid?: number, ask?: number}>} pricesBySymbol
+ * @returns {Function}
+ */
+export const createMarketDataStub = (pricesBySymbol = {}) => async ({ symbol }) => {
+  const prices = pricesBySymbol[symbol];
+  if (!prices) {
+    throw new Error('GET_MARKETDATA_ERROR: HTTP 404');
+  }
+  const book = (price) => (Number.isFinite(price) ? [{ price, size: 1 }] : null);
+  return {
+    symbol,
+    marketData: {
+      LA: Number.isFinite(prices.last) ? { price: prices.last, size: 1, date: Date.now() } : null,
+      BI: book(prices.bid),
+      OF: book(prices.ask),
+    },
+  };
+};
+
+const splitComponents = (symbol) => String(symbol ?? '')
+  .toUpperCase()
+  .split(/\s*-\s*/)
+  .map((part) => part.trim())
+  .filter(Boolean);
+
+/**
+ * Index of a snapshot by full symbol and by each ticker component,
+ * so 'AL30' with settlement 'CI' finds 'MERV - XMEV - AL30 - CI'.
+ * @param {Object|null} snapshot
+ * @returns {{bySymbol: Map<string, Object>, byComponent: Map<string, Object[]>}}
+ */
+export const indexQuotes = (snapshot) => {
+  const bySymbol = new Map();
+  const byComponent = new Map();
+  (snapshot?.quotes ?? []).forEach((quote) => {
+    bySymbol.set(quote.symbol.toUpperCase(), quote);
+    splitComponents(quote.symbol).forEach((component) => {
+      if (!byComponent.has(component)) {
+        byComponent.set(component, []);
+      }
+      byComponent.get(component).push(quote);
+    });
+  });
+  return { bySymbol, byComponent };
+};
+
+/**
+ * @param {ReturnType<typeof indexQuotes>} index
+ * @param {string} symbol - full symbol or ticker
+ * @param {string} [settlement] - preferred settlement component ('CI', '24HS')
+ * @returns {Object|null}
+ */
+export const findQuote = (index, symbol, settlement) => {
+  const key = String(symbol ?? '').trim().toUpperCase();
+  if (!key) {
+    return null;
+  }
+  if (index.bySymbol.has(key)) {
+    return index.bySymbol.get(key);
+  }
+  const components = splitComponents(key);
+  // Full symbols end in the settlement: 'MERV - XMEV - AL30 - CI'
+  const ticker = components.length > 1 ? components[components.length - 2] : key;
+  const candidates = index.byComponent.get(ticker) ?? [];
+  const wanted = String(settlement ?? (components.length > 1 ? components[components.length - 1] : '')).trim().toUpperCase();
+  return candidates.find((quote) => wanted && splitComponents(quote.symbol).includes(wanted))
+    ?? candidates[0]
+    ?? null;
+};
+
+/**
+ * Price a position would close at: bid for longs, ask for shorts, last when that side is empty.
+ * @param {Object} quote
+ * @param {number} quantity - signed
+ * @returns {{price: number, source: string}|null}
+ */
+export const resolveMarkPrice = (quote, quantity) => {
+  if (!quote) {
+    return null;
+  }
+  const [side, source] = quantity > 0 ? ['bid', MARK_SOURCES.BID] : ['ask', MARK_SOURCES.ASK];
+  if (Number.isFinite(quote[side])) {
+    return { price: quote[side], source };
+  }
+  return Number.isFinite(quote.last) ? { price: quote.last, source: MARK_SOURCES.LAST } : null;
+};
+
+/**
+ * Reference price of each underlying in a snapshot: last trade, else the bid/ask midpoint
+ * or whichever side is quoted. Underlyings without a usable quote are left out.
+ * @param {Object|null} snapshot
+ * @param {string[]} symbols - tickers ('GGAL', 'YPFD')
+ * @param {string} [settlement] - preferred settlement component
+ * @returns {Object<string, number>}
+ */
+export const resolveUnderlyingPrices = (snapshot, symbols = [], settlement) => {
+  if (!snapshot) {
+    return {};
+  }
+  const index = indexQuotes(snapshot);
+  const prices = {};
+  symbols.forEach((symbol) => {
+    const quote = findQuote(index, symbol, settlement);
+    if (!quote) {
+      return;
+    }
+    const mid = Number.isFinite(quote.bid) && Number.isFinite(quote.ask) ? (quote.bid + quote.ask) / 2 : null;
+    const price = quote.last ?? mid ?? quote.bid ?? quote.ask;
+    if (Number.isFinite(price) && price > 0) {
+      prices[symbol] = price;
+    }
+  });
+  return prices;
+};
+
+const addToTotals = (totals, currency, amount) => {
+  totals[currency] = sumMoney([totals[currency] ?? 0, amount], currency);
+};
+
+/**
+ * Marks open rows to market. Rows without a quote keep `mark: null` and stay out of the totals.
+ * Unrealized P&L = (mark - average price) × signed quantity × contract multiplier × price factor.
+ * Totals are kept per currency, since peso and dollar instruments can share a view.
+ *
+ * @param {Array<Object>} rows
+ * @param {Object|null} snapshot
+ * @param {Object} accessors
+ * @param {(row: Object) => string} accessors.getSymbol
+ * @param {(row: Object) => number} accessors.getQuantity - signed, long positive
+ * @param {(row: Object) => number} accessors.getPrice - average entry price, same units as the quotes
+ * @param {(row: Object) => string} [accessors.getSettlement]
+ * @param {(row: Object) => string} [accessors.getGroup] - key for the per-group totals
+ * @returns {{rows: Array<Object>, totals: Object<string, number>, byGroup: Object<string, Object<string, number>>, quoted: number, missing: string[]}}
+ */
+export const markRowsToMarket = (rows, snapshot, {
+  getSymbol,
+  getQuantity,
+  getPrice,
+  getSettlement = () => undefined,
+  getGroup = () => '',
+}) => {
+  const source = Array.isArray(rows) ? rows : [];
+  const totals = {};
+  const byGroup = {};
+  if (!snapshot) {
+    return { rows: source, totals, byGroup, quoted: 0, missing: [] };
+  }
+
+  const index = indexQuotes(snapshot);
+  const missing = new Set();
+  let quoted = 0;
+
+  const marked = source.map((row) => {
+    const quantity = getQuantity(row);
+    const symbol = getSymbol(row);
+    // Cauciones are financing, not positions with a market price
+    if (!Number.isFinite(quantity) || quantity === 0 || row.category === 'caucion') {
+      return { ...row, mark: null };
+    }
+    const markPrice = resolveMarkPrice(findQuote(index, symbol, getSettlement(row)), quantity);
+    if (!markPrice) {
+      missing.add(symbol);
+      return { ...row, mark: null };
+    }
+
+    const details = getInstrumentDetails(symbol);
+    const isOption = row.optionType === 'CALL' || row.optionType === 'PUT' || row.category === 'option';
+    const contractMultiplier = details?.contractMultiplier ?? (isOption ? 100 : 1);
+    const priceConversionFactor = details?.priceConversionFactor ?? 1;
+    const currency = (details?.currency ?? 'ARS').toUpperCase();
+    const unrealizedPnl = multiplyMoney(
+      markPrice.price - getPrice(row),
+      [quantity, contractMultiplier, priceConversionFactor],
+      { currency },
+    );
+
+    quoted += 1;
+    const group = getGroup(row);
+    byGroup[group] = byGroup[group] ?? {};
+    addToTotals(byGroup[group], currency, unrealizedPnl);
+    addToTotals(totals, currency, unrealizedPnl);
+    return {
+      ...row,
+      mark: {
+        price: markPrice.price,
+        source: markPrice.source,
+        unrealizedPnl,
+        currency,
+      },
+    };
+  });
+
+  return {
+    rows: marked,
+    totals,
+    byGroup,
+    quoted,
+    missing: Array.from(missing),
+  };
+};
+
+/**
+ * Adds up the totals of several markRowsToMarket results (e.g. the calls and puts tables).
+ * @param {...Object} summaries
+ * @returns {{totals: Object<string, number>, byGroup: Object<string, Object<string, number>>, quoted: number, missing: string[]}}
+ */
+export const mergeMarkSummaries = (...summaries) => {
+  const totals = {};
+  const byGroup = {};
+  const missing = new Set();
+  let quoted = 0;
+  summaries.forEach((summary) => {
+    Object.entries(summary?.totals ?? {}).forEach(([currency, amount]) => addToTotals(totals, currency, amount));
+    Object.entries(summary?.byGroup ?? {}).forEach(([group, groupTotals]) => {
+      byGroup[group] = byGroup[group] ?? {};
+      Object.entries(groupTotals).forEach(([currency, amount]) => addToTotals(byGroup[group], currency, amount));
+    });
+    (summary?.missing ?? []).forEach((symbol) => missing.add(symbol));
+    quoted += summary?.quoted ?? 0;
+  });
+  return { totals, byGroup, quoted, missing: Array.from(missing) };
+};
@@ -0,0 +1,136 @@
+/**
+ * Rate conversions for cauciones
+ * All rates are percentages, like the TNA quoted by the market (36.5 = 36,5%).
+ *
+ * TNA is the simple nominal annual rate of a caución for its tenor, so the TEA
+ * depends on how often it is renewed: a 1-day caución capitalizes daily, a 7-day
+ * one weekly. TEM is the effective rate for 30 days and TED the effective daily rate.
+ */
+
+export const DAYS_PER_YEAR = 365;
+export const DAYS_PER_MONTH = 30;
+
+export const RATE_TYPES = {
+  TNA: 'TNA',
+  TEA: 'TEA',
+  TEM: 'TEM',
+  TED: 'TED',
+};
+
+// Days each effective rate is compounded over
+const EFFECTIVE_PERIODS = {
+  [RATE_TYPES.TEA]: DAYS_PER_YEAR,
+  [RATE_TYPES.TEM]: DAYS_PER_MONTH,
+  [RATE_TYPES.TED]: 1,
+};
+
+const isValidTenor = (tenorDays) => Number.isFinite(tenorDays) && tenorDays > 0;
+
+/**
+ * Growth factor over one day, from any rate type.
+ * @returns {number|null}
+ */
+const toDailyFactor = (rate, type, tenorDays) => {
+  if (!Number.isFinite(rate)) {
+    return null;
+  }
+  if (type === RATE_TYPES.TNA) {
+    if (!isValidTenor(tenorDays)) {
+      return null;
+    }
+    const periodFactor = 1 + (rate / 100) * (tenorDays / DAYS_PER_YEAR);
+    return periodFactor > 0 ? periodFactor ** (1 / tenorDays) : null;
+  }
+  const periodDays = EFFECTIVE_PERIODS[type];
+  if (!periodDays || 1 + rate / 100 <= 0) {
+    return null;
+  }
+  return (1 + rate / 100) ** (1 / periodDays);
+};
+
+const fromDailyFactor = (dailyFactor, type, tenorDays) => {
+  if (type === RATE_TYPES.TNA) {
+    if (!isValidTenor(tenorDays)) {
+      return null;
+    }
+    return ((dailyFactor ** tenorDays) - 1) * (DAYS_PER_YEAR / tenorDays) * 100;
+  }
+  const periodDays = EFFECTIVE_PERIODS[type];
+  return periodDays ? ((dailyFactor ** periodDays) - 1) * 100 : null;
+};
+
+/**
+ * Converts a rate between TNA, TEA, TEM and TED.
+ * @param {number} rate - percentage
+ * @param {string} from - RATE_TYPES
+ * @param {string} to - RATE_TYPES
+ * @param {{tenorDays?: number}} [options] - tenor of the TNA (defaults to 1 day)
+ * @returns {number|null}
+ */
+export function convertRate(rate, from, to, { tenorDays = 1 } = {}) {
+  if (!Object.values(RATE_TYPES).includes(from) || !Object.values(RATE_TYPES).includes(to)) {
+    throw new Error(`Tipo de tasa desconocido: ${from} → ${to}`);
+  }
+  const dailyFactor = toDailyFactor(rate, from, tenorDays);
+  return dailyFactor === null ? null : fromDailyFactor(dailyFactor, to, tenorDays);
+}
+
+/**
+ * TNA of a tenor with its TEA, TEM and TED.
+ * @param {number} tna - percentage
+ * @param {number} [tenorDays]
+ * @returns {{tna: number, tea: number, tem: number, ted: number}|null}
+ */
+export function describeTNA(tna, tenorDays = 1) {
+  const tea = convertRate(tna, RATE_TYPES.TNA, RATE_TYPES.TEA, { tenorDays });
+  if (tea === null) {
+    return null;
+  }
+  return {
+    tna,
+    tea,
+    tem: convertRate(tna, RATE_TYPES.TNA, RATE_TYPES.TEM, { tenorDays }),
+    ted: convertRate(tna, RATE_TYPES.TNA, RATE_TYPES.TED, { tenorDays }),
+  };
+}
+
+/**
+ * Gross and net rates of a caución. Expenses (arancel, derechos de mercado, gastos de
+ * garantía and IVA) lower what a colocadora earns and raise what a tomadora pays.
+ * @param {Object} params
+ * @param {number} params.principal
+ * @param {number} params.interest - interest for the whole tenor
+ * @param {number} [params.expenses] - total expenses including IVA
+ * @param {number} params.tenorDays
+ * @param {'colocadora'|'tomadora'} params.role
+ * @returns {{gross: Object, net: Object}|null} each as returned by describeTNA
+ */
+export function calculateNetCaucionRates({ principal, interest, expenses = 0, tenorDays, role }) {
+  if (!Number.isFinite(principal) || principal <= 0 || !Number.isFinite(interest) || !isValidTenor(tenorDays)) {
+    return null;
+  }
+  const safeExpenses = Number.isFinite(expenses) ? Math.abs(expenses) : 0;
+  const netInterest = role === 'tomadora' ? interest + safeExpenses : interest - safeExpenses;
+  const annualize = (amount) => (amount / principal) * (DAYS_PER_YEAR / tenorDays) * 100;
+
+  const gross = describeTNA(annualize(interest), tenorDays);
+  const net = describeTNA(annualize(netInterest), tenorDays);
+  return gross && net ? { gross, net } : null;
+}
+
+/**
+ * Net rates from a repo expense breakdown (calculateRepoExpenseBreakdown).
+ * @returns {{gross: Object, net: Object}|null}
+ */
+export function calculateBreakdownRates(breakdown) {
+  if (!breakdown || breakdown.status !== 'ok') {
+    return null;
+  }
+  return calculateNetCaucionRates({
+    principal: breakdown.principalAmount,
+    interest: breakdown.accruedInterest,
+    expenses: breakdown.totalExpenses,
+    tenorDays: breakdown.tenorDays,
+    role: breakdown.role,
+  });
+}
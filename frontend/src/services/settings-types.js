@@ -3,6 +3,8 @@
  * Aligned with specs/003-redesign-the-current/data-model.md
  */
 
+import { MONTH_EXPIRATION_CODES, generateExpirationSuffixes } from './expiration-catalog.js';
+
 /**
  * @typedef {Object} StrikeOverride
  * @property {string} raw - Raw numeric token (e.g., "47343")
@@ -14,6 +16,7 @@
  * @property {string[]} suffixes - Allowed suffix forms (1-2 letters, uppercase)
  * @property {number} decimals - Expiration-specific default decimals (0-4)
  * @property {StrikeOverride[]} overrides - Strike override mappings
+ * @property {string|null} [expirationDate] - User override for the expiration date (YYYY-MM-DD)
  */
 
 /**
@@ -25,7 +28,10 @@
  * @property {number} updatedAt - Last updated timestamp (unix ms)
  */
 
-// Fixed expiration codes (per spec)
+export { MONTH_EXPIRATION_CODES };
+
+// Bimonthly series listed for every underlying (per spec). They are seeded first so they keep
+// the short 1-letter suffixes; the remaining months get whatever forms are still free.
 export const EXPIRATION_CODES = ['DIC', 'FEB', 'ABR', 'JUN', 'AGO', 'OCT'];
 
 // Validation constraints
@@ -33,6 +39,7 @@ export const DECIMALS_MIN = 0;
 export const DECIMALS_MAX = 4;
 export const SUFFIX_MIN_LENGTH = 1;
 export const SUFFIX_MAX_LENGTH = 2;
+export const SUFFIX_YEAR_DIGITS = 2;
 
 /**
  * Create a default SymbolConfiguration
@@ -41,9 +48,16 @@ export const SUFFIX_MAX_LENGTH = 2;
  */
 export function createDefaultSymbolConfig(symbol) {
   const expirations = {};
-  EXPIRATION_CODES.forEach((code) => {
+  const takenSuffixes = new Set();
+  const seedOrder = [
+    ...EXPIRATION_CODES,
+    ...MONTH_EXPIRATION_CODES.filter((code) => !EXPIRATION_CODES.includes(code)),
+  ];
+  seedOrder.forEach((code) => {
+    const suffixes = generateExpirationSuffixes(code, takenSuffixes);
+    suffixes.forEach((suffix) => takenSuffixes.add(suffix));
     expirations[code] = {
-      suffixes: [code.charAt(0), code.substring(0, 2)], // Default: 1-letter and 2-letter forms
+      suffixes,
       decimals: 0,
       overrides: [],
     };
@@ -3,7 +3,13 @@
  * Per repository constitution: pure functions, testable without DOM
  */
 
-import { DECIMALS_MIN, DECIMALS_MAX, SUFFIX_MIN_LENGTH, SUFFIX_MAX_LENGTH } from './settings-types.js';
+import {
+  DECIMALS_MIN,
+  DECIMALS_MAX,
+  SUFFIX_MIN_LENGTH,
+  SUFFIX_MAX_LENGTH,
+  SUFFIX_YEAR_DIGITS,
+} from './settings-types.js';
 
 /**
  * Validate and normalize symbol identifier
@@ -54,7 +60,7 @@ export function validatePrefix(prefix) {
 }
 
 /**
- * Validate suffix (1 or 2 letters only)
+ * Validate suffix (1 or 2 letters, optionally followed by a 2-digit year: "OC", "OC26")
  * @param {string} suffix - Suffix input
  * @returns {{valid: boolean, normalized?: string, error?: string}}
  */
@@ -64,14 +70,15 @@ export function validateSuffix(suffix) {
   }
 
   const trimmed = suffix.trim().toUpperCase();
-  const len = trimmed.length;
+  const match = trimmed.match(new RegExp(`^([A-Z]+)(\\d{${SUFFIX_YEAR_DIGITS}})?$`));
 
-  if (len < SUFFIX_MIN_LENGTH || len > SUFFIX_MAX_LENGTH) {
-    return { valid: false, error: `Suffix must be ${SUFFIX_MIN_LENGTH}-${SUFFIX_MAX_LENGTH} letters` };
+  if (!match) {
+    return { valid: false, error: `Suffix must contain only letters (optionally followed by a ${SUFFIX_YEAR_DIGITS}-digit year)` };
   }
 
-  if (!/^[A-Z]+$/.test(trimmed)) {
-    return { valid: false, error: 'Suffix must contain only letters' };
+  const len = match[1].length;
+  if (len < SUFFIX_MIN_LENGTH || len > SUFFIX_MAX_LENGTH) {
+    return { valid: false, error: `Suffix must be ${SUFFIX_MIN_LENGTH}-${SUFFIX_MAX_LENGTH} letters` };
   }
 
   return { valid: true, normalized: trimmed };
@@ -179,3 +179,17 @@ export async function clearAllSymbols() {
     return false;
   }
 }
+
+/**
+ * Raw stored values of every symbol configuration, keyed by storage key.
+ * Used to hydrate the in-memory storage of the processing worker.
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function getSymbolSettingsSnapshot() {
+  const symbols = await getAllSymbols();
+  const entries = await Promise.all(symbols.map(async (symbol) => {
+    const config = await loadSymbolConfig(symbol);
+    return config ? [STORAGE_PREFIX + symbol.toUpperCase(), JSON.stringify(config)] : null;
+  }));
+  return Object.fromEntries(entries.filter(Boolean));
+}
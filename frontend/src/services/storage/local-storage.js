@@ -14,7 +14,14 @@ export const storageKeys = {
   brokerAuth: 'po.brokerAuth',
   operations: 'po.operations',
   brokerFees: 'po.brokerFees.v1',
+  feeProfiles: 'po.feeProfiles.v1',
+  feeVolumes: 'po.feeVolumes.v1',
   repoFeeConfig: 'po.repoFeeConfig.v1',
+  positionLedger: 'po.positionLedger.v1',
+  caucionBook: 'po.caucionBook.v1',
+  holidays: 'po.holidays.v1',
+  importProfiles: 'po.importProfiles.v1',
+  instrumentCatalog: 'po.instrumentCatalog.v1',
 };
 
 /**
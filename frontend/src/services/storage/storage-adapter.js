@@ -12,18 +12,77 @@ function isChromeExtension() {
   return typeof chrome !== 'undefined' && chrome?.storage?.local;
 }
 
+/**
+ * Detect a worker context (no window, no chrome.storage)
+ * @returns {boolean}
+ */
+function isWorkerContext() {
+  return typeof window === 'undefined' && typeof self !== 'undefined' && typeof self.postMessage === 'function';
+}
+
+/**
+ * Minimal in-memory Storage used inside Web Workers, hydrated from the main thread
+ * @returns {Storage}
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => Array.from(items.keys())[index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+    clear: () => items.clear(),
+  };
+}
+
 /**
  * Storage adapter class
  */
 class StorageAdapter {
   constructor() {
     this.isExtension = isChromeExtension();
-    this.storageType = this.isExtension ? 'chrome.storage' : 'localStorage';
+    this.memoryStorage = !this.isExtension && isWorkerContext() ? createMemoryStorage() : null;
+    if (this.isExtension) {
+      this.storageType = 'chrome.storage';
+    } else {
+      this.storageType = this.memoryStorage ? 'memory' : 'localStorage';
+    }
     if (typeof console !== 'undefined') {
       console.log(`[StorageAdapter] Using ${this.storageType}`);
     }
   }
 
+  /**
+   * Web Storage backend (localStorage, or the in-memory store inside workers)
+   * @returns {Storage}
+   */
+  get webStorage() {
+    return this.memoryStorage ?? window.localStorage;
+  }
+
+  /**
+   * Load raw values into the in-memory store. No-op outside workers.
+   * @param {Object<string, string>} entries - Raw stored values by key
+   */
+  hydrate(entries = {}) {
+    if (!this.memoryStorage) {
+      return;
+    }
+    this.memoryStorage.clear();
+    Object.entries(entries).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        this.memoryStorage.setItem(key, value);
+      }
+    });
+  }
+
   /**
    * Get item from storage
    * @param {string} key - Storage key
@@ -39,7 +98,7 @@ class StorageAdapter {
     } else {
       // localStorage - synchronous, wrap in Promise for consistent API
       try {
-        const value = window.localStorage.getItem(key);
+        const value = this.webStorage.getItem(key);
         return Promise.resolve(value);
       } catch (error) {
         console.error('[StorageAdapter] localStorage.getItem failed:', error);
@@ -69,7 +128,7 @@ class StorageAdapter {
     } else {
       // localStorage
       try {
-        window.localStorage.setItem(key, value);
+        this.webStorage.setItem(key, value);
         return Promise.resolve(true);
       } catch (error) {
         console.error('[StorageAdapter] localStorage.setItem failed:', error);
@@ -98,7 +157,7 @@ class StorageAdapter {
     } else {
       // localStorage
       try {
-        window.localStorage.removeItem(key);
+        this.webStorage.removeItem(key);
         return Promise.resolve(true);
       } catch (error) {
         console.error('[StorageAdapter] localStorage.removeItem failed:', error);
@@ -124,8 +183,8 @@ class StorageAdapter {
       // localStorage
       try {
         const keys = [];
-        for (let i = 0; i < window.localStorage.length; i++) {
-          const key = window.localStorage.key(i);
+        for (let i = 0; i < this.webStorage.length; i++) {
+          const key = this.webStorage.key(i);
           if (key && (!prefix || key.startsWith(prefix))) {
             keys.push(key);
           }
@@ -163,9 +222,9 @@ class StorageAdapter {
       try {
         if (prefix) {
           const keys = await this.getAllKeys(prefix);
-          keys.forEach(key => window.localStorage.removeItem(key));
+          keys.forEach(key => this.webStorage.removeItem(key));
         } else {
-          window.localStorage.clear();
+          this.webStorage.clear();
         }
         return Promise.resolve(true);
       } catch (error) {
@@ -185,8 +244,8 @@ class StorageAdapter {
     } else {
       try {
         const testKey = '__storage_test__';
-        window.localStorage.setItem(testKey, testKey);
-        window.localStorage.removeItem(testKey);
+        this.webStorage.setItem(testKey, testKey);
+        this.webStorage.removeItem(testKey);
         return true;
       } catch {
         return false;
@@ -196,7 +255,7 @@ class StorageAdapter {
 
   /**
    * Get the current storage backend type
-   * @returns {string} 'chrome.storage' or 'localStorage'
+   * @returns {string} 'chrome.storage', 'localStorage' or 'memory'
    */
   getStorageType() {
     return this.storageType;
@@ -0,0 +1,80 @@
+/**
+ * Strike audit - compares the configured prefix/decimals rules against the instrument catalog.
+ * The catalog strike wins during processing; this report shows which rules would have been wrong.
+ */
+
+import { getCatalogOptions } from './fees/instrument-mapping.js';
+import { parseToken, resolveConfiguredStrike } from './csv/process-operations.js';
+
+const MAX_SUGGESTED_DECIMALS = 6;
+
+const collectPrefixes = (config) => {
+  const prefixes = Array.isArray(config?.prefixes) ? config.prefixes : [config?.prefix];
+  return prefixes
+    .filter((prefix) => typeof prefix === 'string')
+    .map((prefix) => prefix.trim().toUpperCase())
+    .filter(Boolean);
+};
+
+/**
+ * Decimals that turn the token digits into the catalog strike (e.g. '50131' and 5013.1 -> 1).
+ * @param {string} strikeToken
+ * @param {number} catalogStrike
+ * @returns {number|null} null when no decimal shift matches
+ */
+export const suggestStrikeDecimals = (strikeToken, catalogStrike) => {
+  const digits = Number.parseInt(String(strikeToken ?? '').replace(/[^0-9]/g, ''), 10);
+  if (!Number.isFinite(digits) || !Number.isFinite(catalogStrike)) {
+    return null;
+  }
+  for (let decimals = 0; decimals <= MAX_SUGGESTED_DECIMALS; decimals += 1) {
+    if (Math.abs(digits / 10 ** decimals - catalogStrike) < 1e-9) {
+      return decimals;
+    }
+  }
+  return null;
+};
+
+/**
+ * Lists catalog options whose configured strike differs from the catalog strike.
+ * @param {Array<Object>} symbolConfigs - symbol configurations (prefix or prefixes, decimals, expirations)
+ * @param {Array<{token: string, symbol: string, strike: number}>} [catalogOptions]
+ * @returns {Array<{token: string, instrument: string, symbol: string, expirationCode: string,
+ *   configuredStrike: number, catalogStrike: number, decimalsApplied: number|null, suggestedDecimals: number|null}>}
+ */
+export const auditStrikeRules = (symbolConfigs = [], catalogOptions = getCatalogOptions()) => {
+  const configByPrefix = new Map();
+  symbolConfigs.forEach((config) => {
+    collectPrefixes(config).forEach((prefix) => configByPrefix.set(prefix, config));
+  });
+
+  const mismatches = [];
+  catalogOptions.forEach((option) => {
+    const parsed = parseToken(option.token);
+    const config = parsed ? configByPrefix.get(parsed.symbol) : null;
+    if (!config) {
+      return;
+    }
+
+    const configured = resolveConfiguredStrike(option.token, config);
+    if (!configured || !Number.isFinite(configured.strike)) {
+      return;
+    }
+    if (Math.abs(configured.strike - option.strike) < 1e-9) {
+      return;
+    }
+
+    mismatches.push({
+      token: option.token,
+      instrument: option.symbol,
+      symbol: config.symbol,
+      expirationCode: configured.expirationCode,
+      configuredStrike: configured.strike,
+      catalogStrike: option.strike,
+      decimalsApplied: configured.decimalsApplied,
+      suggestedDecimals: suggestStrikeDecimals(parsed.strikeToken, option.strike),
+    });
+  });
+
+  return mismatches.sort((a, b) => a.token.localeCompare(b.token));
+};
@@ -10,6 +10,9 @@ const strings = {
     broker: 'Broker',
     settingsGeneral: 'Instrumentos',
     settingsFees: 'Comisiones',
+    settingsHolidays: 'Feriados',
+    settingsInstrumentCatalog: 'Catálogo',
+    caucionCalculator: 'Calculadora de caución',
   },
   processor: {
     filters: {
@@ -20,6 +23,10 @@ const strings = {
       opciones: 'Opciones',
       compraVenta: 'Compra y Venta',
       arbitrajes: 'Arbitrajes de Plazo',
+      posiciones: 'Cartera',
+      cauciones: 'Cauciones',
+      excluidas: 'Excluidas',
+      conciliacion: 'Gastos',
       ariaLabel: 'Seleccionar tipo de operación',
     },
     viewControls: {
@@ -31,7 +38,7 @@ const strings = {
     },
     upload: {
       title: 'Procesar operaciones',
-      description: 'Seleccioná un archivo CSV con tus operaciones para generar el informe.',
+      description: 'Seleccioná uno o más archivos (CSV, .xlsx, .ods o JSON del broker) con tus operaciones para generar el informe.',
       selectButton: 'Seleccionar archivo',
       noFileSelected: 'Ningún archivo seleccionado',
       processButton: 'Procesar',
@@ -47,7 +54,7 @@ const strings = {
       orDivider: 'ó',
       chooseMethodTitle: 'Cargá tus operaciones',
       chooseMethodDescription: 'Elegí una de las siguientes opciones para importar tus operaciones:',
-      csvOption: 'Subir archivo CSV',
+      csvOption: 'Subir archivo CSV o planilla',
       brokerOption: 'Conectar con Broker',
     },
     sourcesIndicator: {
@@ -111,6 +118,13 @@ const strings = {
       comingSoon: 'Esta funcionalidad estará disponible próximamente.',
       averageByInstrument: 'Promediar',
       averageTooltip: 'Promediar por instrumento y plazo',
+      provenance: {
+        column: 'Origen',
+        row: 'fila {row}',
+        rows: '{count} filas',
+        files: '{count} archivos',
+        rowList: 'filas {rows}',
+      },
       feeTooltipLabels: {
         categoria: 'Categoría',
         bruto: 'Bruto',
@@ -124,6 +138,208 @@ const strings = {
         categoriaFallback: 'Categoría (fallback)',
       },
     },
+    greeks: {
+      title: 'Griegas (Black-Scholes)',
+      underlyingPrice: 'Precio subyacente',
+      rate: 'Tasa (TNA)',
+      hint: 'Ingresá el precio de cada subyacente o cargá cotizaciones para calcular VI y griegas. Los días al vencimiento salen del calendario de vencimientos de cada símbolo.',
+      columns: {
+        impliedVolatility: 'VI',
+        delta: 'Δ',
+        gamma: 'Γ',
+        theta: 'Θ/día',
+        vega: 'Vega',
+      },
+    },
+    expiry: {
+      column: 'Días al vto.',
+      manual: 'fecha manual',
+    },
+    payoff: {
+      title: 'Resultado al vencimiento',
+      maxProfit: 'Ganancia máx.',
+      maxLoss: 'Pérdida máx.',
+      breakevens: 'Breakeven',
+      unbounded: 'Ilimitada',
+      includeStock: 'Incluir acciones',
+    },
+    strategies: {
+      title: 'Estrategias detectadas',
+      strategy: 'Estrategia',
+      underlying: 'Subyacente',
+      legs: 'Patas',
+      netPremium: 'Débito / Crédito',
+      maxRisk: 'Riesgo máx.',
+      debit: 'Débito',
+      credit: 'Crédito',
+      unbounded: 'Ilimitado',
+      stock: 'acciones',
+      types: {
+        butterfly: 'Mariposa',
+        straddle: 'Straddle',
+        strangle: 'Strangle',
+        vertical: 'Spread vertical',
+        ratioSpread: 'Ratio spread',
+        coveredCall: 'Lanzamiento cubierto',
+      },
+    },
+    optionChain: {
+      viewLabel: 'Vista de opciones',
+      tablesView: 'Tablas',
+      chainView: 'Cadena',
+      calls: 'CALLS',
+      puts: 'PUTS',
+      strike: 'Strike',
+    },
+    exclusions: {
+      total: '{count} filas excluidas',
+      download: 'Descargar CSV',
+      downloadError: 'No se pudo descargar el reporte de excluidas.',
+      empty: 'No se excluyó ninguna fila.',
+      columns: {
+        reason: 'Motivo',
+        file: 'Archivo',
+        row: 'Fila',
+        order: 'Orden',
+        symbol: 'Símbolo',
+        side: 'Lado',
+        quantity: 'Cantidad',
+        price: 'Precio',
+        status: 'Estado',
+      },
+      reasons: {
+        missingRequiredField: 'Falta un campo requerido',
+        invalidEventType: 'No es un reporte de ejecución',
+        invalidStatus: 'Estado no ejecutado',
+        invalidExecType: 'Tipo de ejecución distinto de fill',
+        invalidSide: 'Lado inválido',
+        invalidOptionType: 'Tipo de opción inválido',
+        invalidStrike: 'Strike inválido',
+        invalidQuantity: 'Cantidad inválida o cero',
+        invalidPrice: 'Precio inválido',
+        zeroNetQuantity: 'Cantidad neta cero al consolidar',
+      },
+    },
+    quotes: {
+      importButton: 'Importar cotizaciones',
+      brokerButton: 'Cotizar con broker',
+      brokerRequired: 'Iniciá sesión en el broker para cotizar',
+      brokerSource: 'Broker',
+      clear: 'Quitar cotizaciones',
+      snapshotLabel: '{source} · {time}',
+      imported: 'Se importaron {count} cotizaciones ({skipped} filas sin precio).',
+      importError: 'No se pudo leer el archivo de cotizaciones.',
+      fetched: 'Se cotizaron {count} instrumentos ({failed} sin respuesta del broker).',
+      fetchError: 'No se pudieron obtener cotizaciones del broker.',
+      unrealizedTotal: 'P&L no realizado: {amount}',
+      missing: '{count} instrumentos sin cotización',
+      markColumn: 'Mercado',
+      pnlColumn: 'P&L no real.',
+      markSources: {
+        bid: 'Punta compradora',
+        ask: 'Punta vendedora',
+        last: 'Último operado',
+      },
+    },
+    feeReconciliation: {
+      importButton: 'Importar boleto CSV',
+      clearImport: 'Quitar archivo',
+      imported: 'Se importaron gastos de {count} órdenes ({skipped} filas sin datos).',
+      importError: 'No se pudo leer el archivo de gastos.',
+      brokerCharges: '{count} órdenes con gastos informados por el broker',
+      toleranceLabel: 'Tolerancia por orden',
+      empty: 'Importá el boleto del broker para comparar los gastos cobrados.',
+      flagged: '{count} órdenes fuera de tolerancia',
+      totalDifference: 'Diferencia total',
+      partialCharge: 'Comparado sólo con: {components}',
+      columns: {
+        order: 'Orden',
+        symbol: 'Instrumento',
+        category: 'Categoría',
+        orders: 'Órdenes',
+        expected: 'Esperado',
+        charged: 'Cobrado',
+        difference: 'Diferencia',
+        status: 'Estado',
+        commission: 'Comisión',
+        rights: 'Derechos',
+        vat: 'IVA',
+        component: 'Componente',
+      },
+      statuses: {
+        matched: 'Coincide',
+        overcharged: 'Cobro de más',
+        undercharged: 'Cobro de menos',
+        missingCharge: 'Sin cargo informado',
+        unmatchedCharge: 'Orden no encontrada',
+      },
+      categories: {
+        accionCedear: 'Acciones/CEDEARs',
+        letra: 'Letras',
+        bonds: 'Bonos',
+        option: 'Opciones',
+        caucion: 'Cauciones',
+      },
+    },
+    ledger: {
+      post: 'Registrar operaciones del archivo',
+      postResult: 'Se registraron {added} operaciones ({skipped} ya estaban registradas).',
+      methodLabel: 'Método de costo',
+      fifo: 'FIFO',
+      average: 'Costo promedio',
+      clear: 'Vaciar cartera',
+      realizedTotal: 'Resultado realizado',
+      openTitle: 'Posiciones abiertas',
+      closedTitle: 'Lotes cerrados',
+      emptyOpen: 'No hay posiciones abiertas.',
+      emptyClosed: 'No hay lotes cerrados.',
+      instrument: 'Instrumento',
+      openedAt: 'Apertura',
+      closedAt: 'Cierre',
+      quantity: 'Cantidad',
+      openQuantity: 'Cantidad abierta',
+      costPrice: 'Precio costo',
+      openPrice: 'Precio apertura',
+      closePrice: 'Precio cierre',
+      fees: 'Gastos',
+      realizedPnl: 'Resultado',
+    },
+    caucionRates: {
+      gross: 'Tasas',
+      net: 'Netas de gastos',
+      netShort: 'neta {rate}',
+    },
+    caucionBook: {
+      post: 'Registrar cauciones del archivo',
+      postResult: 'Se registraron {added} cauciones ({skipped} ya estaban registradas).',
+      clear: 'Vaciar cauciones',
+      totalsTemplate: '{currency}: colocado {colocado} · tomado {tomado} · devengado {neto}',
+      calendarTitle: 'Vencimientos próximos',
+      calendarCount: '{count} vencimientos',
+      openTitle: 'Cauciones vigentes',
+      maturedTitle: 'Cauciones vencidas',
+      emptyOpen: 'No hay cauciones vigentes.',
+      emptyMatured: 'No hay cauciones vencidas.',
+      tipo: 'Tipo',
+      tipos: {
+        colocadora: 'Colocadora',
+        tomadora: 'Tomadora',
+      },
+      instrumento: 'Instrumento',
+      monto: 'Monto',
+      tasa: 'TNA',
+      inicio: 'Inicio',
+      vencimiento: 'Vencimiento',
+      dias: 'Días',
+      interes: 'Interés',
+      interesDevengado: 'Interés devengado',
+      gastos: 'Gastos',
+      neto: 'Neto',
+      netoDevengado: 'Neto devengado',
+      renovacion: 'Renovación',
+      rolloverLabel: '{count}ª desde {date}',
+      unlink: 'Desvincular renovación',
+    },
     addStrikeException: {
       buttonTooltip: 'Agregar como excepción de strike',
       dialogTitle: 'Agregar Excepción de Strike',
@@ -186,11 +402,63 @@ const strings = {
         total: 'Total',
         caucionTipo: 'Tipo',
         caucionMonto: 'Monto',
+        caucionAsignado: 'Asignado',
         caucionTasa: 'Tasa',
         caucionTenor: 'Tenor (días)',
         caucionInteres: 'Interés',
+        caucionTea: 'TEA',
+        caucionTnaNeta: 'TNA neta',
+        caucionNetRates: 'Neta de gastos: {rates}',
         noOperations: 'Sin operaciones',
         noCauciones: 'Sin cauciones',
+        caucionesParcial: 'Las cauciones vinculadas no cubren todo el monto; el resto se calcula con la TNA promedio.',
+        caucionesPromedio: 'Sin cauciones vinculadas: el P&L de caución usa la TNA promedio de la moneda.',
+      },
+      dollar: {
+        title: 'Arbitrajes MEP / CCL',
+        referenceLabel: 'TC {tipo} de referencia',
+        averageReference: 'Vacío: promedio del día',
+        averageShort: '(prom.)',
+        columns: {
+          bono: 'Bono',
+          patron: 'Operación',
+          venue: 'Plazo',
+          cantidad: 'Nominales',
+          precioPesos: 'Precio $',
+          precioDolar: 'Precio US$',
+          implicito: 'TC implícito',
+          referencia: 'TC referencia',
+          pnl: 'P&L',
+        },
+        patterns: {
+          CompraMEP: 'Compra MEP',
+          VentaMEP: 'Venta MEP',
+          CompraCCL: 'Compra CCL',
+          VentaCCL: 'Venta CCL',
+        },
+      },
+      scanner: {
+        title: 'Oportunidades CI / 24hs',
+        summary: '{count} con spread positivo',
+        notionalLabel: 'Monto por operación',
+        empty: 'Las cotizaciones cargadas no tienen instrumentos con CI y 24hs.',
+        netCaucion: 'Neta de gastos: {rate}',
+        columns: {
+          instrumento: 'Instrumento',
+          patron: 'Operación',
+          plazo: 'Plazo',
+          cantidad: 'Nominales',
+          precioCI: 'Precio CI',
+          precio24h: 'Precio 24hs',
+          impliedTNA: 'TNA implícita',
+          caucionTNA: 'TNA caución',
+          spread: 'Spread',
+          pnl: 'P&L estimado',
+        },
+        curveSources: {
+          cercana: '(plazo cercano)',
+          promedio: '(promedio)',
+        },
       },
       totals: {
         title: 'Totales del día',
@@ -208,12 +476,82 @@ const strings = {
     warnings: {
       largeFile: 'El archivo supera las 25.000 filas. El procesamiento puede demorar.',
       parseErrors: 'Se detectaron filas con errores durante el análisis del archivo.',
-      maxRowsExceeded: 'Se alcanzó el límite de 50.000 filas. Verificá que el archivo esté completo.',
+      maxRowsExceeded: 'Se alcanzó el límite de filas configurado. Verificá que el archivo esté completo.',
+      strikeCatalogMismatch: 'Algunos strikes configurados no coinciden con el catálogo de instrumentos; se usó el valor del catálogo. Revisá los decimales en Configuración.',
     },
     errors: {
       processingFailed: 'No se pudo procesar el archivo. Verificá el formato e intentá de nuevo.',
       emptyFile: 'El archivo CSV no contiene operaciones. Verificá que el archivo tenga datos además del encabezado.',
     },
+    progress: {
+      stages: {
+        parse: 'Leyendo archivo',
+        normalize: 'Normalizando filas',
+        validate: 'Validando filas',
+        enrich: 'Identificando instrumentos',
+        fees: 'Calculando comisiones',
+        consolidate: 'Consolidando operaciones',
+        done: 'Procesamiento completo',
+      },
+      rows: '{count} filas',
+      cancel: 'Cancelar',
+      canceled: 'Procesamiento cancelado.',
+    },
+    columnMapping: {
+      title: 'Mapear columnas del archivo',
+      steps: {
+        columns: 'Columnas',
+        values: 'Valores',
+        save: 'Perfil',
+      },
+      columnsDescription: 'El archivo no tiene el formato esperado. Indicá qué columna contiene cada dato.',
+      missingRequired: 'Faltan asignar: {fields}.',
+      unmapped: 'Sin asignar',
+      previewTitle: 'Vista previa',
+      valuesDescription: 'Traducí los valores del archivo a los que usa el procesador.',
+      noValuesToTranslate: 'No hay columnas de lado ni de estado asignadas.',
+      keepValue: 'Sin traducir',
+      decimalSeparator: 'Separador decimal',
+      decimalDot: 'Punto (1234.56)',
+      decimalComma: 'Coma (1.234,56)',
+      saveDescription: 'El perfil se aplicará automáticamente a los archivos con los mismos encabezados.',
+      profileName: 'Nombre del perfil',
+      cancel: 'Cancelar',
+      back: 'Atrás',
+      next: 'Siguiente',
+      saveAndProcess: 'Guardar y procesar',
+      saved: 'Perfil de importación "{name}" guardado.',
+      fields: {
+        order_id: 'ID de orden',
+        side: 'Lado (compra/venta)',
+        quantity: 'Cantidad',
+        price: 'Precio',
+        symbol: 'Símbolo',
+        transact_time: 'Fecha/hora',
+        status: 'Estado',
+        security_id: 'ID de instrumento',
+        option_type: 'Tipo de opción',
+        strike: 'Strike',
+        expiration: 'Vencimiento',
+      },
+      values: {
+        BUY: 'Compra (BUY)',
+        SELL: 'Venta (SELL)',
+        fully_executed: 'Ejecutada',
+        partially_executed: 'Parcialmente ejecutada',
+        cancelled: 'Cancelada',
+        new: 'Nueva',
+      },
+    },
+    merge: {
+      summary: 'Se combinaron {files} archivos ({rows} filas); se descartaron {duplicates} operaciones duplicadas.',
+    },
+    sheetPicker: {
+      title: 'Elegí la hoja a procesar',
+      description: 'El libro "{fileName}" tiene varias hojas. Seleccioná la que contiene las operaciones.',
+      cancel: 'Cancelar',
+      readFailed: 'No se pudo leer la planilla: {message}',
+    },
   },
   brokerSync: {
     loginTitle: 'Iniciar sesión broker',
@@ -234,6 +572,7 @@ const strings = {
     importedCount: 'Operaciones nuevas: {count}',
   refreshError: 'Ocurrió un error al actualizar las operaciones.',
     sessionExpired: 'La sesión expiró. Volvé a iniciar sesión.',
+    catalogRefreshed: 'Catálogo de instrumentos actualizado: {added} nuevos, {removed} eliminados.',
     sources: {
       broker: 'Broker',
       csv: 'CSV',
@@ -305,7 +644,8 @@ const strings = {
       suffixLabel: 'Sufijo',
       suffixPlaceholder: 'Ej. MAR',
       helper: 'Podés reutilizar el nombre para agregar más sufijos.',
-      suffixHelper: 'Los sufijos se guardan en mayúsculas.',
+      suffixHelper: 'Los sufijos se guardan en mayúsculas. Dejalo vacío para generarlos a partir del nombre.',
+      generatedSuffixes: 'Se generarán: {suffixes}',
       addButton: 'Agregar',
       errorNameRequired: 'Ingresá un nombre de vencimiento.',
       errorSuffixRequired: 'Ingresá al menos un sufijo.',
@@ -351,10 +691,16 @@ const strings = {
       prefixHelperText: 'Prefijo usado para identificar las opciones de este símbolo en el mercado. Ejemplo: GFG para GGAL, donde las opciones se identifican como GFGC47343O (call) o GFGV60000MAR (put).',
       decimalsHelperText: 'Cantidad de decimales (0-4) para formatear strikes. Define cómo se muestra el strike en las opciones procesadas. Ejemplos con prefijo "GFG": token "GFGC47343O" → 4734.3 (1 decimal), "GFGV60000MAR" → 600.00 (2 decimales).',
       errorSaveFailed: 'Error al guardar la configuración.',
+      catalogAudit: {
+        title: '{count} strikes del catálogo no coinciden con esta configuración (se usa el valor del catálogo):',
+        row: '{token} ({expiration}): configurado {configured}, catálogo {catalog}.',
+        suggestion: 'Sugerido: {decimals} decimales.',
+        more: 'y {count} más.',
+      },
       expirationTabs: {
         title: 'Vencimientos',
         suffixLabel: 'Sufijos permitidos',
-        suffixHelper: 'Usá 1 o 2 letras (Ej. O, OC).',
+        suffixHelper: 'Usá 1 o 2 letras, opcionalmente seguidas del año (Ej. O, OC, OC26).',
         errorSuffixRequired: 'Ingresá un sufijo.',
         errorSuffixDuplicate: 'Ese sufijo ya existe.',
         decimalsLabel: 'Decimales para este vencimiento',
@@ -363,6 +709,17 @@ const strings = {
         overridesDescription: 'Personalizá el formateo de strikes específicos.',
         noOverrides: 'No hay overrides configurados para este vencimiento.',
         noExpirationSelected: 'Seleccioná un vencimiento para configurar.',
+        expirationDateLabel: 'Fecha de vencimiento',
+        expirationDateHelper: 'Dejala vacía para usar el tercer viernes del mes (o el día hábil anterior si es feriado).',
+        expirationDateEstimated: 'Fecha estimada: {date}',
+        expirationDateClear: 'Usar fecha estimada',
+        monthLabel: 'Mes',
+        yearLabel: 'Año (opcional)',
+        yearHelper: 'Solo si conviven series del mismo mes de distintos años (Ej. OC25 / OC26).',
+        addExpirationButton: 'Agregar vencimiento',
+        removeExpirationButton: 'Eliminar vencimiento',
+        errorExpirationDuplicate: 'Ese vencimiento ya existe.',
+        errorYearInvalid: 'Ingresá el año con 2 o 4 dígitos.',
         addOverrideButton: 'Agregar ajuste',
         rawTokenLabel: 'Valor sin formato',
         rawTokenPlaceholder: 'Ej. 47343',
@@ -408,6 +765,91 @@ const strings = {
       resetMessage: 'Se restauraron los valores iniciales.',
       errorMessage: 'No se pudieron guardar los cambios. Volvé a intentarlo.',
       validationError: 'Ingresá valores mayores o iguales a 0.',
+      profiles: {
+        title: 'Perfiles por broker',
+        description: 'Definí las comisiones de cada ALyC con sus cuentas, vigencias, tramos por volumen mensual y comisión mínima por orden. Cada operación usa el perfil de su cuenta (o el perfil por defecto) y la vigencia de su fecha; sin perfiles se aplica la comisión general de arriba.',
+        empty: 'No hay perfiles cargados.',
+        nameLabel: 'Nombre',
+        accountsLabel: 'Cuentas',
+        accountsHelper: 'Números de cuenta separados por coma.',
+        defaultLabel: 'Perfil por defecto',
+        effectiveFromLabel: 'Vigente desde',
+        minimumFeeLabel: 'Mínimo por orden ($)',
+        minVolumeLabel: 'Desde volumen mensual ($)',
+        basePlaceholder: 'General',
+        categories: {
+          accionCedear: 'Acciones (%)',
+          letra: 'Letras (%)',
+          bonds: 'Bonos (%)',
+          option: 'Opciones (%)',
+        },
+        addProfile: 'Agregar perfil',
+        addSchedule: 'Agregar vigencia',
+        addTier: 'Agregar tramo',
+        removeProfile: 'Eliminar perfil',
+        removeSchedule: 'Eliminar vigencia',
+        removeTier: 'Eliminar tramo',
+        saveButton: 'Guardar perfiles',
+        successMessage: 'Perfiles de comisiones guardados.',
+        errorMessage: 'No se pudieron guardar los perfiles. Volvé a intentarlo.',
+        validationError: 'Cada perfil necesita un nombre y una fecha de vigencia válida.',
+      },
+    },
+    holidays: {
+      title: 'Feriados',
+      description: 'Días sin operatoria en BYMA usados para calcular plazos de liquidación y vencimientos. Incluye feriados nacionales, días no laborables puente y cierres propios del mercado.',
+      yearLabel: 'Año',
+      dateLabel: 'Fecha',
+      nameLabel: 'Descripción',
+      typeLabel: 'Tipo',
+      addButton: 'Agregar',
+      importButton: 'Importar ICS/CSV',
+      importHelper: 'CSV con columnas fecha, descripción y tipo (feriado, puente o mercado). Las fechas pueden ser AAAA-MM-DD o DD/MM/AAAA.',
+      resetButton: 'Restaurar calendario',
+      removeTooltip: 'Quitar del calendario',
+      empty: 'No hay feriados cargados para este año.',
+      columns: {
+        date: 'Fecha',
+        name: 'Descripción',
+        type: 'Tipo',
+        source: 'Origen',
+      },
+      types: {
+        national: 'Feriado nacional',
+        bridge: 'Día no laborable',
+        market: 'Cierre de mercado',
+      },
+      sources: {
+        default: 'Predeterminado',
+        custom: 'Personalizado',
+      },
+      addedMessage: 'Feriado guardado.',
+      removedMessage: 'Feriado quitado del calendario.',
+      importSuccess: 'Se importaron {count} feriados nuevos ({skipped} filas omitidas).',
+      importEmpty: 'El archivo no contiene fechas válidas.',
+      importError: 'No se pudo leer el archivo.',
+      resetMessage: 'Se restauró el calendario predeterminado.',
+      errorMessage: 'No se pudieron guardar los cambios. Volvé a intentarlo.',
+      validationError: 'Ingresá una fecha y una descripción.',
+    },
+    instrumentCatalog: {
+      title: 'Catálogo de instrumentos',
+      description: 'Instrumentos del mercado usados para clasificar comisiones y tomar strikes y multiplicadores. Se actualiza una vez por día al iniciar sesión en el broker, o a pedido desde esta pantalla.',
+      sourceBundled: 'Usando el catálogo incluido en la aplicación.',
+      sourceBroker: 'Catálogo descargado del broker el {date}.',
+      counts: '{count} instrumentos, {options} opciones con strike.',
+      refreshButton: 'Actualizar ahora',
+      resetButton: 'Volver al catálogo incluido',
+      loginRequired: 'Iniciá sesión en el broker desde Operaciones para descargar el catálogo.',
+      diffTitle: 'Cambios de la última actualización',
+      added: 'Agregados',
+      removed: 'Eliminados',
+      diffEmpty: 'Sin cambios.',
+      diffMore: 'y {count} más.',
+      refreshSuccess: 'Catálogo actualizado: {added} instrumentos nuevos, {removed} eliminados.',
+      refreshError: 'No se pudo actualizar el catálogo. {message}',
+      resetMessage: 'Se restauró el catálogo incluido.',
+      loadError: 'No se pudo leer el catálogo guardado.',
     },
   },
   repo: {
@@ -420,6 +862,8 @@ const strings = {
       accruedInterest: 'Interés devengado',
       baseAmount: 'Monto base',
       netSettlement: 'Neto de liquidación',
+      grossRates: 'Tasas',
+      netRates: 'Netas de gastos',
       missingConfigTitle: 'Configurá las tasas de caución',
       missingConfigDescription: 'No hay tasas configuradas para {currency} {role}. Completalas en Configuración para habilitar el cálculo de gastos ({missing}).',
       missingRatesFallback: 'tasas pendientes',
@@ -433,6 +877,49 @@ const strings = {
       USD: 'USD',
     },
   },
+  caucionCalculator: {
+    title: 'Calculadora de caución',
+    description: 'Calculá interés, gastos y tasa neta de una caución antes de concertarla, con las tasas de caución configuradas.',
+    amount: 'Monto',
+    currency: 'Moneda',
+    role: 'Rol',
+    tna: 'TNA (%)',
+    startDate: 'Inicio',
+    tenorMode: 'Plazo en',
+    tenorModes: {
+      days: 'Días',
+      date: 'Fecha',
+    },
+    tenorDays: 'Plazo (días)',
+    endDate: 'Vencimiento',
+    useNextBusinessDay: 'Usar {date}',
+    openSettings: 'Ir a Comisiones',
+    loading: 'Cargando tasas de caución...',
+    resultTitle: 'Resultado a {days} días',
+    maturityLabel: 'Vence el {date}',
+    grossInterest: 'Interés bruto',
+    netResult: 'Resultado neto',
+    netResultHint: 'Interés menos gastos para la colocadora; costo total para la tomadora.',
+    ratesTitle: 'Tasas',
+    gross: 'Bruta',
+    net: 'Neta de gastos',
+    comparisonTitle: 'Comparar plazos',
+    comparisonTenors: 'Plazos a comparar',
+    comparisonTenorsHelper: 'Días separados por coma. Cada plazo puede llevar su propia TNA.',
+    comparisonEmpty: 'Ingresá al menos un plazo para comparar.',
+    nonBusinessDay: 'Vence en día no hábil',
+    columns: {
+      tenor: 'Plazo',
+      maturity: 'Vencimiento',
+      tna: 'TNA',
+      interest: 'Interés',
+      expenses: 'Gastos',
+      netSettlement: 'Neto de liquidación',
+      netResult: 'Resultado neto',
+      netTna: 'TNA neta',
+      netTea: 'TEA neta',
+    },
+  },
 };
 
 export default strings;
@@ -7,7 +7,13 @@ import { dirname as _dirname } from 'path';
 // define __dirname for ESM tests
 const __dirname = _dirname(fileURLToPath(import.meta.url));
 import { processOperations } from '../../src/services/csv/process-operations.js';
-import { CsvDataSource, JsonDataSource, MockDataSource } from '../../src/services/data-sources/index.js';
+import {
+  CsvDataSource,
+  JsonDataSource,
+  MockDataSource,
+  MultiFileDataSource,
+} from '../../src/services/data-sources/index.js';
+import { createImportProfile, createHeaderSignature } from '../../src/services/csv/import-profiles.js';
 
 const TEST_TIMEOUT = 15000;
 
@@ -304,6 +310,88 @@ describe('Processing Pipeline - Data Source Decoupling', () => {
     });
   });
 
+  describe('Multi-file Data Source', () => {
+    const STANDARD_CSV = [
+      'id,order_id,symbol,transact_time,side,last_price,last_qty,ord_status,event_subtype',
+      ...[1, 2, 3, 4, 5, 6].map((n) => (
+        `exec-${n},ORD-${n},GFGC5200OC,2025-10-08 13:5${n}:00.000000Z,BUY,12.5,${n},Ejecutada,execution_report`
+      )),
+    ].join('\n');
+
+    const FOREIGN_HEADERS = ['Nro Orden', 'Especie', 'Operación', 'Cantidad', 'Precio', 'Fecha'];
+    const FOREIGN_CSV = [
+      FOREIGN_HEADERS.join(';'),
+      'B-1;GFGV5200OC;Venta;4;8,5;2025-10-08 15:01:00',
+      'B-2;GFGV5200OC;Compra;2;7,25;2025-10-08 15:05:00',
+    ].join('\n');
+
+    const FOREIGN_PROFILE = createImportProfile({
+      name: 'Broker X',
+      headers: FOREIGN_HEADERS,
+      columns: {
+        order_id: 'Nro Orden',
+        symbol: 'Especie',
+        side: 'Operación',
+        quantity: 'Cantidad',
+        price: 'Precio',
+        transact_time: 'Fecha',
+      },
+      valueMaps: { side: { COMPRA: 'BUY', VENTA: 'SELL' } },
+      decimalSeparator: ',',
+    });
+
+    const mergeEntries = () => [
+      { file: STANDARD_CSV, fileName: 'operaciones.csv', sourceType: 'csv' },
+      { file: FOREIGN_CSV, fileName: 'broker-x.csv', sourceType: 'csv', parserConfig: { delimiter: ';' } },
+    ];
+
+    it('applies the saved profile to a foreign file merged after a standard export', async () => {
+      const result = await processOperations({
+        dataSource: new MultiFileDataSource(),
+        file: mergeEntries(),
+        fileName: 'sesion',
+        configuration: createTestConfiguration({ activeSymbol: 'GFG', importProfiles: [FOREIGN_PROFILE] }),
+      });
+
+      const foreign = result.operations.filter((op) => op.provenance?.fileName === 'broker-x.csv');
+      expect(result.operations).toHaveLength(8);
+      expect(foreign.map((op) => [op.orderId, op.side, op.quantity, op.price])).toEqual([
+        ['B-1', 'SELL', 4, 8.5],
+        ['B-2', 'BUY', 2, 7.25],
+      ]);
+      expect(foreign[0].provenance).toEqual({ fileName: 'broker-x.csv', rowNumber: 2 });
+    });
+
+    it('reports excluded rows at their line in a file with blank lines', async () => {
+      const [header, ...fills] = STANDARD_CSV.split('\n');
+      const spaced = [header, fills[0], '', '', fills[1].replace('Ejecutada', 'Cancelada'), ...fills.slice(2)].join('\n');
+
+      const result = await processOperations({
+        dataSource: new CsvDataSource(),
+        file: spaced,
+        fileName: 'operaciones.csv',
+        configuration: createTestConfiguration({ activeSymbol: 'GFG' }),
+      });
+
+      expect(result.exclusions.rows).toEqual([
+        expect.objectContaining({ reason: 'invalidStatus', fileName: 'operaciones.csv', rowNumber: 5 }),
+      ]);
+    });
+
+    it('reports the unmapped file with headers that match a single-file profile', async () => {
+      const error = await processOperations({
+        dataSource: new MultiFileDataSource(),
+        file: mergeEntries(),
+        fileName: 'sesion',
+        configuration: createTestConfiguration({ importProfiles: [] }),
+      }).catch((err) => err);
+
+      expect(error.message).toMatch(/^broker-x\.csv: Faltan columnas requeridas/);
+      expect(error.details.headers).toEqual(FOREIGN_HEADERS);
+      expect(error.details.signature).toBe(createHeaderSignature(FOREIGN_HEADERS));
+    });
+  });
+
   describe('Error Handling', () => {
     it('throws error when dataSource parse fails', async () => {
       class FailingDataSource extends MockDataSource {
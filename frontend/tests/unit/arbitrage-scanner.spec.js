@@ -0,0 +1,114 @@
+/* eslint-env node, jest */
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  CURVE_SOURCES,
+  buildCaucionCurve,
+  getScannerSymbols,
+  resolveCurveTNA,
+  scanArbitrageOpportunities,
+} from '../../src/services/arbitrage-scanner.js';
+import { PATTERNS, CAUCION_TIPOS } from '../../src/services/arbitrage-types.js';
+import { reloadInstrumentMapping } from '../../src/services/fees/instrument-mapping.js';
+import { createQuoteSnapshot, QUOTE_SOURCES } from '../../src/services/quotes/market-quotes.js';
+
+const AL30_CI = 'MERV - XMEV - AL30 - CI';
+const AL30_24 = 'MERV - XMEV - AL30 - 24hs';
+const GD30_CI = 'MERV - XMEV - GD30 - CI';
+const MONDAY = new Date('2025-10-20T15:00:00-03:00');
+
+const noFees = { bonds: { commissionPct: 0, rightsPct: 0, vatPct: 0, effectiveRate: 0 } };
+
+const snapshotWith = (quotes) => createQuoteSnapshot(quotes, { source: QUOTE_SOURCES.JSON });
+
+const BOOKS = [
+  { symbol: AL30_CI, last: 86050, bid: 86000, ask: 86100 },
+  { symbol: AL30_24, last: 86100, bid: 86120, ask: 86050 },
+  { symbol: GD30_CI, last: 70000, bid: 69900, ask: 70100 },
+];
+
+beforeAll(() => {
+  reloadInstrumentMapping([
+    { CfiCode: 'DBXTXR', Currency: 'ARS', PriceConvertionFactor: 0.01, InstrumentId: { symbol: AL30_CI } },
+    { CfiCode: 'DBXTXR', Currency: 'ARS', PriceConvertionFactor: 0.01, InstrumentId: { symbol: AL30_24 } },
+    { CfiCode: 'DBXTXR', Currency: 'ARS', PriceConvertionFactor: 0.01, InstrumentId: { symbol: GD30_CI } },
+  ]);
+});
+
+describe('caución curve', () => {
+  it('reads tenors by currency and falls back to the nearest tenor or the average TNA', () => {
+    const curve = buildCaucionCurve(snapshotWith([
+      { symbol: 'MERV - XMEV - PESOS - 1D', last: 35, bid: null, ask: null },
+      { symbol: 'MERV - XMEV - PESOS - 7D', last: null, bid: 37, ask: 39 },
+      { symbol: 'MERV - XMEV - DOLAR - 1D', last: null, bid: null, ask: null },
+    ]));
+
+    expect(Array.from(curve.ARS.entries())).toEqual([[1, 35], [7, 38]]);
+    expect(curve.USD).toBeUndefined();
+    expect(resolveCurveTNA(curve, 'ARS', 1)).toEqual({ tna: 35, source: CURVE_SOURCES.CURVA });
+    expect(resolveCurveTNA(curve, 'ARS', 3)).toEqual({ tna: 35, source: CURVE_SOURCES.CERCANA });
+    expect(resolveCurveTNA(curve, 'USD', 1, { USD: 2.5 })).toEqual({ tna: 2.5, source: CURVE_SOURCES.PROMEDIO });
+    expect(resolveCurveTNA(curve, 'USD', 1)).toBeNull();
+  });
+});
+
+describe('scanArbitrageOpportunities', () => {
+  it('prices both directions of each CI/24hs pair and ranks them by spread', () => {
+    const rows = scanArbitrageOpportunities(
+      snapshotWith([...BOOKS, { symbol: 'MERV - XMEV - PESOS - 1D', last: 35, bid: null, ask: null }]),
+      { effectiveRates: noFees, now: MONDAY },
+    );
+
+    expect(rows).toHaveLength(2);
+    const [colocadora, tomadora] = rows;
+
+    // Sells 1162 at the CI bid and buys them back at the 24hs ask: 999,320 → 999,901 in one day
+    expect(colocadora).toMatchObject({
+      instrumento: 'AL30',
+      patron: PATTERNS.VENTA_CI_COMPRA_24H,
+      tipoCaucion: CAUCION_TIPOS.COLOCADORA,
+      plazo: 1,
+      cantidad: 1162,
+      precioCI: 86000,
+      precio24h: 86050,
+      caucionTNA: 35,
+      caucionTNASource: CURVE_SOURCES.CURVA,
+    });
+    expect(colocadora.impliedTNA).toBeCloseTo(21.2208, 3);
+    expect(colocadora.spread).toBeCloseTo(colocadora.netCaucionTNA - colocadora.impliedTNA, 4);
+    expect(colocadora.spread).toBeGreaterThan(0);
+    expect(colocadora.pnlEstimado).toBeGreaterThan(0);
+
+    // Buys at the CI ask and sells at the 24hs bid: lends at ~8.5% while the caución costs 35%
+    expect(tomadora).toMatchObject({ patron: PATTERNS.COMPRA_CI_VENTA_24H, tipoCaucion: CAUCION_TIPOS.TOMADORA });
+    expect(tomadora.spread).toBeLessThan(0);
+    expect(tomadora.pnlEstimado).toBeLessThan(0);
+  });
+
+  it('uses the average TNA without a curve and skips books it cannot price', () => {
+    const rows = scanArbitrageOpportunities(snapshotWith(BOOKS), {
+      effectiveRates: noFees,
+      now: MONDAY,
+      avgTNAByCurrency: { ARS: 30 },
+    });
+    expect(rows.map((row) => row.caucionTNASource)).toEqual([CURVE_SOURCES.PROMEDIO, CURVE_SOURCES.PROMEDIO]);
+
+    expect(scanArbitrageOpportunities(snapshotWith(BOOKS), { effectiveRates: noFees, now: MONDAY })).toEqual([]);
+    expect(scanArbitrageOpportunities(null, { effectiveRates: noFees, now: MONDAY })).toEqual([]);
+  });
+});
+
+describe('getScannerSymbols', () => {
+  it('asks for both settlements of each instrument and the cauciones at the plazo', () => {
+    expect(getScannerSymbols([
+      { originalSymbol: AL30_CI },
+      { originalSymbol: AL30_24 },
+      { originalSymbol: 'MERV - XMEV - PESOS - 1D' },
+      { symbol: 'GGAL' },
+    ], { now: MONDAY })).toEqual([
+      AL30_CI,
+      AL30_24,
+      'MERV - XMEV - PESOS - 1D',
+      'MERV - XMEV - DOLAR - 1D',
+    ]);
+  });
+});
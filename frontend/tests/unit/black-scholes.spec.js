@@ -0,0 +1,140 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  normalCdf,
+  blackScholesPrice,
+  calculateGreeks,
+  calculateImpliedVolatility,
+  estimateExpirationDate,
+  calculateDaysToExpiry,
+  enrichRowsWithGreeks,
+} from '../../src/services/options/black-scholes.js';
+
+const baseParams = {
+  spot: 100,
+  strike: 100,
+  years: 1,
+  rate: 0.05,
+  volatility: 0.2,
+};
+
+describe('black-scholes', () => {
+  it('approximates the standard normal CDF', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 3);
+    expect(normalCdf(-1.96)).toBeCloseTo(0.025, 3);
+  });
+
+  it('prices calls and puts consistently with put-call parity', () => {
+    const call = blackScholesPrice({ ...baseParams, optionType: 'CALL' });
+    const put = blackScholesPrice({ ...baseParams, optionType: 'PUT' });
+
+    expect(call).toBeCloseTo(10.4506, 3);
+    expect(put).toBeCloseTo(5.5735, 3);
+    expect(call - put).toBeCloseTo(100 - 100 * Math.exp(-0.05), 6);
+  });
+
+  it('returns null for invalid inputs', () => {
+    expect(blackScholesPrice({ ...baseParams, optionType: 'CALL', spot: 0 })).toBeNull();
+    expect(calculateGreeks({ ...baseParams, optionType: 'CALL', years: 0 })).toBeNull();
+  });
+
+  it('computes greeks with per-day theta and per-point vega', () => {
+    const callGreeks = calculateGreeks({ ...baseParams, optionType: 'CALL' });
+    const putGreeks = calculateGreeks({ ...baseParams, optionType: 'PUT' });
+
+    expect(callGreeks.delta).toBeCloseTo(0.6368, 3);
+    expect(putGreeks.delta).toBeCloseTo(-0.3632, 3);
+    expect(callGreeks.gamma).toBeCloseTo(0.01876, 4);
+    expect(callGreeks.vega).toBeCloseTo(0.3752, 3);
+    expect(callGreeks.theta).toBeCloseTo(-6.414 / 365, 4);
+    expect(putGreeks.gamma).toBeCloseTo(callGreeks.gamma, 10);
+  });
+
+  it('recovers the volatility used to price the option', () => {
+    ['CALL', 'PUT'].forEach((optionType) => {
+      [0.15, 0.45, 1.2].forEach((volatility) => {
+        const price = blackScholesPrice({ ...baseParams, strike: 110, optionType, volatility });
+        const implied = calculateImpliedVolatility({ ...baseParams, strike: 110, optionType, price });
+        expect(implied).toBeCloseTo(volatility, 4);
+      });
+    });
+  });
+
+  it('rejects premiums outside arbitrage bounds', () => {
+    expect(calculateImpliedVolatility({ ...baseParams, optionType: 'CALL', price: 150 })).toBeNull();
+    expect(calculateImpliedVolatility({ ...baseParams, optionType: 'CALL', strike: 50, price: 1 })).toBeNull();
+    expect(calculateImpliedVolatility({ ...baseParams, optionType: 'PUT', price: 0 })).toBeNull();
+  });
+});
+
+describe('expiration estimate', () => {
+  it('uses the third Friday of the next occurrence of the month', () => {
+    const reference = new Date(2025, 8, 1);
+    expect(estimateExpirationDate('OCT', reference)).toEqual(new Date(2025, 9, 17));
+    expect(estimateExpirationDate('O', reference)).toEqual(new Date(2025, 9, 17));
+    expect(estimateExpirationDate('FEB', reference)).toEqual(new Date(2026, 1, 20));
+  });
+
+  it('rolls to next year once the expiration has passed', () => {
+    expect(estimateExpirationDate('OCT', new Date(2025, 9, 20))).toEqual(new Date(2026, 9, 16));
+  });
+
+  it('returns null for tokens that are not months', () => {
+    expect(estimateExpirationDate('24HS')).toBeNull();
+    expect(calculateDaysToExpiry('NONE')).toBeNull();
+  });
+
+  it('counts calendar days to expiry', () => {
+    expect(calculateDaysToExpiry('OCT', new Date(2025, 9, 1))).toBe(16);
+  });
+});
+
+describe('enrichRowsWithGreeks', () => {
+  it('attaches implied volatility and greeks using the leg expiration', () => {
+    const referenceDate = new Date(2025, 9, 1);
+    const years = 16 / 365;
+    const premium = blackScholesPrice({ optionType: 'CALL', spot: 5000, strike: 5200, years, rate: 0.3, volatility: 0.5 });
+    const [row] = enrichRowsWithGreeks([
+      {
+        optionType: 'CALL',
+        strike: 5200,
+        averagePrice: premium,
+        totalQuantity: -10,
+        legs: [{ expiration: 'OCT' }],
+      },
+    ], { underlyingPrice: 5000, ratePercent: 30, referenceDate });
+
+    expect(row.greeks.daysToExpiry).toBe(16);
+    expect(row.greeks.impliedVolatility).toBeCloseTo(0.5, 4);
+    expect(row.greeks.delta).toBeGreaterThan(0);
+    expect(row.greeks.delta).toBeLessThan(0.5);
+    expect(row.totalQuantity).toBe(-10);
+  });
+
+  it('prices each row against its own underlying', () => {
+    const referenceDate = new Date(2025, 9, 1);
+    const years = 16 / 365;
+    const ggalPremium = blackScholesPrice({ optionType: 'CALL', spot: 5000, strike: 5200, years, rate: 0, volatility: 0.5 });
+    const ypfPremium = blackScholesPrice({ optionType: 'CALL', spot: 40000, strike: 42000, years, rate: 0, volatility: 0.4 });
+    const [ggal, ypf, pamp] = enrichRowsWithGreeks([
+      { optionType: 'CALL', strike: 5200, averagePrice: ggalPremium, legs: [{ symbol: 'GGAL', expiration: 'OCT' }] },
+      { optionType: 'CALL', strike: 42000, averagePrice: ypfPremium, matchedSymbol: 'YPFD', legs: [{ expiration: 'OCT' }] },
+      { optionType: 'CALL', strike: 3000, averagePrice: 100, matchedSymbol: 'PAMP', legs: [{ expiration: 'OCT' }] },
+    ], { underlyingPrices: { GGAL: 5000, YPFD: 40000 }, referenceDate });
+
+    expect(ggal.greeks.impliedVolatility).toBeCloseTo(0.5, 4);
+    expect(ypf.greeks.impliedVolatility).toBeCloseTo(0.4, 4);
+    expect(pamp.greeks).toBeUndefined();
+  });
+
+  it('leaves greeks empty when expiry cannot be resolved', () => {
+    const [row] = enrichRowsWithGreeks([
+      { optionType: 'PUT', strike: 100, averagePrice: 5, legs: [{ expiration: 'NONE' }] },
+    ], { underlyingPrice: 100 });
+
+    expect(row.greeks.daysToExpiry).toBeNull();
+    expect(row.greeks.impliedVolatility).toBeNull();
+    expect(row.greeks.delta).toBeNull();
+  });
+});
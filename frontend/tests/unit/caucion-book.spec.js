@@ -0,0 +1,139 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  POSITION_STATUS,
+  calculatePositionAccrual,
+  computeCaucionBookState,
+  createEmptyCaucionBook,
+  createPositionsFromOperations,
+  postPositions,
+  unlinkRollover,
+} from '../../src/services/cauciones/caucion-book.js';
+import { sanitizeCaucionBook } from '../../src/services/cauciones/caucion-book-storage.js';
+import { CAUCION_TIPOS } from '../../src/services/arbitrage-types.js';
+
+const repoFeeConfig = {
+  arancelCaucionColocadora: { ARS: 0.2, USD: 0.2 },
+  arancelCaucionTomadora: { ARS: 0.25, USD: 0.25 },
+  derechosDeMercadoDailyRate: { ARS: 0.0005, USD: 0.0005 },
+  gastosGarantiaDailyRate: { ARS: 0.00035, USD: 0.00035 },
+  ivaRepoRate: 0.21,
+};
+
+// October 2025: the 20th is a Monday
+const at = (day, hour = 11) => new Date(2025, 9, day, hour, 0);
+
+const caucionOperation = (id, side, amount, rate, tenor, day, ticker = 'PESOS') => ({
+  id,
+  orderId: id,
+  originalSymbol: `MERV - XMEV - ${ticker} - ${tenor}D`,
+  symbol: ticker,
+  side,
+  quantity: amount,
+  price: rate,
+  raw: { transact_time: at(day).toISOString() },
+});
+
+const buildBook = (operations) => postPositions(createEmptyCaucionBook(), createPositionsFromOperations(operations)).book;
+
+describe('caución book positions', () => {
+  it('reads cauciones from operations and settles weekend maturities on the next business day', () => {
+    const positions = createPositionsFromOperations([
+      caucionOperation('1', 'BUY', 1000000, 36.5, 7, 20),
+      caucionOperation('2', 'SELL', 5000, 2, 3, 23, 'DOLAR'),
+      { id: '3', originalSymbol: 'MERV - XMEV - AL30 - CI', side: 'BUY', quantity: 10, price: 80000, raw: {} },
+    ], { source: 'operaciones.csv' });
+
+    expect(positions).toHaveLength(2);
+    expect(positions[0]).toMatchObject({
+      tipo: CAUCION_TIPOS.COLOCADORA,
+      currency: 'ARS',
+      monto: 1000000,
+      tasa: 36.5,
+      inicio: '2025-10-20',
+      fin: '2025-10-27',
+      vencimiento: '2025-10-27',
+      source: 'operaciones.csv',
+    });
+    // Thursday + 3 days ends on Sunday
+    expect(positions[1]).toMatchObject({ tipo: CAUCION_TIPOS.TOMADORA, currency: 'USD', fin: '2025-10-26', vencimiento: '2025-10-27' });
+  });
+
+  it('skips positions already posted and links renewals of the same side and currency', () => {
+    let book = buildBook([
+      caucionOperation('1', 'BUY', 1000000, 35, 1, 20),
+      caucionOperation('2', 'BUY', 1001000, 34, 1, 21),
+    ]);
+    const repost = postPositions(book, createPositionsFromOperations([
+      caucionOperation('2', 'BUY', 1001000, 34, 1, 21),
+      caucionOperation('3', 'BUY', 1002000, 33, 1, 22),
+      caucionOperation('4', 'SELL', 500000, 33, 1, 22),
+    ]));
+    book = repost.book;
+
+    expect(repost).toMatchObject({ added: 2, skipped: 1 });
+    const [first, second, third, tomadora] = book.positions;
+    expect(first.rolledFrom).toBeNull();
+    expect(second.rolledFrom).toBe(first.id);
+    expect(third.rolledFrom).toBe(second.id);
+    expect(tomadora.rolledFrom).toBeNull();
+
+    const state = computeCaucionBookState(book, { asOf: at(23) });
+    expect(state.open.map((row) => row.renovaciones)).toEqual([2, 0]);
+    expect(state.open[0].chainStart).toBe('2025-10-20');
+    expect(state.matured.map((row) => row.id)).toEqual([second.id, first.id]);
+
+    // A link broken by hand survives later posts
+    book = postPositions(unlinkRollover(book, third.id), []).book;
+    expect(book.positions.find((position) => position.id === third.id).rolledFrom).toBeNull();
+  });
+});
+
+describe('caución accruals', () => {
+  const [colocadora] = createPositionsFromOperations([caucionOperation('1', 'BUY', 1000000, 36.5, 7, 20)]);
+  const [tomadora] = createPositionsFromOperations([caucionOperation('2', 'SELL', 1000000, 36.5, 7, 20)]);
+
+  it('accrues interest to date and prorates the repo expenses over the tenor', () => {
+    expect(calculatePositionAccrual(colocadora, { asOf: at(23) })).toMatchObject({
+      diasTranscurridos: 3,
+      interesTotal: 7000,
+      interesDevengado: 3000,
+      gastosDevengados: 0,
+      netoDevengado: 3000,
+    });
+    expect(calculatePositionAccrual(tomadora, { asOf: at(23) }).netoDevengado).toBe(-3000);
+
+    const withFees = calculatePositionAccrual(colocadora, { asOf: at(23), repoFeeConfig });
+    expect(withFees.gastosTotal).toBeGreaterThan(0);
+    expect(withFees.gastosDevengados).toBeCloseTo((withFees.gastosTotal * 3) / 7, 2);
+    expect(withFees.netoDevengado).toBeCloseTo(3000 - withFees.gastosDevengados, 2);
+    // Past maturity the whole tenor has accrued
+    expect(calculatePositionAccrual(colocadora, { asOf: at(31) }).interesDevengado).toBe(7000);
+  });
+
+  it('lists maturities per business day with the cash to collect or pay', () => {
+    const book = buildBook([
+      caucionOperation('1', 'BUY', 1000000, 36.5, 7, 20),
+      caucionOperation('2', 'SELL', 400000, 36.5, 3, 23),
+    ]);
+    // Saturday: the calendar starts on Monday
+    const state = computeCaucionBookState(book, { asOf: at(25), calendarDays: 3 });
+
+    expect(state.calendar.map((day) => day.fecha)).toEqual(['2025-10-27', '2025-10-28', '2025-10-29']);
+    expect(state.calendar[0].vencimientos).toHaveLength(2);
+    // Collects 1,007,000 and pays 400,000 + 1,200
+    expect(state.calendar[0].porMoneda).toEqual({ ARS: 605800 });
+    expect(state.open.every((row) => row.status === POSITION_STATUS.ABIERTA)).toBe(true);
+    expect(state.totals.ARS).toEqual({ colocado: 1000000, tomado: 400000, netoDevengado: 5000 - 800 });
+  });
+
+  it('drops stored positions it cannot read', () => {
+    const sanitized = sanitizeCaucionBook({
+      version: 1,
+      positions: [colocadora, { id: 'x', monto: 'a' }],
+      updatedAt: null,
+    });
+    expect(sanitized.positions).toEqual([colocadora]);
+    expect(sanitizeCaucionBook({ version: 99 })).toEqual(createEmptyCaucionBook());
+  });
+});
@@ -0,0 +1,90 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  calculateCaucion,
+  compareTenors,
+  parseTenorList,
+  resolveCaucionTenor,
+  validateCalculatorInput,
+} from '../../src/services/cauciones/caucion-calculator.js';
+
+const repoFeeConfig = {
+  arancelCaucionColocadora: { ARS: 0.2, USD: 0.2 },
+  arancelCaucionTomadora: { ARS: 0.25, USD: 0.25 },
+  derechosDeMercadoDailyRate: { ARS: 0.0005, USD: 0.0005 },
+  gastosGarantiaDailyRate: { ARS: 0.00035, USD: 0.00035 },
+  ivaRepoRate: 0.21,
+};
+
+const input = { amount: 1000000, currency: 'ARS', tna: 36.5, role: 'colocadora' };
+
+describe('caución calculator', () => {
+  it('prices every fee line, the net settlement and the net rate', () => {
+    const result = calculateCaucion({ ...input, tenorDays: 7 }, repoFeeConfig);
+
+    expect(result.interest).toBe(7000);
+    expect(result.breakdown.status).toBe('ok');
+    expect(result.breakdown.totalExpenses).toBeCloseTo(
+      result.breakdown.arancelAmount
+        + result.breakdown.derechosMercadoAmount
+        + result.breakdown.gastosGarantiaAmount
+        + result.breakdown.ivaAmount,
+      2,
+    );
+    expect(result.netSettlement).toBeCloseTo(1007000 - result.breakdown.totalExpenses, 2);
+    expect(result.netResult).toBeCloseTo(7000 - result.breakdown.totalExpenses, 2);
+    expect(result.rates.gross.tna).toBe(36.5);
+    expect(result.rates.net.tna).toBeLessThan(36.5);
+
+    const tomadora = calculateCaucion({ ...input, role: 'tomadora', tenorDays: 7 }, repoFeeConfig);
+    expect(tomadora.netResult).toBeCloseTo(-(7000 + tomadora.breakdown.totalExpenses), 2);
+    expect(tomadora.rates.net.tna).toBeGreaterThan(36.5);
+  });
+
+  it('reports a missing repo config instead of pricing expenses', () => {
+    const result = calculateCaucion({ ...input, tenorDays: 7 }, null);
+
+    expect(result.interest).toBe(7000);
+    expect(result.breakdown.status).toBe('error');
+    expect(result.breakdown.errorMessage).toMatch(/Faltan tasas/);
+    expect(result.netSettlement).toBeNull();
+    expect(result.rates.net).toBeNull();
+  });
+
+  it('resolves tenors and end dates on business days', () => {
+    // Viernes 16/10/2026
+    expect(resolveCaucionTenor({ startDate: '2026-10-16', endDate: '2026-10-19' })).toEqual({
+      tenorDays: 3,
+      endDate: '2026-10-19',
+      nextBusinessDay: null,
+      error: null,
+    });
+
+    const weekend = resolveCaucionTenor({ startDate: '2026-10-16', tenorDays: 1 });
+    expect(weekend.endDate).toBe('2026-10-17');
+    expect(weekend.nextBusinessDay).toBe('2026-10-19');
+    expect(weekend.error).toMatch(/no hábil/);
+
+    expect(resolveCaucionTenor({ startDate: '2026-10-16', endDate: '2026-10-16' }).error)
+      .toMatch(/posterior al inicio/);
+    expect(validateCalculatorInput({ amount: 0, tna: Number.NaN, tenorDays: null }))
+      .toEqual({ amount: expect.any(String), tna: expect.any(String), tenorDays: expect.any(String) });
+    expect(validateCalculatorInput({ ...input, tenorDays: 7 })).toEqual({});
+  });
+
+  it('compares several tenors side by side', () => {
+    const tenors = parseTenorList('30, 1 7;7, x, 0');
+    expect(tenors).toEqual([1, 7, 30]);
+
+    const rows = compareTenors(input, [
+      { tenorDays: 1 },
+      { tenorDays: 7, tna: 40 },
+      { tenorDays: 30 },
+    ], repoFeeConfig, { startDate: '2026-10-14' });
+
+    expect(rows.map((row) => [row.tenorDays, row.tna])).toEqual([[1, 36.5], [7, 40], [30, 36.5]]);
+    expect(rows[1].interest).toBeCloseTo(1000000 * 0.4 * 7 / 365, 2);
+    expect(rows[0].endDate).toBe('2026-10-15');
+    expect(rows.every((row) => row.breakdown.status === 'ok')).toBe(true);
+  });
+});
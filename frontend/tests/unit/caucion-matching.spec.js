@@ -0,0 +1,152 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  CAUCION_LINK_MODES,
+  getFinancingDemands,
+  linkCaucionesToGrupos,
+} from '../../src/services/caucion-matching.js';
+import { calculatePnL } from '../../src/services/pnl-calculations.js';
+import { parseCauciones } from '../../src/services/data-aggregation.js';
+import {
+  CAUCION_TIPOS,
+  LADOS,
+  PATTERNS,
+  VENUES,
+  createGrupoInstrumentoPlazo,
+} from '../../src/services/arbitrage-types.js';
+
+const at = (hour) => new Date(2025, 9, 20, hour, 0);
+
+const op = (id, venue, lado, cantidad, precio, hour = 11) => ({
+  id,
+  order_id: id,
+  instrumento: 'XYZ',
+  lado,
+  venue,
+  fechaHora: at(hour),
+  cantidad,
+  precio,
+  comisiones: 0,
+});
+
+const grupo = (instrumento, { ventasCI = [], compras24h = [], comprasCI = [], ventas24h = [] }, plazo = 1) => ({
+  ...createGrupoInstrumentoPlazo(instrumento, plazo, at(0)),
+  ventasCI: ventasCI.map((o) => ({ ...o, instrumento })),
+  compras24h: compras24h.map((o) => ({ ...o, instrumento })),
+  comprasCI: comprasCI.map((o) => ({ ...o, instrumento })),
+  ventas24h: ventas24h.map((o) => ({ ...o, instrumento })),
+  currency: 'ARS',
+  avgTNA: 30,
+});
+
+const caucion = (id, tipo, monto, tasa, { hour = 11, tenorDias = 1, currency = 'ARS' } = {}) => ({
+  id,
+  instrumento: 'PESOS',
+  tipo,
+  inicio: at(hour),
+  fin: new Date(2025, 9, 20 + tenorDias, hour, 0),
+  monto,
+  tasa,
+  interes: 0,
+  tenorDias,
+  currency,
+});
+
+describe('getFinancingDemands', () => {
+  it('asks for the CI notional of each matched pattern', () => {
+    const demands = getFinancingDemands(grupo('XYZ', {
+      ventasCI: [op('v1', VENUES.CI, LADOS.VENTA, 100, 10)],
+      compras24h: [op('c1', VENUES.H24, LADOS.COMPRA, 60, 9.9)],
+      comprasCI: [op('c2', VENUES.CI, LADOS.COMPRA, 10, 12)],
+    }));
+
+    expect(demands).toHaveLength(1);
+    expect(demands[0]).toMatchObject({ patron: PATTERNS.VENTA_CI_COMPRA_24H, tipo: CAUCION_TIPOS.COLOCADORA, notional: 600 });
+    expect(getFinancingDemands(grupo('XYZ', { ventasCI: [op('v1', VENUES.CI, LADOS.VENTA, 1, 1)] }, 0))).toEqual([]);
+  });
+});
+
+describe('linkCaucionesToGrupos', () => {
+  it('splits cauciones across grupos by day, tenor, currency and type', () => {
+    const early = grupo('AAA', {
+      ventasCI: [op('a1', VENUES.CI, LADOS.VENTA, 100, 10, 11)],
+      compras24h: [op('a2', VENUES.H24, LADOS.COMPRA, 100, 9.9, 11)],
+    });
+    const late = grupo('BBB', {
+      ventasCI: [op('b1', VENUES.CI, LADOS.VENTA, 100, 10, 14)],
+      compras24h: [op('b2', VENUES.H24, LADOS.COMPRA, 100, 9.9, 14)],
+    });
+    const cauciones = [
+      caucion('big', CAUCION_TIPOS.COLOCADORA, 1500, 40, { hour: 12 }),
+      caucion('tomadora', CAUCION_TIPOS.TOMADORA, 5000, 50),
+      caucion('tenor-3', CAUCION_TIPOS.COLOCADORA, 5000, 50, { tenorDias: 3 }),
+      caucion('usd', CAUCION_TIPOS.COLOCADORA, 5000, 5, { currency: 'USD' }),
+      { ...caucion('other-day', CAUCION_TIPOS.COLOCADORA, 5000, 50), inicio: new Date(2025, 9, 21, 11, 0) },
+    ];
+
+    const { linked, unallocated } = linkCaucionesToGrupos([late, early], cauciones);
+
+    expect(linked).toBe(2);
+    expect(early.cauciones).toEqual([expect.objectContaining({ id: 'big', montoAsignado: 1000, patron: PATTERNS.VENTA_CI_COMPRA_24H })]);
+    expect(late.cauciones).toEqual([expect.objectContaining({ id: 'big', montoAsignado: 500 })]);
+    expect(unallocated.map((entry) => entry.caucion.id)).toEqual(['tomadora', 'tenor-3', 'usd', 'other-day']);
+  });
+});
+
+describe('calculatePnL with linked cauciones', () => {
+  const arbitrage = () => grupo('XYZ', {
+    comprasCI: [op('c1', VENUES.CI, LADOS.COMPRA, 100, 10)],
+    ventas24h: [op('v1', VENUES.H24, LADOS.VENTA, 100, 10.1)],
+  });
+
+  it('accrues at the linked rate and falls back to the average TNA for the rest', async () => {
+    const full = arbitrage();
+    linkCaucionesToGrupos([full], [caucion('t1', CAUCION_TIPOS.TOMADORA, 1000, 36.5)]);
+    const [fullResult] = await calculatePnL(full);
+
+    expect(fullResult.caucionLinkMode).toBe(CAUCION_LINK_MODES.VINCULADA);
+    expect(fullResult.caucionTNA).toBeCloseTo(36.5);
+    expect(fullResult.accruedInterest).toBe(1);
+    expect(fullResult.cauciones[0]).toMatchObject({ id: 't1', principalPortion: 1000, interes: 1 });
+
+    const partial = arbitrage();
+    linkCaucionesToGrupos([partial], [caucion('t2', CAUCION_TIPOS.TOMADORA, 500, 73)]);
+    const [partialResult] = await calculatePnL(partial);
+
+    // 500 at 73% plus 500 at the 30% average, one day each
+    expect(partialResult.caucionLinkMode).toBe(CAUCION_LINK_MODES.PARCIAL);
+    expect(partialResult.accruedInterest).toBe(1.41);
+    expect(partialResult.caucionTNA).toBeCloseTo(51.5);
+  });
+
+  it('keeps the average-TNA mode when nothing links', async () => {
+    const unlinked = arbitrage();
+    linkCaucionesToGrupos([unlinked], []);
+    const [result] = await calculatePnL(unlinked);
+
+    expect(result.caucionLinkMode).toBe(CAUCION_LINK_MODES.PROMEDIO);
+    expect(result.cauciones).toEqual([]);
+    expect(result.caucionTNA).toBe(30);
+    expect(result.accruedInterest).toBe(0.82);
+  });
+});
+
+describe('parseCauciones currency', () => {
+  it('reads USD cauciones from the DOLAR symbol', () => {
+    const [pesos, dolar] = parseCauciones([
+      { symbol: 'MERV - XMEV - PESOS - 1D', side: 'BUY', last_qty: 1, last_price: 40, transact_time: at(11).toISOString() },
+      { symbol: 'MERV - XMEV - DOLAR - 1D', side: 'SELL', last_qty: 1, last_price: 2, transact_time: at(11).toISOString() },
+    ]);
+
+    expect(pesos.capitalCurrency).toBe('ARS');
+    expect(dolar).toMatchObject({ capitalCurrency: 'USD', tipo: CAUCION_TIPOS.TOMADORA });
+  });
+
+  it('links by the quantity while the average-TNA inputs keep the baseline weights', () => {
+    const [caucion] = parseCauciones([
+      { symbol: 'MERV - XMEV - DOLAR - 1D', side: 'SELL', last_qty: 1000, last_price: 2.5, transact_time: at(11).toISOString() },
+    ]);
+
+    expect(caucion).toMatchObject({ capital: 1000, capitalCurrency: 'USD', monto: 2500, currency: 'ARS' });
+  });
+});
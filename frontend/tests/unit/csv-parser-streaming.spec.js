@@ -0,0 +1,71 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import { parseOperationsCsv, DEFAULT_MAX_ROWS } from '../../src/services/csv/parser.js';
+
+const buildCsv = (rowCount) => {
+  const lines = ['order_id,symbol,quantity,price'];
+  for (let index = 0; index < rowCount; index += 1) {
+    lines.push(`${index},GFGC5200O,1,10`);
+  }
+  return lines.join('\n');
+};
+
+describe('parseOperationsCsv streaming options', () => {
+  it('caps rows at the configured maxRows', async () => {
+    const { rows, meta } = await parseOperationsCsv(buildCsv(30), { maxRows: 10 });
+    expect(rows).toHaveLength(10);
+    expect(meta.exceededMaxRows).toBe(true);
+    expect(DEFAULT_MAX_ROWS).toBe(50000);
+  });
+
+  it('lifts the cap with maxRows null', async () => {
+    const { rows, meta } = await parseOperationsCsv(buildCsv(30), { maxRows: null });
+    expect(rows).toHaveLength(30);
+    expect(meta.exceededMaxRows).toBe(false);
+  });
+
+  it('streams File input', async () => {
+    const file = new File([buildCsv(1500)], 'operaciones.csv', { type: 'text/csv' });
+    const { rows } = await parseOperationsCsv(file, { maxRows: null });
+    expect(rows).toHaveLength(1500);
+    expect(rows[0]).toMatchObject({ order_id: '0', symbol: 'GFGC5200O', quantity: 1 });
+  });
+
+  it('keeps multi-byte characters that straddle a chunk boundary', async () => {
+    const csv = 'order_id,text\n1,Cancelación año\n2,Ejecución nº 2\n';
+    const file = new File([csv], 'operaciones.csv', { type: 'text/csv' });
+    // The first chunk ends between the two bytes of 'ó'
+    const chunkSize = new TextEncoder().encode(csv.slice(0, csv.indexOf('ó'))).length + 1;
+
+    const { rows, meta } = await parseOperationsCsv(file, { chunkSize });
+
+    expect(rows.map((row) => row.text)).toEqual(['Cancelación año', 'Ejecución nº 2']);
+    expect(meta.rowNumbers).toEqual([2, 3]);
+
+    const capped = await parseOperationsCsv(new File([buildCsv(200)], 'big.csv'), { chunkSize: 64, maxRows: 10 });
+    expect(capped.rows).toHaveLength(10);
+    expect(capped.meta.exceededMaxRows).toBe(true);
+  });
+
+  it('reports progress while streaming and on completion', async () => {
+    const events = [];
+    await parseOperationsCsv(buildCsv(2500), { onProgress: (progress) => events.push(progress) });
+    expect(events.map((event) => event.processed)).toEqual([1000, 2000, 2500]);
+    expect(events[0].percent).toBeGreaterThan(0);
+    expect(events[events.length - 1].percent).toBe(100);
+  });
+
+  it('rejects with an AbortError when cancelled', async () => {
+    const controller = new AbortController();
+    const parse = parseOperationsCsv(buildCsv(3000), {
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    });
+    await expect(parse).rejects.toMatchObject({ name: 'AbortError' });
+
+    const alreadyAborted = new AbortController();
+    alreadyAborted.abort();
+    await expect(parseOperationsCsv('a,b\n1,2', { signal: alreadyAborted.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
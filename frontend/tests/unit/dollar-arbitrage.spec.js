@@ -0,0 +1,98 @@
+/* eslint-env node, jest */
+import { describe, it, expect, beforeAll } from 'vitest';
+import { aggregateDollarLegs } from '../../src/services/data-aggregation.js';
+import { calculateDollarArbitrages } from '../../src/services/pnl-calculations.js';
+import { reloadInstrumentMapping } from '../../src/services/fees/instrument-mapping.js';
+import { DOLLAR_PATTERNS, ESTADOS, LADOS, TIPOS_CAMBIO, VENUES } from '../../src/services/arbitrage-types.js';
+
+const catalogEntry = (ticker, currency) => ({
+  CfiCode: 'DBXTXR',
+  Currency: currency,
+  PriceConvertionFactor: 0.01,
+  InstrumentId: { symbol: `MERV - XMEV - ${ticker} - CI` },
+});
+
+let seq = 0;
+const op = (instrumento, lado, cantidad, rawPrecio, { venue = VENUES.CI, comisiones = 0 } = {}) => {
+  seq += 1;
+  return {
+    id: `op-${seq}`,
+    order_id: `ord-${seq}`,
+    instrumento,
+    lado,
+    venue,
+    fechaHora: new Date(2025, 9, 20, 11, seq),
+    cantidad,
+    precio: rawPrecio * 0.01,
+    rawPrecio,
+    rawCantidad: cantidad,
+    comisiones,
+  };
+};
+
+beforeAll(() => {
+  reloadInstrumentMapping([
+    catalogEntry('AL30', 'ARS'),
+    catalogEntry('AL30D', 'USD'),
+    catalogEntry('AL30C', 'EXT'),
+    catalogEntry('GD35D', 'USD'),
+  ]);
+});
+
+describe('aggregateDollarLegs', () => {
+  it('pairs peso, MEP and cable tickers of the same bond by catalog currency and venue', () => {
+    const grupos = aggregateDollarLegs([
+      op('AL30', LADOS.COMPRA, 1000, 86500),
+      op('AL30D', LADOS.VENTA, 1000, 70),
+      op('AL30C', LADOS.COMPRA, 100, 69, { venue: VENUES.H24 }),
+      op('AL30', LADOS.VENTA, 100, 87000, { venue: VENUES.H24 }),
+      op('GD35D', LADOS.VENTA, 10, 60),
+    ]);
+
+    expect([...grupos.keys()].sort()).toEqual(['AL30:24h', 'AL30:CI']);
+    const ci = grupos.get('AL30:CI');
+    expect(ci.comprasPesos).toHaveLength(1);
+    expect(ci.dolares[TIPOS_CAMBIO.MEP]).toMatchObject({ instrumento: 'AL30D', ventas: [expect.any(Object)] });
+    expect(grupos.get('AL30:24h').dolares[TIPOS_CAMBIO.CCL].instrumento).toBe('AL30C');
+  });
+});
+
+describe('calculateDollarArbitrages', () => {
+  it('computes the implied rate with fees and P&L against the reference rate', () => {
+    const grupos = aggregateDollarLegs([
+      op('AL30', LADOS.COMPRA, 1000, 86500, { comisiones: 100 }),
+      op('AL30D', LADOS.VENTA, 1000, 70, { comisiones: 0.5 }),
+    ]);
+
+    const [compra] = calculateDollarArbitrages(grupos.values(), { MEP: 1250 });
+
+    expect(compra).toMatchObject({
+      patron: DOLLAR_PATTERNS.COMPRA_MEP,
+      matchedQty: 1000,
+      montoPesos: 865100,
+      montoDolares: 699.5,
+      tipoCambioImplicito: 1236.7405,
+      tipoCambioReferencia: 1250,
+      referenciaOrigen: 'manual',
+      pnl: 9275,
+      estado: ESTADOS.COMPLETO,
+    });
+  });
+
+  it('falls back to the day average and lets MEP take the peso nominals first', () => {
+    const grupos = aggregateDollarLegs([
+      op('AL30', LADOS.COMPRA, 1000, 86000),
+      op('AL30D', LADOS.VENTA, 800, 70),
+      op('AL30C', LADOS.VENTA, 500, 68),
+    ]);
+
+    const resultados = calculateDollarArbitrages(grupos.values());
+    const mep = resultados.find((r) => r.patron === DOLLAR_PATTERNS.COMPRA_MEP);
+    const ccl = resultados.find((r) => r.patron === DOLLAR_PATTERNS.COMPRA_CCL);
+
+    expect(mep.matchedQty).toBe(800);
+    expect(ccl.matchedQty).toBe(200);
+    expect(ccl.estado).toBe(ESTADOS.CANTIDADES_DESBALANCEADAS);
+    expect(ccl).toMatchObject({ referenciaOrigen: 'promedio', tipoCambioReferencia: ccl.tipoCambioImplicito, pnl: 0 });
+  });
+});
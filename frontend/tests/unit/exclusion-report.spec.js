@@ -0,0 +1,70 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+
+import { validateAndFilterRows } from '../../src/services/csv/validators.js';
+import { consolidateOperations } from '../../src/services/csv/consolidator.js';
+import { buildExcludedRowsCsvLines } from '../../src/services/csv/export-service.js';
+
+const row = (overrides = {}) => ({
+  order_id: 'ORD-1',
+  symbol: 'GFGC5200OC',
+  side: 'BUY',
+  quantity: 10,
+  price: 12.5,
+  status: 'Ejecutada',
+  event_subtype: 'execution_report',
+  ...overrides,
+});
+
+describe('exclusion report', () => {
+  it('records the position and reason of every row dropped by validation', () => {
+    const result = validateAndFilterRows({
+      rows: [
+        row(),
+        row({ status: 'Cancelada parcial' }),
+        row({ side: 'HOLD' }),
+        row({ event_subtype: 'order_status' }),
+        row({ price: 0 }),
+      ],
+    });
+
+    expect(result.rows).toHaveLength(1);
+    expect(result.excludedRows).toEqual([
+      { index: 1, reason: 'invalidStatus' },
+      { index: 2, reason: 'invalidSide' },
+      { index: 3, reason: 'invalidEventType' },
+      { index: 4, reason: 'invalidPrice' },
+    ]);
+    expect(result.exclusions.invalidSide).toBe(1);
+  });
+
+  it('returns the legs of groups that net to zero', () => {
+    const buy = { orderId: 'A', matchedSymbol: 'GGAL', optionType: 'CALL', strike: 5200, side: 'BUY', quantity: 2, price: 10 };
+    const sell = { ...buy, orderId: 'B', side: 'SELL', price: 11 };
+
+    const { calls, excludedOperations, exclusions } = consolidateOperations([buy, sell], { useAveraging: false });
+    expect(calls).toHaveLength(2);
+    expect(excludedOperations).toEqual([]);
+
+    const flat = consolidateOperations([buy, { ...sell, orderId: 'A' }], { useAveraging: false });
+    expect(flat.exclusions.zeroNetQuantity).toBe(1);
+    expect(flat.excludedOperations).toHaveLength(2);
+    expect(exclusions.zeroNetQuantity).toBe(0);
+  });
+
+  it('writes reasons, source location and every original column to CSV', () => {
+    const lines = buildExcludedRowsCsvLines(
+      [
+        { reason: 'invalidStatus', fileName: 'ops.csv', rowNumber: 3, raw: { order_id: 'ORD-2', text: 'Rechazada, sin saldo' } },
+        { reason: 'zeroNetQuantity', fileName: 'ops.csv', rowNumber: 7, raw: { order_id: 'ORD-3', symbol: 'GFGV5200OC' } },
+      ],
+      { invalidStatus: 'Estado no ejecutado' },
+    );
+
+    expect(lines).toEqual([
+      'Motivo,Detalle,Archivo,Fila,order_id,text,symbol',
+      'invalidStatus,Estado no ejecutado,ops.csv,3,ORD-2,"Rechazada, sin saldo",',
+      'zeroNetQuantity,,ops.csv,7,ORD-3,,GFGV5200OC',
+    ]);
+  });
+});
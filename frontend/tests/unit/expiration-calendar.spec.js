@@ -0,0 +1,90 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  attachExpiryToRows,
+  calculateDaysToExpiry,
+  estimateExpirationDate,
+  formatExpirationDate,
+  getThirdFriday,
+  parseExpirationDate,
+  resolveExpirationDate,
+} from '../../src/services/options/expiration-calendar.js';
+
+const GGAL_CONFIG = {
+  symbol: 'GGAL',
+  expirations: {
+    OCT: { suffixes: ['O', 'OC'] },
+    DIC: { suffixes: ['D', 'DI'], expirationDate: '2025-12-18' },
+  },
+};
+
+describe('expiration calendar', () => {
+  it('computes the third Friday of a month', () => {
+    expect(getThirdFriday(2025, 9)).toEqual(new Date(2025, 9, 17));
+    expect(getThirdFriday(2026, 1)).toEqual(new Date(2026, 1, 20));
+  });
+
+  it('moves expirations that fall on holidays to the previous business day', () => {
+    // 2025-06-20 is a holiday (Belgrano)
+    expect(estimateExpirationDate('JUN', new Date(2025, 0, 2))).toEqual(new Date(2025, 5, 19));
+    // 2025-04-18 and 2025-04-17 are both holidays (Semana Santa)
+    expect(estimateExpirationDate('ABR', new Date(2025, 0, 2))).toEqual(new Date(2025, 3, 16));
+  });
+
+  it('rolls to the next year once the month expiration has passed', () => {
+    expect(estimateExpirationDate('OCT', new Date(2025, 9, 17))).toEqual(new Date(2025, 9, 17));
+    expect(estimateExpirationDate('OCT', new Date(2025, 9, 18))).toEqual(new Date(2026, 9, 16));
+  });
+
+  it('uses the year of year-qualified codes and tokens', () => {
+    const reference = new Date(2025, 9, 1);
+    const config = {
+      expirations: {
+        OCT: { suffixes: ['O', 'OC'] },
+        OCT26: { suffixes: ['O26', 'OC26'] },
+      },
+    };
+    expect(estimateExpirationDate('OCT26', reference)).toEqual(new Date(2026, 9, 16));
+    expect(resolveExpirationDate({ token: 'OC26', symbolConfig: config, referenceDate: reference }))
+      .toEqual({ code: 'OCT26', date: new Date(2026, 9, 16), isOverride: false });
+    expect(resolveExpirationDate({ token: 'OC27', symbolConfig: config, referenceDate: reference }))
+      .toEqual({ code: 'OCT', date: new Date(2027, 9, 15), isOverride: false });
+  });
+
+  it('prefers the user override stored in the expiration settings', () => {
+    const reference = new Date(2025, 9, 1);
+    expect(resolveExpirationDate({ token: 'D', symbolConfig: GGAL_CONFIG, referenceDate: reference }))
+      .toEqual({ code: 'DIC', date: new Date(2025, 11, 18), isOverride: true });
+    expect(resolveExpirationDate({ token: 'O', symbolConfig: GGAL_CONFIG, referenceDate: reference }))
+      .toEqual({ code: 'OCT', date: new Date(2025, 9, 17), isOverride: false });
+    expect(resolveExpirationDate({ token: '24HS', referenceDate: reference })).toBeNull();
+  });
+
+  it('parses and formats override dates', () => {
+    expect(parseExpirationDate('2025-12-18')).toEqual(new Date(2025, 11, 18));
+    expect(parseExpirationDate('2025-02-30')).toBeNull();
+    expect(parseExpirationDate('18/12/2025')).toBeNull();
+    expect(formatExpirationDate(new Date(2025, 0, 5))).toBe('2025-01-05');
+  });
+
+  it('counts calendar days to a token or date', () => {
+    expect(calculateDaysToExpiry('OCT', new Date(2025, 9, 1))).toBe(16);
+    expect(calculateDaysToExpiry(new Date(2025, 9, 17), new Date(2025, 9, 20))).toBe(-3);
+    expect(calculateDaysToExpiry('NONE')).toBeNull();
+  });
+
+  it('attaches expiry data to consolidated rows', () => {
+    const rows = attachExpiryToRows([
+      { strike: 5200, legs: [{ symbol: 'GGAL', expiration: 'D' }] },
+      { strike: 5200, legs: [{ symbol: 'GGAL', expiration: 'XX' }] },
+    ], { symbolConfigs: { GGAL: GGAL_CONFIG }, referenceDate: new Date(2025, 9, 1) });
+
+    expect(rows[0]).toMatchObject({
+      expirationCode: 'DIC',
+      expirationDate: '2025-12-18',
+      expirationOverridden: true,
+      daysToExpiry: 78,
+    });
+    expect(rows[1]).not.toHaveProperty('daysToExpiry');
+  });
+});
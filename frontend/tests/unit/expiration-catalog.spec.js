@@ -0,0 +1,96 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  MONTH_EXPIRATION_CODES,
+  addExpirationToCatalog,
+  buildExpirationCode,
+  generateExpirationSuffixes,
+  matchExpirationCode,
+  parseExpirationCode,
+  resolveExpirationCode,
+  sortExpirationCodes,
+} from '../../src/services/expiration-catalog.js';
+import { createDefaultSymbolConfig, EXPIRATION_CODES } from '../../src/services/settings-types.js';
+import { validateSuffix } from '../../src/services/settings-utils.js';
+
+describe('expiration catalog', () => {
+  it('parses month codes and year-qualified codes', () => {
+    expect(parseExpirationCode('OCT')).toEqual({ letters: 'OCT', monthIndex: 9, year: null });
+    expect(parseExpirationCode('oct26')).toEqual({ letters: 'OCT', monthIndex: 9, year: 2026 });
+    expect(parseExpirationCode('OC2025')).toEqual({ letters: 'OC', monthIndex: 9, year: 2025 });
+    expect(parseExpirationCode('XYZ').monthIndex).toBe(-1);
+    expect(parseExpirationCode('24HS')).toBeNull();
+    expect(buildExpirationCode('OCT', 2026)).toBe('OCT26');
+    expect(buildExpirationCode('OCT')).toBe('OCT');
+  });
+
+  it('seeds all twelve months without suffix collisions', () => {
+    const { expirations } = createDefaultSymbolConfig('GGAL');
+    expect(Object.keys(expirations).sort()).toEqual([...MONTH_EXPIRATION_CODES].sort());
+
+    // Bimonthly series keep their historical suffixes
+    EXPIRATION_CODES.filter((code) => code !== 'AGO').forEach((code) => {
+      expect(expirations[code].suffixes).toEqual([code.charAt(0), code.substring(0, 2)]);
+    });
+    expect(expirations.MAY.suffixes).toEqual(['MY']);
+    expect(expirations.JUL.suffixes).toEqual(['JL']);
+
+    const allSuffixes = Object.values(expirations).flatMap((entry) => entry.suffixes);
+    expect(new Set(allSuffixes).size).toBe(allSuffixes.length);
+  });
+
+  it('generates year-qualified suffixes', () => {
+    expect(generateExpirationSuffixes('OCT26')).toEqual(['O26', 'OC26']);
+    expect(generateExpirationSuffixes('OCT26', new Set(['O26']))).toEqual(['OC26', 'OT26']);
+  });
+
+  it('adds expirations with generated suffixes and rejects duplicates', () => {
+    const base = { OCT: { suffixes: ['O', 'OC'], decimals: 1, overrides: [] } };
+    const added = addExpirationToCatalog(base, { monthCode: 'OCT', year: '2026', decimals: 1 });
+
+    expect(added.created).toBe(true);
+    expect(added.code).toBe('OCT26');
+    expect(added.expirations.OCT26).toEqual({ suffixes: ['O26', 'OC26'], decimals: 1, overrides: [] });
+    expect(addExpirationToCatalog(added.expirations, { monthCode: 'OCT', year: 26 }).created).toBe(false);
+  });
+
+  it('matches tokens to codes with year disambiguation', () => {
+    const catalog = {
+      OCT: { suffixes: ['O', 'OC'] },
+      OCT26: { suffixes: ['O26', 'OC26'] },
+      MAR: { suffixes: ['M', 'MA'] },
+    };
+    expect(matchExpirationCode('OC', catalog)).toBe('OCT');
+    expect(matchExpirationCode('OC26', catalog)).toBe('OCT26');
+    expect(matchExpirationCode('OCT', catalog)).toBe('OCT');
+    expect(matchExpirationCode('OC25', catalog)).toBe('OCT');
+    expect(matchExpirationCode('MA27', catalog)).toBe('MAR');
+    expect(matchExpirationCode('ZZ', catalog)).toBeNull();
+  });
+
+  it('resolves raw tokens to the symbol expiration code', () => {
+    const config = {
+      expirations: {
+        OCT: { suffixes: ['O', 'OC'] },
+        DIC: { suffixes: ['D', 'DI'] },
+      },
+    };
+    expect(resolveExpirationCode('O', config)).toBe('OCT');
+    expect(resolveExpirationCode('di', config)).toBe('DIC');
+    expect(resolveExpirationCode('DIC', config)).toBe('DIC');
+    expect(resolveExpirationCode(' oc. ', config)).toBe('OCT');
+    expect(resolveExpirationCode('F', config)).toBe('F');
+    expect(resolveExpirationCode('oc', null)).toBe('OC');
+    expect(resolveExpirationCode('', config)).toBe('');
+  });
+
+  it('sorts codes by month with year-specific series last', () => {
+    expect(sortExpirationCodes(['DIC', 'OCT26', 'ENE', 'OCT', 'FEB27'])).toEqual(['ENE', 'OCT', 'DIC', 'OCT26', 'FEB27']);
+  });
+
+  it('accepts suffixes with a 2-digit year', () => {
+    expect(validateSuffix('oc26')).toEqual({ valid: true, normalized: 'OC26' });
+    expect(validateSuffix('OC2026').valid).toBe(false);
+    expect(validateSuffix('OCT26').valid).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  FEE_PROFILES_VERSION,
+  buildScheduleRates,
+  mergeFeeVolumes,
+  resolveFeeProfile,
+  resolveFeeSchedule,
+  sanitizeFeeProfiles,
+  toIsoDate,
+} from '../../src/services/fees/fee-profiles.js';
+import {
+  collectProfileDailyVolumes,
+  enrichOperationsWithFeeProfiles,
+} from '../../src/services/fees/fee-enrichment.js';
+import { computeEffectiveRates, validateFeeConfig } from '../../src/services/fees/config-validation.js';
+
+const BASE_RATES = computeEffectiveRates(validateFeeConfig({
+  byma: { derechosDeMercado: { accionCedear: 0.07, letra: 0.001, bonds: 0.01, option: 0.2, iva: 0.21 } },
+  broker: { commission: 0.5 },
+}));
+
+const { profiles: PROFILES } = sanitizeFeeProfiles({
+  version: FEE_PROFILES_VERSION,
+  profiles: [
+    {
+      id: 'alyc-a',
+      name: 'ALyC A',
+      accounts: '1001, 1002',
+      schedules: [
+        { effectiveFrom: '2025-01-01', commissions: { option: 0.6 } },
+        {
+          effectiveFrom: '2025-10-01',
+          commissions: { option: 0.4, accionCedear: 0.3 },
+          tiers: [{ minVolume: 100000, commissions: { option: 0.2 } }],
+          minimumFee: 50,
+        },
+      ],
+    },
+    {
+      id: 'alyc-b',
+      name: 'ALyC B',
+      isDefault: true,
+      schedules: [{ effectiveFrom: '2024-01-01', commissions: { option: 1 } }],
+    },
+  ],
+});
+
+// Options without catalog details use a multiplier of 100
+const optionFill = (overrides) => ({
+  id: overrides.id,
+  orderId: overrides.orderId ?? overrides.id,
+  originalSymbol: 'GFGC50131O',
+  optionType: 'CALL',
+  side: 'BUY',
+  quantity: overrides.quantity,
+  price: overrides.price,
+  raw: { account: overrides.account, transact_time: overrides.transactTime },
+});
+
+describe('fee profile resolution', () => {
+  it('normalizes dates from CSV, broker and epoch formats', () => {
+    expect(toIsoDate('2025-10-08 13:58:51.454000Z')).toBe('2025-10-08');
+    expect(toIsoDate('20251008-10:58:51.454-0300')).toBe('2025-10-08');
+    expect(toIsoDate(String(new Date(2025, 9, 8, 15).getTime()))).toBe('2025-10-08');
+    expect(toIsoDate('ORD-20251399')).toBeNull();
+  });
+
+  it('keeps a late trade on the last day of the month in its local date', () => {
+    const lateTrade = new Date(2025, 9, 31, 23, 30);
+
+    expect(toIsoDate(lateTrade)).toBe('2025-10-31');
+    expect(toIsoDate(lateTrade.getTime())).toBe('2025-10-31');
+    expect(toIsoDate(String(lateTrade.getTime()))).toBe('2025-10-31');
+    expect(toIsoDate(lateTrade.toISOString())).toBe('2025-10-31');
+  });
+
+  it('picks the profile by account and falls back to the default profile', () => {
+    expect(resolveFeeProfile(PROFILES, '1002').id).toBe('alyc-a');
+    expect(resolveFeeProfile(PROFILES, '9999').id).toBe('alyc-b');
+    expect(resolveFeeProfile(PROFILES, null).id).toBe('alyc-b');
+    expect(resolveFeeProfile([PROFILES[0]], '9999')).toBeNull();
+  });
+
+  it('picks the schedule in force on the trade date', () => {
+    const [profile] = PROFILES;
+    expect(resolveFeeSchedule(profile, '2025-09-30').effectiveFrom).toBe('2025-01-01');
+    expect(resolveFeeSchedule(profile, '2025-10-01').effectiveFrom).toBe('2025-10-01');
+    expect(resolveFeeSchedule(profile, '2024-12-31')).toBeNull();
+  });
+
+  it('overrides only the categories the schedule sets', () => {
+    const rates = buildScheduleRates(BASE_RATES, PROFILES[0].schedules[1]);
+    expect(rates.option.commissionPct).toBeCloseTo(0.004);
+    expect(rates.accionCedear.commissionPct).toBeCloseTo(0.003);
+    expect(rates.bonds).toBe(BASE_RATES.bonds);
+  });
+});
+
+describe('enrichOperationsWithFeeProfiles', () => {
+  it('applies profile schedules, monthly tiers and per-order minimums', () => {
+    const operations = [
+      // 100 × 10 × 100 = 100,000 on the first day of the month: base schedule rate
+      optionFill({ id: 'a1', account: '1001', transactTime: '2025-10-01 14:00:00Z', quantity: 10, price: 100 }),
+      // Next day the month volume reaches the 100,000 tier
+      optionFill({ id: 'a2', account: '1001', transactTime: '2025-10-02 14:00:00Z', quantity: 10, price: 100 }),
+      // Small order below the minimum fee
+      optionFill({ id: 'a3', account: '1001', transactTime: '2025-10-02 15:00:00Z', quantity: 1, price: 10 }),
+      // Previous schedule, no minimum
+      optionFill({ id: 'a4', account: '1001', transactTime: '2025-09-15 14:00:00Z', quantity: 1, price: 10 }),
+      // Unlisted account goes to the default profile
+      optionFill({ id: 'b1', account: '7777', transactTime: '2025-10-02 14:00:00Z', quantity: 1, price: 10 }),
+    ];
+
+    const [a1, a2, a3, a4, b1] = enrichOperationsWithFeeProfiles(operations, BASE_RATES, { profiles: PROFILES });
+
+    expect(a1.feeBreakdown.commissionAmount).toBeCloseTo(400);
+    expect(a1.feeBreakdown.profile).toEqual({
+      id: 'alyc-a', name: 'ALyC A', effectiveFrom: '2025-10-01', tierMinVolume: null, tradeDate: '2025-10-01',
+    });
+    expect(a2.feeBreakdown.commissionAmount).toBeCloseTo(200);
+    expect(a2.feeBreakdown.profile.tierMinVolume).toBe(100000);
+
+    expect(a3.feeBreakdown.commissionAmount).toBeCloseTo(50);
+    expect(a3.feeBreakdown.minimumFeeAdjustment).toBeCloseTo(48);
+    const { rightsAmount, vatAmount } = a3.feeBreakdown;
+    expect(vatAmount).toBeCloseTo((50 + rightsAmount) * 0.21);
+    expect(a3.feeAmount).toBeCloseTo(50 + rightsAmount + vatAmount);
+
+    expect(a4.feeBreakdown.commissionAmount).toBeCloseTo(6);
+    expect(a4.feeBreakdown.minimumFeeAdjustment).toBeUndefined();
+    expect(b1.feeBreakdown.profile.id).toBe('alyc-b');
+    expect(b1.feeBreakdown.commissionAmount).toBeCloseTo(10);
+  });
+
+  it('spreads the minimum over the fills of an order by notional', () => {
+    const operations = [
+      optionFill({ id: 'f1', orderId: 'ORD-1', account: '1001', transactTime: '2025-10-03', quantity: 1, price: 30 }),
+      optionFill({ id: 'f2', orderId: 'ORD-1', account: '1001', transactTime: '2025-10-03', quantity: 1, price: 10 }),
+    ];
+
+    const [f1, f2] = enrichOperationsWithFeeProfiles(operations, BASE_RATES, { profiles: PROFILES });
+
+    expect(f1.feeBreakdown.commissionAmount + f2.feeBreakdown.commissionAmount).toBeCloseTo(50);
+    expect(f1.feeBreakdown.commissionAmount).toBeCloseTo(37.5);
+  });
+
+  it('picks the tier of a single-day batch from the volume recorded on earlier days', () => {
+    const operations = [
+      optionFill({ id: 'd1', account: '1001', transactTime: '2025-10-08 14:00:00Z', quantity: 10, price: 100 }),
+    ];
+    // Earlier runs: 60,000 + 50,000 this month, plus last month and this day (replaced by the batch)
+    const volumes = {
+      'alyc-a': { '2025-09-30': 500000, '2025-10-02': 60000, '2025-10-06': 50000, '2025-10-08': 999999 },
+    };
+
+    const [withHistory] = enrichOperationsWithFeeProfiles(operations, BASE_RATES, { profiles: PROFILES, volumes });
+    const [withoutHistory] = enrichOperationsWithFeeProfiles(operations, BASE_RATES, { profiles: PROFILES });
+
+    expect(withHistory.feeBreakdown.profile.tierMinVolume).toBe(100000);
+    expect(withHistory.feeBreakdown.commissionAmount).toBeCloseTo(200);
+    expect(withoutHistory.feeBreakdown.profile.tierMinVolume).toBeNull();
+
+    // Recording the batch again replaces its day instead of adding to it
+    const daily = collectProfileDailyVolumes([withHistory]);
+    expect(daily).toEqual({ 'alyc-a': { '2025-10-08': 100000 } });
+    expect(mergeFeeVolumes(mergeFeeVolumes(volumes, daily), daily)['alyc-a']['2025-10-08']).toBe(100000);
+  });
+});
@@ -0,0 +1,135 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  RECONCILIATION_STATUS,
+  combineChargeSources,
+  extractBrokerCharges,
+  parseBrokerChargesCsv,
+  reconcileFees,
+} from '../../src/services/fees/fee-reconciliation.js';
+
+const operation = ({ orderId, category = 'option', feeAmount, raw = {} }) => ({
+  orderId,
+  originalSymbol: `SYM-${orderId}`,
+  category,
+  feeAmount,
+  feeBreakdown: {
+    commissionAmount: feeAmount * 0.7,
+    rightsAmount: feeAmount * 0.1,
+    vatAmount: feeAmount * 0.2,
+    category,
+  },
+  raw,
+});
+
+describe('parseBrokerChargesCsv', () => {
+  it('maps Spanish boleto headers and adds up fills of the same order', () => {
+    const csv = [
+      'Nro. Orden;Comisión;Derechos de Mercado;IVA',
+      'ORD-1;"100,50";"10,00";"23,21"',
+      'ORD-1;"50,00";"5,00";"11,55"',
+      'ORD-2;"20,00";"2,00";"4,62"',
+      ';"1,00";"0,00";"0,00"',
+    ].join('\n');
+
+    const { charges, skipped } = parseBrokerChargesCsv(csv);
+
+    expect(skipped).toBe(1);
+    expect(charges).toHaveLength(2);
+    expect(charges[0]).toMatchObject({ orderId: 'ORD-1', source: 'csv', total: null });
+    expect(charges[0].commission).toBeCloseTo(150.5);
+    expect(charges[0].vat).toBeCloseTo(34.76);
+  });
+
+  it('rejects files without an order id or amount column', () => {
+    expect(() => parseBrokerChargesCsv('Comisión,IVA\n1,2')).toThrow(/número de orden/);
+    expect(() => parseBrokerChargesCsv('Orden,Símbolo\n1,GGAL')).toThrow(/comisión/);
+  });
+});
+
+describe('extractBrokerCharges', () => {
+  it('reads fee fields from the original broker order', () => {
+    const charges = extractBrokerCharges([
+      operation({ orderId: 'A', feeAmount: 10, raw: { _original: { commission: 7, marketFees: { amount: 1 }, vat: 1.68 } } }),
+      operation({ orderId: 'B', feeAmount: 10, raw: { order_id: 'B' } }),
+    ]);
+
+    expect(charges).toEqual([
+      { orderId: 'A', commission: 7, rights: 1, vat: 1.68, total: null, source: 'broker' },
+    ]);
+  });
+
+  it('lets imported charges take precedence over broker JSON', () => {
+    const combined = combineChargeSources(
+      [{ orderId: 'A', total: 12, source: 'csv' }],
+      [{ orderId: 'A', total: 10, source: 'broker' }, { orderId: 'B', total: 3, source: 'broker' }],
+    );
+    expect(combined.map((charge) => charge.source)).toEqual(['csv', 'broker']);
+  });
+});
+
+describe('reconcileFees', () => {
+  const operations = [
+    operation({ orderId: 'OK', feeAmount: 100 }),
+    operation({ orderId: 'OVER', feeAmount: 100 }),
+    operation({ orderId: 'UNDER', category: 'bonds', feeAmount: 50 }),
+    operation({ orderId: 'NONE', feeAmount: 20 }),
+  ];
+  const charges = [
+    { orderId: 'OK', commission: 70, rights: 10, vat: 20.5, total: null },
+    { orderId: 'OVER', commission: null, rights: null, vat: null, total: 115 },
+    { orderId: 'UNDER', total: 40 },
+    { orderId: 'GHOST', total: 5 },
+  ];
+
+  it('flags differences beyond the tolerance and orders without a counterpart', () => {
+    const { rows } = reconcileFees(operations, charges, { tolerance: 1 });
+    const byOrder = Object.fromEntries(rows.map((row) => [row.orderId, row]));
+
+    expect(byOrder.OK.status).toBe(RECONCILIATION_STATUS.MATCHED);
+    expect(byOrder.OK.difference).toBeCloseTo(0.5);
+    expect(byOrder.OVER.status).toBe(RECONCILIATION_STATUS.OVERCHARGED);
+    expect(byOrder.UNDER.status).toBe(RECONCILIATION_STATUS.UNDERCHARGED);
+    expect(byOrder.NONE.status).toBe(RECONCILIATION_STATUS.MISSING_CHARGE);
+    expect(byOrder.GHOST.status).toBe(RECONCILIATION_STATUS.UNMATCHED_CHARGE);
+    expect(rows[0].orderId).toBe('OVER');
+
+    const { rows: lenient } = reconcileFees(operations, charges, { tolerance: 20 });
+    expect(lenient.find((row) => row.orderId === 'OVER').status).toBe(RECONCILIATION_STATUS.MATCHED);
+  });
+
+  it('totals matched orders per category', () => {
+    const { totalsByCategory, totals } = reconcileFees(operations, charges);
+
+    expect(totalsByCategory.option).toMatchObject({ orders: 2, expected: 200, flagged: 1 });
+    expect(totalsByCategory.option.charged).toBeCloseTo(215.5);
+    expect(totalsByCategory.bonds).toMatchObject({ orders: 1, expected: 50, charged: 40, difference: -10 });
+    expect(totals.orders).toBe(3);
+    expect(totals.difference).toBeCloseTo(5.5);
+    expect(totals.components.vat).toMatchObject({ orders: 1, expected: 20, charged: 20.5, difference: 0.5 });
+    expect(totals.components.commission).toMatchObject({ orders: 1, difference: 0 });
+  });
+
+  it('compares a boleto that only lists the commission against the expected commission', () => {
+    const { rows, totals } = reconcileFees(
+      [operation({ orderId: 'COM', feeAmount: 100 }), operation({ orderId: 'COM-HIGH', feeAmount: 100 })],
+      [
+        { orderId: 'COM', commission: 70 },
+        { orderId: 'COM-HIGH', commission: 75 },
+      ],
+    );
+    const byOrder = Object.fromEntries(rows.map((row) => [row.orderId, row]));
+
+    expect(byOrder.COM).toMatchObject({
+      status: RECONCILIATION_STATUS.MATCHED,
+      comparedComponents: ['commission'],
+      comparedExpected: 70,
+      difference: 0,
+      componentDifferences: { commission: 0, rights: null, vat: null },
+    });
+    expect(byOrder['COM-HIGH']).toMatchObject({ status: RECONCILIATION_STATUS.OVERCHARGED, difference: 5 });
+    expect(totals).toMatchObject({ orders: 2, expected: 140, charged: 145, difference: 5, flagged: 1 });
+    expect(totals.components.commission).toMatchObject({ orders: 2, difference: 5 });
+    expect(totals.components.rights.orders).toBe(0);
+  });
+});
@@ -0,0 +1,116 @@
+/* eslint-env node, jest */
+import { afterEach, describe, it, expect } from 'vitest';
+import {
+  HOLIDAY_TYPES,
+  getDefaultHolidays,
+  getEasterSunday,
+  getHolidaysForYear,
+  isMarketHoliday,
+  mergeCustomHolidays,
+  setHolidayOverrides,
+} from '../../src/services/holidays/holiday-calendar.js';
+import { parseHolidaysCsv, parseHolidaysIcs } from '../../src/services/holidays/holiday-import.js';
+import { sanitizeHolidayOverrides } from '../../src/services/holidays/holiday-storage.js';
+import { addBusinessDays, calculateCIto24hsPlazo } from '../../src/services/business-days.js';
+
+const datesOf = (entries) => entries.map((entry) => entry.date);
+
+describe('holiday calendar', () => {
+  afterEach(() => {
+    setHolidayOverrides();
+  });
+
+  it('computes Easter-based holidays', () => {
+    expect(getEasterSunday(2025)).toEqual(new Date(2025, 3, 20));
+    expect(getEasterSunday(2026)).toEqual(new Date(2026, 3, 5));
+    const dates = datesOf(getDefaultHolidays(2026));
+    expect(dates).toEqual(expect.arrayContaining(['2026-02-16', '2026-02-17', '2026-04-02', '2026-04-03']));
+  });
+
+  it('moves movable holidays to the closest Monday', () => {
+    const dates2026 = datesOf(getDefaultHolidays(2026));
+    // Güemes (Wednesday 17/06) -> Monday 15/06, Soberanía (Friday 20/11) -> Monday 23/11
+    expect(dates2026).toContain('2026-06-15');
+    expect(dates2026).toContain('2026-11-23');
+    expect(dates2026).not.toContain('2026-11-20');
+    // San Martín on Sunday stays in place
+    expect(datesOf(getDefaultHolidays(2025))).toContain('2025-08-17');
+  });
+
+  it('includes bridge days by year', () => {
+    const bridges = getDefaultHolidays(2026).filter((entry) => entry.type === HOLIDAY_TYPES.BRIDGE);
+    expect(datesOf(bridges)).toEqual(['2026-03-23', '2026-07-10', '2026-12-07']);
+  });
+
+  it('applies custom entries and disabled defaults', () => {
+    setHolidayOverrides({
+      custom: [{ date: '2026-11-06', name: 'Día del Bancario', type: HOLIDAY_TYPES.MARKET }],
+      disabled: ['2026-12-07'],
+    });
+    expect(isMarketHoliday('2026-11-06')).toBe(true);
+    expect(isMarketHoliday(new Date(2026, 11, 7))).toBe(false);
+    expect(getHolidaysForYear(2026).find((entry) => entry.date === '2026-11-06').source).toBe('custom');
+  });
+
+  it('uses the calendar for business-day settlement beyond 2025', () => {
+    // Friday 20/03/2026 settles on Wednesday 25/03 (bridge + Memoria)
+    expect(addBusinessDays(new Date(2026, 2, 20), 1)).toEqual(new Date(2026, 2, 25));
+    expect(calculateCIto24hsPlazo(new Date(2026, 2, 20))).toBe(5);
+  });
+
+  it('merges custom entries by date', () => {
+    const { custom, added } = mergeCustomHolidays(
+      [{ date: '2026-01-02', name: 'A', type: HOLIDAY_TYPES.MARKET }],
+      [{ date: '2026-01-02', name: 'B', type: HOLIDAY_TYPES.MARKET }, { date: '2026-01-05', name: 'C', type: HOLIDAY_TYPES.MARKET }],
+    );
+    expect(added).toBe(1);
+    expect(custom.map((entry) => entry.name)).toEqual(['B', 'C']);
+  });
+
+  it('sanitizes stored overrides', () => {
+    const sanitized = sanitizeHolidayOverrides({
+      version: 1,
+      custom: [{ date: '2026-02-30', name: 'X' }, { date: '2026-01-02', name: 'Y', type: 'other' }],
+      disabled: ['2026-12-07', 'bad'],
+    });
+    expect(sanitized.custom).toEqual([{ date: '2026-01-02', name: 'Y', type: HOLIDAY_TYPES.MARKET }]);
+    expect(sanitized.disabled).toEqual(['2026-12-07']);
+    expect(sanitizeHolidayOverrides({ version: 0 }).custom).toEqual([]);
+  });
+});
+
+describe('holiday import', () => {
+  it('parses CSV with optional header and both date formats', () => {
+    const { entries, skipped } = parseHolidaysCsv(
+      'fecha,nombre,tipo\n2026-11-06,Día del Bancario,mercado\n24/12/2026,Nochebuena,puente\nnope,x,y\n',
+    );
+    expect(entries).toEqual([
+      { date: '2026-11-06', name: 'Día del Bancario', type: HOLIDAY_TYPES.MARKET },
+      { date: '2026-12-24', name: 'Nochebuena', type: HOLIDAY_TYPES.BRIDGE },
+    ]);
+    expect(skipped).toBe(1);
+  });
+
+  it('parses all-day ICS events and expands multi-day ranges', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20270208',
+      'DTEND;VALUE=DATE:20270210',
+      'SUMMARY:Carnaval',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20270101',
+      'SUMMARY:Año',
+      '  Nuevo',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ].join('\r\n');
+    const { entries } = parseHolidaysIcs(ics);
+    expect(entries).toEqual([
+      { date: '2027-02-08', name: 'Carnaval', type: HOLIDAY_TYPES.NATIONAL },
+      { date: '2027-02-09', name: 'Carnaval', type: HOLIDAY_TYPES.NATIONAL },
+      { date: '2027-01-01', name: 'Año Nuevo', type: HOLIDAY_TYPES.NATIONAL },
+    ]);
+  });
+});
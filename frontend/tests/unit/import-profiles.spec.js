@@ -0,0 +1,82 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  MISSING_COLUMNS_ERROR,
+  applyImportProfile,
+  collectHeaders,
+  createHeaderSignature,
+  createImportProfile,
+  createMissingColumnsError,
+  findMissingRequiredColumns,
+  findProfileForHeaders,
+  suggestColumnMapping,
+  suggestValueMap,
+} from '../../src/services/csv/import-profiles.js';
+import { sanitizeImportProfiles } from '../../src/services/csv/import-profiles-storage.js';
+
+const BROKER_HEADERS = ['Nro Orden', 'Especie', 'Operación', 'Cantidad', 'Precio', 'Fecha', 'Estado'];
+
+const BROKER_ROWS = [
+  { 'Nro Orden': '1', Especie: 'GFGC5200OC', 'Operación': 'Compra', Cantidad: '10', Precio: '1.234,5', Fecha: '2025-10-08 14:56', Estado: 'Ejecutada' },
+  { 'Nro Orden': '2', Especie: 'GFGV5200OC', 'Operación': 'Venta', Cantidad: '5', Precio: '98,75', Fecha: '2025-10-08 15:01', Estado: 'Parcialmente ejecutada' },
+];
+
+describe('import profiles', () => {
+  it('detects required columns that no header can provide', () => {
+    expect(findMissingRequiredColumns(BROKER_HEADERS)).toEqual(['order_id', 'side', 'quantity', 'price']);
+    // Primary exports derive quantity and price from execution columns
+    expect(findMissingRequiredColumns(['order_id', 'side', 'last_qty', 'last_price'])).toEqual([]);
+  });
+
+  it('suggests mappings from Spanish headers and side/status translations', () => {
+    expect(suggestColumnMapping(BROKER_HEADERS)).toEqual({
+      order_id: 'Nro Orden',
+      side: 'Operación',
+      quantity: 'Cantidad',
+      price: 'Precio',
+      symbol: 'Especie',
+      transact_time: 'Fecha',
+      status: 'Estado',
+    });
+    expect(suggestValueMap('side', ['Compra', 'Venta', 'Otro'])).toEqual({ COMPRA: 'BUY', VENTA: 'SELL' });
+    expect(suggestValueMap('status', ['Ejecutada', 'Parcialmente ejecutada', 'Anulada']))
+      .toEqual({ EJECUTADA: 'fully_executed', 'PARCIALMENTE EJECUTADA': 'partially_executed', ANULADA: 'cancelled' });
+  });
+
+  it('applies a profile with value translation and decimal comma', () => {
+    const profile = createImportProfile({
+      name: 'Broker X',
+      headers: BROKER_HEADERS,
+      columns: suggestColumnMapping(BROKER_HEADERS),
+      valueMaps: { side: { COMPRA: 'BUY', VENTA: 'SELL' } },
+      decimalSeparator: ',',
+    });
+    const [first, second] = applyImportProfile(BROKER_ROWS, profile);
+
+    expect(first).toMatchObject({ order_id: '1', side: 'BUY', quantity: 10, price: 1234.5, symbol: 'GFGC5200OC' });
+    expect(second).toMatchObject({ side: 'SELL', price: 98.75, status: 'Parcialmente ejecutada' });
+    expect(first['Operación']).toBe('Compra');
+    expect(findMissingRequiredColumns(BROKER_HEADERS, profile)).toEqual([]);
+  });
+
+  it('matches profiles by header signature regardless of order', () => {
+    const profile = createImportProfile({ name: 'Broker X', headers: BROKER_HEADERS, columns: { order_id: 'Nro Orden' } });
+    expect(createHeaderSignature([' Precio', 'cantidad'])).toBe('cantidad|precio');
+    expect(findProfileForHeaders([profile], [...BROKER_HEADERS].reverse())).toBe(profile);
+    expect(findProfileForHeaders([profile], ['order_id'])).toBeNull();
+    expect(sanitizeImportProfiles([profile, { id: 'bad' }, null])).toEqual([profile]);
+  });
+
+  it('builds a missing-columns error with wizard details', () => {
+    const error = createMissingColumnsError({
+      missing: ['order_id'],
+      headers: collectHeaders(BROKER_ROWS),
+      rows: BROKER_ROWS,
+    });
+    expect(error.message).toBe('Faltan columnas requeridas: order_id.');
+    expect(error.code).toBe(MISSING_COLUMNS_ERROR);
+    expect(error.details.headers).toEqual(BROKER_HEADERS);
+    expect(error.details.preview).toHaveLength(2);
+    expect(error.details.distinctValues['Operación']).toEqual(['Compra', 'Venta']);
+  });
+});
@@ -0,0 +1,134 @@
+/* eslint-env node, jest */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { storageKeys, writeItem } from '../../src/services/storage/local-storage.js';
+import {
+  INSTRUMENT_CATALOG_VERSION,
+  applyInstrumentCatalog,
+  clearStoredInstrumentCatalog,
+  diffInstrumentCatalogs,
+  isInstrumentCatalogStale,
+  loadStoredInstrumentCatalog,
+  mergeCatalogInstruments,
+  normalizeCatalogInstrument,
+  refreshInstrumentCatalog,
+  refreshInstrumentCatalogIfStale,
+} from '../../src/services/fees/instrument-catalog.js';
+import { getCatalogOption, getInstrumentDetails, resolveCfiCategory } from '../../src/services/fees/instrument-mapping.js';
+
+const BUNDLED = [
+  {
+    InstrumentId: { marketId: 'ROFX', symbol: 'MERV - XMEV - GFGC50131O - 24hs' },
+    CfiCode: 'OCASPS',
+    StrikePrice: 5013.1,
+    RoundLot: 100,
+    ContractMultiplier: 1,
+    PriceConvertionFactor: 1,
+    Currency: 'ARS',
+    MaturityDate: '20251017',
+  },
+  {
+    InstrumentId: { marketId: 'ROFX', symbol: 'MERV - XMEV - GFGV4000OC - 24hs' },
+    CfiCode: 'OPASPS',
+    StrikePrice: 4000,
+  },
+];
+
+const BROKER_INSTRUMENTS = [
+  { instrumentId: { marketId: 'ROFX', symbol: 'MERV - XMEV - GFGC50131O - 24hs' }, cficode: 'OCASPS' },
+  // New series, not in the bundled catalog
+  {
+    instrumentId: { marketId: 'ROFX', symbol: 'MERV - XMEV - GFGC60000D - 24hs' },
+    cficode: 'OCASPS',
+    strikePrice: 6000,
+  },
+];
+
+const fetchInstruments = async () => ({ instruments: BROKER_INSTRUMENTS });
+
+describe('instrument catalog helpers', () => {
+  it('normalizes broker and bundled entries to the compact catalog shape', () => {
+    expect(normalizeCatalogInstrument(BROKER_INSTRUMENTS[1])).toEqual({
+      InstrumentId: { marketId: 'ROFX', symbol: 'MERV - XMEV - GFGC60000D - 24hs' },
+      CfiCode: 'OCASPS',
+      StrikePrice: 6000,
+    });
+    expect(normalizeCatalogInstrument(BUNDLED[0])).not.toHaveProperty('MaturityDate');
+    expect(normalizeCatalogInstrument({ instrumentId: {} })).toBeNull();
+  });
+
+  it('keeps previous details for instruments the broker only lists by id', () => {
+    const previous = BUNDLED.map(normalizeCatalogInstrument);
+    const incoming = BROKER_INSTRUMENTS.map(normalizeCatalogInstrument);
+    const merged = mergeCatalogInstruments(previous, incoming);
+
+    expect(merged).toHaveLength(2);
+    expect(merged[0]).toMatchObject({ StrikePrice: 5013.1, RoundLot: 100, CfiCode: 'OCASPS' });
+    expect(diffInstrumentCatalogs(previous, merged)).toEqual({
+      added: ['MERV - XMEV - GFGC60000D - 24hs'],
+      removed: ['MERV - XMEV - GFGV4000OC - 24hs'],
+    });
+  });
+
+  it('treats a missing or day-old catalog as stale', () => {
+    const now = new Date('2025-10-20T12:00:00Z');
+    expect(isInstrumentCatalogStale(null, now)).toBe(true);
+    expect(isInstrumentCatalogStale({ updatedAt: '2025-10-20T08:00:00Z' }, now)).toBe(false);
+    expect(isInstrumentCatalogStale({ updatedAt: '2025-10-19T11:00:00Z' }, now)).toBe(true);
+  });
+});
+
+describe('refreshInstrumentCatalog', () => {
+  beforeEach(async () => {
+    window.localStorage.clear();
+    await clearStoredInstrumentCatalog(BUNDLED);
+  });
+
+  it('stores the refreshed catalog with its date and diff and rebuilds the maps in place', async () => {
+    expect(getCatalogOption('GFGC60000D')).toBeNull();
+
+    const now = new Date('2025-10-20T12:00:00Z');
+    const { catalog, diff } = await refreshInstrumentCatalog({ fetchInstruments, now });
+
+    expect(diff.added).toEqual(['MERV - XMEV - GFGC60000D - 24hs']);
+    expect(catalog).toMatchObject({
+      updatedAt: '2025-10-20T12:00:00.000Z',
+      lastDiff: { addedCount: 1, removedCount: 1 },
+    });
+    expect(getCatalogOption('GFGC60000D')).toMatchObject({ strike: 6000 });
+    expect(getCatalogOption('GFGV4000OC')).toBeNull();
+    expect(resolveCfiCategory('OCASPS')).toBe('option');
+    expect(getInstrumentDetails('MERV - XMEV - GFGC50131O - 24hs')).toMatchObject({ contractMultiplier: 100 });
+
+    const stored = await loadStoredInstrumentCatalog();
+    expect(stored.instruments).toHaveLength(2);
+    expect(stored.lastDiff.added).toEqual(['MERV - XMEV - GFGC60000D - 24hs']);
+  });
+
+  it('keeps the current catalog when the broker returns no instruments', async () => {
+    await expect(refreshInstrumentCatalog({ fetchInstruments: async () => ({ instruments: [] }) }))
+      .rejects.toThrow(/no devolvió instrumentos/);
+    expect(getCatalogOption('GFGV4000OC')).toMatchObject({ strike: 4000 });
+    expect(await loadStoredInstrumentCatalog()).toBeNull();
+  });
+
+  it('skips scheduled refreshes while the stored catalog is current', async () => {
+    await refreshInstrumentCatalog({ fetchInstruments, now: new Date('2025-10-20T12:00:00Z') });
+    const later = new Date('2025-10-20T18:00:00Z');
+    const failingFetch = async () => {
+      throw new Error('No debería consultar al broker');
+    };
+    expect(await refreshInstrumentCatalogIfStale({ fetchInstruments: failingFetch, now: later })).toBeNull();
+  });
+
+  it('applies a catalog stored by another context without a reload', async () => {
+    await writeItem(storageKeys.instrumentCatalog, {
+      version: INSTRUMENT_CATALOG_VERSION,
+      updatedAt: '2025-10-21T09:00:00.000Z',
+      instruments: BROKER_INSTRUMENTS,
+    });
+
+    const catalog = await applyInstrumentCatalog(BUNDLED);
+    expect(catalog.lastDiff).toEqual({ addedCount: 0, removedCount: 0, added: [], removed: [] });
+    expect(getCatalogOption('GFGC60000D')).toMatchObject({ strike: 6000 });
+  });
+});
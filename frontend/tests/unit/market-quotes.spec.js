@@ -0,0 +1,135 @@
+/* eslint-env node, jest */
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  MARK_SOURCES,
+  QUOTE_SOURCES,
+  createMarketDataStub,
+  createQuoteSnapshot,
+  fetchBrokerQuotes,
+  markRowsToMarket,
+  mergeMarkSummaries,
+  parseQuotesCsv,
+  parseQuotesJson,
+  resolveUnderlyingPrices,
+} from '../../src/services/quotes/market-quotes.js';
+import { reloadInstrumentMapping } from '../../src/services/fees/instrument-mapping.js';
+
+const AL30_CI = 'MERV - XMEV - AL30 - CI';
+const AL30_24 = 'MERV - XMEV - AL30 - 24hs';
+const AL30D_CI = 'MERV - XMEV - AL30D - CI';
+const GFG_CALL = 'MERV - XMEV - GFGC50131O - 24hs';
+
+beforeAll(() => {
+  reloadInstrumentMapping([
+    { CfiCode: 'DBXTXR', Currency: 'ARS', PriceConvertionFactor: 0.01, InstrumentId: { symbol: AL30_CI } },
+    { CfiCode: 'DBXTXR', Currency: 'ARS', PriceConvertionFactor: 0.01, InstrumentId: { symbol: AL30_24 } },
+    { CfiCode: 'DBXTXR', Currency: 'USD', PriceConvertionFactor: 0.01, InstrumentId: { symbol: AL30D_CI } },
+    { CfiCode: 'OCASPS', Currency: 'ARS', RoundLot: 100, InstrumentId: { symbol: GFG_CALL } },
+  ]);
+});
+
+describe('quote parsing', () => {
+  it('reads CSV snapshots with Spanish headers and local number formats', () => {
+    const { quotes, skipped } = parseQuotesCsv([
+      'Símbolo;Último;Compra;Venta;Fecha',
+      `${AL30_CI};86.500,5;86.400,00;86.600,00;2025-10-20T16:59:00Z`,
+      'GGAL;;;;',
+    ].join('\n'));
+
+    expect(skipped).toBe(1);
+    expect(quotes).toEqual([{
+      symbol: AL30_CI, last: 86500.5, bid: 86400, ask: 86600, timestamp: '2025-10-20T16:59:00.000Z',
+    }]);
+    expect(() => parseQuotesCsv('precio\n10')).toThrow(/columna de símbolo/);
+  });
+
+  it('reads JSON keyed by symbol and Primary marketData answers', () => {
+    const keyed = parseQuotesJson(JSON.stringify({ GFGC50131O: { last: 12.5 } }));
+    expect(keyed.quotes[0]).toMatchObject({ symbol: 'GFGC50131O', last: 12.5, bid: null });
+
+    const primary = parseQuotesJson([{ symbol: AL30_CI, marketData: { LA: { price: 86500 }, BI: [{ price: 86400 }], OF: [] } }]);
+    expect(primary.quotes[0]).toMatchObject({ last: 86500, bid: 86400, ask: null });
+  });
+});
+
+describe('fetchBrokerQuotes', () => {
+  it('collects what the broker answers and lists the symbols it did not', async () => {
+    const fetchMarketData = createMarketDataStub({ [AL30_CI]: { last: 86500, bid: 86400, ask: 86600 } });
+    const snapshot = await fetchBrokerQuotes([AL30_CI, AL30_CI, GFG_CALL], { fetchMarketData, token: 't' });
+
+    expect(snapshot.source).toBe(QUOTE_SOURCES.BROKER);
+    expect(snapshot.quotes).toHaveLength(1);
+    expect(snapshot.failed).toEqual([GFG_CALL]);
+    await expect(fetchBrokerQuotes([GFG_CALL], { fetchMarketData })).rejects.toThrow(/no devolvió cotizaciones/);
+  });
+});
+
+describe('markRowsToMarket', () => {
+  const snapshot = createQuoteSnapshot([
+    { symbol: AL30_CI, last: 87000, bid: 86900, ask: 87100 },
+    { symbol: AL30_24, last: 87500, bid: null, ask: null },
+    { symbol: AL30D_CI, last: 70, bid: 69.5, ask: 70.5 },
+    { symbol: GFG_CALL, last: 15, bid: null, ask: 16 },
+  ], { source: QUOTE_SOURCES.JSON });
+
+  const accessors = {
+    getSymbol: (row) => row.symbol,
+    getQuantity: (row) => row.quantity,
+    getPrice: (row) => row.price,
+    getSettlement: (row) => row.settlement,
+    getGroup: (row) => row.group,
+  };
+
+  it('marks longs at the bid, shorts at the ask and falls back to the last price', () => {
+    const result = markRowsToMarket([
+      { symbol: 'AL30', settlement: 'CI', quantity: 1000, price: 86500, group: 'AL30' },
+      { symbol: 'AL30', settlement: '24HS', quantity: -500, price: 88000, group: 'AL30' },
+      { symbol: 'AL30D', settlement: 'CI', quantity: 100, price: 70, group: 'AL30' },
+      { symbol: GFG_CALL, quantity: -2, price: 20, group: 'GFG', optionType: 'CALL' },
+      { symbol: 'GD35', settlement: 'CI', quantity: 10, price: 60, group: 'GD35' },
+      { symbol: 'PESOS', quantity: 1000, price: 40, group: 'PESOS', category: 'caucion' },
+    ], snapshot, accessors);
+
+    const [long, short, dollar, option, unquoted, caucion] = result.rows;
+    // (86900 - 86500) × 1000 × 0.01
+    expect(long.mark).toMatchObject({ price: 86900, source: MARK_SOURCES.BID, unrealizedPnl: 4000, currency: 'ARS' });
+    // (87500 - 88000) × -500 × 0.01, no ask so the last trade
+    expect(short.mark).toMatchObject({ source: MARK_SOURCES.LAST, unrealizedPnl: 2500 });
+    expect(dollar.mark).toMatchObject({ unrealizedPnl: -0.5, currency: 'USD' });
+    // (16 - 20) × -2 × 100
+    expect(option.mark).toMatchObject({ source: MARK_SOURCES.ASK, unrealizedPnl: 800 });
+    expect(unquoted.mark).toBeNull();
+    expect(caucion.mark).toBeNull();
+
+    expect(result.totals).toEqual({ ARS: 7300, USD: -0.5 });
+    expect(result.byGroup).toEqual({ AL30: { ARS: 6500, USD: -0.5 }, GFG: { ARS: 800 } });
+    expect(result.missing).toEqual(['GD35']);
+    expect(result.quoted).toBe(4);
+  });
+
+  it('adds up the totals of both tables of a view', () => {
+    const buys = markRowsToMarket([{ symbol: AL30_CI, quantity: 100, price: 86000, group: 'AL30' }], snapshot, accessors);
+    const sells = markRowsToMarket([{ symbol: AL30_CI, quantity: -100, price: 87300, group: 'AL30' }], snapshot, accessors);
+
+    expect(mergeMarkSummaries(buys, sells)).toEqual({
+      totals: { ARS: 1100 },
+      byGroup: { AL30: { ARS: 1100 } },
+      quoted: 2,
+      missing: [],
+    });
+    expect(markRowsToMarket([{ symbol: AL30_CI, quantity: 1 }], null, accessors).rows[0].mark).toBeUndefined();
+  });
+});
+
+describe('resolveUnderlyingPrices', () => {
+  it('takes the last trade, else the midpoint, for each underlying', () => {
+    const snapshot = createQuoteSnapshot([
+      { symbol: 'MERV - XMEV - GGAL - 24hs', last: 5010, bid: 5000, ask: 5020 },
+      { symbol: 'MERV - XMEV - YPFD - 24hs', last: null, bid: 39900, ask: 40100 },
+      { symbol: GFG_CALL, last: 18, bid: null, ask: null },
+    ], { source: QUOTE_SOURCES.JSON });
+
+    expect(resolveUnderlyingPrices(snapshot, ['GGAL', 'YPFD', 'PAMP'])).toEqual({ GGAL: 5010, YPFD: 40000 });
+    expect(resolveUnderlyingPrices(null, ['GGAL'])).toEqual({});
+  });
+});
@@ -0,0 +1,99 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  ROUNDING_MODES,
+  allocateMoney,
+  getCurrencyRounding,
+  isSameMoney,
+  multiplyMoney,
+  parseLocaleAmount,
+  roundMoney,
+  roundToDecimals,
+  sumMoney,
+} from '../../src/services/money.js';
+import { calculateFee } from '../../src/services/fees/fee-calculator.js';
+import { reconcileBaseAmount } from '../../src/services/fees/repo-fees.js';
+
+describe('money rounding', () => {
+  it('rounds halves away from zero where x * 100 / 100 fails', () => {
+    expect(Math.round(1.005 * 100) / 100).toBe(1);
+    expect(roundMoney(1.005)).toBe(1.01);
+    expect(roundMoney(-1.005)).toBe(-1.01);
+    expect(roundMoney(2.675, 'USD')).toBe(2.68);
+    expect(roundMoney(1e-7)).toBe(0);
+  });
+
+  it('uses the ARS rule for unknown currencies', () => {
+    expect(getCurrencyRounding('usd')).toEqual({ decimals: 2, mode: ROUNDING_MODES.HALF_UP });
+    expect(getCurrencyRounding('EXT')).toBe(getCurrencyRounding('ARS'));
+  });
+
+  it('supports other decimals and modes', () => {
+    expect(roundToDecimals(12.34565, 4)).toBe(12.3457);
+    expect(roundToDecimals(2.5, 0, ROUNDING_MODES.HALF_EVEN)).toBe(2);
+    expect(roundToDecimals(3.5, 0, ROUNDING_MODES.HALF_EVEN)).toBe(4);
+    expect(roundToDecimals(1.999, 2, ROUNDING_MODES.DOWN)).toBe(1.99);
+  });
+});
+
+describe('money arithmetic', () => {
+  it('sums without float drift', () => {
+    expect(sumMoney([0.1, 0.2])).toBe(0.3);
+    expect(sumMoney([1000000.1, 0.2, -0.3])).toBe(1000000);
+  });
+
+  it('multiplies and divides exactly before rounding once', () => {
+    // 1000 × 0.0005% × 1 day = 0.005 exactly, a half cent
+    expect(multiplyMoney(1000, [0.0005, 1], { divisor: 100 })).toBe(0.01);
+    expect(multiplyMoney(81701.79, [0.2, 1], { divisor: 36500 })).toBe(0.45);
+    expect(multiplyMoney(10, [1], { divisor: 0 })).toBe(0);
+  });
+
+  it('allocates so the parts add up to the total', () => {
+    expect(allocateMoney(10, [1, 1, 1])).toEqual([3.34, 3.33, 3.33]);
+    expect(allocateMoney(-0.05, [1, 1])).toEqual([-0.03, -0.02]);
+    expect(allocateMoney(1, [0, 0])).toEqual([0.5, 0.5]);
+    const parts = allocateMoney(100, [30.123, 10.5, 59.377]);
+    expect(sumMoney(parts)).toBe(100);
+  });
+
+  it('compares amounts at the minor unit', () => {
+    expect(isSameMoney(1.004, 0.9951)).toBe(true);
+    expect(isSameMoney(1.005, 1.004)).toBe(false);
+  });
+});
+
+describe('services on the money module', () => {
+  it('rounds each fee component to cents and totals them exactly', () => {
+    const rates = {
+      option: { commissionPct: 0.006, rightsPct: 0.002, vatPct: 0.21, effectiveRate: 0 },
+    };
+    const { feeAmount, feeBreakdown } = calculateFee({ grossNotional: 1234.56, category: 'option', currency: 'ARS' }, rates);
+
+    expect(feeBreakdown.commissionAmount).toBe(7.41);
+    expect(feeBreakdown.rightsAmount).toBe(2.47);
+    expect(feeBreakdown.vatAmount).toBe(2.07);
+    expect(feeAmount).toBe(11.95);
+    expect(feeBreakdown.currency).toBe('ARS');
+  });
+
+  it('reconciles repo base amounts to the cent without a tolerance', () => {
+    expect(reconcileBaseAmount(60000, 1.64, 60001.64, 'USD')).toEqual({
+      reconciles: true, diff: 0, expected: 60001.64, actual: 60001.64,
+    });
+    const mismatch = reconcileBaseAmount(60000, 1.64, 60001.65, 'USD');
+    expect(mismatch.reconciles).toBe(false);
+    expect(mismatch.diff).toBe(0.01);
+  });
+});
+
+describe('parseLocaleAmount', () => {
+  it('reads Argentine and plain number formats', () => {
+    expect(parseLocaleAmount('1.234,56')).toBeCloseTo(1234.56);
+    expect(parseLocaleAmount('$ 1.234.567')).toBe(1234567);
+    expect(parseLocaleAmount('1234.5')).toBeCloseTo(1234.5);
+    expect(parseLocaleAmount('1,234.50')).toBeCloseTo(1234.5);
+    expect(parseLocaleAmount('')).toBeNull();
+    expect(parseLocaleAmount(undefined)).toBeNull();
+  });
+});
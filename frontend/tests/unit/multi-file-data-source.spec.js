@@ -0,0 +1,134 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  MultiFileDataSource,
+  collectProvenance,
+  resolveFileSourceType,
+  summarizeProvenance,
+} from '../../src/services/data-sources/multi-file-data-source.js';
+
+const HEADER = 'id,order_id,symbol,transact_time,side,last_price,last_qty,ord_status,event_subtype';
+
+const MORNING_CSV = [
+  HEADER,
+  'exec-1,ORD-1,GFGC5200OC,2025-10-08 13:58:51.454000Z,BUY,12.5,10,Ejecutada,execution_report',
+  'exec-2,ORD-2,GFGV5200OC,2025-10-08 14:01:00.000000Z,SELL,8,5,Ejecutada,execution_report',
+].join('\n');
+
+const AFTERNOON_CSV = [
+  HEADER,
+  // Same fill as the morning export
+  'exec-2,ORD-2,GFGV5200OC,2025-10-08 14:01:00.000000Z,SELL,8,5,Ejecutada,execution_report',
+  'exec-3,ORD-2,GFGV5200OC,2025-10-08 14:05:00.000000Z,SELL,8,5,Ejecutada,execution_report',
+].join('\n');
+
+const BROKER_DUMP = JSON.stringify({
+  orders: [
+    {
+      orderId: 'ORD-1',
+      clOrdId: 'CL-1',
+      execId: 'broker-exec-1',
+      instrumentId: { symbol: 'GFGC5200OC' },
+      transactTime: '20251008-10:58:51.454-0300',
+      side: 'BUY',
+      lastPx: '12.5',
+      lastQty: '10',
+      cumQty: '10',
+      avgPx: '12.5',
+      status: 'FILLED',
+    },
+    {
+      orderId: 'ORD-9',
+      clOrdId: 'CL-9',
+      execId: 'broker-exec-9',
+      instrumentId: { symbol: 'GFGC5400OC' },
+      transactTime: '20251008-11:30:00.000-0300',
+      side: 'BUY',
+      lastPx: '6',
+      lastQty: '3',
+      cumQty: '3',
+      avgPx: '6',
+      status: 'FILLED',
+    },
+  ],
+});
+
+describe('MultiFileDataSource', () => {
+  it('merges files, drops fills already seen in earlier files and tags provenance', async () => {
+    const { rows, meta } = await new MultiFileDataSource().parse([
+      { file: MORNING_CSV, fileName: 'manana.csv', sourceType: 'csv' },
+      { file: AFTERNOON_CSV, fileName: 'tarde.csv', sourceType: 'csv' },
+    ]);
+
+    expect(rows.map((row) => row.id)).toEqual(['exec-1', 'exec-2', 'exec-3']);
+    expect(rows[2]).toMatchObject({ source_file: 'tarde.csv', source_row: 3 });
+    expect(rows[0]).toMatchObject({ source_file: 'manana.csv', source_row: 2 });
+    expect(meta).toMatchObject({ rowCount: 3, duplicatesRemoved: 1 });
+    expect(meta.files).toEqual([
+      { fileName: 'manana.csv', sourceType: 'csv', rowCount: 2, duplicatesRemoved: 0 },
+      { fileName: 'tarde.csv', sourceType: 'csv', rowCount: 2, duplicatesRemoved: 1 },
+    ]);
+  });
+
+  it('dedupes broker JSON dumps against CSV fills by order and execution ids', async () => {
+    const csvWithoutExecIds = MORNING_CSV.replace('exec-1,', ',');
+    const { rows, meta } = await new MultiFileDataSource().parse([
+      { file: csvWithoutExecIds, fileName: 'manana.csv', sourceType: 'csv' },
+      { file: BROKER_DUMP, fileName: 'broker.json', sourceType: 'json' },
+    ]);
+
+    // ORD-1 matches on symbol/side/fill/second because the CSV row has no execution id
+    expect(meta.files[1]).toMatchObject({ fileName: 'broker.json', rowCount: 2, duplicatesRemoved: 1 });
+    expect(rows.at(-1)).toMatchObject({ order_id: 'ORD-9', source_file: 'broker.json', source_row: 2 });
+  });
+
+  it('tags the physical line of each row across blank lines and multi-line fields', async () => {
+    const [first, second] = MORNING_CSV.split('\n').slice(1);
+    const spaced = [
+      '',
+      HEADER,
+      first.replace('Ejecutada', '"Ejecutada\nparcial"'),
+      '',
+      '   ',
+      second,
+    ].join('\n');
+    const { rows } = await new MultiFileDataSource().parse([{ file: spaced, fileName: 'a.csv', sourceType: 'csv' }]);
+
+    expect(rows.map((row) => row.source_row)).toEqual([3, 7]);
+  });
+
+  it('keeps repeated rows inside a single file', async () => {
+    const repeated = [HEADER, MORNING_CSV.split('\n')[1], MORNING_CSV.split('\n')[1]].join('\n');
+    const { rows } = await new MultiFileDataSource().parse([{ file: repeated, fileName: 'a.csv', sourceType: 'csv' }]);
+    expect(rows).toHaveLength(2);
+  });
+
+  it('prefixes parse errors with the file name', async () => {
+    await expect(new MultiFileDataSource().parse([{ file: '{', fileName: 'roto.json', sourceType: 'json' }]))
+      .rejects.toThrow(/^roto\.json: /);
+  });
+});
+
+describe('provenance helpers', () => {
+  it('resolves the data source for a file name', () => {
+    expect(resolveFileSourceType({ name: 'Operaciones.CSV' })).toBe('csv');
+    expect(resolveFileSourceType({ name: 'libro.xlsx' })).toBe('xlsx');
+    expect(resolveFileSourceType({ name: 'broker.json' })).toBe('json');
+  });
+
+  it('collects provenance from operations and consolidated legs', () => {
+    const consolidated = {
+      legs: [
+        { provenance: { fileName: 'b.csv', rowNumber: 7 } },
+        { provenance: { fileName: 'a.csv', rowNumber: 4 } },
+        { provenance: { fileName: 'a.csv', rowNumber: 2 } },
+        {},
+      ],
+    };
+    expect(summarizeProvenance(collectProvenance(consolidated))).toEqual([
+      { fileName: 'b.csv', rows: [7] },
+      { fileName: 'a.csv', rows: [2, 4] },
+    ]);
+    expect(collectProvenance({ symbol: 'GGAL' })).toEqual([]);
+  });
+});
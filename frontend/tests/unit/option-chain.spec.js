@@ -0,0 +1,61 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import { buildOptionChains } from '../../src/services/options/option-chain.js';
+
+const GGAL_CONFIG = {
+  symbol: 'GGAL',
+  prefix: 'GFG',
+  expirations: {
+    OCT: { suffixes: ['O', 'OC'] },
+    DIC: { suffixes: ['D', 'DI'] },
+  },
+};
+
+const row = (optionType, strike, expiration, totalQuantity, averagePrice, symbol = 'GGAL') => ({
+  originalSymbol: `GFG${optionType === 'CALL' ? 'C' : 'V'}${strike}${expiration}`,
+  optionType,
+  strike,
+  totalQuantity,
+  averagePrice,
+  legs: [{ symbol, expiration }],
+});
+
+describe('option chain', () => {
+  it('lays out strikes with one column per configured expiration', () => {
+    const [chain] = buildOptionChains({
+      calls: [row('CALL', 5200, 'O', 10, 150), row('CALL', 5600, 'D', -5, 90)],
+      puts: [row('PUT', 5200, 'O', -3, 120)],
+      symbolConfigs: { GGAL: GGAL_CONFIG },
+      referenceDate: new Date(2025, 8, 1),
+    });
+
+    expect(chain.underlying).toBe('GGAL');
+    expect(chain.expirations).toEqual(['OCT', 'DIC']);
+    expect(chain.strikes.map((entry) => entry.strike)).toEqual([5200, 5600]);
+    expect(chain.strikes[0].calls).toEqual({ OCT: { quantity: 10, averagePrice: 150 } });
+    expect(chain.strikes[0].puts).toEqual({ OCT: { quantity: -3, averagePrice: 120 } });
+    expect(chain.strikes[1].calls.DIC).toEqual({ quantity: -5, averagePrice: 90 });
+    expect(chain.strikes[1].puts).toEqual({});
+  });
+
+  it('nets rows sharing a cell and keeps unknown codes last', () => {
+    const [chain] = buildOptionChains({
+      calls: [row('CALL', 5200, 'O', 10, 100), row('CALL', 5200, 'OC', 30, 200), row('CALL', 5200, 'X', 1, 5)],
+      symbolConfigs: { GGAL: GGAL_CONFIG },
+      referenceDate: new Date(2025, 8, 1),
+    });
+
+    expect(chain.expirations).toEqual(['OCT', 'DIC', 'X']);
+    expect(chain.strikes[0].calls.OCT).toEqual({ quantity: 40, averagePrice: 175 });
+    expect(chain.strikes[0].calls.X).toEqual({ quantity: 1, averagePrice: 5 });
+  });
+
+  it('builds one chain per underlying without configuration', () => {
+    const chains = buildOptionChains({
+      calls: [row('CALL', 100, 'O', 1, 2, 'YPFD'), row('CALL', 5200, 'O', 1, 2)],
+    });
+
+    expect(chains.map((chain) => chain.underlying)).toEqual(['GGAL', 'YPFD']);
+    expect(chains[1].expirations).toEqual(['O']);
+  });
+});
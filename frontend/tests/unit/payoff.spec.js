@@ -0,0 +1,116 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  PAYOFF_LEG_TYPES,
+  buildPayoffLegs,
+  calculatePayoffAt,
+  buildPayoffCurve,
+  analyzePayoff,
+} from '../../src/services/options/payoff.js';
+
+const callRow = (strike, totalQuantity, averagePrice, extra = {}) => ({
+  optionType: 'CALL',
+  strike,
+  totalQuantity,
+  averagePrice,
+  ...extra,
+});
+
+const putRow = (strike, totalQuantity, averagePrice, extra = {}) => ({
+  optionType: 'PUT',
+  strike,
+  totalQuantity,
+  averagePrice,
+  ...extra,
+});
+
+describe('buildPayoffLegs', () => {
+  it('maps consolidated rows and stock operations into signed legs', () => {
+    const legs = buildPayoffLegs({
+      calls: [callRow(100, -2, 5)],
+      puts: [putRow(90, 1, 3, { grossNotional: 300 })],
+      stockOperations: [
+        { symbol: 'GGAL', side: 'BUY', quantity: 200, price: 98, grossNotional: 19600 },
+        { symbol: 'GGAL', side: 'SELL', quantity: 0, price: 98 },
+      ],
+    });
+
+    expect(legs).toHaveLength(3);
+    expect(legs[0]).toMatchObject({ type: PAYOFF_LEG_TYPES.CALL, quantity: -2, multiplier: 100 });
+    expect(legs[1]).toMatchObject({ type: PAYOFF_LEG_TYPES.PUT, quantity: 1, multiplier: 100 });
+    expect(legs[2]).toMatchObject({ type: PAYOFF_LEG_TYPES.STOCK, quantity: 200, multiplier: 1, premium: 98 });
+  });
+
+  it('infers the multiplier from gross notional when available', () => {
+    const [leg] = buildPayoffLegs({ calls: [callRow(100, 1, 2, { grossNotional: 20 })] });
+    expect(leg.multiplier).toBe(10);
+  });
+});
+
+describe('analyzePayoff', () => {
+  it('resolves a bull call spread', () => {
+    const legs = buildPayoffLegs({ calls: [callRow(100, 1, 5), callRow(110, -1, 2)] });
+    const analysis = analyzePayoff(legs);
+
+    expect(analysis.maxLoss).toBeCloseTo(-300, 6);
+    expect(analysis.maxProfit).toBeCloseTo(700, 6);
+    expect(analysis.breakevens).toHaveLength(1);
+    expect(analysis.breakevens[0]).toBeCloseTo(103, 6);
+    expect(analysis.unboundedProfit).toBe(false);
+    expect(analysis.unboundedLoss).toBe(false);
+  });
+
+  it('flags unbounded profit for a long straddle and finds both breakevens', () => {
+    const legs = buildPayoffLegs({ calls: [callRow(100, 1, 4)], puts: [putRow(100, 1, 3)] });
+    const analysis = analyzePayoff(legs);
+
+    expect(analysis.unboundedProfit).toBe(true);
+    expect(analysis.maxProfit).toBeNull();
+    expect(analysis.maxLoss).toBeCloseTo(-700, 6);
+    expect(analysis.maxLossPrice).toBe(100);
+    expect(analysis.breakevens.map((value) => Number(value.toFixed(6)))).toEqual([93, 107]);
+  });
+
+  it('flags unbounded loss for a naked short call', () => {
+    const analysis = analyzePayoff(buildPayoffLegs({ calls: [callRow(100, -1, 5)] }));
+    expect(analysis.unboundedLoss).toBe(true);
+    expect(analysis.maxLoss).toBeNull();
+    expect(analysis.maxProfit).toBeCloseTo(500, 6);
+    expect(analysis.breakevens[0]).toBeCloseTo(105, 6);
+  });
+
+  it('caps the risk of a short call once stock legs are included', () => {
+    const legs = buildPayoffLegs({
+      calls: [callRow(100, -1, 5)],
+      stockOperations: [{ side: 'BUY', quantity: 100, price: 95 }],
+    });
+    const analysis = analyzePayoff(legs);
+
+    expect(analysis.unboundedLoss).toBe(false);
+    expect(analysis.maxProfit).toBeCloseTo(1000, 6);
+    expect(analysis.maxLoss).toBeCloseTo(-9000, 6);
+    expect(analysis.breakevens[0]).toBeCloseTo(90, 6);
+  });
+
+  it('returns empty analysis when there are no legs', () => {
+    expect(analyzePayoff([])).toMatchObject({ breakevens: [], maxProfit: null, maxLoss: null });
+  });
+});
+
+describe('payoff curve', () => {
+  it('evaluates the payoff at a given settlement price', () => {
+    const legs = buildPayoffLegs({ puts: [putRow(50, 2, 1.5)] });
+    expect(calculatePayoffAt(legs, 40)).toBeCloseTo(2 * 100 * (10 - 1.5), 6);
+    expect(calculatePayoffAt(legs, 60)).toBeCloseTo(-300, 6);
+  });
+
+  it('samples a sorted curve that includes every strike', () => {
+    const legs = buildPayoffLegs({ calls: [callRow(103.7, 1, 5)] });
+    const curve = buildPayoffCurve(legs, { points: 11 });
+
+    expect(curve.some((point) => point.price === 103.7)).toBe(true);
+    const prices = curve.map((point) => point.price);
+    expect([...prices].sort((a, b) => a - b)).toEqual(prices);
+    expect(buildPayoffCurve([])).toEqual([]);
+  });
+});
@@ -0,0 +1,191 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  COST_METHODS,
+  computeLedgerState,
+  createEmptyLedger,
+  createFillsFromOperations,
+  postFills,
+  resolveInstrumentKey,
+  setLedgerMethod,
+} from '../../src/services/ledger/position-ledger.js';
+import { sanitizeLedger } from '../../src/services/ledger/ledger-storage.js';
+
+const stockOperation = (orderId, side, quantity, price, transactTime, extra = {}) => ({
+  id: orderId,
+  orderId,
+  originalSymbol: 'MERV - XMEV - GGAL - 24hs',
+  symbol: 'MERV - XMEV - GGAL - 24hs',
+  optionType: 'UNKNOWN',
+  category: 'stock',
+  side,
+  quantity,
+  price,
+  grossNotional: quantity * price,
+  feeAmount: 0,
+  raw: { order_id: orderId, transact_time: transactTime },
+  ...extra,
+});
+
+const optionOperation = (orderId, side, price, transactTime) => ({
+  id: orderId,
+  orderId,
+  originalSymbol: 'GFGC52000O',
+  symbol: 'GGAL',
+  optionType: 'CALL',
+  strike: 5200,
+  expiration: 'OCT',
+  category: 'option',
+  side,
+  quantity: 2,
+  price,
+  grossNotional: 2 * 100 * price,
+  feeAmount: 10,
+  raw: { transact_time: transactTime },
+});
+
+const buildLedger = (operations, method = COST_METHODS.FIFO) => {
+  const fills = createFillsFromOperations(operations);
+  return postFills(createEmptyLedger({ method }), fills).ledger;
+};
+
+describe('position ledger', () => {
+  it('keys options by contract and other instruments without settlement suffix', () => {
+    expect(resolveInstrumentKey({
+      symbol: 'GGAL', optionType: 'CALL', strike: 5200, expiration: 'OCT',
+    })).toBe('GGAL::CALL::5200::OCT');
+    expect(resolveInstrumentKey({ originalSymbol: 'MERV - XMEV - AL30 - CI' })).toBe('MERV - XMEV - AL30');
+    expect(resolveInstrumentKey({ originalSymbol: 'MERV - XMEV - AL30 - 24hs' })).toBe('MERV - XMEV - AL30');
+  });
+
+  it('skips cauciones and invalid rows when creating fills', () => {
+    const fills = createFillsFromOperations([
+      stockOperation('1', 'BUY', 10, 100, '2025-10-01 11:00:00'),
+      { ...stockOperation('2', 'BUY', 10, 100, '2025-10-01 11:00:00'), category: 'caucion' },
+      stockOperation('3', 'BUY', 0, 100, '2025-10-01 11:00:00'),
+    ]);
+    expect(fills).toHaveLength(1);
+    expect(fills[0]).toMatchObject({ instrumentKey: 'MERV - XMEV - GGAL', quantity: 10, multiplier: 1 });
+  });
+
+  it('realizes P&L FIFO across sessions', () => {
+    let ledger = buildLedger([
+      stockOperation('1', 'BUY', 100, 10, '2025-10-01 11:00:00'),
+      stockOperation('2', 'BUY', 100, 12, '2025-10-02 11:00:00'),
+    ]);
+    ledger = postFills(ledger, createFillsFromOperations([
+      stockOperation('3', 'SELL', 150, 15, '2025-10-03 11:00:00'),
+    ])).ledger;
+
+    const state = computeLedgerState(ledger);
+
+    expect(state.closedLots).toHaveLength(2);
+    expect(state.closedLots[0]).toMatchObject({ quantity: 100, openPrice: 10, closePrice: 15, realizedPnl: 500 });
+    expect(state.closedLots[1]).toMatchObject({ quantity: 50, openPrice: 12, closePrice: 15, realizedPnl: 150 });
+    expect(state.totals.realizedPnl).toBe(650);
+    expect(state.positions).toHaveLength(1);
+    expect(state.positions[0].quantity).toBe(50);
+    expect(state.positions[0].lots[0]).toMatchObject({ quantity: 50, price: 12 });
+  });
+
+  it('realizes P&L against average cost when configured', () => {
+    const ledger = buildLedger([
+      stockOperation('1', 'BUY', 100, 10, '2025-10-01 11:00:00'),
+      stockOperation('2', 'BUY', 100, 12, '2025-10-02 11:00:00'),
+      stockOperation('3', 'SELL', 150, 15, '2025-10-03 11:00:00'),
+    ], COST_METHODS.AVERAGE);
+
+    const state = computeLedgerState(ledger);
+
+    expect(state.closedLots).toHaveLength(1);
+    expect(state.closedLots[0].realizedPnl).toBeCloseTo(600, 6);
+    expect(state.positions[0]).toMatchObject({ quantity: 50, averagePrice: 11 });
+  });
+
+  it('replays history when the cost method changes', () => {
+    const ledger = buildLedger([
+      stockOperation('1', 'BUY', 100, 10, '2025-10-01 11:00:00'),
+      stockOperation('2', 'BUY', 100, 12, '2025-10-02 11:00:00'),
+      stockOperation('3', 'SELL', 150, 15, '2025-10-03 11:00:00'),
+    ]);
+    expect(computeLedgerState(ledger).totals.realizedPnl).toBe(650);
+    expect(computeLedgerState(setLedgerMethod(ledger, COST_METHODS.AVERAGE)).totals.realizedPnl).toBeCloseTo(600, 6);
+  });
+
+  it('handles short option positions with contract multiplier and fees', () => {
+    const state = computeLedgerState(buildLedger([
+      optionOperation('1', 'SELL', 50, '2025-10-01 11:00:00'),
+      optionOperation('2', 'BUY', 30, '2025-10-06 11:00:00'),
+    ]));
+
+    expect(state.positions).toEqual([]);
+    expect(state.closedLots[0]).toMatchObject({ quantity: -2, realizedPnl: 4000, fees: 20, netPnl: 3980 });
+  });
+
+  it('keeps the same month and strike of different years as separate contracts', () => {
+    const state = computeLedgerState(buildLedger([
+      optionOperation('1', 'SELL', 50, '2025-10-01 11:00:00'),
+      optionOperation('2', 'BUY', 30, '2026-10-01 11:00:00'),
+    ]));
+
+    expect(state.closedLots).toEqual([]);
+    expect(state.positions.map((position) => [position.instrumentKey, position.quantity])).toEqual([
+      ['GGAL::CALL::5200::2025-10-17', -2],
+      ['GGAL::CALL::5200::2026-10-16', 2],
+    ]);
+  });
+
+  it('flips a position when a fill exceeds the open quantity', () => {
+    const state = computeLedgerState(buildLedger([
+      stockOperation('1', 'BUY', 10, 100, '2025-10-01 11:00:00'),
+      stockOperation('2', 'SELL', 25, 110, '2025-10-02 11:00:00'),
+    ]));
+
+    expect(state.closedLots[0]).toMatchObject({ quantity: 10, realizedPnl: 100 });
+    expect(state.positions[0]).toMatchObject({ quantity: -15, averagePrice: 110 });
+  });
+
+  it('does not post the same fill twice', () => {
+    const operations = [stockOperation('1', 'BUY', 10, 100, '2025-10-01 11:00:00')];
+    const first = postFills(createEmptyLedger(), createFillsFromOperations(operations));
+    const second = postFills(first.ledger, createFillsFromOperations(operations));
+
+    expect(first.added).toBe(1);
+    expect(second.added).toBe(0);
+    expect(second.skipped).toBe(1);
+    expect(second.ledger.fills).toHaveLength(1);
+  });
+
+  it('keeps re-posting the same file idempotent for broker timestamps and execution ids', () => {
+    const fileOperations = [
+      stockOperation('A', 'BUY', 10, 100, '20251008-10:58:51', { raw: { id: 'exec-1', order_id: 'A', transact_time: '20251008-10:58:51' } }),
+      stockOperation('A', 'BUY', 10, 100, '20251008-10:58:51', { raw: { id: 'exec-2', order_id: 'A', transact_time: '20251008-10:58:51' } }),
+      stockOperation('B', 'SELL', 5, 110, 'sin fecha'),
+    ];
+
+    const fills = createFillsFromOperations(fileOperations, { source: 'ops.csv' });
+    expect(fills).toHaveLength(2);
+    expect(fills[0].tradedAt).toBe(new Date('2025-10-08T10:58:51').toISOString());
+    expect(fills[0].id).not.toBe(fills[1].id);
+
+    const first = postFills(createEmptyLedger(), fills);
+    const second = postFills(first.ledger, createFillsFromOperations(fileOperations, { source: 'ops.csv' }));
+
+    expect(first.added).toBe(2);
+    expect(second.added).toBe(0);
+    expect(second.skipped).toBe(2);
+    expect(computeLedgerState(second.ledger).positions[0].quantity).toBe(20);
+  });
+
+  it('sanitizes stored ledgers', () => {
+    expect(sanitizeLedger(null)).toEqual(createEmptyLedger());
+    expect(sanitizeLedger({ version: 99, fills: [{}] }).fills).toEqual([]);
+    const stored = sanitizeLedger({
+      version: 1,
+      method: 'average',
+      fills: [{ id: 'a', instrumentKey: 'X' }, { foo: 'bar' }],
+    });
+    expect(stored.method).toBe(COST_METHODS.AVERAGE);
+    expect(stored.fills).toHaveLength(1);
+  });
+});
@@ -0,0 +1,77 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import {
+  RATE_TYPES,
+  calculateBreakdownRates,
+  calculateNetCaucionRates,
+  convertRate,
+  describeTNA,
+} from '../../src/services/rates.js';
+import { calculateRepoExpenseBreakdown } from '../../src/services/fees/repo-fees.js';
+
+const repoFeeConfig = {
+  arancelCaucionColocadora: { ARS: 0.2, USD: 0.2 },
+  arancelCaucionTomadora: { ARS: 0.25, USD: 0.25 },
+  derechosDeMercadoDailyRate: { ARS: 0.0005, USD: 0.0005 },
+  gastosGarantiaDailyRate: { ARS: 0.00035, USD: 0.00035 },
+  ivaRepoRate: 0.21,
+};
+
+describe('rate conversions', () => {
+  it('compounds a TNA at its tenor', () => {
+    // 36,5% a 1 día: 0,1% diario
+    expect(describeTNA(36.5, 1)).toEqual({
+      tna: 36.5,
+      tea: expect.closeTo((1.001 ** 365 - 1) * 100, 8),
+      tem: expect.closeTo((1.001 ** 30 - 1) * 100, 8),
+      ted: expect.closeTo(0.1, 10),
+    });
+    // Renewing weekly compounds less often than daily
+    expect(convertRate(36.5, RATE_TYPES.TNA, RATE_TYPES.TEA, { tenorDays: 7 }))
+      .toBeCloseTo(((1 + 0.365 * 7 / 365) ** (365 / 7) - 1) * 100, 8);
+  });
+
+  it('converts between effective rates and back to the TNA of a tenor', () => {
+    expect(convertRate(3, RATE_TYPES.TEM, RATE_TYPES.TEA)).toBeCloseTo((1.03 ** (365 / 30) - 1) * 100, 8);
+    const tea = convertRate(40, RATE_TYPES.TNA, RATE_TYPES.TEA, { tenorDays: 30 });
+    expect(convertRate(tea, RATE_TYPES.TEA, RATE_TYPES.TNA, { tenorDays: 30 })).toBeCloseTo(40, 8);
+    expect(convertRate(0.1, RATE_TYPES.TED, RATE_TYPES.TNA)).toBeCloseTo(36.5, 8);
+
+    expect(convertRate(Number.NaN, RATE_TYPES.TNA, RATE_TYPES.TEA)).toBeNull();
+    expect(convertRate(10, RATE_TYPES.TNA, RATE_TYPES.TEA, { tenorDays: 0 })).toBeNull();
+    expect(() => convertRate(10, 'TIR', RATE_TYPES.TEA)).toThrow(/Tipo de tasa desconocido/);
+  });
+});
+
+describe('net caución rates', () => {
+  it('lowers the rate of a colocadora and raises the cost of a tomadora', () => {
+    const base = { principal: 1000000, interest: 7000, expenses: 700, tenorDays: 7 };
+
+    const colocadora = calculateNetCaucionRates({ ...base, role: 'colocadora' });
+    expect(colocadora.gross.tna).toBeCloseTo(36.5, 8);
+    expect(colocadora.net.tna).toBeCloseTo(32.85, 8);
+    expect(colocadora.net.tea).toBeCloseTo(convertRate(32.85, RATE_TYPES.TNA, RATE_TYPES.TEA, { tenorDays: 7 }), 8);
+
+    expect(calculateNetCaucionRates({ ...base, role: 'tomadora' }).net.tna).toBeCloseTo(40.15, 8);
+    expect(calculateNetCaucionRates({ ...base, principal: 0, role: 'tomadora' })).toBeNull();
+  });
+
+  it('reads the expenses of a repo breakdown', () => {
+    const breakdown = calculateRepoExpenseBreakdown({
+      id: 'repo-1',
+      instrument: { cfiCode: 'RP', displayName: 'PESOS 7D' },
+      currency: 'ARS',
+      role: 'colocadora',
+      principalAmount: 1000000,
+      baseAmount: 1007000,
+      priceTNA: 36.5,
+      tenorDays: 7,
+    }, repoFeeConfig);
+
+    const rates = calculateBreakdownRates(breakdown);
+    const expectedNet = ((7000 - breakdown.totalExpenses) / 1000000) * (365 / 7) * 100;
+    expect(rates.gross.tna).toBeCloseTo(36.5, 8);
+    expect(rates.net.tna).toBeCloseTo(expectedNet, 8);
+    expect(calculateBreakdownRates({ ...breakdown, status: 'error' })).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import { detectStrategies, STRATEGY_TYPES } from '../../src/services/options/strategy-detector.js';
+import { buildConsolidatedViews } from '../../src/services/csv/consolidator.js';
+
+let nextId = 1;
+
+const operation = ({ optionType, strike, side, quantity, price, symbol = 'GGAL', expiration = 'OCT' }) => ({
+  id: String(nextId),
+  orderId: String(nextId++),
+  originalSymbol: `${symbol}${optionType === 'CALL' ? 'C' : 'V'}${strike}${expiration}`,
+  symbol,
+  expiration,
+  optionType,
+  strike,
+  side,
+  quantity,
+  price,
+});
+
+const detect = (operations, stockOperationsByUnderlying) => {
+  const { averaged } = buildConsolidatedViews(operations);
+  return detectStrategies({ calls: averaged.calls, puts: averaged.puts, stockOperationsByUnderlying });
+};
+
+describe('detectStrategies', () => {
+  it('detects a bull call vertical with net debit and bounded risk', () => {
+    const { strategies, unmatched } = detect([
+      operation({ optionType: 'CALL', strike: 100, side: 'BUY', quantity: 2, price: 5 }),
+      operation({ optionType: 'CALL', strike: 110, side: 'SELL', quantity: 2, price: 2 }),
+    ]);
+
+    expect(unmatched).toEqual([]);
+    expect(strategies).toHaveLength(1);
+    expect(strategies[0]).toMatchObject({
+      type: STRATEGY_TYPES.VERTICAL,
+      underlying: 'GGAL',
+      expiration: 'OCT',
+      isDebit: true,
+      unboundedRisk: false,
+    });
+    expect(strategies[0].netPremium).toBeCloseTo(600, 6);
+    expect(strategies[0].maxRisk).toBeCloseTo(600, 6);
+  });
+
+  it('detects short straddles and strangles as credits with unbounded risk', () => {
+    const { strategies } = detect([
+      operation({ optionType: 'CALL', strike: 100, side: 'SELL', quantity: 1, price: 4 }),
+      operation({ optionType: 'PUT', strike: 100, side: 'SELL', quantity: 1, price: 3 }),
+      operation({ optionType: 'CALL', strike: 120, side: 'SELL', quantity: 1, price: 1, expiration: 'DIC' }),
+      operation({ optionType: 'PUT', strike: 80, side: 'SELL', quantity: 1, price: 1, expiration: 'DIC' }),
+    ]);
+
+    const types = strategies.map((strategy) => strategy.type).sort();
+    expect(types).toEqual([STRATEGY_TYPES.STRADDLE, STRATEGY_TYPES.STRANGLE]);
+    strategies.forEach((strategy) => {
+      expect(strategy.isDebit).toBe(false);
+      expect(strategy.unboundedRisk).toBe(true);
+      expect(strategy.maxRisk).toBeNull();
+    });
+  });
+
+  it('detects a long call butterfly before verticals', () => {
+    const { strategies, unmatched } = detect([
+      operation({ optionType: 'CALL', strike: 90, side: 'BUY', quantity: 1, price: 12 }),
+      operation({ optionType: 'CALL', strike: 100, side: 'SELL', quantity: 2, price: 6 }),
+      operation({ optionType: 'CALL', strike: 110, side: 'BUY', quantity: 1, price: 2 }),
+    ]);
+
+    expect(unmatched).toEqual([]);
+    expect(strategies).toHaveLength(1);
+    expect(strategies[0].type).toBe(STRATEGY_TYPES.BUTTERFLY);
+    expect(strategies[0].netPremium).toBeCloseTo(200, 6);
+    expect(strategies[0].maxRisk).toBeCloseTo(200, 6);
+  });
+
+  it('detects ratio spreads when quantities differ', () => {
+    const { strategies } = detect([
+      operation({ optionType: 'PUT', strike: 100, side: 'BUY', quantity: 1, price: 6 }),
+      operation({ optionType: 'PUT', strike: 90, side: 'SELL', quantity: 2, price: 2 }),
+    ]);
+
+    expect(strategies).toHaveLength(1);
+    expect(strategies[0].type).toBe(STRATEGY_TYPES.RATIO_SPREAD);
+    expect(strategies[0].legs.map((leg) => leg.quantity)).toEqual([-2, 1]);
+  });
+
+  it('detects covered calls against long stock of the same underlying', () => {
+    const stock = new Map([
+      ['GGAL', [{ symbol: 'MERV - XMEV - GGAL - 24hs', side: 'BUY', quantity: 250, price: 95 }]],
+    ]);
+    const { strategies, unmatched } = detect([
+      operation({ optionType: 'CALL', strike: 100, side: 'SELL', quantity: 3, price: 5 }),
+    ], stock);
+
+    expect(strategies).toHaveLength(1);
+    expect(strategies[0].type).toBe(STRATEGY_TYPES.COVERED_CALL);
+    expect(strategies[0].legs[0]).toMatchObject({ type: 'STOCK', quantity: 200 });
+    expect(strategies[0].legs[1]).toMatchObject({ type: 'CALL', quantity: -2 });
+    expect(strategies[0].unboundedRisk).toBe(false);
+    expect(unmatched).toEqual([expect.objectContaining({ type: 'CALL', strike: 100, quantity: -1 })]);
+  });
+
+  it('does not pair legs across underlyings or expirations', () => {
+    const { strategies, unmatched } = detect([
+      operation({ optionType: 'CALL', strike: 100, side: 'BUY', quantity: 1, price: 5 }),
+      operation({ optionType: 'CALL', strike: 110, side: 'SELL', quantity: 1, price: 2, expiration: 'DIC' }),
+      operation({ optionType: 'CALL', strike: 110, side: 'SELL', quantity: 1, price: 2, symbol: 'YPFD' }),
+    ]);
+
+    expect(strategies).toEqual([]);
+    expect(unmatched).toHaveLength(3);
+  });
+});
@@ -0,0 +1,83 @@
+/* eslint-env node, jest */
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+
+let getCatalogOption;
+let enrichOperationRow;
+let auditStrikeRules;
+let suggestStrikeDecimals;
+
+const GGAL_CONFIG = {
+  symbol: 'GGAL',
+  prefixes: ['GFG'],
+  strikeDefaultDecimals: 0,
+  expirations: {
+    OCT: { suffixes: ['O', 'OC'], decimals: 0 },
+  },
+};
+
+const configuration = { prefixMap: { GFG: GGAL_CONFIG } };
+
+describe('catalog strikes', () => {
+  beforeAll(async () => {
+    // The mapping loads once per module instance; the test setup already loaded the bundled catalog
+    vi.resetModules();
+    const mapping = await import('../../src/services/fees/instrument-mapping.js');
+    ({ enrichOperationRow } = await import('../../src/services/csv/process-operations.js'));
+    ({ auditStrikeRules, suggestStrikeDecimals } = await import('../../src/services/strike-audit.js'));
+    ({ getCatalogOption } = mapping);
+
+    mapping.loadInstrumentMapping([
+      {
+        InstrumentId: { marketId: 'ROFX', symbol: 'MERV - XMEV - GFGC50131O - 24hs' },
+        CfiCode: 'OCASPS',
+        RoundLot: 100,
+        PriceConvertionFactor: 1,
+        StrikePrice: 5013.1,
+      },
+      {
+        InstrumentId: { marketId: 'ROFX', symbol: 'MERV - XMEV - GFGV4600OC - 24hs' },
+        CfiCode: 'OPASPS',
+        RoundLot: 100,
+        PriceConvertionFactor: 1,
+        StrikePrice: 4600,
+      },
+    ]);
+  });
+
+  it('indexes catalog options by their exact market token', () => {
+    expect(getCatalogOption('gfgc50131o')).toMatchObject({ strike: 5013.1, cfiCode: 'OCASPS' });
+    expect(getCatalogOption('MERV')).toBeNull();
+    expect(getCatalogOption('GFGC5013')).toBeNull();
+  });
+
+  it('uses the catalog strike for known instruments and flags the disagreeing rule', async () => {
+    const enrichment = await enrichOperationRow({ symbol: 'MERV - XMEV - GFGC50131O - 24hs' }, configuration);
+
+    expect(enrichment).toMatchObject({ symbol: 'GGAL', type: 'CALL', strike: 5013.1 });
+    expect(enrichment.meta.strikeSource).toBe('catalog');
+    expect(enrichment.meta.strikeMismatch).toMatchObject({ token: 'GFGC50131O', configuredStrike: 50131, catalogStrike: 5013.1 });
+  });
+
+  it('falls back to the prefix rule for symbols missing from the catalog', async () => {
+    const enrichment = await enrichOperationRow({ symbol: 'MERV - XMEV - GFGC47343O - 24hs' }, configuration);
+
+    expect(enrichment.strike).toBe(47343);
+    expect(enrichment.meta).toMatchObject({ strikeSource: 'prefixRule', strikeDecimals: 0 });
+    expect(enrichment.meta.strikeMismatch).toBeUndefined();
+  });
+
+  it('reports configured rules that disagree with the catalog', () => {
+    expect(auditStrikeRules([GGAL_CONFIG])).toEqual([
+      expect.objectContaining({
+        token: 'GFGC50131O',
+        symbol: 'GGAL',
+        expirationCode: 'OCT',
+        configuredStrike: 50131,
+        catalogStrike: 5013.1,
+        suggestedDecimals: 1,
+      }),
+    ]);
+    expect(suggestStrikeDecimals('4600', 46)).toBe(2);
+    expect(suggestStrikeDecimals('4600', 47)).toBeNull();
+  });
+});
@@ -0,0 +1,170 @@
+/* eslint-env node, jest */
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import {
+  XlsxDataSource,
+  detectHeaderRow,
+  formatSpreadsheetDate,
+  isSpreadsheetFile,
+  listSpreadsheetSheets,
+} from '../../src/services/data-sources/xlsx-data-source.js';
+import { excelSerialToDate } from '../../src/services/data-sources/spreadsheet-reader.js';
+
+const encoder = new TextEncoder();
+
+// Builds a ZIP archive; the reader ignores CRCs, so they are left at zero
+const buildZip = (files, { deflate = false } = {}) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const raw = encoder.encode(content);
+    const data = deflate ? new Uint8Array(deflateRawSync(raw)) : raw;
+    const method = deflate ? 8 : 0;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(8, method, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(10, method, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, raw.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    output.set(part, position);
+    position += part.length;
+  });
+  return output;
+};
+
+const XLSX_FILES = {
+  'xl/workbook.xml': `<?xml version="1.0"?><workbook xmlns:r="r"><workbookPr/><sheets>
+    <sheet name="Resumen" sheetId="1" r:id="rId1"/><sheet name="Operaciones" sheetId="2" r:id="rId2"/></sheets></workbook>`,
+  'xl/_rels/workbook.xml.rels': `<?xml version="1.0"?><Relationships>
+    <Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+    <Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/></Relationships>`,
+  'xl/sharedStrings.xml': `<?xml version="1.0"?><sst>
+    <si><t>order_id</t></si><si><t>symbol</t></si><si><r><t>si</t></r><r><t>de</t></r></si>
+    <si><t>BUY</t></si><si><t>GFGC5200OC</t></si><si><t>Reporte &amp; detalle</t></si></sst>`,
+  'xl/styles.xml': `<?xml version="1.0"?><styleSheet><numFmts count="1">
+    <numFmt numFmtId="164" formatCode="dd/mm/yyyy\\ hh:mm:ss"/></numFmts>
+    <cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="164" applyNumberFormat="1"/><xf numFmtId="2"/></cellXfs></styleSheet>`,
+  'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>5</v></c></row></sheetData></worksheet>',
+  'xl/worksheets/sheet2.xml': `<worksheet><sheetData>
+    <row r="1"><c r="A1" t="s"><v>5</v></c></row>
+    <row r="3"><c r="A3" t="s"><v>0</v></c><c r="B3" t="s"><v>1</v></c><c r="C3" t="s"><v>2</v></c>
+      <c r="D3" t="inlineStr"><is><t>quantity</t></is></c><c r="E3" t="inlineStr"><is><t>price</t></is></c>
+      <c r="F3" t="inlineStr"><is><t>transact_time</t></is></c></row>
+    <row r="4"><c r="A4"><v>1001</v></c><c r="B4" t="s"><v>4</v></c><c r="C4" t="s"><v>3</v></c>
+      <c r="D4"><v>10</v></c><c r="E4" s="2"><v>12.5</v></c><c r="F4" s="1"><v>45938.622303240741</v></c></row>
+    <row r="5"/>
+    <row r="6"><c r="A6"><v>1002</v></c><c r="B6" t="s"><v>4</v></c><c r="C6" t="s"><v>3</v></c>
+      <c r="D6"><v>5</v></c><c r="F6"><v>45938.5</v></c></row>
+  </sheetData></worksheet>`,
+};
+
+const ODS_CONTENT = `<?xml version="1.0"?><office:document-content><office:body><office:spreadsheet>
+  <table:table table:name="Hoja1">
+    <table:table-row>
+      <table:table-cell office:value-type="string"><text:p>order_id</text:p></table:table-cell>
+      <table:table-cell office:value-type="string"><text:p>side</text:p></table:table-cell>
+      <table:table-cell office:value-type="string"><text:p>quantity</text:p></table:table-cell>
+      <table:table-cell office:value-type="string"><text:p>transact_time</text:p></table:table-cell>
+      <table:table-cell table:number-columns-repeated="1020"/>
+    </table:table-row>
+    <table:table-row table:number-rows-repeated="2">
+      <table:table-cell office:value-type="float" office:value="7"><text:p>7</text:p></table:table-cell>
+      <table:table-cell office:value-type="string"><text:p>SELL</text:p></table:table-cell>
+      <table:table-cell office:value-type="float" office:value="3"><text:p>3</text:p></table:table-cell>
+      <table:table-cell office:value-type="date" office:date-value="2025-10-08T14:56:07"><text:p>08/10/2025</text:p></table:table-cell>
+    </table:table-row>
+    <table:table-row table:number-rows-repeated="1048570"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>
+  </table:table>
+</office:spreadsheet></office:body></office:document-content>`;
+
+describe('XlsxDataSource', () => {
+  it('reads the chosen sheet below a detected header row and formats date cells', async () => {
+    const source = new XlsxDataSource();
+    const { rows, meta } = await source.parse(buildZip(XLSX_FILES, { deflate: true }), { sheet: 'Operaciones' });
+
+    expect(meta).toMatchObject({ rowCount: 2, sheetName: 'Operaciones', sheetNames: ['Resumen', 'Operaciones'], headerRow: 3, format: 'xlsx' });
+    // Blank sheet row 5 is dropped but keeps its place in the numbering
+    expect(meta.rowNumbers).toEqual([4, 6]);
+    expect(rows[0]).toEqual({
+      order_id: 1001,
+      symbol: 'GFGC5200OC',
+      side: 'BUY',
+      quantity: 10,
+      price: 12.5,
+      transact_time: '2025-10-08 14:56:07',
+    });
+    // Unstyled serials under a date-like header are still coerced
+    expect(rows[1]).toMatchObject({ order_id: 1002, price: null, transact_time: '2025-10-08 12:00:00' });
+    expect(source.getSourceType()).toBe('xlsx');
+  });
+
+  it('honours an explicit header row, sheet index and row cap', async () => {
+    const { rows, meta } = await new XlsxDataSource().parse(buildZip(XLSX_FILES), { sheet: 1, headerRow: 3, maxRows: 1 });
+    expect(rows).toHaveLength(1);
+    expect(meta.exceededMaxRows).toBe(true);
+    await expect(new XlsxDataSource().parse(buildZip(XLSX_FILES), { sheet: 'Otra' }))
+      .rejects.toThrow('La hoja "Otra" no existe en el libro.');
+  });
+
+  it('reads OpenDocument spreadsheets with repeated rows and cells', async () => {
+    const ods = buildZip({ mimetype: 'application/vnd.oasis.opendocument.spreadsheet', 'content.xml': ODS_CONTENT });
+    const { rows, meta } = await new XlsxDataSource().parse(ods);
+
+    expect(meta).toMatchObject({ format: 'ods', sheetName: 'Hoja1', rowCount: 2 });
+    expect(rows).toEqual([
+      { order_id: 7, side: 'SELL', quantity: 3, transact_time: '2025-10-08 14:56:07' },
+      { order_id: 7, side: 'SELL', quantity: 3, transact_time: '2025-10-08 14:56:07' },
+    ]);
+    expect(await listSpreadsheetSheets(ods)).toEqual(['Hoja1']);
+  });
+
+  it('rejects files that are not workbooks', async () => {
+    await expect(new XlsxDataSource().parse(encoder.encode('order_id,side\n1,BUY')))
+      .rejects.toThrow('El archivo no es una planilla válida (.xlsx u .ods).');
+  });
+});
+
+describe('spreadsheet helpers', () => {
+  it('converts Excel serials in both date systems', () => {
+    expect(formatSpreadsheetDate(excelSerialToDate(45938.5))).toBe('2025-10-08 12:00:00');
+    expect(formatSpreadsheetDate(excelSerialToDate(44476.5, { date1904: true }))).toBe('2025-10-08 12:00:00');
+    expect(excelSerialToDate(0.75)).toBe('18:00:00');
+  });
+
+  it('detects header rows and spreadsheet files', () => {
+    expect(detectHeaderRow([['Reporte'], [], ['a', 'b', 'c'], [1, 2, 3]])).toBe(2);
+    expect(detectHeaderRow([[1, 2]])).toBe(-1);
+    expect(isSpreadsheetFile({ name: 'Operaciones.XLSX' })).toBe(true);
+    expect(isSpreadsheetFile({ name: 'operaciones.csv' })).toBe(false);
+  });
+});
@@ -5,6 +5,10 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   publicDir: 'public', // Ensure public directory is copied to dist
+  worker: {
+    // Module workers (processing pipeline) share code with the main bundle
+    format: 'es',
+  },
   build: {
     outDir: 'dist',
     // Minify for production